@@ -1,26 +1,37 @@
 /**
  * @file Dies ist die Hauptanwendungsdatei für den Resource Catalog Service.
- * @description Initialisiert die Express.js-Anwendung, registriert globale Middleware und bindet den Ressourcen-Router ein.
+ * @description Initialisiert die Express.js-Anwendung, registriert globale Middleware und bindet die API unter `/api/v1` ein.
+ * Gestartet wird sie von `server.js`; Speicher-Backend und Port wählt erst dieser, sodass Tests die Anwendung
+ * mit einem eigenen Repository einbinden können (siehe `test/support/harness.js`).
  */
 
+import 'dotenv/config'; // Lädt die .env-Datei als erstes, damit alle folgenden Module die Umgebungsvariablen sehen.
 import express from 'express';
-import resourcesRouter from './routes/resources.js'; // Importiert den Ressourcen-Router
+import apiRouter, { API_MOUNTS } from './routes/api.js'; // Ressourcen, Kategorien und Webhooks einer API-Version
+import healthRouter from './routes/health.js'; // Liveness, Readiness und Metriken
+import docsRouter from './routes/docs.js'; // OpenAPI-Spezifikation und Swagger UI
 import { errorHandler } from './middleware/error-handler.js'; // Importiert die globale Fehlerbehandlungs-Middleware
-import { logger } from './middleware/logger.js'; // Importiert die Logging-Middleware
-import 'dotenv/config'; // Importiert und konfiguriert dotenv, um Umgebungsvariablen aus der .env-Datei zu laden.
+import { logger } from './middleware/logger.js'; // Protokolliert jede Anfrage als JSON-Zeile
+import { requestId } from './middleware/request-id.js'; // Ordnet jeder Anfrage eine X-Request-Id zu
+import { httpMetrics } from './middleware/metrics.js'; // Erfasst Anzahl und Dauer der Anfragen für /metrics
+import { apiVersion, legacyAlias } from './middleware/api-version.js'; // Versionspräfix und veraltete Aliase
+import { NotFoundError } from './utils/errors.js';
 import cors from 'cors'; // Importiert das CORS-Middleware-Paket.
-import { connectDB } from './db/connect.js';
 
 /**
- * @constant {number} PORT - Der Port, auf dem der Server lauschen soll.
- * Wird aus den Umgebungsvariablen (`process.env.PORT`) gelesen oder auf 5002 als Standardwert gesetzt.
+ * @constant {express.Application} app - Die Express.js-Anwendungsinstanz.
  */
-const PORT = process.env.PORT || 5002;
+const app = express();
 
 /**
- * @constant {express.Application} app - Die Express.js-Anwendungsinstanz.
+ * Hinter einem Reverse Proxy muss `TRUST_PROXY` gesetzt sein (Anzahl der Proxy-Hops, `true` oder Adressen/Subnetze),
+ * damit `req.ip` die Client-Adresse aus `X-Forwarded-For` liefert – wichtig für das Rate Limiting pro IP.
  */
-const app = express();
+if (process.env.TRUST_PROXY) {
+    const value = process.env.TRUST_PROXY;
+    const hops = Number(value);
+    app.set('trust proxy', value === 'true' ? true : Number.isInteger(hops) ? hops : value);
+}
 
 /**
  * @section Globale Middleware
@@ -28,38 +39,51 @@ const app = express();
  */
 
 /**
- * @middleware {Function} logger - Protokolliert Details jeder eingehenden HTTP-Anfrage.
+ * @middleware {Function} requestId - Übernimmt oder erzeugt die `X-Request-Id` der Anfrage (`req.id`).
+ * Steht ganz vorne, damit auch Fehlerantworten früher Middleware die ID enthalten.
+ */
+app.use(requestId);
+
+/**
+ * @middleware {Function} logger - Protokolliert jede Anfrage nach Abschluss als JSON-Zeile (Status, Dauer, Request-ID).
  * Muss vor anderen Routen oder Middleware platziert werden, um alle Anfragen abzufangen.
  */
 app.use(logger);
 
+/**
+ * @middleware {Function} httpMetrics - Erfasst Anzahl und Bearbeitungsdauer jeder Anfrage nach Route und Status.
+ */
+app.use(httpMetrics);
+
 /**
  * @middleware {Function} express.json - Parst eingehende Anfragen mit JSON-Payloads.
  * Macht JSON-Daten im Request-Body über `req.body` zugänglich.
+ * Neben `application/json` wird auch `application/merge-patch+json` (für `PATCH /resources/:id`) geparst.
+ * Größere Bodies als `JSON_BODY_LIMIT` (Standard `100kb`) werden mit `413` abgelehnt.
  */
-app.use(express.json());
+app.use(express.json({
+    type: ['application/json', 'application/merge-patch+json'],
+    limit: process.env.JSON_BODY_LIMIT || '100kb'
+}));
 
 /**
  * @middleware {Function} cors - Aktiviert Cross-Origin Resource Sharing (CORS).
  * Erlaubt Anfragen von verschiedenen Ursprüngen (Domains) an diesen Server.
  * Dies ist wichtig für die Frontend-Backend-Kommunikation.
+ * `ETag` wird freigegeben, damit Browser-Clients ihn für `If-Match` auslesen können,
+ * `Deprecation`, `Sunset` und `Link`, damit sie veraltete Pfade erkennen.
  */
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag', 'X-Request-Id', 'Deprecation', 'Sunset', 'Link'] }));
 
 /**
- * @section Datenbankverbindung
- * @description Registriert die Datenbank.
+ * @route {string} /healthz, /readyz, /metrics - Betriebsendpunkte für Orchestrierung und Monitoring.
  */
-// nutzt wert der variablen aus .env
-if (!process.env.MONGO_URI) {// wenn diese Umgebungsvariable nicht vorhanden ist,gibt Fehlermeldung aus
-    console.warn("[MongoDB] MONGO_URI nicht gesetzt - ohne DB keine Persistenz.")
-    process.exit(1);
-} else {
-    await connectDB(process.env.MONGO_URI,
-    {dbName: process.env.MONGO_DB || "resource_catalog"}
-    );
-}
+app.use(healthRouter);
 
+/**
+ * @route {string} /openapi.json, /docs - OpenAPI-Spezifikation und interaktive Dokumentation.
+ */
+app.use(docsRouter);
 
 // Dummy-Route für den Root-Pfad zur Überprüfung der Service-Erreichbarkeit
 app.get('/', (req, res) => {
@@ -67,29 +91,36 @@ app.get('/', (req, res) => {
 });
 
 /**
- * @route {string} /resources - Basispfad für alle Ressourcen-API-Endpunkte.
- * @middleware {express.Router} resourcesRouter - Der Router, der alle Endpunkte für Ressourcen, Bewertungen und Feedback behandelt.
+ * @route {string} /api/v1 - Basispfad der API: `/api/v1/resources` (Ressourcen, Bewertungen und Feedback),
+ * `/api/v1/categories` (verwaltete Kategorien) und `/api/v1/webhooks` (Webhook-Abonnements).
+ * @middleware {express.Router} apiRouter - Bündelt die fachlichen Router (siehe `routes/api.js`).
+ */
+app.use('/api/v1', apiVersion('v1'), apiRouter);
+
+/**
+ * @route {string} /resources, /categories, /webhooks - Veraltete Aliase für `/api/v1/…`.
+ * @middleware {Function} legacyAlias - Setzt `Deprecation`, `Sunset` und `Link` auf den Nachfolger.
  */
-app.use('/resources', resourcesRouter);
+app.use(legacyAlias(API_MOUNTS.map(({ path }) => path)), apiRouter);
 
 /**
  * @section Fehlerbehandlung
  * @description Registriert eine globale Fehlerbehandlungs-Middleware.
  */
 
+/**
+ * @middleware {Function} - Beantwortet Anfragen an unbekannte Pfade mit einem `NotFoundError`.
+ */
+app.use((req, res, next) => {
+    next(new NotFoundError(`Pfad ${req.method} ${req.originalUrl} existiert nicht.`, { code: 'ROUTE_NOT_FOUND' }));
+});
+
 /**
  * @middleware {Function} errorHandler - Globale Fehlerbehandlungs-Middleware.
  * Diese Middleware sollte zuletzt registriert werden, um alle Fehler abzufangen,
  * die in den vorherigen Routen oder Middleware auftreten.
- * Sie sorgt für eine konsistente Fehlerantwort (`500 Internal Server Error`).
+ * Sie sorgt für eine konsistente Fehlerantwort im Format `application/problem+json` (RFC 7807).
  */
 app.use(errorHandler);
 
-/**
- * Startet den Express.js-Server auf dem konfigurierten Port.
- * @listens PORT
- */
-app.listen(PORT, () => {
-    console.log(`Resource Catalog Service läuft auf http://localhost:${PORT}`);
-});
-
+export default app;
@@ -0,0 +1,215 @@
+/**
+ * @file Importiert die JSON-Fixtures (`resources.json`, `ratings.json`, `feedback.json`) in MongoDB.
+ * @description
+ * Aufruf: `npm run seed [-- --reset] [-- --dry-run]`
+ *
+ * - Legacy-IDs (`res-…`, `rate-…`, `feed-…`) werden deterministisch auf ObjectIds abgebildet
+ *   (siehe `helpers/legacy_ids.js`); die ursprüngliche ID bleibt in `legacyId` erhalten.
+ * - Der Import ist idempotent: Dokumente werden anhand von `legacyId` eingefügt oder aktualisiert.
+ * - Bewertungen, die gegen „eine Bewertung pro Nutzer“ verstoßen, werden auf die jeweils neueste reduziert;
+ *   `userId: "anonymous"` wird als anonyme Bewertung (ohne `userId`) übernommen.
+ * - Bewertungen und Feedback zu unbekannten Ressourcen werden übersprungen.
+ * - Zum Schluss wird die gespeicherte Bewertungsstatistik aller Ressourcen neu berechnet (wie `npm run repair-ratings`).
+ *
+ * Optionen:
+ * - `--reset`   : leert vorher die Collections `resources`, `ratings` und `feedback`
+ * - `--dry-run` : zeigt nur, was passieren würde, ohne zu schreiben
+ */
+
+import 'dotenv/config';
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import { connectDB } from '../db/connect.js';
+import { legacyObjectId } from '../helpers/legacy_ids.js';
+import Resource from '../models/resource.js';
+import Rating from '../models/rating.js';
+import Feedback from '../models/feedback.js';
+import { createMongoRepository } from '../repositories/mongo_repository.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/** @constant {string} ANONYMOUS_USER - Platzhalter für anonyme Einträge in den Fixtures. */
+const ANONYMOUS_USER = 'anonymous';
+
+/**
+ * Liest eine Fixture-Datei aus `data/`.
+ * @param {string} fileName
+ * @returns {Promise<Array<Object>>}
+ */
+async function readFixture(fileName) {
+  return JSON.parse(await fsp.readFile(path.join(__dirname, fileName), 'utf-8'));
+}
+
+/**
+ * Übernimmt `userId`, außer es ist der Platzhalter für anonyme Einträge.
+ * @param {string|undefined} userId
+ * @returns {{ userId?: string }}
+ */
+function userIdField(userId) {
+  return userId && userId !== ANONYMOUS_USER ? { userId } : {};
+}
+
+/**
+ * Reduziert Bewertungen auf die jeweils neueste pro `(resourceId, userId)`. Anonyme Bewertungen bleiben alle erhalten.
+ * @param {Array<Object>} ratings - Bewertungen aus `ratings.json`.
+ * @returns {{ kept: Array<Object>, dropped: number }}
+ */
+export function dedupeRatings(ratings) {
+  const latest = new Map();
+  const anonymous = [];
+
+  for (const rating of ratings) {
+    if (!userIdField(rating.userId).userId) {
+      anonymous.push(rating);
+      continue;
+    }
+    const key = `${rating.resourceId}\u0000${rating.userId}`;
+    const current = latest.get(key);
+    if (!current || new Date(rating.timestamp) > new Date(current.timestamp)) latest.set(key, rating);
+  }
+
+  const kept = [...latest.values(), ...anonymous];
+  return { kept, dropped: ratings.length - kept.length };
+}
+
+/**
+ * Wandelt die Fixtures in Upsert-Operationen für `bulkWrite` um.
+ * @param {{ resources: Array<Object>, ratings: Array<Object>, feedback: Array<Object> }} fixtures
+ * @returns {{ operations: Object<string, Array<Object>>, skipped: { duplicateRatings: number, orphanRatings: number, orphanFeedback: number } }}
+ */
+export function buildSeedOperations({ resources, ratings, feedback }) {
+  const resourceIds = new Set(resources.map((resource) => resource.id));
+
+  const upsert = ({ id, ...fields }, setOnInsert = {}) => ({
+    updateOne: {
+      filter: { legacyId: id },
+      update: { $set: fields, $setOnInsert: { _id: legacyObjectId(id), ...setOnInsert } },
+      upsert: true
+    }
+  });
+
+  const { kept, dropped } = dedupeRatings(ratings);
+  const validRatings = kept.filter((rating) => resourceIds.has(rating.resourceId));
+  const validFeedback = feedback.filter((entry) => resourceIds.has(entry.resourceId));
+
+  return {
+    operations: {
+      resources: resources.map(({ id, title, type, description, authorId, createdAt }) => upsert(
+        { id, title, type, description, authorId, createdAt: new Date(createdAt) },
+        { version: 0 }
+      )),
+      ratings: validRatings.map(({ id, resourceId, ratingValue, userId, timestamp }) => upsert({
+        id,
+        resourceId: legacyObjectId(resourceId),
+        ratingValue,
+        timestamp: new Date(timestamp),
+        ...userIdField(userId)
+      })),
+      feedback: validFeedback.map(({ id, resourceId, feedbackText, userId, timestamp }) => upsert({
+        id,
+        resourceId: legacyObjectId(resourceId),
+        feedbackText,
+        timestamp: new Date(timestamp),
+        ...userIdField(userId)
+      }))
+    },
+    skipped: {
+      duplicateRatings: dropped,
+      orphanRatings: kept.length - validRatings.length,
+      orphanFeedback: feedback.length - validFeedback.length
+    }
+  };
+}
+
+/**
+ * Ermittelt, wie viele der geplanten Upserts einfügen bzw. bestehende Dokumente treffen würden.
+ * @param {import('mongoose').Model} Model
+ * @param {Array<Object>} operations
+ * @returns {Promise<{ insert: number, update: number }>}
+ */
+async function planUpserts(Model, operations) {
+  const legacyIds = operations.map((op) => op.updateOne.filter.legacyId);
+  const existing = await Model.countDocuments({ legacyId: { $in: legacyIds } });
+  return { insert: legacyIds.length - existing, update: existing };
+}
+
+/**
+ * Führt den Import aus.
+ * @param {Object} options
+ * @param {boolean} [options.reset=false] - Collections vorher leeren.
+ * @param {boolean} [options.dryRun=false] - Nichts schreiben, nur berichten.
+ * @returns {Promise<void>}
+ */
+export async function seed({ reset = false, dryRun = false } = {}) {
+  const fixtures = {
+    resources: await readFixture('resources.json'),
+    ratings: await readFixture('ratings.json'),
+    feedback: await readFixture('feedback.json')
+  };
+  const { operations, skipped } = buildSeedOperations(fixtures);
+  const models = { resources: Resource, ratings: Rating, feedback: Feedback };
+  const prefix = dryRun ? '[Seed] (dry-run)' : '[Seed]';
+
+  console.log(`${prefix} Übersprungen: ${skipped.duplicateRatings} doppelte Bewertungen, `
+    + `${skipped.orphanRatings} Bewertungen und ${skipped.orphanFeedback} Feedback-Einträge ohne Ressource.`);
+
+  for (const [name, Model] of Object.entries(models)) {
+    if (reset) {
+      const count = await Model.countDocuments();
+      if (!dryRun) await Model.deleteMany({});
+      console.log(`${prefix} ${name}: ${count} bestehende Dokumente ${dryRun ? 'würden gelöscht' : 'gelöscht'}.`);
+    }
+
+    if (dryRun) {
+      const { insert, update } = reset ? { insert: operations[name].length, update: 0 } : await planUpserts(Model, operations[name]);
+      console.log(`${prefix} ${name}: ${insert} würden eingefügt, ${update} aktualisiert.`);
+      continue;
+    }
+
+    // Indizes (u. a. eindeutige legacyId) vor dem Schreiben sicherstellen.
+    await Model.init();
+    let result;
+    try {
+      result = await Model.bulkWrite(operations[name], { ordered: false });
+    } catch (error) {
+      // Einzelne Konflikte (z. B. eine bereits über die API abgegebene Bewertung desselben Nutzers)
+      // brechen den Import nicht ab; die übrigen Operationen wurden trotzdem ausgeführt.
+      if (!error.writeErrors) throw error;
+      result = error.result;
+      console.warn(`${prefix} ${name}: ${error.writeErrors.length} Dokumente wegen Konflikten übersprungen.`);
+    }
+    console.log(`${prefix} ${name}: ${result.upsertedCount} eingefügt, ${result.modifiedCount} aktualisiert, `
+      + `${result.matchedCount - result.modifiedCount} unverändert.`);
+  }
+
+  // Die Bewertungen wurden an der API vorbei geschrieben; `ratingSummary` der Ressourcen muss nachgezogen werden.
+  const { checked, drifted } = await createMongoRepository().resources.repairRatingStats({ dryRun });
+  console.log(`${prefix} Bewertungsstatistik: ${drifted.length} von ${checked} Ressourcen ${dryRun ? 'würden korrigiert' : 'korrigiert'}.`);
+}
+
+// Nur beim direkten Aufruf (`node data/seed.js`) ausführen, nicht beim Import aus Tests.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = new Set(process.argv.slice(2));
+  const unknown = [...args].filter((arg) => !['--reset', '--dry-run'].includes(arg));
+
+  if (unknown.length > 0) {
+    console.error(`[Seed] Unbekannte Option(en): ${unknown.join(', ')}. Erlaubt sind --reset und --dry-run.`);
+    process.exit(1);
+  }
+  if (!process.env.MONGO_URI) {
+    console.error('[Seed] MONGO_URI nicht gesetzt.');
+    process.exit(1);
+  }
+
+  try {
+    await connectDB(process.env.MONGO_URI);
+    await seed({ reset: args.has('--reset'), dryRun: args.has('--dry-run') });
+  } catch (error) {
+    console.error('[Seed] Import fehlgeschlagen:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
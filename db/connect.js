@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { log } from "../utils/log.js";
 
 export async function connectDB (
     uri,
@@ -12,12 +13,13 @@ export async function connectDB (
     for (let i = 1; i <= retries; i++) {
         try {
             await mongoose.connect(uri, { dbName });
-            console.log(`[MongoDB] connected to ${dbName}`);
+            log.info("mongodb connected", { dbName });
             return;
         } catch (err) {
-            console.error(`[MongoDB] connect attempt ${i}/${retries} failed: ${err.message}`);
-            await new Promise((r) => setTimeout(r, delayMs));
+            log.warn("mongodb connect attempt failed", { attempt: i, retries, error: err.message });
+            if (i < retries) await new Promise((r) => setTimeout(r, delayMs));
         }
     }
-    process.exit(1);
+    // Der Aufrufer entscheidet, ob der Prozess beendet wird; bis dahin meldet GET /readyz „nicht bereit“.
+    throw new Error(`[MongoDB] keine Verbindung nach ${retries} Versuchen.`);
 };
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * @file Änderungshistorie (Audit-Log) für Ressourcen, Bewertungen und Feedback.
+ * @description
+ * Jede Änderung über die API wird als Eintrag angehängt, der nie geändert oder gelöscht wird:
+ * wer (`actorId`, `null` bei anonymen Anfragen), wann (`timestamp`), was (`entity`, `entityId`, `operation`)
+ * und welche Felder sich wie geändert haben (`changes: [{ field, from, to }]`, `null` = nicht gesetzt).
+ *
+ * Einträge zu Ressourcen tragen die `version` nach der Änderung. Sind alle Versionen seit einer Revision
+ * protokolliert, lässt sich diese Revision wiederherstellen, indem die Änderungen rückwärts zurückgenommen werden
+ * (siehe {@link reconstructRevision}). Auch das Umbenennen oder Zusammenführen einer Kategorie protokolliert
+ * je betroffener Ressource die Änderung von `type`. Änderungen außerhalb der API erscheinen nicht in der Historie.
+ */
+
+import { getRepository } from '../repositories/index.js';
+import { resourceSchema } from '../middleware/validation.js';
+import { feedbackStatusOf } from './feedback_moderation.js';
+import { log } from '../utils/log.js';
+
+/** @constant {Object<string, string[]>} AUDITED_FIELDS - Felder, deren Änderungen je Entität protokolliert werden. */
+export const AUDITED_FIELDS = {
+  resource: Object.keys(resourceSchema),
+  rating: ['ratingValue'],
+  feedback: ['feedbackText', 'status']
+};
+
+/** @constant {string[]} AUDIT_ENTITIES - Mögliche Werte von `entity`. */
+export const AUDIT_ENTITIES = Object.keys(AUDITED_FIELDS);
+
+/**
+ * Bringt einen Zustand vor dem Vergleich in eine einheitliche Form: Feedback ohne `status` gilt als freigegeben.
+ * @param {string} entity
+ * @param {Object|null} state
+ * @returns {Object|null}
+ */
+function normalizeState(entity, state) {
+  if (entity === 'feedback' && state) return { ...state, status: feedbackStatusOf(state) };
+  return state;
+}
+
+/**
+ * Vergleicht zwei Zustände feldweise.
+ * @param {Object|null} before - Zustand vor der Änderung; `null` beim Anlegen.
+ * @param {Object|null} after - Zustand nach der Änderung; `null` beim Löschen.
+ * @param {string[]} fields
+ * @returns {Array<{ field: string, from: *, to: * }>}
+ */
+export function diffFields(before, after, fields) {
+  return fields
+    .map((field) => ({ field, from: before?.[field] ?? null, to: after?.[field] ?? null }))
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+}
+
+/**
+ * @typedef {Object} AuditEvent
+ * @property {'resource'|'rating'|'feedback'} entity
+ * @property {'create'|'update'|'delete'|'restore'|'revert'} operation
+ * @property {string} resourceId - Die Ressource, zu der die Änderung gehört.
+ * @property {string} [entityId] - ID der Bewertung bzw. des Feedbacks; bei Ressourcen `resourceId`.
+ * @property {Object|null} [before] - Zustand vor der Änderung.
+ * @property {Object|null} [after] - Zustand nach der Änderung; bei Ressourcen Quelle der `version`.
+ * @property {number} [revertedTo] - Bei `revert`: die wiederhergestellte Version.
+ */
+
+/**
+ * Hängt Einträge an die Historie an. `actorId` und `requestId` stammen aus der Anfrage.
+ * Änderungen an Bewertungen und Feedback ohne geänderte Felder werden übersprungen; Ressourcen werden immer
+ * protokolliert, damit jede `version` einen Eintrag hat.
+ *
+ * Ein Fehler beim Schreiben wird weitergegeben, damit die Anfrage mit `500` endet, statt eine gespeicherte Änderung
+ * ohne Eintrag als Erfolg zu melden; eine fehlende `version` ließe sich später nicht mehr zurücksetzen.
+ * @param {express.Request} req - Die auslösende Anfrage.
+ * @param {...AuditEvent} events
+ * @returns {Promise<void>}
+ * @throws {Error} Wenn die Einträge nicht geschrieben werden können.
+ */
+export async function recordAudit(req, ...events) {
+  const timestamp = new Date();
+  const entries = events.map(({ entity, operation, resourceId, entityId = resourceId, before = null, after = null, revertedTo }) => ({
+    entity,
+    entityId,
+    resourceId,
+    operation,
+    actorId: req.user?.id ?? null,
+    requestId: req.id,
+    timestamp,
+    ...(entity === 'resource' && { version: (after ?? before)?.version ?? 0 }),
+    ...(revertedTo !== undefined && { revertedTo }),
+    changes: diffFields(normalizeState(entity, before), normalizeState(entity, after), AUDITED_FIELDS[entity])
+  })).filter((entry) => entry.entity === 'resource' || entry.operation !== 'update' || entry.changes.length > 0);
+
+  if (entries.length === 0) return;
+
+  try {
+    await getRepository().audit.append(entries);
+  } catch (error) {
+    log.error('audit write failed', { entries: entries.length, resourceId: entries[0].resourceId, err: error });
+    throw error;
+  }
+}
+
+/**
+ * Rekonstruiert die protokollierten Felder einer Ressource zu einer früheren Version.
+ * @param {Object} current - Die Ressource in ihrer aktuellen Version.
+ * @param {Object[]} entries - Einträge der Ressource mit `version` größer als `targetVersion`, beliebig sortiert.
+ * @param {number} targetVersion
+ * @returns {{ error?: string, code?: 'INVALID_REVISION'|'HISTORY_INCOMPLETE', value?: Object<string, *> }}
+ *          Die Felder der Revision (`null` = nicht gesetzt) oder der Grund, warum sie sich nicht bilden lässt.
+ */
+export function reconstructRevision(current, entries, targetVersion) {
+  const currentVersion = current.version ?? 0;
+  if (targetVersion >= currentVersion) {
+    return { code: 'INVALID_REVISION', error: `Version ${targetVersion} ist nicht älter als die aktuelle Version ${currentVersion}.` };
+  }
+
+  const byVersion = new Map(entries.map((entry) => [entry.version, entry]));
+  for (let version = targetVersion + 1; version <= currentVersion; version++) {
+    if (!byVersion.has(version)) {
+      return {
+        code: 'HISTORY_INCOMPLETE',
+        error: `Für Version ${version} gibt es keinen Eintrag in der Historie; Version ${targetVersion} lässt sich nicht wiederherstellen.`
+      };
+    }
+  }
+
+  const value = Object.fromEntries(AUDITED_FIELDS.resource.map((field) => [field, current[field] ?? null]));
+  for (let version = currentVersion; version > targetVersion; version--) {
+    for (const { field, from } of byVersion.get(version).changes) {
+      if (field in value) value[field] = from;
+    }
+  }
+  return { value };
+}
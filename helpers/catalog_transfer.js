@@ -0,0 +1,249 @@
+/**
+ * @file Import und Export des Katalogs als JSON, NDJSON oder CSV.
+ * @description
+ * Import (`POST /resources/import`): Jede Zeile wird einzeln mit denselben Regeln wie `POST /resources`
+ * geprüft (`resourceSchema`). Felder, die der Export zusätzlich schreibt (`id`, `authorId`, `averageRating` …),
+ * werden ignoriert, damit sich eine Exportdatei direkt wieder importieren lässt; IDs werden dabei neu vergeben.
+ *
+ * Export (`GET /resources/export`): Die Ressourcen werden seitenweise aus dem Repository gelesen und
+ * direkt in die Antwort geschrieben, sodass auch große Kataloge nicht komplett im Speicher liegen.
+ */
+
+import { validate, resourceSchema } from '../middleware/validation.js';
+import { parseCsv, formatCsvRow } from './csv.js';
+import { presentFeedback, PUBLIC_FEEDBACK_STATUS } from './feedback_moderation.js';
+
+/** @constant {Object} TRANSFER_FORMATS - Unterstützte Formate und ihr Content-Type. */
+export const TRANSFER_FORMATS = {
+  json: 'application/json',
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv'
+};
+
+/** @constant {string[]} EXPORT_INCLUDES - Erlaubte Werte für `include` beim Export. */
+export const EXPORT_INCLUDES = ['ratings', 'feedback'];
+
+/** @constant {number} MAX_IMPORT_ROWS - Höchstzahl an Datensätzen pro Import. */
+export const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Gibt das Größenlimit für NDJSON- und CSV-Bodies zurück (`IMPORT_BODY_LIMIT`, Standard `5mb`).
+ * JSON-Arrays laufen über den globalen JSON-Parser und unterliegen `JSON_BODY_LIMIT`.
+ * @returns {string}
+ */
+export function getImportBodyLimit() {
+  return process.env.IMPORT_BODY_LIMIT || '5mb';
+}
+
+/** @constant {number} EXPORT_BATCH_SIZE - Anzahl Ressourcen, die pro Repository-Abfrage exportiert werden. */
+const EXPORT_BATCH_SIZE = 100;
+
+/** @constant {string[]} CSV_COLUMNS - Spalten des CSV-Exports. */
+const CSV_COLUMNS = ['id', 'title', 'type', 'description', 'tags', 'authorId', 'createdAt', 'updatedAt', 'averageRating', 'ratingCount'];
+
+/** @constant {string[]} EXPORT_ONLY_FIELDS - Felder aus dem Export, die beim Import ignoriert werden. */
+const EXPORT_ONLY_FIELDS = [
+  'id', 'legacyId', 'authorId', 'createdAt', 'updatedAt', 'version',
+  'averageRating', 'ratingStats', 'ratingSummary', 'ratingCount', 'ratings', 'feedback', 'feedbackCount'
+];
+
+/**
+ * Gibt den Wert einer CSV-Spalte des Exports zurück.
+ * @param {Object} record - Die exportierte Ressource.
+ * @param {string} column - Ein Eintrag von {@link CSV_COLUMNS}.
+ * @returns {*}
+ */
+function csvCell(record, column) {
+  if (column === 'ratingCount') return record.ratingStats?.count;
+  if (column === 'tags') return record.tags?.join(', ');
+  return record[column];
+}
+
+/**
+ * Ermittelt das Importformat aus `?format=` oder, ohne Angabe, aus dem Content-Type.
+ * @param {express.Request} req
+ * @returns {string|null} Ein Schlüssel von {@link TRANSFER_FORMATS} oder `null`.
+ */
+export function importFormatOf(req) {
+  if (req.query.format !== undefined) {
+    return Object.hasOwn(TRANSFER_FORMATS, req.query.format) ? req.query.format : null;
+  }
+  return Object.keys(TRANSFER_FORMATS).find((format) => req.is(TRANSFER_FORMATS[format])) ?? null;
+}
+
+/**
+ * @typedef {Object} ImportRow
+ * @property {number} row - Position des Datensatzes (ab 1, ohne CSV-Kopfzeile).
+ * @property {number} [line] - Zeile in der Datei (nur NDJSON und CSV).
+ * @property {Object} [data] - Die Rohdaten des Datensatzes.
+ * @property {Array<{ field: string, message: string }>} [errors] - Fehler, falls der Datensatz nicht lesbar war.
+ */
+
+/**
+ * Zerlegt den Request-Body in einzelne Datensätze.
+ * Fehler, die die ganze Datei betreffen (kein Array, kaputtes CSV …), werden als `error` gemeldet;
+ * nicht lesbare einzelne Zeilen landen mit `errors` im Ergebnis.
+ * @param {string} format - Ein Schlüssel von {@link TRANSFER_FORMATS}.
+ * @param {*} body - `req.body`: bei JSON bereits geparst, bei NDJSON und CSV ein String.
+ * @returns {{ error?: string, rows?: ImportRow[] }}
+ */
+export function parseImportRows(format, body) {
+  if (format === 'json') {
+    let data = body;
+    if (typeof body === 'string') {
+      try {
+        data = JSON.parse(body);
+      } catch {
+        return { error: 'Request-Body ist kein gültiges JSON.' };
+      }
+    }
+    if (!Array.isArray(data)) return { error: 'Ein JSON-Import erwartet ein Array von Ressourcen.' };
+    return { rows: data.map((item, index) => ({ row: index + 1, data: item })) };
+  }
+
+  if (typeof body !== 'string') {
+    return { error: `Ein ${format.toUpperCase()}-Import erwartet den Content-Type ${TRANSFER_FORMATS[format]}.` };
+  }
+
+  if (format === 'ndjson') {
+    const rows = [];
+    body.split(/\r?\n/).forEach((text, index) => {
+      if (!text.trim()) return;
+      const row = { row: rows.length + 1, line: index + 1 };
+      try {
+        row.data = JSON.parse(text);
+      } catch {
+        row.errors = [{ field: '(row)', message: 'ist kein gültiges JSON.' }];
+      }
+      rows.push(row);
+    });
+    return { rows };
+  }
+
+  const { error, records } = parseCsv(body);
+  if (error) return { error };
+  if (records.length === 0) return { rows: [] };
+
+  const [header, ...dataRecords] = records;
+  const columns = header.values.map((column) => column.trim());
+
+  return {
+    rows: dataRecords.map(({ line, values }, index) => {
+      const row = { row: index + 1, line };
+      if (values.length !== columns.length) {
+        row.errors = [{ field: '(row)', message: `hat ${values.length} statt ${columns.length} Spalten.` }];
+        return row;
+      }
+      // Leere Zellen gelten als nicht gesetzt, damit optionale Spalten leer bleiben dürfen.
+      row.data = Object.fromEntries(columns.map((column, i) => [column, values[i]]).filter(([, value]) => value !== ''));
+      // Tags stehen in einer Zelle, durch Komma oder Semikolon getrennt.
+      if (typeof row.data.tags === 'string') row.data.tags = row.data.tags.split(/[,;]/).map((tag) => tag.trim()).filter(Boolean);
+      return row;
+    })
+  };
+}
+
+/**
+ * Prüft einen Datensatz mit den Regeln von `POST /resources`.
+ * @param {ImportRow} row
+ * @returns {{ errors: Array<{ field: string, message: string }>, value: Object }}
+ */
+export function validateImportRow({ data, errors }) {
+  if (errors) return { errors, value: {} };
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: [{ field: '(row)', message: 'muss ein Objekt sein.' }], value: {} };
+  }
+
+  const fields = Object.fromEntries(Object.entries(data).filter(([field]) => !EXPORT_ONLY_FIELDS.includes(field)));
+  return validate(resourceSchema, fields);
+}
+
+/**
+ * Wertet `include` des Exports aus (kommagetrennt, z. B. `ratings,feedback`).
+ * @param {string} [value]
+ * @returns {{ error?: string, value?: Set<string> }}
+ */
+export function parseExportIncludes(value) {
+  const includes = new Set(value ? String(value).split(',').map((part) => part.trim()).filter(Boolean) : []);
+  const unknown = [...includes].filter((include) => !EXPORT_INCLUDES.includes(include));
+  if (unknown.length > 0) {
+    return { error: `Unbekannter Wert für include: ${unknown.join(', ')}. Erlaubt sind: ${EXPORT_INCLUDES.join(', ')}.` };
+  }
+  return { value: includes };
+}
+
+/**
+ * Liest die zu exportierenden Ressourcen seitenweise aus dem Repository.
+ * @param {import('../repositories/index.js').Repository} repository
+ * @param {import('./resource_query.js').ResourceListQuery} query - Filter und Sortierung; `page`/`limit` werden ignoriert.
+ * @param {Set<string>} includes - `ratings` und/oder `feedback` (nur freigegebenes) einbetten.
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* exportResources(repository, query, includes) {
+  for (let page = 1; ; page++) {
+    const { data } = await repository.resources.list({ ...query, page, limit: EXPORT_BATCH_SIZE });
+
+    for (const resource of data) {
+      const record = { ...resource };
+      if (includes.has('ratings')) record.ratings = await repository.ratings.list(resource.id);
+      if (includes.has('feedback')) {
+        const { data: feedback } = await repository.feedback.list(resource.id, { descending: false, statuses: [PUBLIC_FEEDBACK_STATUS] });
+        record.feedback = feedback.map((entry) => presentFeedback(entry));
+      }
+      yield record;
+    }
+
+    if (data.length < EXPORT_BATCH_SIZE) return;
+  }
+}
+
+/**
+ * Wartet, bis die Antwort wieder Daten aufnimmt oder die Verbindung geschlossen wurde.
+ * @param {express.Response} res
+ * @returns {Promise<void>}
+ */
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Schreibt die exportierten Ressourcen im gewünschten Format in die Antwort und beendet sie.
+ * Bricht ab, sobald der Client die Verbindung schließt.
+ * @param {express.Response} res - Die Antwort; Header müssen bereits gesetzt sein.
+ * @param {string} format - Ein Schlüssel von {@link TRANSFER_FORMATS}.
+ * @param {AsyncIterable<Object>} records - Siehe {@link exportResources}.
+ * @returns {Promise<void>}
+ */
+export async function writeExport(res, format, records) {
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await waitForDrain(res);
+  };
+
+  if (format === 'csv') await write(formatCsvRow(CSV_COLUMNS));
+  if (format === 'json') await write('[');
+
+  let count = 0;
+  for await (const record of records) {
+    if (res.destroyed) return;
+
+    if (format === 'csv') {
+      await write(formatCsvRow(CSV_COLUMNS.map((column) => csvCell(record, column))));
+    } else if (format === 'ndjson') {
+      await write(JSON.stringify(record) + '\n');
+    } else {
+      await write((count > 0 ? ',\n' : '\n') + JSON.stringify(record));
+    }
+    count++;
+  }
+
+  if (format === 'json') await write(count > 0 ? '\n]\n' : ']\n');
+  res.end();
+}
@@ -0,0 +1,72 @@
+/**
+ * @file Helfer für optimistische Nebenläufigkeitskontrolle bei Ressourcen-Updates.
+ * @description
+ * Jede Ressource trägt ein `version`-Feld, das bei jedem Schreibvorgang um 1 erhöht wird.
+ * Die Version wird als `ETag` ausgeliefert; Clients schicken sie beim Schreiben als `If-Match`
+ * zurück. Das Update wird nur ausgeführt, wenn die gespeicherte Version noch übereinstimmt –
+ * Prüfung und Schreiben passieren atomar in `repository.resources.updateIfMatch()`
+ * (bei MongoDB in einem einzigen `findOneAndUpdate`, im Dateispeicher unter der Dateisperre).
+ *
+ * `GET /:id` liefert einen ETag der Form `"<version>-<hash>"`, der zusätzlich Bewertungen und Feedback abdeckt
+ * (siehe `middleware/http-cache.js`). Für `If-Match` zählt nur die Version davor; beide Formen werden akzeptiert.
+ */
+
+/**
+ * Gibt an, ob Schreibzugriffe ohne `If-Match`-Header abgelehnt werden (`428 Precondition Required`).
+ * @returns {boolean}
+ */
+export function isIfMatchRequired() {
+  return process.env.REQUIRE_IF_MATCH === 'true';
+}
+
+/**
+ * Formatiert eine Ressourcen-Version als ETag.
+ * Dokumente aus der Zeit vor Einführung des `version`-Felds gelten als Version 0.
+ * @param {number|undefined} version
+ * @returns {string} Der ETag, z. B. `"3"`.
+ */
+export function formatETag(version) {
+  return `"${version ?? 0}"`;
+}
+
+/**
+ * Parst einen `If-Match`-Header.
+ * `If-Match` verlangt den starken Vergleich (RFC 9110, Abschnitt 13.1.1): Schwache ETags (`W/"3"`) passen
+ * auf keine Version, sodass eine Bedingung nur aus schwachen ETags immer mit `412` scheitert.
+ * @param {string|undefined} header - Der Header-Wert, z. B. `"3"`, `"3-Xk2…"`, `W/"3", "4"` oder `*`.
+ * @returns {null|'*'|number[]} `null` wenn kein Header gesetzt ist, `'*'` für „beliebige Version“,
+ *          sonst die Liste der akzeptierten Versionen (schwache und nicht parsebare ETags werden ignoriert).
+ */
+export function parseIfMatch(header) {
+  if (header === undefined || header.trim() === '') return null;
+  if (header.trim() === '*') return '*';
+
+  return header
+    .split(',')
+    .map((tag) => tag.trim().match(/^"(\d+)(?:-[\w-]+)?"$/))
+    .filter(Boolean)
+    .map((match) => Number(match[1]));
+}
+
+/**
+ * Prüft, ob eine gespeicherte Version die `If-Match`-Bedingung erfüllt.
+ * @param {null|'*'|number[]} precondition - Ergebnis von {@link parseIfMatch}.
+ * @param {number|undefined} version - Die gespeicherte Version; fehlt sie, gilt Version 0.
+ * @returns {boolean}
+ */
+export function matchesIfMatch(precondition, version) {
+  if (precondition === null || precondition === '*') return true;
+  return precondition.includes(version ?? 0);
+}
+
+/**
+ * Baut den MongoDB-Versionsfilter für ein bedingtes Update.
+ * @param {null|'*'|number[]} precondition - Ergebnis von {@link parseIfMatch}.
+ * @returns {Object} Filter-Fragment für `version` (leer, wenn keine Bedingung gilt).
+ */
+export function versionFilter(precondition) {
+  if (precondition === null || precondition === '*') return {};
+  // Version 0 umfasst auch Altdokumente ohne `version`-Feld.
+  const versions = precondition.includes(0) ? [...precondition, null] : precondition;
+  return { version: { $in: versions } };
+}
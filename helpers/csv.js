@@ -0,0 +1,111 @@
+/**
+ * @file Minimaler CSV-Parser und -Formatierer (RFC 4180).
+ * @description
+ * Unterstützt Felder in Anführungszeichen (mit `""` als maskiertem Anführungszeichen und Zeilenumbrüchen im Feld),
+ * `\n` und `\r\n` als Zeilenende sowie ein führendes BOM, wie es Tabellenkalkulationen gerne schreiben.
+ * Als Trennzeichen sind Komma und Semikolon (deutsches Excel) üblich; siehe {@link detectDelimiter}.
+ */
+
+/**
+ * Zeichen, mit denen eine Tabellenkalkulation eine Zelle als Formel auswertet (CSV-Injection).
+ * {@link formatCsvRow} stellt solchen Texten ein `'` voran, {@link parseCsv} entfernt es beim Import wieder.
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const GUARDED_FORMULA = /^'[=+\-@\t\r]/;
+
+/**
+ * Erkennt das Trennzeichen anhand der Kopfzeile: Semikolon, wenn sie mehr Semikolons als Kommas enthält, sonst Komma.
+ * @param {string} text - Der CSV-Text.
+ * @returns {',' | ';'}
+ */
+export function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const count = (char) => header.split(char).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Zerlegt CSV-Text in Datensätze.
+ * Leere Zeilen werden übersprungen; jeder Datensatz kennt die Zeilennummer, in der er beginnt.
+ * Ein `'` vor einem Formelzeichen (siehe {@link formatCsvRow}) wird entfernt, damit ein Export wieder importiert werden kann.
+ * @param {string} text - Der CSV-Text.
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Trennzeichen; ohne Angabe über {@link detectDelimiter} ermittelt.
+ * @returns {{ error?: string, records?: Array<{ line: number, values: string[] }> }}
+ *          Die Datensätze oder eine Fehlermeldung bei einem nicht geschlossenen Anführungszeichen.
+ */
+export function parseCsv(text, { delimiter } = {}) {
+  const input = text.startsWith('\uFEFF') ? text.slice(1) : text;
+  const separator = delimiter ?? detectDelimiter(input);
+
+  const records = [];
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    values.push(GUARDED_FORMULA.test(field) ? field.slice(1) : field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    // Eine Zeile ohne Inhalt ist kein Datensatz.
+    if (values.length > 1 || values[0] !== '') records.push({ line: recordLine, values });
+    values = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      endField();
+    } else if (char === '\n' || (char === '\r' && input[i + 1] === '\n')) {
+      if (char === '\r') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) return { error: `Nicht geschlossenes Anführungszeichen in dem Datensatz ab Zeile ${recordLine}.` };
+  endRecord();
+
+  return { records };
+}
+
+/**
+ * Formatiert eine Zeile als CSV. Felder mit Trennzeichen, Anführungszeichen oder Zeilenumbrüchen
+ * werden in Anführungszeichen gesetzt; `null`/`undefined` werden zu leeren Feldern.
+ * Texte, die mit `=`, `+`, `-`, `@`, Tab oder CR beginnen, erhalten ein führendes `'`, damit Excel & Co.
+ * sie nicht als Formel ausführen. Zahlen und Datumswerte bleiben unverändert.
+ * @param {Array<*>} values - Die Werte der Zeile.
+ * @param {string} [delimiter=',']
+ * @returns {string} Die Zeile inklusive abschließendem `\r\n`.
+ */
+export function formatCsvRow(values, delimiter = ',') {
+  return values.map((value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n;]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+  }).join(delimiter) + '\r\n';
+}
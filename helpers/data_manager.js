@@ -2,26 +2,38 @@ import * as fs from 'fs'; // Synchrones Dateisystem für existSync und mkdirSync
 import fsp from 'fs/promises'; // Asynchrones Promise-basiertes Dateisystem für readFile/writeFile
 import path from 'path'; // Für plattformunabhängige Pfadoperationen
 import { fileURLToPath } from 'url'; // Um __filename und __dirname in ES Modules zu emulieren
+import { randomUUID } from 'crypto'; // Für eindeutige Namen temporärer Dateien
+import { log } from '../utils/log.js'; // Strukturiertes Logging (JSON-Zeilen)
 
 // Helfervariablen für ES-Modul-Pfade (ersetzt __filename und __dirname aus CommonJS)
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/** @constant {string} DATA_DIR - Standardverzeichnis der JSON-Dateien (`data/` im Projektverzeichnis). */
+export const DATA_DIR = path.join(__dirname, '../data');
+
+/**
+ * Laufende Schreibvorgänge je Datei. Jeder neue Vorgang hängt sich an den vorherigen an,
+ * sodass Lese-Änderungs-Schreib-Zyklen innerhalb des Prozesses nacheinander ablaufen.
+ * @type {Map<string, Promise<void>>}
+ */
+const locks = new Map();
+
 /**
  * Liest Daten asynchron aus einer JSON-Datei.
  * Behandelt fehlende Dateien und ungültiges JSON robust.
  * @param {string} fileName - Der Name der JSON-Datei (z.B. 'resources.json').
+ * @param {string} [dir=DATA_DIR] - Das Verzeichnis der Datei.
  * @returns {Promise<Array<object>>} Ein Promise, das ein Array von Objekten oder ein leeres Array zurückgibt.
  */
-export const readData = async (fileName) => {
+export const readData = async (fileName, dir = DATA_DIR) => {
     // Konstruiert den vollständigen, plattformunabhängigen Pfad zur Zieldatei.
-    // Geht von 'helpers/' eine Ebene hoch ('..') und dann in den 'data/' Ordner.
-    const filePath = path.join(__dirname, '../data', fileName);
+    const filePath = path.join(dir, fileName);
 
     // Prüft synchron, ob die Datei existiert.
     // Dies ist eine schnelle Operation, die den Event Loop nicht merklich blockiert.
     if (!fs.existsSync(filePath)) {
-        console.log(`INFO: Datei nicht gefunden: ${filePath}. Gebe leere Liste zurück.`);
+        log.debug('data file missing, using empty list', { file: filePath });
         return []; // Leere Liste zurückgeben, wenn die Datei nicht existiert
     }
 
@@ -34,27 +46,56 @@ export const readData = async (fileName) => {
     } catch (error) {
         if (error instanceof SyntaxError) {
             // Fängt spezifische JSON-Parsing-Fehler ab.
-            console.error(`FEHLER: Ungültiges JSON in Datei: ${filePath}. Bitte Syntax überprüfen. Details: ${error.message}`);
+            log.error('data file contains invalid JSON', { file: filePath, err: error });
         } else {
             // Fängt alle anderen unerwarteten Fehler beim Dateizugriff ab.
-            console.error(`FEHLER: Ein unerwarteter Fehler ist aufgetreten beim Lesen von ${filePath}: ${error.message}`);
+            log.error('data file read failed', { file: filePath, err: error });
         }
         return []; // Gebe leere Liste bei jedem Fehler zurück
     }
 };
 
 /**
- * Schreibt Daten asynchron in eine JSON-Datei.
+ * Liest eine JSON-Datei für einen Schreibvorgang. Anders als {@link readData} gilt nur eine fehlende Datei als leer;
+ * jeder andere Lese- oder Parse-Fehler wird geworfen, damit ein Schreibvorgang eine beschädigte oder gerade
+ * nicht lesbare Datei nicht mit einem leeren Array überschreibt.
+ * @param {string} filePath - Der vollständige Pfad der Datei.
+ * @returns {Promise<Array<object>>}
+ * @throws {Error} Bei Lesefehlern (außer `ENOENT`) oder ungültigem JSON.
+ */
+const readDataStrict = async (filePath) => {
+    let data;
+    try {
+        data = await fsp.readFile(filePath, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        log.error('data file read failed', { file: filePath, err: error });
+        throw error;
+    }
+
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        log.error('data file contains invalid JSON', { file: filePath, err: error });
+        throw new Error(`${filePath} enthält kein gültiges JSON; Schreibzugriff abgebrochen.`, { cause: error });
+    }
+};
+
+/**
+ * Schreibt Daten asynchron und atomar in eine JSON-Datei.
+ * Die Daten werden zuerst in eine temporäre Datei im selben Verzeichnis geschrieben und dann per `rename`
+ * an ihren Platz verschoben. Leser sehen so immer entweder den alten oder den neuen, nie einen halben Inhalt.
  * Stellt sicher, dass das Zielverzeichnis existiert.
  * @param {string} fileName - Der Name der JSON-Datei, in die geschrieben werden soll.
  * @param {Array<object>} data - Das JavaScript-Array oder -Objekt, das in die Datei geschrieben werden soll.
+ * @param {string} [dir=DATA_DIR] - Das Verzeichnis der Datei.
  * @returns {Promise<void>} Ein Promise, das aufgelöst wird, wenn der Schreibvorgang abgeschlossen ist.
  */
-export const writeData = async (fileName, data) => {
+export const writeData = async (fileName, data, dir = DATA_DIR) => {
     // Konstruiert den vollständigen Pfad zur Zieldatei.
-    const filePath = path.join(__dirname, '../data', fileName);
-    // Ermittelt den Verzeichnispfad der Zieldatei.
-    const dir = path.dirname(filePath);
+    const filePath = path.join(dir, fileName);
+    // Temporäre Datei im selben Verzeichnis, damit `rename` nicht über Dateisystemgrenzen hinweg erfolgt.
+    const tempPath = `${filePath}.${randomUUID()}.tmp`;
 
     // Prüft synchron, ob das Verzeichnis existiert.
     // Erstellt es, falls nicht, auch rekursiv für übergeordnete Verzeichnisse.
@@ -65,14 +106,50 @@ export const writeData = async (fileName, data) => {
 
     try {
         // Konvertiert das JavaScript-Objekt in einen lesbaren JSON-String (Pretty Print mit 2 Leerzeichen Einrückung).
-        // `null, 2` für schöne Formatierung, `ensure_ascii=false` nicht relevant für JS/Node.js, aber hier als Erinnerung.
         const jsonData = JSON.stringify(data, null, 2);
-        // Schreibt den JSON-String asynchron in die Datei.
-        // `await` pausiert die Funktion, ohne den Event Loop zu blockieren.
-        await fsp.writeFile(filePath, jsonData, 'utf-8');
+        // Schreibt zuerst die temporäre Datei und ersetzt dann die Zieldatei in einem Schritt.
+        await fsp.writeFile(tempPath, jsonData, 'utf-8');
+        await fsp.rename(tempPath, filePath);
     } catch (error) {
-        console.error(`FEHLER: Ein unerwarteter Fehler ist aufgetreten beim Schreiben von ${filePath}: ${error.message}`);
+        log.error('data file write failed', { file: filePath, err: error });
+        await fsp.rm(tempPath, { force: true }); // Keine halbfertigen temporären Dateien zurücklassen.
         throw error; // Den Fehler weiterwerfen, damit er im aufrufenden Kontext behandelt werden kann.
     }
 };
 
+/**
+ * Liest eine JSON-Datei, lässt sie von `mutator` ändern und schreibt sie zurück – unter einer Sperre je Datei.
+ * Gleichzeitige Aufrufe für dieselbe Datei laufen nacheinander, sodass keine Änderung eine andere überschreibt.
+ * Die Sperre gilt nur innerhalb dieses Prozesses; mehrere Instanzen dürfen sich kein Datenverzeichnis teilen.
+ * Gelesen wird strikt (siehe {@link readDataStrict}): Ist die Datei nicht lesbar oder kein gültiges JSON,
+ * wird nichts geschrieben und der Fehler geworfen.
+ * @template T
+ * @param {string} fileName - Der Name der JSON-Datei.
+ * @param {(data: Array<object>) => T|Promise<T>} mutator - Ändert das übergebene Array direkt und liefert ein beliebiges Ergebnis.
+ *        Wirft der Mutator, wird nichts geschrieben.
+ * @param {string} [dir=DATA_DIR] - Das Verzeichnis der Datei.
+ * @returns {Promise<T>} Das Ergebnis des Mutators.
+ * @throws {Error} Wenn die Datei nicht gelesen oder geparst werden kann.
+ */
+export const updateData = async (fileName, mutator, dir = DATA_DIR) => {
+    const filePath = path.join(dir, fileName);
+
+    // An die Warteschlange dieser Datei anhängen und warten, bis alle vorherigen Vorgänge fertig sind.
+    const previous = locks.get(filePath) ?? Promise.resolve();
+    let release;
+    const done = new Promise((resolve) => { release = resolve; });
+    const current = previous.then(() => done);
+    locks.set(filePath, current);
+    await previous;
+
+    try {
+        const data = await readDataStrict(filePath);
+        const result = await mutator(data);
+        await writeData(fileName, data, dir);
+        return result;
+    } finally {
+        release();
+        // Warteschlange aufräumen, wenn niemand mehr wartet.
+        if (locks.get(filePath) === current) locks.delete(filePath);
+    }
+};
@@ -2,25 +2,33 @@
  * @file Helfer zum Anreichern eines Ressourcenobjekts mit Bewertungen & Feedback.
  */
 
-import Rating from '../models/rating.js';
-import Feedback from '../models/feedback.js';
-import { toClient } from '../utils/mongo.js';
+import { getRepository } from '../repositories/index.js';
+import { presentFeedback, PUBLIC_FEEDBACK_STATUS } from './feedback_moderation.js';
 
-export async function buildEnrichedResource(resource) {
-  const _id = resource._id;
+/** @constant {Object} EMPTY_RATING_STATS - Statistik einer Ressource, die (nicht mehr) existiert. */
+const EMPTY_RATING_STATS = { count: 0, mean: 0, histogram: { '1': 0, '2': 0, '3': 0, '4': 0, '5': 0 }, score: 0 };
 
-  const [avgDoc] = await Rating.aggregate([
-    { $match: { resourceId: _id } },
-    { $group: { _id: _id, avg: { $avg: "ratingValue" } } }
-  ]);
-
-  const avgRating = avgDoc?.avg ?? 0;
+/**
+ * Reichert eine Ressource mit Bewertungsstatistik und Feedback an.
+ * Eingebettet und gezählt wird nur freigegebenes Feedback (siehe `helpers/feedback_moderation.js`).
+ * @param {Object} resource - Die Ressource im Client-Format (mit `id`).
+ * @param {Object} [options]
+ * @param {number} [options.feedbackLimit] - Nur die N neuesten Feedback-Einträge einbetten; ohne Angabe alle.
+ * @returns {Promise<Object>} Die Ressource mit `averageRating`, `ratingStats`, `feedback` (neueste zuerst) und `feedbackCount`.
+ */
+export async function buildEnrichedResource(resource, { feedbackLimit } = {}) {
+  const repository = getRepository();
 
-  const feedback = await Feedback.find({ resourceId: _id }).lean();
+  const [stats, feedback] = await Promise.all([
+    repository.resources.ratingStats(resource.id),
+    repository.feedback.list(resource.id, { descending: true, limit: feedbackLimit, statuses: [PUBLIC_FEEDBACK_STATUS] })
+  ]);
 
   return {
-    ...toClient(resource),
-    averageRating: avgRating,
-    feedback: feedback.map(toClient)
+    ...resource,
+    averageRating: stats?.averageRating ?? 0,
+    ratingStats: stats?.ratingStats ?? EMPTY_RATING_STATS,
+    feedback: feedback.data.map((entry) => presentFeedback(entry)),
+    feedbackCount: feedback.total
   };
 }
@@ -0,0 +1,50 @@
+/**
+ * @file Erkennung doppelt abgeschickter Feedback-Texte.
+ * @description
+ * Schickt derselbe Absender (Nutzer-ID, ohne Anmeldung die IP-Adresse) denselben Text für dieselbe Ressource
+ * innerhalb von `DUPLICATE_FEEDBACK_WINDOW_SECONDS` (Standard `600`, `0` schaltet ab) erneut, gilt das als Duplikat.
+ * Groß-/Kleinschreibung und Leerraum spielen dabei keine Rolle. Gezählt wird im Store aus `utils/rate_limit_store.js`,
+ * sodass ein gemeinsamer Store auch Duplikate über mehrere Instanzen hinweg erkennt.
+ */
+
+import crypto from 'crypto';
+import { getRateLimitStore } from '../utils/rate_limit_store.js';
+
+/**
+ * Gibt das Zeitfenster der Duplikaterkennung in Sekunden zurück.
+ * @returns {number} `0`, wenn die Erkennung abgeschaltet ist.
+ */
+export function getDuplicateFeedbackWindowSeconds() {
+  const value = Number(process.env.DUPLICATE_FEEDBACK_WINDOW_SECONDS ?? 600);
+  return Number.isInteger(value) && value >= 0 ? value : 600;
+}
+
+/**
+ * Bildet den Store-Schlüssel einer Einreichung aus Ressource, Absender und normalisiertem Text.
+ * @param {{ resourceId: string, submitter: string, feedbackText: string }} submission
+ * @returns {string}
+ */
+function submissionKey({ resourceId, submitter, feedbackText }) {
+  const normalized = feedbackText.trim().replace(/\s+/g, ' ').toLowerCase();
+  const hash = crypto.createHash('sha256').update(`${resourceId}\n${submitter}\n${normalized}`).digest('hex');
+  return `feedback:${hash}`;
+}
+
+/**
+ * Registriert eine Feedback-Einreichung.
+ * @param {{ resourceId: string, submitter: string, feedbackText: string }} submission
+ * @returns {Promise<{ duplicate: boolean, release: () => Promise<void> }>}
+ *          `duplicate` ist `true`, wenn derselbe Text im Zeitfenster schon eingereicht wurde.
+ *          `release()` vergisst die Einreichung wieder (z. B. wenn das Speichern fehlschlägt).
+ */
+export async function registerFeedbackSubmission(submission) {
+  const windowSeconds = getDuplicateFeedbackWindowSeconds();
+  if (windowSeconds === 0) return { duplicate: false, release: async () => {} };
+
+  const key = submissionKey(submission);
+  const { count } = await getRateLimitStore().increment(key, windowSeconds * 1000);
+  return {
+    duplicate: count > 1,
+    release: () => getRateLimitStore().reset(key)
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * @file Moderation von Feedback.
+ * @description
+ * Jeder Feedback-Eintrag hat einen `status`:
+ *
+ * - `approved` – öffentlich sichtbar (auch Einträge ohne `status` aus der Zeit vor der Moderation)
+ * - `pending`  – von einer Regel zurückgehalten, wartet auf Prüfung
+ * - `flagged`  – von mindestens `FEEDBACK_FLAG_THRESHOLD` Nutzern gemeldet (Standard `3`), bis zur Prüfung ausgeblendet
+ * - `rejected` – von der Moderation abgelehnt
+ *
+ * Neue und geänderte Texte durchlaufen regelbasierte Prüfungen; schlägt eine an, bleibt der Eintrag `pending`:
+ *
+ * - `FEEDBACK_BANNED_WORDS`   : kommagetrennte Wörter, die nicht vorkommen dürfen (ganze Wörter, ohne Groß-/Kleinschreibung)
+ * - `FEEDBACK_MAX_LINKS`      : höchstens so viele Links (Standard `1`)
+ * - `FEEDBACK_MIN_LENGTH`, `FEEDBACK_MAX_LENGTH` : erlaubte Textlänge (Standard `0` bzw. `2000` Zeichen)
+ * - `FEEDBACK_PREMODERATION=true` : jeder Eintrag wartet auf Freigabe
+ *
+ * Nur Moderatoren (`MODERATOR_ROLE` oder `ADMIN_ROLE`) sehen Meldungen und Prüfvermerke; die angeschlagenen
+ * Regeln (`moderationReasons`) sieht zusätzlich der Verfasser.
+ */
+
+import { isModerator, canModify } from '../middleware/auth.js';
+
+/** @constant {string[]} FEEDBACK_STATUSES - Mögliche Werte von `status`. */
+export const FEEDBACK_STATUSES = ['pending', 'approved', 'rejected', 'flagged'];
+
+/** @constant {string} PUBLIC_FEEDBACK_STATUS - Der einzige öffentlich sichtbare Status. */
+export const PUBLIC_FEEDBACK_STATUS = 'approved';
+
+/** @constant {string[]} MODERATION_QUEUE_STATUSES - Status, die in der Warteschlange auf Prüfung warten. */
+export const MODERATION_QUEUE_STATUSES = ['pending', 'flagged'];
+
+/** @constant {string[]} MODERATOR_ONLY_FIELDS - Felder, die nur Moderatoren ausgeliefert werden. */
+const MODERATOR_ONLY_FIELDS = ['flags', 'reviewedBy', 'moderationNote'];
+
+/** @constant {string[]} AUTHOR_FIELDS - Felder, die außer Moderatoren nur der Verfasser sieht. */
+const AUTHOR_FIELDS = ['moderationReasons'];
+
+/** @constant {RegExp} LINK_PATTERN - Findet `http(s)://…`- und `www.…`-Links. */
+const LINK_PATTERN = /\bhttps?:\/\/\S+|\bwww\.\S+/gi;
+
+/**
+ * Liest eine nicht-negative Ganzzahl aus der Umgebung.
+ * @param {string} name - Name der Umgebungsvariable.
+ * @param {number} fallback
+ * @returns {number}
+ */
+function envCount(name, fallback) {
+  const value = Number(process.env[name] ?? fallback);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Gibt die Moderationsregeln zurück.
+ * @returns {{ bannedWords: string[], maxLinks: number, minLength: number, maxLength: number, premoderation: boolean }}
+ */
+export function getModerationRules() {
+  return {
+    bannedWords: (process.env.FEEDBACK_BANNED_WORDS || '').split(',').map((word) => word.trim().toLowerCase()).filter(Boolean),
+    maxLinks: envCount('FEEDBACK_MAX_LINKS', 1),
+    minLength: envCount('FEEDBACK_MIN_LENGTH', 0),
+    maxLength: envCount('FEEDBACK_MAX_LENGTH', 2000),
+    premoderation: process.env.FEEDBACK_PREMODERATION === 'true'
+  };
+}
+
+/**
+ * Gibt an, ab wie vielen Meldungen ein freigegebener Eintrag ausgeblendet wird (`FEEDBACK_FLAG_THRESHOLD`, Standard `3`).
+ * @returns {number}
+ */
+export function getFlagThreshold() {
+  return envCount('FEEDBACK_FLAG_THRESHOLD', 3) || 1;
+}
+
+/**
+ * Escaped eine Zeichenkette zur Verwendung in einem regulären Ausdruck.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Prüft einen Feedback-Text gegen die Moderationsregeln.
+ * @param {string} text
+ * @param {ReturnType<typeof getModerationRules>} [rules=getModerationRules()]
+ * @returns {Array<{ rule: string, message: string }>} Die angeschlagenen Regeln; leer, wenn der Text unauffällig ist.
+ */
+export function checkFeedbackText(text, rules = getModerationRules()) {
+  const reasons = [];
+  const length = text.trim().length;
+
+  if (length < rules.minLength) {
+    reasons.push({ rule: 'too_short', message: `ist kürzer als ${rules.minLength} Zeichen.` });
+  }
+  if (length > rules.maxLength) {
+    reasons.push({ rule: 'too_long', message: `ist länger als ${rules.maxLength} Zeichen.` });
+  }
+
+  const links = text.match(LINK_PATTERN)?.length ?? 0;
+  if (links > rules.maxLinks) {
+    reasons.push({ rule: 'too_many_links', message: `enthält ${links} Links (erlaubt: ${rules.maxLinks}).` });
+  }
+
+  // Ganze Wörter, auch mit Umlauten: `\b` kennt nur ASCII-Buchstaben.
+  const banned = rules.bannedWords.filter((word) =>
+    new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, 'iu').test(text)
+  );
+  if (banned.length > 0) {
+    reasons.push({ rule: 'banned_word', message: `enthält gesperrte Wörter: ${banned.join(', ')}.` });
+  }
+
+  if (rules.premoderation) {
+    reasons.push({ rule: 'premoderation', message: 'wartet auf Freigabe.' });
+  }
+
+  return reasons;
+}
+
+/**
+ * Bestimmt den Status eines neuen oder geänderten Feedback-Texts.
+ * Abgelehnte oder gemeldete Einträge werden nach einer Änderung nicht automatisch wieder freigegeben,
+ * sondern gehen erneut in die Prüfung.
+ * @param {string} text
+ * @param {string} [previousStatus] - Status vor der Änderung; ohne Angabe ein neuer Eintrag.
+ * @returns {{ status: string, moderationReasons: Array<{ rule: string, message: string }> }}
+ */
+export function moderateFeedbackText(text, previousStatus) {
+  const moderationReasons = checkFeedbackText(text);
+  if (moderationReasons.length > 0) return { status: 'pending', moderationReasons };
+  if (previousStatus === 'rejected' || previousStatus === 'flagged') return { status: 'pending', moderationReasons };
+  return { status: 'approved', moderationReasons };
+}
+
+/**
+ * Gibt den Status eines Eintrags zurück; Einträge ohne `status` gelten als freigegeben.
+ * @param {Object} feedback
+ * @returns {string}
+ */
+export function feedbackStatusOf(feedback) {
+  return feedback.status ?? PUBLIC_FEEDBACK_STATUS;
+}
+
+/**
+ * Prüft, ob ein Nutzer einen Eintrag sehen darf: freigegeben, eigener Eintrag oder Moderator.
+ * @param {Object} feedback
+ * @param {{ id: string, roles: string[] }|undefined} user - Der authentifizierte Nutzer (`req.user`).
+ * @returns {boolean}
+ */
+export function isFeedbackVisible(feedback, user) {
+  if (feedbackStatusOf(feedback) === PUBLIC_FEEDBACK_STATUS) return true;
+  return isModerator(user) || canModify(user, feedback.userId);
+}
+
+/**
+ * Bereitet einen Eintrag für die Antwort auf: Meldungen und Prüfvermerke sehen nur Moderatoren,
+ * angeschlagene Regeln außerdem der Verfasser.
+ * @param {Object} feedback
+ * @param {{ id: string, roles: string[] }|undefined} [user] - Der authentifizierte Nutzer (`req.user`); ohne Angabe die öffentliche Sicht.
+ * @returns {Object}
+ */
+export function presentFeedback(feedback, user) {
+  const presented = { ...feedback, status: feedbackStatusOf(feedback) };
+  if (isModerator(user)) return presented;
+
+  const hidden = canModify(user, feedback.userId) ? MODERATOR_ONLY_FIELDS : [...MODERATOR_ONLY_FIELDS, ...AUTHOR_FIELDS];
+  for (const field of hidden) delete presented[field];
+  return presented;
+}
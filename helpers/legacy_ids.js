@@ -0,0 +1,44 @@
+/**
+ * @file Abbildung der Legacy-IDs aus den JSON-Fixtures (`res-…`, `rate-…`, `feed-…`) auf ObjectIds.
+ * @description
+ * Beim Import (`npm run seed`) erhält jedes Dokument eine aus seiner Legacy-ID abgeleitete ObjectId und
+ * behält die ursprüngliche ID im Feld `legacyId`. Dadurch bleiben Verweise (`resourceId`) konsistent und
+ * wiederholte Importe treffen dieselben Dokumente.
+ *
+ * Alte Links wie `/resources/res-187e…/feedback/feed-6916…` funktionieren weiter: {@link resolveLegacyParam}
+ * ersetzt Legacy-IDs in den Routenparametern durch die zugehörige ObjectId. Im Dateispeicher sind die
+ * Legacy-IDs selbst die IDs; dort gibt es nichts zu ersetzen.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { getRepository } from '../repositories/index.js';
+
+/**
+ * Leitet aus einer Legacy-ID deterministisch eine ObjectId ab (die ersten 12 Bytes ihres SHA-1-Hashes).
+ * @param {string} legacyId - z. B. `res-187e1488-81d3-4a11-a83d-e3c79c8f0001`.
+ * @returns {import('mongoose').Types.ObjectId}
+ */
+export function legacyObjectId(legacyId) {
+  const hex = crypto.createHash('sha1').update(String(legacyId)).digest('hex').slice(0, 24);
+  return new mongoose.Types.ObjectId(hex);
+}
+
+/**
+ * Erzeugt einen `router.param`-Handler, der eine Legacy-ID im Parameter durch die aktuelle ID des
+ * Dokuments mit dieser `legacyId` ersetzt (siehe `repository.resolveLegacyId()`). Aktuelle IDs und
+ * unbekannte Werte bleiben unverändert, sodass die Route wie gewohnt mit `400`/`404` antwortet.
+ * @param {'resource'|'rating'|'feedback'} kind - Die Art des Dokuments.
+ * @returns {(req: express.Request, res: express.Response, next: express.NextFunction, value: string, name: string) => Promise<void>}
+ */
+export function resolveLegacyParam(kind) {
+  return async (req, res, next, value, name) => {
+    try {
+      const id = await getRepository().resolveLegacyId(kind, value);
+      if (id) req.params[name] = id;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
@@ -0,0 +1,1120 @@
+/**
+ * @file OpenAPI-3.1-Beschreibung der API, ausgeliefert unter `GET /openapi.json` (siehe `routes/docs.js`).
+ * @description
+ * Die Request-Bodies werden aus den Validierungsschemas in `middleware/validation.js` erzeugt, Aufzählungen
+ * (Sortierfelder, Feedback-Status, Webhook-Ereignisse, Formate) aus den Konstanten der Helfer. Ändert sich dort etwas,
+ * ändert sich die Spezifikation mit.
+ *
+ * Pfade, Parameter und Antworten stehen von Hand in {@link buildOpenApiSpec}, parallel zu den JSDoc-Kommentaren
+ * der Router. `test/openapi.test.js` schlägt fehl, sobald ein Router eine Route hat, die hier fehlt – oder umgekehrt.
+ */
+
+import fs from 'fs';
+import {
+  resourceSchema, categorySchema, ratingSchema, feedbackSchema, feedbackFlagSchema,
+  moderationDecisionSchema, webhookSchema, revertSchema
+} from '../middleware/validation.js';
+import { SORT_FIELDS } from './resource_query.js';
+import { DEFAULT_LIMIT, MAX_LIMIT } from './pagination.js';
+import { FEEDBACK_STATUSES } from './feedback_moderation.js';
+import { AUDIT_ENTITIES } from './audit.js';
+import { TRANSFER_FORMATS, EXPORT_INCLUDES, MAX_IMPORT_ROWS } from './catalog_transfer.js';
+import { WEBHOOK_EVENTS, PING_EVENT } from './webhooks.js';
+
+/** @constant {string} API_BASE_PATH - Präfix der beschriebenen API-Version (siehe `app.js`). */
+const API_BASE_PATH = '/api/v1';
+
+/** @constant {Object} JSON_TYPES - Typen der Validierungsregeln als JSON-Schema-Typ. */
+const JSON_TYPES = { string: 'string', number: 'number', integer: 'integer', boolean: 'boolean', array: 'array' };
+
+/**
+ * Übersetzt die Regeln eines Feldes (siehe `middleware/validation.js`) in JSON Schema.
+ * @param {Object} rules
+ * @returns {Object}
+ */
+function fieldSchema(rules) {
+  const schema = { type: JSON_TYPES[rules.type] };
+  if (rules.minLength !== undefined) schema.minLength = rules.minLength;
+  if (rules.maxLength !== undefined) schema.maxLength = rules.maxLength;
+  if (rules.min !== undefined) schema.minimum = rules.min;
+  if (rules.max !== undefined) schema.maximum = rules.max;
+  if (rules.minItems !== undefined) schema.minItems = rules.minItems;
+  if (rules.maxItems !== undefined) schema.maxItems = rules.maxItems;
+  if (rules.items) schema.items = fieldSchema(rules.items);
+  if (rules.enum) schema.enum = rules.enum;
+  return schema;
+}
+
+/**
+ * Übersetzt ein Validierungsschema in das JSON Schema eines Request-Bodys.
+ * Die Optionen entsprechen denen von `validate()`.
+ * @param {Object} schema - Feldname → Regeln.
+ * @param {{ partial?: boolean, nullable?: boolean }} [options]
+ * @returns {Object}
+ */
+export function bodySchema(schema, { partial = false, nullable = false } = {}) {
+  const properties = {};
+  const required = [];
+
+  for (const [field, rules] of Object.entries(schema)) {
+    const property = fieldSchema(rules);
+    if (nullable && !rules.required) property.type = [property.type, 'null'];
+    properties[field] = property;
+    if (rules.required && !partial) required.push(field);
+  }
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 && { required }),
+    ...(partial && { minProperties: 1 }),
+    additionalProperties: false
+  };
+}
+
+/**
+ * Wandelt einen Express-Pfad (`/:id`) in einen OpenAPI-Pfad (`/{id}`) um.
+ * @param {string} path
+ * @returns {string}
+ */
+export function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Verweist auf ein Schema unter `components.schemas`.
+ * @param {string} name
+ * @returns {{ $ref: string }}
+ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Beschreibt eine Antwort mit JSON-Body.
+ * @param {Object} schema
+ * @param {string} description
+ * @returns {Object}
+ */
+const json = (schema, description) => ({ description, content: { 'application/json': { schema } } });
+
+/**
+ * Beschreibt einen Pflicht-Body einer Anfrage.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+const requestBody = (schema) => ({ required: true, content: { 'application/json': { schema } } });
+
+/**
+ * Beschreibt einen optionalen JSON-Body einer Anfrage.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+const optionalBody = (schema) => ({ required: false, content: { 'application/json': { schema } } });
+
+/**
+ * Beschreibt Fehlerantworten als Problem Details (siehe `middleware/error-handler.js`).
+ * @param {Object<number, string>} descriptions - Status → Beschreibung.
+ * @returns {Object}
+ */
+const problems = (descriptions) => Object.fromEntries(Object.entries(descriptions).map(([status, description]) => [
+  status,
+  { description, content: { 'application/problem+json': { schema: ref('Problem') } } }
+]));
+
+/**
+ * Beschreibt einen Pfadparameter.
+ * @param {string} name
+ * @param {string} description
+ * @returns {Object}
+ */
+const pathParam = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+
+/**
+ * Beschreibt einen optionalen Query-Parameter.
+ * @param {string} name
+ * @param {Object} schema
+ * @param {string} description
+ * @returns {Object}
+ */
+const queryParam = (name, schema, description) => ({ name, in: 'query', required: false, description, schema });
+
+/**
+ * Beschreibt `page` und `limit` (siehe `helpers/pagination.js`).
+ * @returns {Object[]}
+ */
+const pageParams = () => [
+  queryParam('page', { type: 'integer', minimum: 1, default: 1 }, 'Seitennummer, beginnend bei 1.'),
+  queryParam('limit', { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }, 'Einträge pro Seite.')
+];
+
+/**
+ * Beschreibt eine Seite mit `data` und `pagination`.
+ * @param {Object} itemSchema
+ * @returns {Object}
+ */
+const page = (itemSchema) => ({
+  type: 'object',
+  properties: { data: { type: 'array', items: itemSchema }, pagination: ref('Pagination') }
+});
+
+/** @constant {Object[]} RESOURCE_FILTERS - Filter von `GET /resources`, `/facets` und `/export`. */
+const RESOURCE_FILTERS = [
+  queryParam('type', { type: 'string' }, 'Exakter Ressourcentyp.'),
+  queryParam('category', { type: 'string' }, 'Kommagetrennte Kategorien (Name, Slug oder Alias); eine davon muss passen.'),
+  queryParam('tags', { type: 'string' }, 'Kommagetrennte Tags; alle müssen vorhanden sein.'),
+  queryParam('authorId', { type: 'string' }, 'Autor-ID.'),
+  queryParam('createdFrom', { type: 'string', format: 'date-time' }, 'Erstellt ab diesem Zeitpunkt (inklusive).'),
+  queryParam('createdTo', { type: 'string', format: 'date-time' }, 'Erstellt bis zu diesem Zeitpunkt (inklusive).'),
+  queryParam('minRating', { type: 'number', minimum: 0, maximum: 5 }, 'Mindestwert für `averageRating`.')
+];
+
+/** @constant {Object} SORT_PARAM - Sortierung der Ressourcenliste; `-` sortiert absteigend. */
+const SORT_PARAM = queryParam(
+  'sort',
+  { type: 'string', enum: SORT_FIELDS.flatMap((field) => [field, `-${field}`]), default: '-createdAt' },
+  '`-` vor dem Feld sortiert absteigend.'
+);
+
+/** @constant {Object} IF_MATCH - Optimistische Nebenläufigkeit (siehe `helpers/concurrency.js`). */
+const IF_MATCH = {
+  name: 'If-Match',
+  in: 'header',
+  required: false,
+  description: 'ETag aus `GET /resources/{id}` (`"3"` oder `"3-…"`); passt die Version nicht, folgt `412`. '
+    + 'Mit `REQUIRE_IF_MATCH=true` Pflicht (`428`).',
+  schema: { type: 'string' }
+};
+
+/** @constant {Object[]} CONDITIONAL_GET - Bedingte Anfragen (siehe `middleware/http-cache.js`). */
+const CONDITIONAL_GET = [
+  { name: 'If-None-Match', in: 'header', required: false, description: 'ETag einer früheren Antwort.', schema: { type: 'string' } },
+  { name: 'If-Modified-Since', in: 'header', required: false, description: 'Wird nur ohne `If-None-Match` ausgewertet.', schema: { type: 'string' } }
+];
+
+/** @constant {Object} NOT_MODIFIED - `304` auf bedingte Anfragen. */
+const NOT_MODIFIED = { 304: { description: 'Unverändert seit `If-None-Match` bzw. `If-Modified-Since`.' } };
+
+/** @constant {Object} VALIDATORS - Header der `200`-Antworten mit bedingten Anfragen. */
+const VALIDATORS = {
+  ETag: { description: 'Hash der Antwort; bei einer einzelnen Ressource mit vorangestellter `version`.', schema: { type: 'string' } },
+  'Last-Modified': { description: 'Jüngste Änderung der Ressource, ihrer Bewertungen oder ihres Feedbacks.', schema: { type: 'string' } }
+};
+
+/** @constant {Object} NEW_ETAG - `ETag`-Header nach einem Schreibzugriff auf eine Ressource. */
+const NEW_ETAG = { ETag: { description: 'Die neue `version`, z. B. `"4"`.', schema: { type: 'string' } } };
+
+/** Öffentlich mit optionalem Token bzw. nur mit Token. */
+const PUBLIC = [{}, { bearerAuth: [] }];
+const AUTHENTICATED = [{ bearerAuth: [] }];
+
+/** @constant {Object} SCHEMAS - Datenmodelle der Antworten. */
+const SCHEMAS = {
+  Problem: {
+    type: 'object',
+    description: 'Fehler als Problem Details (RFC 7807).',
+    properties: {
+      type: { type: 'string', example: 'about:blank' },
+      title: { type: 'string' },
+      status: { type: 'integer' },
+      detail: { type: 'string' },
+      instance: { type: 'string' },
+      code: { type: 'string', description: 'Maschinenlesbarer Fehlercode, z. B. `RESOURCE_NOT_FOUND`.' },
+      requestId: { type: 'string' },
+      errors: {
+        type: 'array',
+        description: 'Nur bei Validierungsfehlern.',
+        items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } }
+      }
+    },
+    additionalProperties: true
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      totalPages: { type: 'integer' }
+    }
+  },
+  RatingStats: {
+    type: 'object',
+    properties: {
+      count: { type: 'integer' },
+      mean: { type: 'number' },
+      histogram: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Anzahl je Sternewert `"1"` … `"5"`.' },
+      score: { type: 'number', description: 'Bayes\'scher Mittelwert (`RATING_PRIOR_MEAN`, `RATING_PRIOR_WEIGHT`).' }
+    }
+  },
+  Resource: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      ...bodySchema(resourceSchema).properties,
+      authorId: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      version: { type: 'integer' },
+      averageRating: { type: 'number' },
+      ratingStats: ref('RatingStats'),
+      ratedAt: { type: 'string', format: 'date-time', description: 'Letzte Bewertungsänderung.' }
+    }
+  },
+  ResourceDetail: {
+    allOf: [
+      ref('Resource'),
+      {
+        type: 'object',
+        properties: {
+          feedback: { type: 'array', items: ref('Feedback'), description: 'Freigegebenes Feedback, neueste zuerst.' },
+          feedbackCount: { type: 'integer' }
+        }
+      }
+    ]
+  },
+  TrashedResource: {
+    allOf: [
+      ref('Resource'),
+      {
+        type: 'object',
+        properties: {
+          deletedAt: { type: 'string', format: 'date-time' },
+          deletedBy: { type: 'string' },
+          purgeAfter: { type: 'string', format: 'date-time', description: 'Ab hier entfernt `DELETE /resources/trash` die Ressource.' }
+        }
+      }
+    ]
+  },
+  SearchHit: {
+    allOf: [
+      ref('Resource'),
+      {
+        type: 'object',
+        properties: {
+          score: { type: 'number' },
+          highlights: {
+            type: 'object',
+            description: 'Snippets mit `<mark>`-markierten Suchbegriffen.',
+            properties: {
+              title: { type: 'string' },
+              description: { type: 'string' },
+              feedback: { type: 'array', items: { type: 'object', properties: { id: { type: 'string' }, snippet: { type: 'string' } } } }
+            }
+          }
+        }
+      }
+    ]
+  },
+  Rating: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      resourceId: { type: 'string' },
+      ...bodySchema(ratingSchema).properties,
+      userId: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  Feedback: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      resourceId: { type: 'string' },
+      ...bodySchema(feedbackSchema).properties,
+      userId: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      status: { type: 'string', enum: FEEDBACK_STATUSES },
+      moderationReasons: {
+        type: 'array',
+        description: 'Angeschlagene Regeln; nur für Verfasser und Moderatoren.',
+        items: { type: 'object', properties: { rule: { type: 'string' }, message: { type: 'string' } } }
+      },
+      flags: {
+        type: 'array',
+        description: 'Meldungen; nur für Moderatoren.',
+        items: {
+          type: 'object',
+          properties: { userId: { type: 'string' }, reason: { type: 'string' }, timestamp: { type: 'string', format: 'date-time' } }
+        }
+      },
+      reviewedBy: { type: 'string', description: 'Nur für Moderatoren.' },
+      reviewedAt: { type: 'string', format: 'date-time' },
+      moderationNote: { type: 'string', description: 'Nur für Moderatoren.' }
+    }
+  },
+  Category: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      ...bodySchema(categorySchema).properties,
+      slug: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Webhook: {
+    type: 'object',
+    description: '`secret` steht nur in der Antwort auf das Anlegen.',
+    properties: {
+      id: { type: 'string' },
+      ...bodySchema(webhookSchema).properties,
+      createdBy: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      webhookId: { type: 'string' },
+      eventId: { type: 'string' },
+      event: { type: 'string', enum: [...WEBHOOK_EVENTS, PING_EVENT] },
+      payload: { type: 'object' },
+      status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+      attempts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            at: { type: 'string', format: 'date-time' },
+            responseStatus: { type: 'integer' },
+            error: { type: 'string' },
+            durationMs: { type: 'integer' }
+          }
+        }
+      },
+      nextAttemptAt: { type: 'string', format: 'date-time' },
+      createdAt: { type: 'string', format: 'date-time' },
+      completedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  AuditEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      entity: { type: 'string', enum: AUDIT_ENTITIES },
+      entityId: { type: 'string' },
+      resourceId: { type: 'string' },
+      operation: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'revert'] },
+      actorId: { type: ['string', 'null'] },
+      requestId: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      version: { type: 'integer', description: 'Nur bei Ressourcen: `version` nach der Änderung.' },
+      revertedTo: { type: 'integer' },
+      changes: {
+        type: 'array',
+        items: { type: 'object', properties: { field: { type: 'string' }, from: {}, to: {} } }
+      }
+    }
+  },
+  ImportReport: {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      created: { type: 'integer' },
+      failed: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            row: { type: 'integer' },
+            line: { type: 'integer' },
+            status: { type: 'string', enum: ['created', 'failed'] },
+            id: { type: 'string' },
+            errors: { type: 'array', items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } } }
+          }
+        }
+      }
+    }
+  }
+};
+
+/** @constant {Object} FACET - Eine Facette als `[{ value, count }]`. */
+const FACET = { type: 'array', items: { type: 'object', properties: { value: { type: 'string' }, count: { type: 'integer' } } } };
+
+/**
+ * Beschreibt die Betriebsendpunkte am Wurzelpfad. `GET /` (Erreichbarkeitstest in `app.js`) ist nicht enthalten.
+ * @returns {Object} Ein Teil des `paths`-Objekts.
+ */
+function buildOperationalPaths() {
+  return {
+    '/healthz': {
+      get: {
+        tags: ['Betrieb'],
+        summary: 'Liveness-Probe.',
+        security: [],
+        responses: {
+          200: json({ type: 'object', properties: { status: { const: 'ok' }, uptime: { type: 'integer' } } }, 'Der Prozess läuft.')
+        }
+      }
+    },
+    '/readyz': {
+      get: {
+        tags: ['Betrieb'],
+        summary: 'Readiness-Probe: Ist das Speicher-Backend erreichbar?',
+        security: [],
+        responses: {
+          200: json({ type: 'object', properties: { status: { const: 'ready' }, backend: { type: 'string' }, checks: { type: 'object' } } }, 'Bereit.'),
+          503: json({ type: 'object', properties: { status: { const: 'not_ready' }, backend: { type: 'string' }, checks: { type: 'object' } } }, 'Nicht bereit.')
+        }
+      }
+    },
+    '/metrics': {
+      get: {
+        tags: ['Betrieb'],
+        summary: 'Metriken im Prometheus-Textformat.',
+        security: [],
+        responses: { 200: { description: 'Metriken.', content: { 'text/plain': { schema: { type: 'string' } } } } }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        tags: ['Betrieb'],
+        summary: 'Diese Spezifikation.',
+        security: [],
+        responses: { 200: json({ type: 'object' }, 'OpenAPI-Dokument.') }
+      }
+    },
+    '/docs': {
+      get: {
+        tags: ['Betrieb'],
+        summary: 'Interaktive API-Dokumentation (Swagger UI).',
+        security: [],
+        responses: { 200: { description: 'HTML-Seite.', content: { 'text/html': { schema: { type: 'string' } } } } }
+      }
+    }
+  };
+}
+
+/**
+ * Beschreibt die Pfade einer API-Version relativ zu ihrem Präfix (siehe `routes/api.js`).
+ * @returns {Object} Ein Teil des `paths`-Objekts.
+ */
+function buildApiPaths() {
+  const resourceId = pathParam('id', 'ID der Ressource (auch Legacy-ID aus den Fixtures).');
+  const ratingResourceId = pathParam('resourceId', 'ID der Ressource.');
+  const ratingId = pathParam('ratingId', 'ID der Bewertung.');
+  const feedbackId = pathParam('feedbackId', 'ID des Feedbacks.');
+  const categoryId = pathParam('id', 'ID der Kategorie.');
+  const webhookId = pathParam('id', 'ID des Webhooks.');
+
+  return {
+    '/resources': {
+      get: {
+        tags: ['Ressourcen'],
+        summary: 'Ressourcen gefiltert, sortiert und seitenweise, mit Bewertungsstatistik, ohne Feedback.',
+        security: PUBLIC,
+        parameters: [...RESOURCE_FILTERS, SORT_PARAM, ...pageParams(), ...CONDITIONAL_GET],
+        responses: {
+          200: { ...json(page(ref('Resource')), 'Eine Seite der Ressourcenliste.'), headers: VALIDATORS },
+          ...NOT_MODIFIED,
+          ...problems({ 400: 'Ungültige Query-Parameter oder unbekannte Kategorie.' })
+        }
+      },
+      post: {
+        tags: ['Ressourcen'],
+        summary: 'Legt eine Ressource an; `authorId` ist der angemeldete Nutzer.',
+        security: AUTHENTICATED,
+        requestBody: requestBody(bodySchema(resourceSchema)),
+        responses: {
+          201: { ...json(ref('Resource'), 'Die angelegte Ressource.'), headers: NEW_ETAG },
+          ...problems({ 400: 'Ungültige Daten oder unbekannte Kategorie.', 401: 'Nicht angemeldet.' })
+        }
+      }
+    },
+    '/resources/facets': {
+      get: {
+        tags: ['Ressourcen'],
+        summary: 'Anzahl der Ressourcen je Kategorie, Tag und Autor.',
+        security: PUBLIC,
+        parameters: [...RESOURCE_FILTERS, queryParam('facetLimit', { type: 'integer', minimum: 1, maximum: 100, default: 20 }, 'Höchstzahl Werte je Facette.')],
+        responses: {
+          200: json({
+            type: 'object',
+            properties: {
+              total: { type: 'integer' },
+              facets: { type: 'object', properties: { type: FACET, tags: FACET, authorId: FACET } }
+            }
+          }, 'Facetten, häufigste Werte zuerst.'),
+          ...problems({ 400: 'Ungültige Query-Parameter oder unbekannte Kategorie.' })
+        }
+      }
+    },
+    '/resources/search': {
+      get: {
+        tags: ['Ressourcen'],
+        summary: 'Volltextsuche über Titel und Beschreibung, optional inklusive Feedback, nach Relevanz sortiert.',
+        security: PUBLIC,
+        parameters: [
+          { ...queryParam('q', { type: 'string' }, 'Der Suchstring.'), required: true },
+          queryParam('includeFeedback', { type: 'boolean', default: false }, 'Feedback-Texte einbeziehen.'),
+          queryParam('limit', { type: 'integer', minimum: 1, maximum: 50, default: 20 }, 'Maximale Anzahl Treffer.')
+        ],
+        responses: {
+          200: json({ type: 'object', properties: { query: { type: 'string' }, data: { type: 'array', items: ref('SearchHit') } } }, 'Treffer, absteigend nach `score`.'),
+          ...problems({ 400: 'Fehlender Suchstring oder ungültiges Limit.' })
+        }
+      }
+    },
+    '/resources/import': {
+      post: {
+        tags: ['Import und Export'],
+        summary: 'Legt viele Ressourcen auf einmal an und liefert einen Bericht pro Zeile.',
+        description: `Höchstens ${MAX_IMPORT_ROWS} Zeilen. CSV braucht eine Kopfzeile; \`tags\` werden in einer Zelle komma- oder semikolongetrennt angegeben.`,
+        security: AUTHENTICATED,
+        parameters: [
+          queryParam('format', { type: 'string', enum: Object.keys(TRANSFER_FORMATS) }, 'Überschreibt den Content-Type.'),
+          queryParam('atomic', { type: 'boolean', default: false }, 'Alles oder nichts: bei einer ungültigen Zeile wird nichts angelegt.')
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            [TRANSFER_FORMATS.json]: { schema: { type: 'array', items: bodySchema(resourceSchema) } },
+            [TRANSFER_FORMATS.ndjson]: { schema: { type: 'string' } },
+            [TRANSFER_FORMATS.csv]: { schema: { type: 'string' } }
+          }
+        },
+        responses: {
+          201: json(ref('ImportReport'), 'Alle Zeilen angelegt.'),
+          200: json(ref('ImportReport'), 'Teilweise angelegt; fehlerhafte Zeilen mit `status: "failed"`.'),
+          ...problems({
+            400: 'Datei nicht lesbar, leer oder (mit `atomic=true`) mindestens eine ungültige Zeile.',
+            401: 'Nicht angemeldet.',
+            413: 'Zu viele Zeilen oder zu großer Body.',
+            415: 'Nicht unterstütztes Format.'
+          })
+        }
+      }
+    },
+    '/resources/export': {
+      get: {
+        tags: ['Import und Export'],
+        summary: 'Exportiert alle passenden Ressourcen als Download (gestreamt).',
+        security: AUTHENTICATED,
+        parameters: [
+          ...RESOURCE_FILTERS,
+          SORT_PARAM,
+          queryParam('format', { type: 'string', enum: Object.keys(TRANSFER_FORMATS), default: 'json' }, 'Dateiformat.'),
+          queryParam('include', { type: 'string' }, `Kommagetrennt: ${EXPORT_INCLUDES.join(', ')} (nur JSON und NDJSON).`)
+        ],
+        responses: {
+          200: {
+            description: 'Die Exportdatei (`Content-Disposition: attachment`).',
+            content: Object.fromEntries(Object.values(TRANSFER_FORMATS).map((type) => [type, { schema: { type: 'string' } }]))
+          },
+          ...problems({ 400: 'Ungültige Query-Parameter.', 401: 'Nicht angemeldet.' })
+        }
+      }
+    },
+    '/resources/trash': {
+      get: {
+        tags: ['Papierkorb'],
+        summary: 'Gelöschte Ressourcen, zuletzt gelöschte zuerst; Nicht-Administratoren sehen nur ihre eigenen.',
+        security: AUTHENTICATED,
+        parameters: pageParams(),
+        responses: {
+          200: json(page(ref('TrashedResource')), 'Eine Seite des Papierkorbs.'),
+          ...problems({ 400: 'Ungültige Query-Parameter.', 401: 'Nicht angemeldet.' })
+        }
+      },
+      delete: {
+        tags: ['Papierkorb'],
+        summary: 'Entfernt Ressourcen endgültig, die länger als die Aufbewahrungsfrist im Papierkorb liegen (Admin).',
+        security: AUTHENTICATED,
+        parameters: [queryParam('olderThanDays', { type: 'integer', minimum: 0 }, 'Abweichende Frist in Tagen (`TRASH_RETENTION_DAYS`); `0` leert den Papierkorb.')],
+        responses: {
+          200: json({
+            type: 'object',
+            properties: {
+              purged: { type: 'object', properties: { resources: { type: 'integer' }, ratings: { type: 'integer' }, feedback: { type: 'integer' } } }
+            }
+          }, 'Anzahl der entfernten Dokumente.'),
+          ...problems({ 400: 'Ungültiges `olderThanDays`.', 401: 'Nicht angemeldet.', 403: 'Kein Administrator.' })
+        }
+      }
+    },
+    '/resources/moderation/feedback': {
+      get: {
+        tags: ['Moderation'],
+        summary: 'Moderationswarteschlange: Feedback aller Ressourcen, das auf Prüfung wartet, älteste zuerst.',
+        security: AUTHENTICATED,
+        parameters: [
+          queryParam('status', { type: 'string', default: 'pending,flagged' }, `Kommagetrennte Status (${FEEDBACK_STATUSES.join(', ')}).`),
+          ...pageParams()
+        ],
+        responses: {
+          200: json(page(ref('Feedback')), 'Eine Seite der Warteschlange.'),
+          ...problems({ 400: 'Ungültige Query-Parameter.', 401: 'Nicht angemeldet.', 403: 'Weder Moderator noch Administrator.' })
+        }
+      }
+    },
+    '/resources/{id}': {
+      get: {
+        tags: ['Ressourcen'],
+        summary: 'Eine Ressource mit Bewertungsstatistik und freigegebenem Feedback.',
+        security: PUBLIC,
+        parameters: [
+          resourceId,
+          queryParam('feedbackLimit', { type: 'integer', minimum: 0, maximum: 100 }, 'Nur die N neuesten Feedback-Einträge einbetten.'),
+          ...CONDITIONAL_GET
+        ],
+        responses: {
+          200: { ...json(ref('ResourceDetail'), 'Die Ressource.'), headers: VALIDATORS },
+          ...NOT_MODIFIED,
+          ...problems({ 400: 'Ungültiges `feedbackLimit`.', 404: 'Ressource nicht gefunden.' })
+        }
+      },
+      put: {
+        tags: ['Ressourcen'],
+        summary: 'Ersetzt eine Ressource; fehlende optionale Felder werden entfernt (Autor oder Admin).',
+        security: AUTHENTICATED,
+        parameters: [resourceId, IF_MATCH],
+        requestBody: requestBody(bodySchema(resourceSchema)),
+        responses: {
+          200: { ...json(ref('ResourceDetail'), 'Die aktualisierte Ressource.'), headers: NEW_ETAG },
+          ...problems({
+            400: 'Ungültige Daten.',
+            401: 'Nicht angemeldet.',
+            403: 'Weder Autor noch Administrator.',
+            404: 'Ressource nicht gefunden.',
+            412: '`If-Match` passt nicht zur aktuellen Version.',
+            428: '`If-Match` fehlt, ist aber erforderlich.'
+          })
+        }
+      },
+      patch: {
+        tags: ['Ressourcen'],
+        summary: 'Ändert einzelne Felder (JSON Merge Patch, RFC 7396); `null` entfernt ein optionales Feld (Autor oder Admin).',
+        security: AUTHENTICATED,
+        parameters: [resourceId, IF_MATCH],
+        requestBody: {
+          required: true,
+          content: Object.fromEntries(['application/merge-patch+json', 'application/json'].map((type) => [
+            type, { schema: bodySchema(resourceSchema, { partial: true, nullable: true }) }
+          ]))
+        },
+        responses: {
+          200: { ...json(ref('ResourceDetail'), 'Die aktualisierte Ressource.'), headers: NEW_ETAG },
+          ...problems({
+            400: 'Keine oder ungültige Daten.',
+            401: 'Nicht angemeldet.',
+            403: 'Weder Autor noch Administrator.',
+            404: 'Ressource nicht gefunden.',
+            412: '`If-Match` passt nicht zur aktuellen Version.',
+            415: 'Nicht unterstützter Content-Type.',
+            428: '`If-Match` fehlt, ist aber erforderlich.'
+          })
+        }
+      },
+      delete: {
+        tags: ['Ressourcen'],
+        summary: 'Verschiebt eine Ressource in den Papierkorb (Autor oder Admin).',
+        security: AUTHENTICATED,
+        parameters: [resourceId],
+        responses: {
+          204: { description: 'Gelöscht.' },
+          ...problems({ 401: 'Nicht angemeldet.', 403: 'Weder Autor noch Administrator.', 404: 'Ressource nicht gefunden.' })
+        }
+      }
+    },
+    '/resources/{id}/restore': {
+      post: {
+        tags: ['Papierkorb'],
+        summary: 'Holt eine Ressource aus dem Papierkorb zurück (Autor oder Admin).',
+        security: AUTHENTICATED,
+        parameters: [resourceId],
+        responses: {
+          200: { ...json(ref('ResourceDetail'), 'Die wiederhergestellte Ressource.'), headers: NEW_ETAG },
+          ...problems({ 401: 'Nicht angemeldet.', 403: 'Weder Autor noch Administrator.', 404: 'Keine Ressource mit dieser ID im Papierkorb.' })
+        }
+      }
+    },
+    '/resources/{id}/history': {
+      get: {
+        tags: ['Historie'],
+        summary: 'Änderungshistorie einer Ressource samt Bewertungen und Feedback, neueste zuerst (Autor, Moderator oder Admin).',
+        security: AUTHENTICATED,
+        parameters: [resourceId, queryParam('entity', { type: 'string', enum: AUDIT_ENTITIES }, 'Nur Einträge zu dieser Art.'), ...pageParams()],
+        responses: {
+          200: json(page(ref('AuditEntry')), 'Eine Seite der Historie.'),
+          ...problems({
+            400: 'Ungültige Query-Parameter.',
+            401: 'Nicht angemeldet.',
+            403: 'Weder Autor noch Moderator oder Administrator.',
+            404: 'Ressource nicht gefunden.'
+          })
+        }
+      }
+    },
+    '/resources/{id}/revert': {
+      post: {
+        tags: ['Historie'],
+        summary: 'Setzt eine Ressource auf den Stand einer früheren Version zurück; das Ergebnis ist eine neue Version.',
+        security: AUTHENTICATED,
+        parameters: [resourceId, IF_MATCH],
+        requestBody: requestBody(bodySchema(revertSchema)),
+        responses: {
+          200: { ...json(ref('ResourceDetail'), 'Die zurückgesetzte Ressource.'), headers: NEW_ETAG },
+          ...problems({
+            400: 'Ungültige oder nicht ältere Version.',
+            401: 'Nicht angemeldet.',
+            403: 'Weder Autor noch Administrator.',
+            404: 'Ressource nicht gefunden.',
+            409: 'Die Historie seit dieser Version ist unvollständig (`HISTORY_INCOMPLETE`).',
+            412: '`If-Match` passt nicht zur aktuellen Version.',
+            428: '`If-Match` fehlt, ist aber erforderlich.'
+          })
+        }
+      }
+    },
+
+    '/resources/{resourceId}/ratings': {
+      post: {
+        tags: ['Bewertungen'],
+        summary: 'Bewertet eine Ressource oder ändert die bestehende Bewertung desselben Nutzers.',
+        description: 'Ohne Anmeldung nur mit `ALLOW_ANONYMOUS_RATINGS=true`.',
+        security: PUBLIC,
+        parameters: [ratingResourceId],
+        requestBody: requestBody(bodySchema(ratingSchema)),
+        responses: {
+          201: json({ allOf: [ref('ResourceDetail'), { type: 'object', properties: { rating: ref('Rating') } }] }, 'Neue Bewertung; die aktualisierte Ressource.'),
+          200: json({ allOf: [ref('ResourceDetail'), { type: 'object', properties: { rating: ref('Rating') } }] }, 'Bestehende Bewertung geändert; die aktualisierte Ressource.'),
+          ...problems({ 400: 'Ungültige Bewertung.', 401: 'Nicht angemeldet und anonyme Bewertungen sind nicht erlaubt.', 404: 'Ressource nicht gefunden.' })
+        }
+      }
+    },
+    '/resources/{resourceId}/ratings/{ratingId}': {
+      get: {
+        tags: ['Bewertungen'],
+        summary: 'Eine einzelne Bewertung.',
+        security: PUBLIC,
+        parameters: [ratingResourceId, ratingId],
+        responses: {
+          200: json(ref('Rating'), 'Die Bewertung.'),
+          ...problems({ 404: 'Ressource oder Bewertung nicht gefunden.' })
+        }
+      },
+      put: {
+        tags: ['Bewertungen'],
+        summary: 'Ändert den Wert einer Bewertung (Verfasser oder Admin).',
+        security: AUTHENTICATED,
+        parameters: [ratingResourceId, ratingId],
+        requestBody: requestBody(bodySchema(ratingSchema)),
+        responses: {
+          200: json(ref('Rating'), 'Die aktualisierte Bewertung.'),
+          ...problems({ 400: 'Ungültige Bewertung.', 401: 'Nicht angemeldet.', 403: 'Weder Verfasser noch Administrator.', 404: 'Ressource oder Bewertung nicht gefunden.' })
+        }
+      },
+      delete: {
+        tags: ['Bewertungen'],
+        summary: 'Zieht eine Bewertung zurück (Verfasser oder Admin).',
+        security: AUTHENTICATED,
+        parameters: [ratingResourceId, ratingId],
+        responses: {
+          204: { description: 'Gelöscht.' },
+          ...problems({ 401: 'Nicht angemeldet.', 403: 'Weder Verfasser noch Administrator.', 404: 'Ressource oder Bewertung nicht gefunden.' })
+        }
+      }
+    },
+
+    '/resources/{resourceId}/feedback': {
+      get: {
+        tags: ['Feedback'],
+        summary: 'Das freigegebene Feedback einer Ressource, seitenweise.',
+        security: PUBLIC,
+        parameters: [
+          ratingResourceId,
+          queryParam('sort', { type: 'string', enum: ['-timestamp', 'timestamp'], default: '-timestamp' }, 'Reihenfolge nach `timestamp`.'),
+          ...pageParams()
+        ],
+        responses: {
+          200: json(page(ref('Feedback')), 'Eine Seite des Feedbacks.'),
+          ...problems({ 400: 'Ungültige Query-Parameter.', 404: 'Ressource nicht gefunden.' })
+        }
+      },
+      post: {
+        tags: ['Feedback'],
+        summary: 'Fügt einer Ressource Feedback hinzu; ohne Anmeldung anonym.',
+        description: 'Schlägt eine Moderationsregel an, wird das Feedback zurückgehalten (`202`, `status: "pending"`).',
+        security: PUBLIC,
+        parameters: [ratingResourceId],
+        requestBody: requestBody(bodySchema(feedbackSchema)),
+        responses: {
+          201: json(ref('ResourceDetail'), 'Die aktualisierte Ressource.'),
+          202: json(ref('Feedback'), 'Das zurückgehaltene Feedback; es wartet auf Moderation.'),
+          ...problems({
+            400: 'Ungültiges Feedback.',
+            404: 'Ressource nicht gefunden.',
+            409: 'Derselbe Text wurde vom selben Absender gerade schon abgegeben (`DUPLICATE_FEEDBACK`).'
+          })
+        }
+      }
+    },
+    '/resources/{resourceId}/feedback/{feedbackId}': {
+      get: {
+        tags: ['Feedback'],
+        summary: 'Ein Feedback-Eintrag; nicht freigegebenen sehen nur Verfasser und Moderatoren.',
+        security: PUBLIC,
+        parameters: [ratingResourceId, feedbackId],
+        responses: {
+          200: json(ref('Feedback'), 'Das Feedback.'),
+          ...problems({ 404: 'Ressource oder Feedback nicht gefunden.' })
+        }
+      },
+      put: {
+        tags: ['Feedback'],
+        summary: 'Ändert den Text eines Feedbacks; er durchläuft die Moderationsregeln erneut (Verfasser oder Admin).',
+        security: AUTHENTICATED,
+        parameters: [ratingResourceId, feedbackId],
+        requestBody: requestBody(bodySchema(feedbackSchema)),
+        responses: {
+          200: json(ref('Feedback'), 'Das aktualisierte Feedback.'),
+          ...problems({ 400: 'Ungültiges Feedback.', 401: 'Nicht angemeldet.', 403: 'Weder Verfasser noch Administrator.', 404: 'Ressource oder Feedback nicht gefunden.' })
+        }
+      },
+      delete: {
+        tags: ['Feedback'],
+        summary: 'Löscht ein Feedback (Verfasser oder Admin).',
+        security: AUTHENTICATED,
+        parameters: [ratingResourceId, feedbackId],
+        responses: {
+          204: { description: 'Gelöscht.' },
+          ...problems({ 401: 'Nicht angemeldet.', 403: 'Weder Verfasser noch Administrator.', 404: 'Ressource oder Feedback nicht gefunden.' })
+        }
+      }
+    },
+    '/resources/{resourceId}/feedback/{feedbackId}/flag': {
+      post: {
+        tags: ['Moderation'],
+        summary: 'Meldet ein Feedback als unangemessen; ab `FEEDBACK_FLAG_THRESHOLD` Meldungen wird es ausgeblendet.',
+        security: AUTHENTICATED,
+        parameters: [ratingResourceId, feedbackId],
+        requestBody: optionalBody(bodySchema(feedbackFlagSchema)),
+        responses: {
+          201: json(ref('Feedback'), 'Meldung gespeichert.'),
+          200: json(ref('Feedback'), 'Bereits von diesem Nutzer gemeldet.'),
+          ...problems({ 400: 'Ungültiger Body.', 401: 'Nicht angemeldet.', 404: 'Ressource oder Feedback nicht gefunden.' })
+        }
+      }
+    },
+    '/resources/{resourceId}/feedback/{feedbackId}/approve': {
+      post: {
+        tags: ['Moderation'],
+        summary: 'Gibt ein Feedback frei und verwirft bisherige Meldungen (Moderator oder Admin).',
+        security: AUTHENTICATED,
+        parameters: [ratingResourceId, feedbackId],
+        requestBody: optionalBody(bodySchema(moderationDecisionSchema)),
+        responses: {
+          200: json(ref('Feedback'), 'Das Feedback mit `status: "approved"`.'),
+          ...problems({ 400: 'Ungültiger Body.', 401: 'Nicht angemeldet.', 403: 'Weder Moderator noch Administrator.', 404: 'Feedback nicht gefunden.' })
+        }
+      }
+    },
+    '/resources/{resourceId}/feedback/{feedbackId}/reject': {
+      post: {
+        tags: ['Moderation'],
+        summary: 'Lehnt ein Feedback ab; es bleibt nur für Verfasser und Moderatoren sichtbar (Moderator oder Admin).',
+        security: AUTHENTICATED,
+        parameters: [ratingResourceId, feedbackId],
+        requestBody: optionalBody(bodySchema(moderationDecisionSchema)),
+        responses: {
+          200: json(ref('Feedback'), 'Das Feedback mit `status: "rejected"`.'),
+          ...problems({ 400: 'Ungültiger Body.', 401: 'Nicht angemeldet.', 403: 'Weder Moderator noch Administrator.', 404: 'Feedback nicht gefunden.' })
+        }
+      }
+    },
+
+    '/categories': {
+      get: {
+        tags: ['Kategorien'],
+        summary: 'Alle Kategorien, nach Namen sortiert.',
+        security: PUBLIC,
+        responses: { 200: json({ type: 'object', properties: { data: { type: 'array', items: ref('Category') } } }, 'Die Kategorien.') }
+      },
+      post: {
+        tags: ['Kategorien'],
+        summary: 'Legt eine Kategorie an; Slug und Aliase werden aus den Namen gebildet (Admin).',
+        security: AUTHENTICATED,
+        requestBody: requestBody(bodySchema(categorySchema)),
+        responses: {
+          201: json(ref('Category'), 'Die angelegte Kategorie.'),
+          ...problems({ 400: 'Ungültige Daten.', 401: 'Nicht angemeldet.', 403: 'Kein Administrator.', 409: 'Name oder Alias wird bereits verwendet.' })
+        }
+      }
+    },
+    '/categories/{id}': {
+      get: {
+        tags: ['Kategorien'],
+        summary: 'Eine Kategorie.',
+        security: PUBLIC,
+        parameters: [categoryId],
+        responses: {
+          200: json(ref('Category'), 'Die Kategorie.'),
+          ...problems({ 404: 'Kategorie nicht gefunden.' })
+        }
+      },
+      put: {
+        tags: ['Kategorien'],
+        summary: 'Ersetzt eine Kategorie; eine Umbenennung ändert `type` aller betroffenen Ressourcen (Admin).',
+        security: AUTHENTICATED,
+        parameters: [categoryId],
+        requestBody: requestBody(bodySchema(categorySchema)),
+        responses: {
+          200: json({ type: 'object', properties: { category: ref('Category'), renamedResources: { type: 'integer' } } }, 'Die geänderte Kategorie.'),
+          ...problems({
+            400: 'Ungültige Daten.',
+            401: 'Nicht angemeldet.',
+            403: 'Kein Administrator.',
+            404: 'Kategorie nicht gefunden.',
+            409: 'Name oder Alias wird bereits verwendet.'
+          })
+        }
+      },
+      delete: {
+        tags: ['Kategorien'],
+        summary: 'Löscht eine unbenutzte Kategorie oder führt sie mit `mergeInto` in eine andere über (Admin).',
+        security: AUTHENTICATED,
+        parameters: [categoryId, queryParam('mergeInto', { type: 'string' }, 'Name, Slug oder Alias der Zielkategorie.')],
+        responses: {
+          200: json({ type: 'object', properties: { mergedInto: ref('Category'), movedResources: { type: 'integer' } } }, 'Zusammengeführt.'),
+          204: { description: 'Gelöscht.' },
+          ...problems({
+            400: 'Unbekannte Zielkategorie oder Ziel gleich Quelle.',
+            401: 'Nicht angemeldet.',
+            403: 'Kein Administrator.',
+            404: 'Kategorie nicht gefunden.',
+            409: 'Die Kategorie wird noch verwendet.'
+          })
+        }
+      }
+    },
+
+    '/webhooks': {
+      get: {
+        tags: ['Webhooks'],
+        summary: 'Alle Webhooks, älteste zuerst, ohne Secret (Admin).',
+        security: AUTHENTICATED,
+        responses: {
+          200: json({ type: 'object', properties: { data: { type: 'array', items: ref('Webhook') } } }, 'Die Webhooks.'),
+          ...problems({ 401: 'Nicht angemeldet.', 403: 'Kein Administrator.' })
+        }
+      },
+      post: {
+        tags: ['Webhooks'],
+        summary: 'Legt einen Webhook an; ohne `secret` wird eines erzeugt und nur in dieser Antwort geliefert (Admin).',
+        security: AUTHENTICATED,
+        requestBody: requestBody(bodySchema(webhookSchema)),
+        responses: {
+          201: json(ref('Webhook'), 'Der angelegte Webhook, mit `secret`.'),
+          ...problems({ 400: 'Ungültige Daten.', 401: 'Nicht angemeldet.', 403: 'Kein Administrator.' })
+        }
+      }
+    },
+    '/webhooks/{id}': {
+      get: {
+        tags: ['Webhooks'],
+        summary: 'Ein Webhook, ohne Secret (Admin).',
+        security: AUTHENTICATED,
+        parameters: [webhookId],
+        responses: {
+          200: json(ref('Webhook'), 'Der Webhook.'),
+          ...problems({ 401: 'Nicht angemeldet.', 403: 'Kein Administrator.', 404: 'Webhook nicht gefunden.' })
+        }
+      },
+      put: {
+        tags: ['Webhooks'],
+        summary: 'Ersetzt einen Webhook; ohne `secret` bleibt das bisherige gültig (Admin).',
+        security: AUTHENTICATED,
+        parameters: [webhookId],
+        requestBody: requestBody(bodySchema(webhookSchema)),
+        responses: {
+          200: json(ref('Webhook'), 'Der geänderte Webhook, ohne Secret.'),
+          ...problems({ 400: 'Ungültige Daten.', 401: 'Nicht angemeldet.', 403: 'Kein Administrator.', 404: 'Webhook nicht gefunden.' })
+        }
+      },
+      delete: {
+        tags: ['Webhooks'],
+        summary: 'Löscht einen Webhook; das Zustellprotokoll bleibt erhalten (Admin).',
+        security: AUTHENTICATED,
+        parameters: [webhookId],
+        responses: {
+          204: { description: 'Gelöscht.' },
+          ...problems({ 401: 'Nicht angemeldet.', 403: 'Kein Administrator.', 404: 'Webhook nicht gefunden.' })
+        }
+      }
+    },
+    '/webhooks/{id}/deliveries': {
+      get: {
+        tags: ['Webhooks'],
+        summary: 'Zustellprotokoll eines Webhooks, neueste zuerst (Admin).',
+        security: AUTHENTICATED,
+        parameters: [webhookId, ...pageParams()],
+        responses: {
+          200: json(page(ref('WebhookDelivery')), 'Eine Seite des Zustellprotokolls.'),
+          ...problems({ 400: 'Ungültige Query-Parameter.', 401: 'Nicht angemeldet.', 403: 'Kein Administrator.', 404: 'Webhook nicht gefunden.' })
+        }
+      }
+    },
+    '/webhooks/{id}/ping': {
+      post: {
+        tags: ['Webhooks'],
+        summary: `Sendet das Testereignis \`${PING_EVENT}\`, auch an deaktivierte Webhooks (Admin).`,
+        security: AUTHENTICATED,
+        parameters: [webhookId],
+        responses: {
+          202: json(ref('WebhookDelivery'), 'Die angelegte Zustellung (`pending`).'),
+          ...problems({ 401: 'Nicht angemeldet.', 403: 'Kein Administrator.', 404: 'Webhook nicht gefunden.' })
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Liest die Version aus `package.json`.
+ * @returns {string}
+ */
+function packageVersion() {
+  const pkg = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+  return pkg.version;
+}
+
+/** @type {Object|undefined} Die einmal erzeugte Spezifikation. */
+let spec;
+
+/**
+ * Gibt das OpenAPI-Dokument der API zurück. Es wird beim ersten Aufruf erzeugt und danach wiederverwendet.
+ * @returns {Object}
+ */
+export function buildOpenApiSpec() {
+  spec ??= {
+    openapi: '3.1.0',
+    info: {
+      title: 'Resource Catalog Service',
+      version: packageVersion(),
+      description: 'Lernressourcen mit Bewertungen, Feedback, Kategorien und Webhooks.\n\n'
+        + 'Fehler werden als `application/problem+json` geliefert. Jede Antwort trägt `X-Request-Id`; '
+        + 'bei zu vielen Anfragen folgt `429` mit `Retry-After`.\n\n'
+        + `Die Pfade ohne \`${API_BASE_PATH}\` (z. B. \`/resources\`) funktionieren als veraltete Aliase weiter `
+        + 'und antworten mit den Headern `Deprecation`, `Sunset` und `Link` auf den Nachfolger.'
+    },
+    tags: [
+      { name: 'Ressourcen' }, { name: 'Bewertungen' }, { name: 'Feedback' }, { name: 'Moderation' },
+      { name: 'Historie' }, { name: 'Papierkorb' }, { name: 'Import und Export' }, { name: 'Kategorien' },
+      { name: 'Webhooks' }, { name: 'Betrieb' }
+    ],
+    security: PUBLIC,
+    paths: {
+      ...buildOperationalPaths(),
+      ...Object.fromEntries(Object.entries(buildApiPaths()).map(([path, item]) => [`${API_BASE_PATH}${path}`, item]))
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Token mit `sub` und optional `roles`.' }
+      },
+      schemas: SCHEMAS
+    }
+  };
+  return spec;
+}
@@ -0,0 +1,50 @@
+/**
+ * @file Gemeinsame Helfer für seitenweise Listen (`page`/`limit`).
+ */
+
+/** @constant {number} DEFAULT_LIMIT - Seitengröße, wenn kein `limit` angegeben ist. */
+export const DEFAULT_LIMIT = 20;
+
+/** @constant {number} MAX_LIMIT - Obergrenze für `limit`, damit niemand eine ganze Collection auf einmal lädt. */
+export const MAX_LIMIT = 100;
+
+/**
+ * Parst einen Query-Wert als Ganzzahl ab einem Mindestwert.
+ * @param {string|undefined} value
+ * @param {number} fallback - Wert, wenn der Parameter fehlt.
+ * @param {number} [min=1] - Kleinster erlaubter Wert.
+ * @returns {number|null} Die Zahl oder `null`, wenn der Wert ungültig ist.
+ */
+export function parseIntParam(value, fallback, min = 1) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min ? number : null;
+}
+
+/**
+ * Wertet `page` und `limit` aus.
+ * @param {Object} query - `req.query` der Anfrage.
+ * @returns {{ error?: string, value?: { page: number, limit: number } }}
+ */
+export function parsePagination({ page, limit } = {}) {
+  const pageNumber = parseIntParam(page, 1);
+  if (pageNumber === null) return { error: 'page muss eine positive Ganzzahl sein.' };
+
+  const pageSize = parseIntParam(limit, DEFAULT_LIMIT);
+  if (pageSize === null || pageSize > MAX_LIMIT) {
+    return { error: `limit muss eine Ganzzahl zwischen 1 und ${MAX_LIMIT} sein.` };
+  }
+
+  return { value: { page: pageNumber, limit: pageSize } };
+}
+
+/**
+ * Baut den `pagination`-Block einer Listenantwort.
+ * @param {number} page
+ * @param {number} limit
+ * @param {number} total - Gesamtzahl aller Treffer.
+ * @returns {{ page: number, limit: number, total: number, totalPages: number }}
+ */
+export function paginationInfo(page, limit, total) {
+  return { page, limit, total, totalPages: Math.ceil(total / limit) };
+}
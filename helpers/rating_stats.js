@@ -0,0 +1,239 @@
+/**
+ * @file Gespeicherte Bewertungsstatistik einer Ressource.
+ * @description
+ * Jede Ressource trägt ihre Bewertungen zusammengefasst in `ratingSummary` (`count`, `sum`, `histogram`) und
+ * den daraus gerundeten `averageRating`. Beide werden beim Anlegen, Ändern und Löschen einer Bewertung im selben
+ * Schritt angepasst ({@link ratingSummaryUpdate} für MongoDB, {@link applyRatingChange} für den Dateispeicher),
+ * sodass Liste und Detailansicht nicht mehr über alle Bewertungen aggregieren müssen.
+ * Weichen die Werte von den Bewertungen ab, korrigiert sie `npm run repair-ratings`.
+ *
+ * Ausgeliefert wird statt `ratingSummary` die Statistik `ratingStats`:
+ * - `count`     : Anzahl der Bewertungen
+ * - `mean`      : arithmetisches Mittel (0, wenn keine Bewertungen vorliegen)
+ * - `histogram` : Anzahl der Bewertungen je Sternewert `"1"` … `"5"`
+ * - `score`     : Bayes'scher Mittelwert für Rankings; Ressourcen mit wenigen Stimmen werden
+ *                 zum Prior-Mittelwert hin gezogen, damit eine einzelne 5-Sterne-Bewertung
+ *                 nicht vor vielen guten Bewertungen landet. Er hängt von `RATING_PRIOR_*` ab und wird
+ *                 deshalb beim Lesen berechnet.
+ */
+
+/** @constant {number[]} STAR_VALUES - Mögliche Bewertungswerte. */
+const STAR_VALUES = [1, 2, 3, 4, 5];
+
+/**
+ * Liest die Parameter des Bayes'schen Scores aus der Umgebung.
+ * `RATING_PRIOR_MEAN` (Standard 3) ist der angenommene Mittelwert ohne Stimmen,
+ * `RATING_PRIOR_WEIGHT` (Standard 5) die Anzahl „virtueller“ Stimmen mit diesem Wert.
+ * @returns {{ priorMean: number, priorWeight: number }}
+ */
+export function getRatingPrior() {
+  const priorMean = Number(process.env.RATING_PRIOR_MEAN ?? 3);
+  const priorWeight = Number(process.env.RATING_PRIOR_WEIGHT ?? 5);
+  return {
+    priorMean: Number.isFinite(priorMean) ? priorMean : 3,
+    priorWeight: Number.isFinite(priorWeight) && priorWeight >= 0 ? priorWeight : 5
+  };
+}
+
+/**
+ * Rundet einen nicht negativen Wert auf zwei Nachkommastellen, bei genau ,5 zur geraden Ziffer (wie `$round`).
+ * Gegenstück zu {@link round2Expression}: Beide rechnen mit denselben Double-Operationen, damit Dateispeicher,
+ * Reparatur und MongoDB-Updates auch bei Gleichständen (z. B. 17 / 8 = 2,125 → 2,12) denselben Wert speichern.
+ * @param {number} value
+ * @returns {number}
+ */
+export function round2(value) {
+  const scaled = value * 100;
+  const floor = Math.floor(scaled);
+  const fraction = scaled - floor;
+  return (fraction > 0.5 || (fraction === 0.5 && floor % 2 === 1) ? floor + 1 : floor) / 100;
+}
+
+/**
+ * Baut den Aggregationsausdruck zu {@link round2}. Statt `$round` nachgebildet, da dessen Umweg über Decimal128
+ * bei Werten wie 2,015, die als Double nicht exakt darstellbar sind, anders runden kann als JavaScript.
+ * @param {Object|number} value - Ein Aggregationsausdruck mit nicht negativem Ergebnis.
+ * @returns {Object}
+ */
+function round2Expression(value) {
+  const fraction = { $subtract: ['$$scaled', '$$floor'] };
+  return {
+    $let: {
+      vars: { scaled: { $multiply: [value, 100] } },
+      in: {
+        $let: {
+          vars: { floor: { $floor: '$$scaled' } },
+          in: {
+            $divide: [
+              {
+                $cond: [
+                  {
+                    $or: [
+                      { $gt: [fraction, 0.5] },
+                      { $and: [{ $eq: [fraction, 0.5] }, { $eq: [{ $mod: ['$$floor', 2] }, 1] }] }
+                    ]
+                  },
+                  { $add: ['$$floor', 1] },
+                  '$$floor'
+                ]
+              },
+              100
+            ]
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Erzeugt die Zusammenfassung einer Ressource ohne Bewertungen.
+ * @returns {{ count: number, sum: number, histogram: Object<string, number> }}
+ */
+export function emptyRatingSummary() {
+  return { count: 0, sum: 0, histogram: Object.fromEntries(STAR_VALUES.map((star) => [String(star), 0])) };
+}
+
+/**
+ * Fasst eine Liste von Bewertungswerten zusammen (Grundlage für die Reparatur).
+ * @param {number[]} values - Die Bewertungswerte (1–5) einer Ressource.
+ * @returns {{ count: number, sum: number, histogram: Object<string, number> }}
+ */
+export function summarizeRatings(values) {
+  const summary = emptyRatingSummary();
+  for (const value of values) summary.histogram[String(value)] = (summary.histogram[String(value)] ?? 0) + 1;
+  return { ...summary, count: values.length, sum: values.reduce((total, value) => total + value, 0) };
+}
+
+/**
+ * Berechnet den gespeicherten Durchschnitt aus einer Zusammenfassung.
+ * @param {{ count: number, sum: number }} summary
+ * @returns {number} Auf zwei Nachkommastellen gerundet; 0 ohne Bewertungen.
+ */
+export function averageOf({ count, sum }) {
+  return count > 0 ? round2(sum / count) : 0;
+}
+
+/**
+ * Wendet eine Bewertungsänderung auf eine Zusammenfassung an (Dateispeicher).
+ * @param {Object} [summary] - Die bisherige Zusammenfassung; fehlt sie, gilt die Ressource als unbewertet.
+ * @param {{ from?: number|null, to?: number|null }} change - Alter und neuer Wert; `from` fehlt beim Anlegen,
+ *        `to` beim Löschen.
+ * @returns {{ count: number, sum: number, histogram: Object<string, number> }} Die neue Zusammenfassung.
+ */
+export function applyRatingChange(summary = emptyRatingSummary(), { from = null, to = null }) {
+  const histogram = { ...emptyRatingSummary().histogram, ...summary.histogram };
+  if (from !== null) histogram[String(from)] -= 1;
+  if (to !== null) histogram[String(to)] += 1;
+  return {
+    count: summary.count + (to !== null) - (from !== null),
+    sum: summary.sum + (to ?? 0) - (from ?? 0),
+    histogram
+  };
+}
+
+/**
+ * Baut das MongoDB-Update (Pipeline), das eine Bewertungsänderung auf `ratingSummary` und `averageRating`
+ * einer Ressource anwendet und `ratedAt` auf jetzt setzt. Gegenstück zu {@link applyRatingChange}.
+ *
+ * Lesen und Schreiben passieren in einem einzigen Update auf dem Ressourcendokument; gleichzeitige Änderungen
+ * an Bewertungen derselben Ressource gehen daher nicht verloren.
+ * @param {{ from?: number|null, to?: number|null }} change
+ * @returns {Array<Object>} Die Pipeline für `Resource.updateOne`.
+ */
+export function ratingSummaryUpdate({ from = null, to = null }) {
+  const stored = (path) => ({ $ifNull: [`$ratingSummary.${path}`, 0] });
+  const delta = (star) => (to === star) - (from === star);
+
+  return [
+    {
+      $set: {
+        ratedAt: '$$NOW',
+        ratingSummary: {
+          count: { $add: [stored('count'), (to !== null) - (from !== null)] },
+          sum: { $add: [stored('sum'), (to ?? 0) - (from ?? 0)] },
+          histogram: Object.fromEntries(STAR_VALUES.map((star) => [
+            String(star),
+            { $add: [stored(`histogram.${star}`), delta(star)] }
+          ]))
+        }
+      }
+    },
+    {
+      $set: {
+        averageRating: {
+          $cond: [
+            { $gt: ['$ratingSummary.count', 0] },
+            round2Expression({ $divide: ['$ratingSummary.sum', '$ratingSummary.count'] }),
+            0
+          ]
+        }
+      }
+    }
+  ];
+}
+
+/**
+ * Berechnet `ratingStats` aus einer gespeicherten Zusammenfassung.
+ * @param {{ count: number, sum: number, histogram: Object<string, number> }} [summary]
+ * @returns {{ count: number, mean: number, histogram: Object<string, number>, score: number }}
+ */
+export function ratingStatsOf(summary = emptyRatingSummary()) {
+  const { priorMean, priorWeight } = getRatingPrior();
+  const { count, sum } = summary;
+
+  return {
+    count,
+    mean: averageOf(summary),
+    histogram: { ...emptyRatingSummary().histogram, ...summary.histogram },
+    score: priorWeight + count === 0 ? 0 : round2((priorMean * priorWeight + sum) / (priorWeight + count))
+  };
+}
+
+/**
+ * Bereitet eine Ressource für die Antwort auf: `ratingSummary` wird durch `averageRating` und `ratingStats` ersetzt.
+ * Ressourcen ohne gespeicherte Zusammenfassung (vor der ersten Reparatur) gelten als unbewertet.
+ * @param {Object|null} resource
+ * @returns {Object|null}
+ */
+export function withRatingStats(resource) {
+  if (!resource) return resource;
+  const { ratingSummary, ...rest } = resource;
+  const ratingStats = ratingStatsOf(ratingSummary);
+  return { ...rest, averageRating: ratingStats.mean, ratingStats };
+}
+
+/**
+ * Liefert die Aggregation-Stages, die `ratingStats` aus den gespeicherten Feldern berechnen (für die Sortierung
+ * nach `ratingScore` schon in der Datenbank). Gegenstück zu {@link ratingStatsOf}.
+ * @returns {Array<Object>} Die Stages für `Resource.aggregate`.
+ */
+export function ratingStatsStages() {
+  const { priorMean, priorWeight } = getRatingPrior();
+  const count = { $ifNull: ['$ratingSummary.count', 0] };
+  const sum = { $ifNull: ['$ratingSummary.sum', 0] };
+
+  return [
+    {
+      $addFields: {
+        averageRating: { $ifNull: ['$averageRating', 0] },
+        ratingStats: {
+          count,
+          mean: { $ifNull: ['$averageRating', 0] },
+          histogram: Object.fromEntries(STAR_VALUES.map((star) => [
+            String(star),
+            { $ifNull: [`$ratingSummary.histogram.${star}`, 0] }
+          ])),
+          score: {
+            $cond: [
+              { $eq: [{ $add: [priorWeight, count] }, 0] },
+              0,
+              round2Expression({ $divide: [{ $add: [priorMean * priorWeight, sum] }, { $add: [priorWeight, count] }] })
+            ]
+          }
+        }
+      }
+    },
+    { $project: { ratingSummary: 0 } }
+  ];
+}
@@ -0,0 +1,19 @@
+/**
+ * @file Helfer für das Anlegen und Ändern von Bewertungen.
+ * @description
+ * Jeder Nutzer hat pro Ressource höchstens **eine** Bewertung (bei MongoDB über einen eindeutigen Index auf
+ * `resourceId` + `userId` in `models/rating.js`). Eine erneute Bewertung desselben Nutzers ersetzt die bisherige,
+ * siehe `repository.ratings.upsert()`.
+ *
+ * **Anonyme Bewertungen:** Standardmäßig abgelehnt, da sie sich keinem Nutzer zuordnen und damit weder
+ * deduplizieren noch ändern oder zurückziehen lassen. Mit `ALLOW_ANONYMOUS_RATINGS=true` werden sie
+ * ohne `userId` gespeichert und zählen jeweils als eigene Bewertung.
+ */
+
+/**
+ * Gibt an, ob Bewertungen ohne `userId` angenommen werden.
+ * @returns {boolean}
+ */
+export function areAnonymousRatingsAllowed() {
+  return process.env.ALLOW_ANONYMOUS_RATINGS === 'true';
+}
@@ -0,0 +1,95 @@
+/**
+ * @file Helfer zum Auswerten der Query-Parameter von GET /resources.
+ * @description
+ * Übersetzt Filter-, Sortier- und Paginierungsparameter in eine vom Speicher unabhängige Abfrage,
+ * die `repository.resources.list()` ausführt (siehe `repositories/`).
+ * Ungültige Parameter werden nicht stillschweigend ignoriert, sondern als Fehlermeldung zurückgegeben.
+ */
+
+import { parsePagination } from './pagination.js';
+import { normalizeTags, parseList } from './taxonomy.js';
+
+/** @constant {string[]} SORT_FIELDS - Felder, nach denen sortiert werden darf. */
+export const SORT_FIELDS = ['title', 'createdAt', 'averageRating', 'ratingScore'];
+
+/**
+ * Parst einen Query-Wert als Datum.
+ * @param {string} value
+ * @returns {Date|null} Das Datum oder `null`, wenn der Wert kein gültiges Datum ist.
+ */
+function parseDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @typedef {Object} ResourceListQuery
+ * @property {{ type?: string, types?: string[], categories?: string[], tags?: string[], authorId?: string, createdFrom?: Date, createdTo?: Date }} filter
+ *           Exakte Filter und Zeitraum für `createdAt`. `categories` sind Eingaben des Clients, die `resolveCategoryFilter`
+ *           (`helpers/taxonomy.js`) zu `types` auflöst (eine davon); `tags` müssen alle vorkommen.
+ * @property {number|null} minRating - Mindestwert für `averageRating` oder `null`.
+ * @property {{ field: string, descending: boolean }} sort - Eines der {@link SORT_FIELDS}.
+ * @property {number} page
+ * @property {number} limit
+ */
+
+/**
+ * Wertet die Query-Parameter der Ressourcenliste aus.
+ *
+ * Unterstützte Parameter:
+ * - `type`, `authorId`           → exakte Filter
+ * - `category`                   → kommagetrennte Kategorien (Name, Slug oder Alias); Ressourcen einer davon
+ * - `tags`                       → kommagetrennte Tags; Ressourcen mit allen davon
+ * - `createdFrom`, `createdTo`   → Zeitraum für `createdAt` (ISO-8601, jeweils inklusive)
+ * - `minRating`                  → Mindestwert für `averageRating` (0–5)
+ * - `sort`                       → `title`, `createdAt`, `averageRating` oder `ratingScore` (Bayes'scher Score),
+ *                                  mit `-` Präfix absteigend
+ * - `page`, `limit`              → Seitennummer (ab 1) und Seitengröße (siehe `parsePagination`)
+ *
+ * @param {Object} query - `req.query` der Anfrage.
+ * @returns {{ error?: string, value?: ResourceListQuery }} Entweder eine Fehlermeldung oder die ausgewerteten Parameter.
+ */
+export function parseResourceQuery(query = {}) {
+  const { type, authorId, category, tags, createdFrom, createdTo, minRating, sort = '-createdAt', page, limit } = query;
+
+  const filter = {};
+  if (type)     filter.type = String(type);
+  if (authorId) filter.authorId = String(authorId);
+  if (category) filter.categories = parseList(category);
+  if (tags)     filter.tags = normalizeTags(parseList(tags));
+
+  if (createdFrom) {
+    filter.createdFrom = parseDate(createdFrom);
+    if (!filter.createdFrom) return { error: `Ungültiges Datum für createdFrom: ${createdFrom}` };
+  }
+  if (createdTo) {
+    filter.createdTo = parseDate(createdTo);
+    if (!filter.createdTo) return { error: `Ungültiges Datum für createdTo: ${createdTo}` };
+  }
+
+  let minRatingValue = null;
+  if (minRating !== undefined && minRating !== '') {
+    minRatingValue = Number(minRating);
+    if (Number.isNaN(minRatingValue) || minRatingValue < 0 || minRatingValue > 5) {
+      return { error: 'minRating muss eine Zahl zwischen 0 und 5 sein.' };
+    }
+  }
+
+  const descending = String(sort).startsWith('-');
+  const sortField = descending ? String(sort).slice(1) : String(sort);
+  if (!SORT_FIELDS.includes(sortField)) {
+    return { error: `Ungültiges Sortierfeld: ${sortField}. Erlaubt sind: ${SORT_FIELDS.join(', ')}.` };
+  }
+
+  const { error: paginationError, value: pagination } = parsePagination({ page, limit });
+  if (paginationError) return { error: paginationError };
+
+  return {
+    value: {
+      filter,
+      minRating: minRatingValue,
+      sort: { field: sortField, descending },
+      ...pagination
+    }
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * @file Helfer für die Volltextsuche über Ressourcen und Feedback.
+ * @description
+ * Die eigentliche Suche übernimmt das Repository (bei MongoDB über die Textindizes von `Resource` und
+ * `Feedback`); dieses Modul liefert die gemeinsamen Bausteine für Suchbegriffe, Gewichtung und Snippets.
+ */
+
+import { getRepository } from '../repositories/index.js';
+
+/** @constant {number} FEEDBACK_WEIGHT - Gewicht, mit dem Feedback-Treffer in den Score einer Ressource eingehen. */
+export const FEEDBACK_WEIGHT = 0.5;
+
+/** @constant {number} SNIPPET_RADIUS - Anzahl Zeichen vor und nach dem ersten Treffer in einem Snippet. */
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Zerlegt einen Suchstring in einzelne Suchbegriffe (Kleinschreibung, ohne Anführungszeichen und Negationen).
+ * @param {string} q - Der Suchstring.
+ * @returns {string[]} Die Suchbegriffe.
+ */
+export function tokenize(q) {
+  return String(q)
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith('-'))
+    .map((term) => term.replace(/["']/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Escaped eine Zeichenkette zur Verwendung in einem regulären Ausdruck.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** @constant {Object<string, string>} HTML_ESCAPES - Ersetzungen für {@link escapeHtml}. */
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escaped eine Zeichenkette zur Ausgabe als HTML.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return value.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Baut den regulären Ausdruck, der Suchbegriffe als Wortanfang findet. Als Wortanfang gilt jede Stelle,
+ * der kein Buchstabe und keine Ziffer vorausgeht; anders als `\b` erkennt das auch Umlaute („Übung“).
+ * @param {string[]} terms - Die Suchbegriffe aus {@link tokenize}.
+ * @returns {RegExp}
+ */
+function termPattern(terms) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})`, 'giu');
+}
+
+/**
+ * Zählt, wie oft Suchbegriffe als Wortanfang in einem Text vorkommen.
+ * @param {string|undefined} text
+ * @param {string[]} terms - Die Suchbegriffe aus {@link tokenize}.
+ * @returns {number}
+ */
+export function countMatches(text, terms) {
+  if (!text || terms.length === 0) return 0;
+  return text.match(termPattern(terms))?.length ?? 0;
+}
+
+/**
+ * Erzeugt ein Snippet mit hervorgehobenen Suchbegriffen.
+ * Begriffe werden als Wortanfang gesucht, damit z. B. „hook" auch in „Hooks" markiert wird.
+ * Längere Texte werden auf einen Ausschnitt rund um den ersten Treffer gekürzt. Der Text selbst wird HTML-escaped,
+ * sodass das Snippet außer den `<mark>`-Tags kein Markup aus Titeln, Beschreibungen oder Feedback enthält.
+ * @param {string} text - Der zu durchsuchende Text.
+ * @param {string[]} terms - Die Suchbegriffe aus {@link tokenize}.
+ * @returns {string|null} Das Snippet als HTML mit `<mark>`-Tags oder `null`, wenn kein Begriff vorkommt.
+ */
+export function highlight(text, terms) {
+  if (!text || terms.length === 0) return null;
+
+  const pattern = termPattern(terms);
+  const first = text.search(pattern);
+  if (first === -1) return null;
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+  const excerpt = text.slice(start, end);
+  let snippet = '';
+  let position = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    snippet += `${escapeHtml(excerpt.slice(position, match.index))}<mark>${escapeHtml(match[1])}</mark>`;
+    position = match.index + match[1].length;
+  }
+  snippet += escapeHtml(excerpt.slice(position));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Durchsucht Ressourcen (und optional deren Feedback) nach einem Suchstring.
+ *
+ * Die Treffer und ihr Score kommen aus `repository.resources.search()`: Bei MongoDB ist der Score der
+ * `textScore` einer Ressource plus die mit {@link FEEDBACK_WEIGHT} gewichtete Summe der Scores ihrer
+ * passenden Feedback-Einträge; der Dateispeicher nähert das über gewichtete Wortanfangstreffer an.
+ * Hier werden die Treffer um hervorgehobene Snippets ergänzt.
+ *
+ * @param {string} q - Der Suchstring.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeFeedback=false] - Feedback-Texte in die Suche einbeziehen.
+ * @param {number} [options.limit=20] - Maximale Anzahl zurückgegebener Ressourcen.
+ * @returns {Promise<Array<Object>>} Ressourcen mit `score` und `highlights`, absteigend nach `score` sortiert.
+ */
+export async function searchResources(q, { includeFeedback = false, limit = 20 } = {}) {
+  const terms = tokenize(q);
+  const hits = await getRepository().resources.search(q, { includeFeedback, limit });
+
+  return hits.map(({ resource, score, feedback }) => {
+    const highlights = {
+      title: highlight(resource.title, terms),
+      description: highlight(resource.description, terms)
+    };
+    if (includeFeedback) {
+      highlights.feedback = feedback.map((fb) => ({
+        id: fb.id,
+        snippet: highlight(fb.feedbackText, terms)
+      }));
+    }
+    return {
+      ...resource,
+      score: Number(score.toFixed(4)),
+      highlights
+    };
+  });
+}
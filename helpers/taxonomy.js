@@ -0,0 +1,150 @@
+/**
+ * @file Kategorien (kontrolliertes Vokabular für `Resource.type`) und Tags.
+ * @description
+ * `type` einer Ressource muss eine verwaltete Kategorie sein (`/categories`). Eingaben werden über ihren Slug
+ * aufgelöst – Name, Slug oder ein Alias der Kategorie, ohne Rücksicht auf Groß-/Kleinschreibung, Akzente oder
+ * Trennzeichen – und als kanonischer Name der Kategorie gespeichert. So landen „course“, „COURSE“ und ein
+ * Alias wie „Kurs“ alle bei `Course`.
+ *
+ * Tags sind freie Schlagwörter; sie werden klein geschrieben, Leerraum wird zusammengefasst und Duplikate entfernt.
+ *
+ * Ist noch keine Kategorie angelegt, legt das Repository beim Verbinden {@link DEFAULT_CATEGORIES} an.
+ */
+
+import { getRepository } from '../repositories/index.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Bildet den Slug eines Namens: Kleinbuchstaben und Ziffern, getrennt durch `-`, ohne Akzente.
+ * @param {string} value
+ * @returns {string} Leer, wenn der Wert keine Buchstaben oder Ziffern enthält.
+ */
+export function slugify(value) {
+  return String(value)
+    .replace(/ß/g, 'ss')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/** @constant {Array<{ name: string, slug: string, aliases: string[] }>} DEFAULT_CATEGORIES - Die bisher festen Ressourcentypen. */
+export const DEFAULT_CATEGORIES = [
+  { name: 'Course', aliases: ['kurs'] },
+  { name: 'Video Series', aliases: ['videoserie'] },
+  { name: 'Video', aliases: [] },
+  { name: 'Tutorial', aliases: [] },
+  { name: 'Book', aliases: ['buch'] },
+  { name: 'Article', aliases: ['artikel'] }
+].map((category) => ({ ...category, slug: slugify(category.name) }));
+
+/**
+ * Normalisiert Tags: klein geschrieben, Leerraum zusammengefasst, ohne leere Einträge und Duplikate.
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  return [...new Set(tags.map((tag) => String(tag).trim().replace(/\s+/g, ' ').toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Zerlegt einen kommagetrennten Query-Wert in seine Einträge.
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+export function parseList(value) {
+  return [value].flat().flatMap((part) => String(part).split(',')).map((part) => part.trim()).filter(Boolean);
+}
+
+/**
+ * Normalisiert Aliase einer Kategorie zu Slugs, ohne den eigenen Slug und ohne Duplikate.
+ * @param {string[]} aliases
+ * @param {string} slug - Der Slug der Kategorie selbst.
+ * @returns {string[]}
+ */
+export function normalizeAliases(aliases, slug) {
+  return [...new Set(aliases.map(slugify).filter((alias) => alias && alias !== slug))];
+}
+
+/**
+ * Sucht die Kategorie zu einem Namen, Slug oder Alias.
+ * @param {string} value
+ * @param {Map<string, Object|null>} [cache] - Bereits aufgelöste Slugs (z. B. beim Import vieler Zeilen).
+ * @returns {Promise<Object|null>}
+ */
+export async function resolveCategory(value, cache) {
+  const slug = slugify(value);
+  if (!slug) return null;
+  if (cache?.has(slug)) return cache.get(slug);
+
+  const category = await getRepository().categories.findBySlug(slug);
+  cache?.set(slug, category);
+  return category;
+}
+
+/**
+ * Löst `type` einer Ressource zur Kategorie auf und normalisiert `tags`.
+ * @param {Object} fields - Bereits gegen `resourceSchema` validierte Felder.
+ * @param {Map<string, Object|null>} [cache] - Siehe {@link resolveCategory}.
+ * @returns {Promise<{ errors: Array<{ field: string, message: string }>, value: Object }>}
+ */
+export async function normalizeResourceFields(fields, cache) {
+  const errors = [];
+  const value = { ...fields };
+
+  if (typeof fields.type === 'string') {
+    const category = await resolveCategory(fields.type, cache);
+    if (category) {
+      value.type = category.name;
+    } else {
+      const names = (await getRepository().categories.list()).map((c) => c.name);
+      errors.push({ field: 'type', message: `ist keine bekannte Kategorie. Erlaubt sind: ${names.join(', ')}.` });
+    }
+  }
+
+  if (Array.isArray(fields.tags)) value.tags = normalizeTags(fields.tags);
+
+  return { errors, value };
+}
+
+/**
+ * Middleware nach `validateResource`/`validateResourcePatch`: speichert `type` als kanonischen Kategorienamen
+ * und normalisiert `tags`. Unbekannte Kategorien führen zu `400`.
+ * @param {express.Request} req - Das Express-Request-Objekt.
+ * @param {express.Response} res - Das Express-Response-Objekt.
+ * @param {express.NextFunction} next - Die Next-Middleware-Funktion.
+ */
+export async function resolveResourceTaxonomy(req, res, next) {
+  try {
+    const { errors, value } = await normalizeResourceFields(req.body);
+    if (errors.length > 0) {
+      return next(new ValidationError('Ungültige Anfragedaten.', { errors }));
+    }
+    req.body = value;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Ersetzt den Filter `categories` einer Ressourcenabfrage durch die kanonischen Namen (`types`).
+ * @param {import('./resource_query.js').ResourceListQuery['filter']} filter - Wird direkt geändert.
+ * @returns {Promise<string|null>} Eine Fehlermeldung bei unbekannten Kategorien, sonst `null`.
+ */
+export async function resolveCategoryFilter(filter) {
+  if (!filter.categories) return null;
+
+  const cache = new Map();
+  const types = [];
+  for (const value of filter.categories) {
+    const category = await resolveCategory(value, cache);
+    if (!category) return `Unbekannte Kategorie: ${value}.`;
+    types.push(category.name);
+  }
+
+  delete filter.categories;
+  filter.types = [...new Set(types)];
+  return null;
+}
@@ -0,0 +1,39 @@
+/**
+ * @file Helfer für den Papierkorb (Soft Delete) von Ressourcen.
+ * @description
+ * `DELETE /resources/:id` löscht eine Ressource nicht sofort, sondern setzt `deletedAt` (und `deletedBy`).
+ * Solche Ressourcen sind für alle Lese-Endpunkte unsichtbar; ihre Bewertungen und ihr Feedback bleiben
+ * erhalten, damit eine Wiederherstellung den vorherigen Zustand vollständig zurückbringt.
+ *
+ * Endgültig entfernt werden Ressourcen erst durch `repository.resources.purgeDeleted()`, standardmäßig nach
+ * `TRASH_RETENTION_DAYS` Tagen im Papierkorb. Die Speicheroperationen selbst liegen in `repositories/`;
+ * hier stehen nur die gemeinsamen Fristberechnungen.
+ */
+
+/**
+ * Gibt die Aufbewahrungsdauer im Papierkorb zurück (`TRASH_RETENTION_DAYS`, Standard 30).
+ * @returns {number} Anzahl der Tage.
+ */
+export function getTrashRetentionDays() {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+}
+
+/**
+ * Berechnet, ab wann eine gelöschte Ressource endgültig entfernt werden darf.
+ * @param {Date} deletedAt
+ * @param {number} [retentionDays=getTrashRetentionDays()]
+ * @returns {Date}
+ */
+export function purgeDate(deletedAt, retentionDays = getTrashRetentionDays()) {
+  return new Date(deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Berechnet den Stichtag für `purgeDeleted()`: Ressourcen, die davor gelöscht wurden, sind abgelaufen.
+ * @param {number} [retentionDays=getTrashRetentionDays()]
+ * @returns {Date}
+ */
+export function retentionCutoff(retentionDays = getTrashRetentionDays()) {
+  return new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+}
@@ -0,0 +1,270 @@
+/**
+ * @file Webhooks: Benachrichtigung anderer Dienste über Änderungen im Katalog.
+ * @description
+ * Die Router melden Änderungen mit {@link emitEvent}. Für jedes aktive Abonnement des Ereignisses wird eine
+ * Zustellung angelegt und im Hintergrund per `POST` an die URL gesendet – die Anfrage, die das Ereignis ausgelöst hat,
+ * wartet nicht darauf.
+ *
+ * Jede Zustellung trägt die Header:
+ *
+ * - `X-Webhook-Event`     : das Ereignis, z. B. `resource.created`
+ * - `X-Webhook-Delivery`  : die ID der Zustellung (bleibt bei Wiederholungen gleich)
+ * - `X-Webhook-Timestamp` : Unix-Zeit des Versuchs in Sekunden
+ * - `X-Webhook-Signature` : `sha256=<hex>`, HMAC-SHA256 mit dem Secret über `<timestamp>.<body>`
+ * - `X-Request-Id`        : die ID der auslösenden Anfrage
+ *
+ * Als Erfolg gilt eine `2xx`-Antwort innerhalb von `WEBHOOK_TIMEOUT_MS` (Standard `5000`); Weiterleitungen werden
+ * nicht verfolgt. Sonst wird nach `WEBHOOK_RETRY_BASE_MS × 2^(Versuch − 1)` (Standard `30000`) erneut zugestellt,
+ * höchstens `WEBHOOK_MAX_ATTEMPTS`-mal (Standard `5`). Jeder Versuch steht im Zustellprotokoll.
+ *
+ * Wartende Wiederholungen leben im Speicher des Prozesses; nach einem Neustart nimmt {@link resumeWebhookDeliveries}
+ * sie wieder auf. Mehrere Instanzen würden dieselben offenen Zustellungen dabei mehrfach senden.
+ */
+
+import crypto from 'crypto';
+import { getRepository } from '../repositories/index.js';
+import { webhookDeliveryAttempts } from '../utils/metrics.js';
+import { log } from '../utils/log.js';
+
+/** @constant {string[]} WEBHOOK_EVENTS - Ereignisse, die abonniert werden können. */
+export const WEBHOOK_EVENTS = [
+  'resource.created', 'resource.updated', 'resource.deleted', 'resource.restored',
+  'rating.created', 'rating.updated', 'rating.deleted',
+  'feedback.created', 'feedback.updated', 'feedback.deleted', 'feedback.published', 'feedback.hidden'
+];
+
+/** @constant {string} PING_EVENT - Testereignis von `POST /webhooks/:id/ping`; wird nur an diesen einen Webhook gesendet. */
+export const PING_EVENT = 'ping';
+
+/** @constant {string} USER_AGENT - `User-Agent` der Zustellungen. */
+const USER_AGENT = 'resource-catalog-webhooks/1.0';
+
+/**
+ * Liest eine positive Ganzzahl aus der Umgebung.
+ * @param {string} name - Name der Umgebungsvariable.
+ * @param {number} fallback
+ * @returns {number}
+ */
+function envPositiveInt(name, fallback) {
+  const value = Number(process.env[name] ?? fallback);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Gibt die Zustellparameter zurück.
+ * @returns {{ timeoutMs: number, maxAttempts: number, retryBaseMs: number }}
+ */
+export function getDeliverySettings() {
+  return {
+    timeoutMs: envPositiveInt('WEBHOOK_TIMEOUT_MS', 5000),
+    maxAttempts: envPositiveInt('WEBHOOK_MAX_ATTEMPTS', 5),
+    retryBaseMs: envPositiveInt('WEBHOOK_RETRY_BASE_MS', 30000)
+  };
+}
+
+/**
+ * Berechnet die Signatur einer Zustellung.
+ * @param {string} secret - Das Secret des Webhooks.
+ * @param {number} timestamp - Unix-Zeit in Sekunden (Header `X-Webhook-Timestamp`).
+ * @param {string} body - Der gesendete JSON-Body.
+ * @returns {string} `sha256=<hex>`
+ */
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Erzeugt ein zufälliges Secret für Webhooks, die ohne eigenes angelegt werden.
+ * @returns {string}
+ */
+export function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Bereitet einen Webhook für die Antwort auf: Das Secret wird nie ausgeliefert.
+ * @param {Object} webhook
+ * @returns {Object}
+ */
+export function presentWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+/**
+ * Baut den Body eines Ereignisses.
+ * @param {string} type - Das Ereignis.
+ * @param {Object} data - Der betroffene Datensatz.
+ * @param {{ requestId?: string, actorId?: string|null }} [origin] - Die auslösende Anfrage.
+ * @returns {Object}
+ */
+function buildEvent(type, data, { requestId, actorId = null } = {}) {
+  return { id: `evt_${crypto.randomUUID()}`, type, createdAt: new Date().toISOString(), requestId, actorId, data };
+}
+
+/** @type {Set<NodeJS.Timeout>} Geplante Versuche, damit sie beim Beenden verworfen werden können. */
+const timers = new Set();
+
+/**
+ * Plant den nächsten Versuch einer Zustellung.
+ * @param {Object} delivery
+ * @param {number} delayMs
+ */
+function scheduleAttempt(delivery, delayMs) {
+  const timer = setTimeout(() => {
+    timers.delete(timer);
+    attemptDelivery(delivery).catch((error) => {
+      log.error('webhook delivery crashed', { deliveryId: delivery.id, err: error });
+    });
+  }, Math.max(0, delayMs));
+  // Offene Zustellungen halten den Prozess nicht am Leben; sie werden beim nächsten Start fortgesetzt.
+  timer.unref();
+  timers.add(timer);
+}
+
+/**
+ * Sendet eine Zustellung einmal und protokolliert das Ergebnis. Schlägt sie fehl, wird der nächste Versuch geplant.
+ * @param {Object} delivery
+ * @returns {Promise<void>}
+ */
+async function attemptDelivery(delivery) {
+  const repository = getRepository();
+  const webhook = await repository.webhooks.findById(String(delivery.webhookId));
+  const { timeoutMs, maxAttempts, retryBaseMs } = getDeliverySettings();
+
+  // Gelöschte oder deaktivierte Webhooks erhalten keine Wiederholungen mehr (Pings werden trotzdem gesendet).
+  if (!webhook || (!webhook.active && delivery.event !== PING_EVENT)) {
+    await repository.webhookDeliveries.update(delivery.id, { status: 'failed', nextAttemptAt: null, completedAt: new Date() });
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { at: new Date() };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': USER_AGENT,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+        ...(delivery.payload.requestId && { 'X-Request-Id': delivery.payload.requestId })
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    attempt.responseStatus = response.status;
+    // Der Body interessiert nicht, muss aber gelesen werden, damit die Verbindung frei wird.
+    await response.body?.cancel();
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError' ? `Keine Antwort nach ${timeoutMs} ms.` : error.cause?.message ?? error.message;
+  }
+  attempt.durationMs = Date.now() - started;
+
+  const succeeded = attempt.responseStatus >= 200 && attempt.responseStatus < 300;
+  const attempts = [...(delivery.attempts ?? []), attempt];
+  const giveUp = !succeeded && attempts.length >= maxAttempts;
+  const outcome = succeeded ? 'success' : giveUp ? 'failed' : 'retry';
+  webhookDeliveryAttempts.inc({ event: delivery.event, outcome });
+
+  if (succeeded || giveUp) {
+    await repository.webhookDeliveries.update(delivery.id, {
+      status: succeeded ? 'succeeded' : 'failed', attempts, nextAttemptAt: null, completedAt: new Date()
+    });
+    if (giveUp) {
+      log.warn('webhook delivery failed', { deliveryId: delivery.id, webhookId: webhook.id, event: delivery.event, attempts: attempts.length });
+    }
+    return;
+  }
+
+  const delayMs = retryBaseMs * 2 ** (attempts.length - 1);
+  const updated = await repository.webhookDeliveries.update(delivery.id, { attempts, nextAttemptAt: new Date(Date.now() + delayMs) });
+  log.info('webhook delivery retry scheduled', {
+    deliveryId: delivery.id, event: delivery.event, status: attempt.responseStatus, error: attempt.error, delayMs
+  });
+  if (updated) scheduleAttempt(updated, delayMs);
+}
+
+/**
+ * Legt Zustellungen eines Ereignisses an die angegebenen Webhooks an und sendet sie im Hintergrund.
+ * @param {Object[]} webhooks
+ * @param {Object} event - Siehe {@link buildEvent}.
+ * @returns {Promise<Object[]>} Die angelegten Zustellungen.
+ */
+async function enqueue(webhooks, event) {
+  const deliveries = [];
+  for (const webhook of webhooks) {
+    const delivery = await getRepository().webhookDeliveries.create({
+      webhookId: webhook.id,
+      eventId: event.id,
+      event: event.type,
+      payload: event,
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: new Date(),
+      createdAt: new Date()
+    });
+    scheduleAttempt(delivery, 0);
+    deliveries.push(delivery);
+  }
+  return deliveries;
+}
+
+/**
+ * Meldet Änderungen an alle Webhooks, die das Ereignis abonniert haben – je Datensatz ein Ereignis.
+ * Kehrt sofort zurück; Fehler beim Anlegen der Zustellungen werden nur geloggt.
+ * @param {express.Request} req - Die auslösende Anfrage (Quelle von `requestId` und `actorId`).
+ * @param {string} type - Ein Eintrag von {@link WEBHOOK_EVENTS}.
+ * @param {...Object} records - Die betroffenen Datensätze (z. B. die angelegte Ressource).
+ */
+export function emitEvent(req, type, ...records) {
+  const origin = { requestId: req.id, actorId: req.user?.id ?? null };
+
+  (async () => {
+    const webhooks = await getRepository().webhooks.listForEvent(type);
+    if (webhooks.length === 0) return;
+    for (const record of records) await enqueue(webhooks, buildEvent(type, record, origin));
+  })().catch((error) => {
+    log.error('webhook enqueue failed', { event: type, err: error });
+  });
+}
+
+/**
+ * Sendet ein Testereignis an einen Webhook, unabhängig von seinen abonnierten Ereignissen.
+ * @param {express.Request} req - Die auslösende Anfrage.
+ * @param {Object} webhook
+ * @returns {Promise<Object>} Die angelegte Zustellung (Status `pending`).
+ */
+export async function sendPing(req, webhook) {
+  const [delivery] = await enqueue([webhook], buildEvent(PING_EVENT, { webhookId: webhook.id }, {
+    requestId: req.id, actorId: req.user?.id ?? null
+  }));
+  return delivery;
+}
+
+/**
+ * Nimmt offene Zustellungen nach einem Neustart wieder auf. Wird nach dem Verbindungsaufbau aufgerufen.
+ * @returns {Promise<number>} Anzahl der wieder eingeplanten Zustellungen.
+ */
+export async function resumeWebhookDeliveries() {
+  const pending = await getRepository().webhookDeliveries.listPending();
+  for (const delivery of pending) {
+    scheduleAttempt(delivery, new Date(delivery.nextAttemptAt ?? Date.now()).getTime() - Date.now());
+  }
+  if (pending.length > 0) log.info('webhook deliveries resumed', { count: pending.length });
+  return pending.length;
+}
+
+/**
+ * Verwirft alle geplanten Versuche (z. B. in Tests); sie bleiben als `pending` gespeichert.
+ */
+export function cancelScheduledDeliveries() {
+  for (const timer of timers) clearTimeout(timer);
+  timers.clear();
+}
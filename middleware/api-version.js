@@ -0,0 +1,97 @@
+/**
+ * @file Versionierung der API.
+ * @description
+ * Die fachlichen Router hängen unter `/api/<version>` (siehe `routes/api.js` und `app.js`); {@link apiVersion}
+ * merkt sich die Version der Anfrage in `req.apiVersion`.
+ *
+ * Die früheren Pfade ohne Präfix (`/resources`, `/categories`, `/webhooks`) bleiben als Aliase von `v1` erhalten.
+ * {@link legacyAlias} kennzeichnet sie als veraltet:
+ * - `Deprecation` (RFC 9745) : Zeitpunkt, seit dem die Aliase veraltet sind, z. B. `@1792281600`
+ * - `Sunset` (RFC 8594)      : Zeitpunkt, nach dem sie entfernt werden dürfen (`LEGACY_API_SUNSET`)
+ * - `Link` mit `rel="successor-version"` : derselbe Pfad unter `/api/v1`
+ *
+ * Antworten, deren Form sich zwischen Versionen unterscheidet, gehen über {@link present}. Jede Version hat in
+ * {@link RESPONSE_SHAPES} eine Darstellung je Art (`resource`, `rating`). Ändert sich die Ausgabe der Repositories
+ * (z. B. `toClient` in `utils/mongo.js`), bildet die Darstellung von `v1` sie auf die bisherige Form ab,
+ * während eine neue Version die neue Form ausliefert. Bisher gibt es nur `v1`.
+ */
+
+/** @constant {string} CURRENT_API_VERSION - Die aktuelle Version; auf sie verweisen die Aliase. */
+export const CURRENT_API_VERSION = 'v1';
+
+/** @constant {Date} LEGACY_API_DEPRECATED_AT - Seit diesem Zeitpunkt sind die Pfade ohne Versionspräfix veraltet. */
+export const LEGACY_API_DEPRECATED_AT = new Date('2026-10-18T00:00:00Z');
+
+/** @constant {string} DEFAULT_LEGACY_API_SUNSET - Standard für `LEGACY_API_SUNSET`. */
+const DEFAULT_LEGACY_API_SUNSET = '2027-04-30T00:00:00Z';
+
+/**
+ * Darstellungen je Version und Art. Jede Darstellung erhält einen Datensatz, wie ihn Repository bzw.
+ * `buildEnrichedResource` liefern, und gibt die Form zurück, die Clients dieser Version erwarten.
+ * @type {Object<string, Object<string, (record: Object) => Object>>}
+ */
+const RESPONSE_SHAPES = {
+    v1: {
+        resource: (resource) => resource,
+        rating: (rating) => rating
+    }
+};
+
+/** @constant {string[]} API_VERSIONS - Alle ausgelieferten Versionen. */
+export const API_VERSIONS = Object.keys(RESPONSE_SHAPES);
+
+/**
+ * Liest den Sunset-Zeitpunkt der Aliase.
+ * @returns {Date} Ein ungültiges `LEGACY_API_SUNSET` fällt auf den Standard zurück.
+ */
+export function getLegacyApiSunset() {
+    const sunset = new Date(process.env.LEGACY_API_SUNSET || DEFAULT_LEGACY_API_SUNSET);
+    return Number.isNaN(sunset.getTime()) ? new Date(DEFAULT_LEGACY_API_SUNSET) : sunset;
+}
+
+/**
+ * Erzeugt eine Middleware, die die API-Version der Anfrage in `req.apiVersion` festhält.
+ * @param {string} version - Eine der {@link API_VERSIONS}.
+ * @returns {express.RequestHandler}
+ */
+export function apiVersion(version) {
+    if (!RESPONSE_SHAPES[version]) throw new Error(`Unbekannte API-Version: ${version}`);
+    return (req, res, next) => {
+        req.apiVersion = version;
+        next();
+    };
+}
+
+/**
+ * Erzeugt die Middleware für die veralteten Pfade ohne Versionspräfix. Sie liegt vor dem Router von
+ * {@link CURRENT_API_VERSION} am Wurzelpfad; Anfragen außerhalb von `prefixes` (z. B. unbekannte Pfade)
+ * bleiben unverändert.
+ * @param {string[]} prefixes - Die Mount-Pfade der Router, z. B. `['/resources', '/categories']`.
+ * @returns {express.RequestHandler}
+ */
+export function legacyAlias(prefixes) {
+    return (req, res, next) => {
+        if (!prefixes.some((prefix) => req.path === prefix || req.path.startsWith(`${prefix}/`))) return next();
+
+        req.apiVersion = CURRENT_API_VERSION;
+        res.set({
+            Deprecation: `@${Math.floor(LEGACY_API_DEPRECATED_AT.getTime() / 1000)}`,
+            Sunset: getLegacyApiSunset().toUTCString(),
+            Link: `</api/${CURRENT_API_VERSION}${req.originalUrl}>; rel="successor-version"`
+        });
+        next();
+    };
+}
+
+/**
+ * Bringt einen Datensatz (oder eine Liste davon) in die Form der API-Version der Anfrage.
+ * @param {express.Request} req - Das Express-Request-Objekt (`req.apiVersion`).
+ * @param {string} kind - Die Art des Datensatzes, z. B. `'resource'`.
+ * @param {Object|Object[]} value
+ * @returns {Object|Object[]}
+ */
+export function present(req, kind, value) {
+    const shape = RESPONSE_SHAPES[req.apiVersion ?? CURRENT_API_VERSION][kind];
+    if (!shape) throw new Error(`Keine Darstellung für ${kind} in ${req.apiVersion}`);
+    return Array.isArray(value) ? value.map(shape) : shape(value);
+}
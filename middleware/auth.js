@@ -0,0 +1,180 @@
+/**
+ * @file Authentifizierungs- und Autorisierungs-Middleware.
+ * @description
+ * Liest ein Bearer-Token aus dem `Authorization`-Header, prüft es über einen austauschbaren
+ * Token-Verifier und legt den Nutzer als `req.user = { id, roles }` ab.
+ *
+ * Standardmäßig werden JWTs gegen einen lokal konfigurierten Schlüssel geprüft:
+ * - `JWT_SECRET`          : gemeinsames Geheimnis für HS256
+ * - `JWT_PUBLIC_KEY_FILE` : Pfad zu einem PEM-Public-Key für RS256/ES256 (hat Vorrang vor `JWT_SECRET`)
+ * - `JWT_ISSUER`, `JWT_AUDIENCE` : optional, werden geprüft, wenn gesetzt
+ *
+ * Die Nutzer-ID stammt aus dem Claim `sub`, die Rollen aus `roles` (Array) oder `role` (String).
+ * Über {@link setTokenVerifier} lässt sich ein anderer Verifier einsetzen (z. B. für Tests).
+ */
+
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+import { UnauthorizedError } from '../utils/errors.js';
+
+/**
+ * Gibt den Namen der Administratorrolle zurück (`ADMIN_ROLE`, Standard `admin`).
+ * @returns {string}
+ */
+export function getAdminRole() {
+    return process.env.ADMIN_ROLE || 'admin';
+}
+
+/**
+ * Gibt den Namen der Moderationsrolle zurück (`MODERATOR_ROLE`, Standard `moderator`).
+ * @returns {string}
+ */
+export function getModeratorRole() {
+    return process.env.MODERATOR_ROLE || 'moderator';
+}
+
+/** @type {{ file: string, key: string }|null} Der zuletzt gelesene Public Key samt Pfad. */
+let publicKey = null;
+
+/**
+ * Liefert Schlüssel und erlaubte Algorithmen aus der Konfiguration. Die Datei aus `JWT_PUBLIC_KEY_FILE`
+ * wird nur beim ersten Aufruf (oder nach einer Änderung des Pfads) gelesen; `server.js` ruft die Funktion
+ * beim Start auf, damit ein fehlender Schlüssel sofort auffällt statt erst bei der ersten Anfrage.
+ * @returns {{ key: string, algorithms: string[] }}
+ * @throws {Error} Wenn kein Schlüssel konfiguriert ist oder die Schlüsseldatei nicht gelesen werden kann.
+ */
+export function loadJwtKey() {
+    const { JWT_SECRET, JWT_PUBLIC_KEY_FILE } = process.env;
+
+    if (JWT_PUBLIC_KEY_FILE) {
+        if (publicKey?.file !== JWT_PUBLIC_KEY_FILE) {
+            try {
+                publicKey = { file: JWT_PUBLIC_KEY_FILE, key: fs.readFileSync(JWT_PUBLIC_KEY_FILE, 'utf-8') };
+            } catch (cause) {
+                throw new Error(`JWT_PUBLIC_KEY_FILE ${JWT_PUBLIC_KEY_FILE} kann nicht gelesen werden.`, { cause });
+            }
+        }
+        return { key: publicKey.key, algorithms: ['RS256', 'ES256'] };
+    }
+    if (JWT_SECRET) {
+        return { key: JWT_SECRET, algorithms: ['HS256'] };
+    }
+    throw new Error('Authentifizierung ist nicht konfiguriert (JWT_SECRET oder JWT_PUBLIC_KEY_FILE fehlt).');
+}
+
+/**
+ * Standard-Verifier: prüft ein JWT gegen den lokal konfigurierten Schlüssel (siehe {@link loadJwtKey}).
+ * @param {string} token - Das Bearer-Token.
+ * @returns {{ id: string, roles: string[] }} Der authentifizierte Nutzer.
+ * @throws {UnauthorizedError} Wenn das Token ungültig oder abgelaufen ist.
+ * @throws {Error} Wenn kein Schlüssel konfiguriert ist.
+ */
+export function verifyJwt(token) {
+    const { JWT_ISSUER, JWT_AUDIENCE } = process.env;
+    const { key, algorithms } = loadJwtKey();
+
+    let payload;
+    try {
+        payload = jwt.verify(token, key, {
+            algorithms,
+            ...(JWT_ISSUER && { issuer: JWT_ISSUER }),
+            ...(JWT_AUDIENCE && { audience: JWT_AUDIENCE })
+        });
+    } catch (error) {
+        // Die Meldung der Bibliothek bleibt im Log; der Client erfährt nur, ob das Token abgelaufen ist.
+        if (!(error instanceof jwt.JsonWebTokenError)) throw error;
+        const expired = error instanceof jwt.TokenExpiredError;
+        throw new UnauthorizedError(expired ? 'Das Token ist abgelaufen.' : 'Ungültiges Token.', {
+            code: expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+        });
+    }
+
+    if (!payload.sub) {
+        throw new UnauthorizedError('Token enthält keinen sub-Claim.', { code: 'INVALID_TOKEN' });
+    }
+
+    const roles = Array.isArray(payload.roles) ? payload.roles : (payload.role ? [payload.role] : []);
+    return { id: String(payload.sub), roles: roles.map(String) };
+}
+
+let tokenVerifier = verifyJwt;
+
+/**
+ * Ersetzt den Token-Verifier.
+ * @param {(token: string) => ({ id: string, roles: string[] }|Promise<{ id: string, roles: string[] }>)} verifier
+ *        Funktion, die ein Token prüft und den Nutzer liefert. Bei ungültigem Token wirft sie einen `UnauthorizedError`;
+ *        jeder andere Fehler gilt als Fehler des Servers und wird mit `500` beantwortet.
+ */
+export function setTokenVerifier(verifier) {
+    tokenVerifier = verifier;
+}
+
+/**
+ * Optionale Authentifizierung für alle Routen.
+ * Ist ein Bearer-Token vorhanden, wird es geprüft und `req.user` gesetzt; ein ungültiges Token führt zu einem `UnauthorizedError` (`401`),
+ * eine fehlende oder unlesbare Schlüsselkonfiguration zu `500`.
+ * Ohne Token läuft die Anfrage anonym weiter (`req.user` bleibt `undefined`).
+ * @param {express.Request} req - Das Express-Request-Objekt.
+ * @param {express.Response} res - Das Express-Response-Objekt.
+ * @param {express.NextFunction} next - Die Next-Middleware-Funktion.
+ */
+export const authenticate = async (req, res, next) => {
+    const header = req.get('Authorization');
+    if (!header) return next();
+
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return next(new UnauthorizedError('Authorization-Header muss das Format "Bearer <token>" haben.'));
+    }
+
+    try {
+        req.user = await tokenVerifier(token);
+    } catch (error) {
+        return next(error);
+    }
+    next();
+};
+
+/**
+ * Lässt nur authentifizierte Anfragen durch, sonst `UnauthorizedError` (`401`).
+ * Setzt {@link authenticate} voraus.
+ * @param {express.Request} req - Das Express-Request-Objekt.
+ * @param {express.Response} res - Das Express-Response-Objekt.
+ * @param {express.NextFunction} next - Die Next-Middleware-Funktion.
+ */
+export const requireAuth = (req, res, next) => {
+    if (!req.user) {
+        return next(new UnauthorizedError('Anmeldung erforderlich.'));
+    }
+    next();
+};
+
+/**
+ * Prüft, ob ein Nutzer die Administratorrolle hat.
+ * @param {{ id: string, roles: string[] }|undefined} user - Der authentifizierte Nutzer (`req.user`).
+ * @returns {boolean}
+ */
+export function isAdmin(user) {
+    return Boolean(user?.roles.includes(getAdminRole()));
+}
+
+/**
+ * Prüft, ob ein Nutzer Feedback moderieren darf: mit Moderations- oder Administratorrolle.
+ * @param {{ id: string, roles: string[] }|undefined} user - Der authentifizierte Nutzer (`req.user`).
+ * @returns {boolean}
+ */
+export function isModerator(user) {
+    return isAdmin(user) || Boolean(user?.roles.includes(getModeratorRole()));
+}
+
+/**
+ * Prüft, ob ein Nutzer ein Objekt ändern darf: als Eigentümer oder mit Administratorrolle.
+ * @param {{ id: string, roles: string[] }|undefined} user - Der authentifizierte Nutzer (`req.user`).
+ * @param {string|undefined} ownerId - Die ID des Eigentümers (z. B. `authorId` oder `userId`).
+ * @returns {boolean}
+ */
+export function canModify(user, ownerId) {
+    if (!user) return false;
+    if (isAdmin(user)) return true;
+    return ownerId !== undefined && ownerId !== null && String(ownerId) === user.id;
+}
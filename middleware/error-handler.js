@@ -1,22 +1,104 @@
+import http from 'http';
+import mongoose from 'mongoose';
+import { HttpError, ValidationError, ConflictError } from '../utils/errors.js';
+import { log } from '../utils/log.js';
+
+/**
+ * Übersetzt einen beliebigen Fehler in einen `HttpError`.
+ * - `HttpError` (und Unterklassen) werden unverändert übernommen.
+ * - Mongoose `ValidationError`/`CastError` werden zu `400`, doppelte Schlüssel (E11000) zu `409`.
+ * - Zu große Bodies (`express.json()`/`express.text()`) werden zu `413` mit dem Code `PAYLOAD_TOO_LARGE`.
+ * - Fehler mit `status`/`statusCode` im 4xx-Bereich (z. B. von `express.json()`) behalten ihren Status.
+ * - Alles andere ist ein unerwarteter Fehler (`500`).
+ * @param {Error} err
+ * @returns {HttpError}
+ */
+function toHttpError(err) {
+    if (err instanceof HttpError) return err;
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        const errors = Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }));
+        return new ValidationError('Ungültige Daten.', { errors });
+    }
+
+    if (err instanceof mongoose.Error.CastError) {
+        return new ValidationError(`Ungültiger Wert für ${err.path}.`, { code: 'INVALID_VALUE' });
+    }
+
+    if (err.code === 11000) {
+        return new ConflictError('Ein Eintrag mit diesen Werten existiert bereits.', { code: 'DUPLICATE_KEY' });
+    }
+
+    if (err.type === 'entity.parse.failed') {
+        return new ValidationError('Request-Body ist kein gültiges JSON.', { code: 'INVALID_JSON' });
+    }
+
+    if (err.type === 'entity.too.large') {
+        return new HttpError(413, 'PAYLOAD_TOO_LARGE', `Request-Body ist größer als erlaubt (${err.limit} Bytes).`);
+    }
+
+    const status = err.status ?? err.statusCode;
+    if (Number.isInteger(status) && status >= 400 && status < 500) {
+        return new HttpError(status, undefined, err.message);
+    }
+
+    return new HttpError(500, 'INTERNAL_ERROR', err.message);
+}
+
 /**
  * Globale Fehlerbehandlungs-Middleware für Express.js-Anwendungen.
  * Fängt alle Fehler ab, die in Routen oder anderen Middleware-Funktionen auftreten,
- * und sendet eine konsistente `500 Internal Server Error`-Antwort.
+ * und sendet eine einheitliche `application/problem+json`-Antwort nach RFC 7807:
+ *
+ * ```json
+ * {
+ *   "type": "about:blank",
+ *   "title": "Not Found",
+ *   "status": 404,
+ *   "detail": "Ressource mit ID 123 nicht gefunden.",
+ *   "instance": "/resources/123",
+ *   "code": "RESOURCE_NOT_FOUND",
+ *   "requestId": "…"
+ * }
+ * ```
+ *
+ * Validierungsfehler enthalten zusätzlich `errors: [{ field, message }]`, andere Fehler ggf. ihre `extensions`
+ * (z. B. `currentVersion`); gleichnamige Standardfelder haben Vorrang.
+ * Bei `500` wird die Fehlermeldung in Produktion (`NODE_ENV=production`) durch einen generischen Text ersetzt;
+ * Stacktraces werden nur außerhalb der Produktion mitgesendet.
  * @param {Error} err - Das Fehlerobjekt, das von einer vorherigen Middleware oder Route weitergegeben wurde.
  * @param {express.Request} req - Das Express-Request-Objekt.
  * @param {express.Response} res - Das Express-Response-Objekt.
  * @param {express.NextFunction} next - Die Next-Middleware-Funktion (oft nicht direkt verwendet, aber notwendig für die Signatur).
  */
 export const errorHandler = (err, req, res, next) => {
-    // Protokolliert den Fehler auf der Konsole für das Server-Debugging.
-    console.error(`[${new Date().toISOString()}] Ein Fehler ist aufgetreten:`, err.stack);
-
-    // Sendet eine Standard-Fehlerantwort an den Client.
-    // Status 500 (Internal Server Error) ist der allgemeine Fehlercode für serverseitige Probleme.
-    res.status(500).json({
-        error: 'Interner Serverfehler',
-        message: err.message // Optional: Die Fehlermeldung kann an den Client gesendet werden,
-                             // aber in Produktion sollte dies ggf. weniger detailliert sein.
-    });
-};
+    const httpError = toHttpError(err);
+    const isProduction = process.env.NODE_ENV === 'production';
+    const isServerError = httpError.status >= 500;
 
+    if (isServerError) {
+        // Unerwartete Fehler mit Stacktrace protokollieren; `requestId` verknüpft die Zeile mit der Antwort.
+        log.error('unhandled error', { requestId: req.id, method: req.method, path: req.originalUrl, err });
+    }
+
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const problem = {
+        // Zuerst, damit Erweiterungen die Standardfelder (`status`, `detail`, `code` …) nicht überschreiben können.
+        ...httpError.extensions,
+        type: 'about:blank',
+        title: http.STATUS_CODES[httpError.status],
+        status: httpError.status,
+        detail: isServerError && isProduction ? 'Ein interner Fehler ist aufgetreten.' : httpError.message,
+        instance: req.originalUrl,
+        code: httpError.code,
+        requestId: req.id,
+        ...(httpError.errors && { errors: httpError.errors }),
+        ...(isServerError && !isProduction && { stack: err.stack })
+    };
+
+    res.set(httpError.headers ?? {});
+    res.status(httpError.status).type('application/problem+json').json(problem);
+};
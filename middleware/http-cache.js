@@ -0,0 +1,167 @@
+/**
+ * @file HTTP-Caching für lesende Endpunkte: Validatoren, bedingte GETs und ein optionaler Antwort-Cache.
+ * @description
+ * {@link conditionalGet} versieht `200`-Antworten mit Validatoren und beantwortet `If-None-Match` bzw.
+ * `If-Modified-Since` mit `304 Not Modified`, ohne den Body erneut zu senden:
+ *
+ * - `ETag`          : Hash über den JSON-Body; bei einzelnen Ressourcen steht die `version` davor (`"3-…"`),
+ *                     sodass der Tag weiterhin als `If-Match` taugt (siehe `helpers/concurrency.js`)
+ * - `Last-Modified` : der jüngste Zeitstempel, den der Handler in `res.locals.lastModified` meldet
+ *                     (z. B. `updatedAt`, letzte Bewertungsänderung, neuestes Feedback)
+ * - `Cache-Control: no-cache` : Clients dürfen die Antwort speichern, müssen sie aber vor jeder Verwendung prüfen
+ *
+ * Der Hash erfasst auch Änderungen ohne eigenen Zeitstempel (gelöschtes oder moderiertes Feedback); deshalb hat
+ * `If-None-Match` Vorrang vor `If-Modified-Since`.
+ *
+ * Mit `RESPONSE_CACHE_TTL_SECONDS` > 0 werden die Antworten zusätzlich im Prozess zwischengespeichert
+ * (Schlüssel: Pfad samt Query, höchstens `RESPONSE_CACHE_MAX_ENTRIES` Einträge, die ältesten fallen zuerst heraus).
+ * {@link invalidateOnWrite} leert den Cache nach jedem erfolgreichen Schreibzugriff eines Routers. Änderungen
+ * anderer Instanzen oder direkt in der Datenbank (z. B. `npm run repair-ratings`) sind erst nach Ablauf der TTL sichtbar.
+ */
+
+import crypto from 'crypto';
+import { responseCacheLookups } from '../utils/metrics.js';
+
+/** @constant {string[]} SAFE_METHODS - Methoden, die nichts ändern und den Cache daher nicht leeren. */
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Liest eine Ganzzahl ab `min` aus der Umgebung.
+ * @param {string} name - Name der Umgebungsvariable.
+ * @param {number} fallback
+ * @param {number} min
+ * @returns {number}
+ */
+function envInt(name, fallback, min) {
+    const value = Number(process.env[name] ?? fallback);
+    return Number.isInteger(value) && value >= min ? value : fallback;
+}
+
+/**
+ * Gibt die Cache-Konfiguration zurück.
+ * @returns {{ ttlSeconds: number, maxEntries: number }} `ttlSeconds: 0` schaltet den Antwort-Cache ab.
+ */
+export function getResponseCacheConfig() {
+    return {
+        ttlSeconds: envInt('RESPONSE_CACHE_TTL_SECONDS', 0, 0),
+        maxEntries: envInt('RESPONSE_CACHE_MAX_ENTRIES', 500, 1)
+    };
+}
+
+/** @type {Map<string, { body: string, etag: string, lastModified?: string, expiresAt: number }>} */
+const cache = new Map();
+
+/**
+ * Zählt Invalidierungen. Eine Antwort wird nur gespeichert, wenn seit Beginn ihrer Anfrage nicht invalidiert wurde –
+ * sonst könnte ein Lesezugriff, der vor einem Schreibzugriff begonnen hat, veraltete Daten in den Cache legen.
+ */
+let generation = 0;
+
+/**
+ * Verwirft alle zwischengespeicherten Antworten.
+ */
+export function invalidateResponseCache() {
+    generation++;
+    cache.clear();
+}
+
+/**
+ * Ermittelt den jüngsten von mehreren Zeitstempeln.
+ * @param {...(Date|string|undefined|null)} values
+ * @returns {Date|undefined} `undefined`, wenn keiner gesetzt ist.
+ */
+export function latestOf(...values) {
+    const times = values.filter((value) => value !== undefined && value !== null).map((value) => new Date(value).getTime());
+    return times.length > 0 ? new Date(Math.max(...times)) : undefined;
+}
+
+/**
+ * Berechnet den ETag eines Bodys.
+ * @param {string} body - Der serialisierte JSON-Body.
+ * @param {number} [version] - Die Ressourcen-Version, falls die Antwort genau eine Ressource ist.
+ * @returns {string}
+ */
+function computeETag(body, version) {
+    const hash = crypto.createHash('sha1').update(body).digest('base64url').slice(0, 22);
+    return version === undefined ? `"${hash}"` : `"${version}-${hash}"`;
+}
+
+/**
+ * Sendet eine Antwort mit ihren Validatoren oder `304`, wenn der Client sie bereits hat.
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {{ body: string, etag: string, lastModified?: string }} entry
+ */
+function sendWithValidators(req, res, { body, etag, lastModified }) {
+    res.set({ ETag: etag, 'Cache-Control': 'no-cache' });
+    if (lastModified) res.set('Last-Modified', lastModified);
+
+    // `req.fresh` wertet `If-None-Match` und – nur wenn dieser fehlt – `If-Modified-Since` aus.
+    if (req.fresh) {
+        res.status(304).end();
+        return;
+    }
+    res.status(200).type('application/json').send(body);
+}
+
+/**
+ * Middleware für lesende Endpunkte, deren Antwort nicht vom angemeldeten Nutzer abhängt.
+ * Der Handler antwortet wie gewohnt mit `res.json()`; optional setzt er vorher `res.locals.version` und
+ * `res.locals.lastModified`. Nur `200`-Antworten werden mit Validatoren versehen und zwischengespeichert.
+ * @param {express.Request} req - Das Express-Request-Objekt.
+ * @param {express.Response} res - Das Express-Response-Objekt.
+ * @param {express.NextFunction} next - Die Next-Middleware-Funktion.
+ */
+export const conditionalGet = (req, res, next) => {
+    const { ttlSeconds, maxEntries } = getResponseCacheConfig();
+    const key = req.originalUrl;
+
+    if (ttlSeconds > 0) {
+        const cached = cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            responseCacheLookups.inc({ result: 'hit' });
+            return sendWithValidators(req, res, cached);
+        }
+        cache.delete(key);
+        responseCacheLookups.inc({ result: 'miss' });
+    }
+
+    const startGeneration = generation;
+    const json = res.json.bind(res);
+
+    res.json = (payload) => {
+        if (res.statusCode !== 200) return json(payload);
+
+        const body = JSON.stringify(payload);
+        const entry = {
+            body,
+            etag: computeETag(body, res.locals.version),
+            lastModified: res.locals.lastModified?.toUTCString(),
+            expiresAt: Date.now() + ttlSeconds * 1000
+        };
+
+        if (ttlSeconds > 0 && generation === startGeneration) {
+            if (cache.size >= maxEntries) cache.delete(cache.keys().next().value);
+            cache.set(key, entry);
+        }
+        sendWithValidators(req, res, entry);
+        return res;
+    };
+    next();
+};
+
+/**
+ * Middleware, die den Antwort-Cache nach jedem erfolgreichen Schreibzugriff (Status unter 400) leert.
+ * Wird in jedem Router registriert, dessen Schreibzugriffe Ressourcen, Bewertungen oder Feedback ändern.
+ * @param {express.Request} req - Das Express-Request-Objekt.
+ * @param {express.Response} res - Das Express-Response-Objekt.
+ * @param {express.NextFunction} next - Die Next-Middleware-Funktion.
+ */
+export const invalidateOnWrite = (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method)) return next();
+    // `close` kommt auch, wenn der Client die Verbindung vorher abbricht – geschrieben wurde dann womöglich trotzdem.
+    res.on('close', () => {
+        if (res.statusCode < 400) invalidateResponseCache();
+    });
+    next();
+};
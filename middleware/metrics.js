@@ -0,0 +1,48 @@
+import { httpRequestsTotal, httpRequestDuration } from '../utils/metrics.js';
+
+/**
+ * Ermittelt das Routen-Muster einer Anfrage als Label, z. B. `/resources/:id`.
+ * Konkrete IDs landen bewusst nicht im Label, damit die Zahl der Serien begrenzt bleibt;
+ * Anfragen ohne passende Route werden unter `unmatched` gezählt.
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @returns {string}
+ */
+function routeLabel(req, res) {
+    if (!req.route) return 'unmatched';
+    const path = `${res.locals.routeBase ?? req.baseUrl}${req.route.path === '/' ? '' : req.route.path}`;
+    return path || '/';
+}
+
+/**
+ * Middleware, die für jede Anfrage Anzahl und Bearbeitungsdauer nach Methode, Route und Status erfasst
+ * (`http_requests_total`, `http_request_duration_seconds`). Ausgeliefert werden die Werte über `GET /metrics`.
+ * @param {express.Request} req - Das Express-Request-Objekt.
+ * @param {express.Response} res - Das Express-Response-Objekt.
+ * @param {express.NextFunction} next - Die Next-Middleware-Funktion.
+ */
+export const httpMetrics = (req, res, next) => {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        const labels = { method: req.method, route: routeLabel(req, res), status: res.statusCode };
+        httpRequestsTotal.inc(labels);
+        httpRequestDuration.observe(labels, seconds);
+    });
+
+    next();
+};
+
+/**
+ * Merkt sich den Mount-Pfad eines Routers (`req.baseUrl`) für das Routen-Label.
+ * Express setzt `req.baseUrl` zurück, sobald ein Fehler den Router verlässt; ohne diese Markierung würden
+ * Fehlerantworten z. B. unter `/:id` statt `/resources/:id` gezählt. Als erste Middleware eines Routers registrieren.
+ * @param {express.Request} req - Das Express-Request-Objekt.
+ * @param {express.Response} res - Das Express-Response-Objekt.
+ * @param {express.NextFunction} next - Die Next-Middleware-Funktion.
+ */
+export const captureRouteBase = (req, res, next) => {
+    res.locals.routeBase = req.baseUrl;
+    next();
+};
@@ -0,0 +1,100 @@
+/**
+ * @file Rate Limiting pro Nutzer bzw. IP-Adresse.
+ * @description
+ * Angemeldete Nutzer werden über ihre ID gezählt, anonyme Anfragen über die IP-Adresse (`req.ip`; hinter einem
+ * Reverse Proxy `TRUST_PROXY` setzen). Lesende (`GET`, `HEAD`, `OPTIONS`) und schreibende Anfragen haben
+ * getrennte Budgets je Zeitfenster; anonyme Schreibzugriffe (Bewertungen, Feedback) ein eigenes, kleineres:
+ *
+ * - `RATE_LIMIT_WINDOW_SECONDS`   : Länge des Zeitfensters (Standard `60`)
+ * - `RATE_LIMIT_READ`             : Lesezugriffe pro Fenster (Standard `300`)
+ * - `RATE_LIMIT_WRITE`            : Schreibzugriffe angemeldeter Nutzer pro Fenster (Standard `60`)
+ * - `RATE_LIMIT_ANONYMOUS_WRITE`  : Schreibzugriffe pro IP ohne Anmeldung (Standard `10`)
+ * - `RATE_LIMIT_ENABLED=false`    : schaltet das Limit ab (z. B. für Lasttests)
+ *
+ * Jede Antwort trägt `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` (Sekunden bis zum neuen Fenster)
+ * und `RateLimit-Policy`. Ist das Budget erschöpft, folgt `429` mit `Retry-After`.
+ * Die Zähler liegen im Store aus `utils/rate_limit_store.js`; ist er nicht erreichbar, wird die Anfrage zugelassen.
+ */
+
+import { getRateLimitStore } from '../utils/rate_limit_store.js';
+import { TooManyRequestsError } from '../utils/errors.js';
+import { log } from '../utils/log.js';
+
+/** @constant {string[]} SAFE_METHODS - Methoden, die zum Lese-Budget zählen. */
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Liest eine positive Ganzzahl aus der Umgebung.
+ * @param {string} name - Name der Umgebungsvariable.
+ * @param {number} fallback
+ * @returns {number}
+ */
+function envInt(name, fallback) {
+    const value = Number(process.env[name]);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Gibt die Rate-Limit-Konfiguration zurück.
+ * @returns {{ enabled: boolean, windowSeconds: number, read: number, write: number, anonymousWrite: number }}
+ */
+export function getRateLimitConfig() {
+    return {
+        enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+        windowSeconds: envInt('RATE_LIMIT_WINDOW_SECONDS', 60),
+        read: envInt('RATE_LIMIT_READ', 300),
+        write: envInt('RATE_LIMIT_WRITE', 60),
+        anonymousWrite: envInt('RATE_LIMIT_ANONYMOUS_WRITE', 10)
+    };
+}
+
+/**
+ * Ermittelt Budget und Zählerschlüssel einer Anfrage.
+ * @param {express.Request} req
+ * @param {ReturnType<typeof getRateLimitConfig>} config
+ * @returns {{ key: string, limit: number }}
+ */
+function bucketFor(req, config) {
+    const client = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    if (SAFE_METHODS.includes(req.method)) return { key: `read:${client}`, limit: config.read };
+    return { key: `write:${client}`, limit: req.user ? config.write : config.anonymousWrite };
+}
+
+/**
+ * Middleware, die Anfragen je Nutzer bzw. IP und Budget zählt und bei Überschreitung mit `429` ablehnt.
+ * Muss nach `authenticate` registriert werden, damit angemeldete Nutzer an ihrer ID erkannt werden.
+ * @param {express.Request} req - Das Express-Request-Objekt.
+ * @param {express.Response} res - Das Express-Response-Objekt.
+ * @param {express.NextFunction} next - Die Next-Middleware-Funktion.
+ */
+export const rateLimit = async (req, res, next) => {
+    const config = getRateLimitConfig();
+    if (!config.enabled) return next();
+
+    const { key, limit } = bucketFor(req, config);
+
+    let counter;
+    try {
+        counter = await getRateLimitStore().increment(key, config.windowSeconds * 1000);
+    } catch (error) {
+        // Ein ausgefallener Store soll den Dienst nicht lahmlegen.
+        log.warn('rate limit store unavailable, request allowed', { err: error });
+        return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((counter.resetAt - Date.now()) / 1000));
+    res.set({
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(Math.max(0, limit - counter.count)),
+        'RateLimit-Reset': String(resetSeconds),
+        'RateLimit-Policy': `${limit};w=${config.windowSeconds}`
+    });
+
+    if (counter.count > limit) {
+        return next(new TooManyRequestsError(
+            `Zu viele Anfragen. Bitte in ${resetSeconds} Sekunden erneut versuchen.`,
+            { retryAfter: resetSeconds }
+        ));
+    }
+    next();
+};
@@ -0,0 +1,20 @@
+import { randomUUID } from 'crypto';
+import { runWithLogContext } from '../utils/log.js';
+
+/**
+ * Middleware, die jeder Anfrage eine Request-ID zuordnet.
+ * Übernimmt einen vom Client oder Proxy gesetzten `X-Request-Id`-Header oder erzeugt eine neue UUID.
+ * Die ID steht als `req.id` zur Verfügung und wird im `X-Request-Id`-Response-Header zurückgegeben,
+ * damit Fehlerantworten und Logeinträge einander zugeordnet werden können.
+ * Alle Logzeilen, die während der Bearbeitung entstehen, enthalten die ID als `requestId` (siehe `utils/log.js`).
+ * @param {express.Request} req - Das Express-Request-Objekt.
+ * @param {express.Response} res - Das Express-Response-Objekt.
+ * @param {express.NextFunction} next - Die Next-Middleware-Funktion.
+ */
+export const requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    // Nur kurze, unkritische IDs übernehmen, damit kein beliebiger Inhalt in Logs und Header gelangt.
+    req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : randomUUID();
+    res.set('X-Request-Id', req.id);
+    runWithLogContext({ requestId: req.id }, next);
+};
@@ -1,46 +1,272 @@
 /**
- * Validierungs-Middleware für Ressourcen-Daten (Titel, Typ).
- * Stellt sicher, dass 'title' und 'type' im Request-Body vorhanden sind und nicht leer sind.
- * @param {express.Request} req - Das Express-Request-Objekt.
- * @param {express.Response} res - Das Express-Response-Objekt.
- * @param {express.NextFunction} next - Die Next-Middleware-Funktion.
- */
-export const validateResource = (req, res, next) => {
-    const { title, type } = req.body;
-    if (!title || title.trim() === '' || !type || type.trim() === '') {
-        return res.status(400).json({ error: 'Titel und Typ der Ressource sind erforderlich.' });
-    }
-    next();
+ * @file Deklarative Validierung von Request-Bodies.
+ * @description
+ * Jeder Endpunkt beschreibt seine erlaubten Felder als Schema-Objekt (Feldname → Regeln).
+ * `validateBody` erzeugt daraus eine Middleware, die alle Felder prüft, unbekannte Felder ablehnt
+ * und bei Fehlern **einen** `ValidationError` (`400`) mit der vollständigen Liste aller fehlerhaften Felder auslöst.
+ *
+ * Unterstützte Regeln pro Feld:
+ * - `type`      : `'string'`, `'number'`, `'integer'`, `'boolean'` oder `'array'`
+ * - `required`  : Feld muss vorhanden sein (bei Teil-Updates ignoriert)
+ * - `minLength` / `maxLength` : Länge eines Strings (nach `trim()`)
+ * - `min` / `max`             : Wertebereich einer Zahl
+ * - `enum`      : Liste erlaubter Werte
+ * - `items`     : Regeln für jeden Eintrag eines Arrays
+ * - `minItems` / `maxItems` : Mindest- und Höchstzahl an Einträgen eines Arrays
+ */
+
+import { ValidationError } from '../utils/errors.js';
+import { WEBHOOK_EVENTS } from '../helpers/webhooks.js';
+
+/**
+ * @constant {Object} resourceSchema - Felder, die beim Anlegen oder Ändern einer Ressource gesetzt werden dürfen.
+ * `authorId` gehört bewusst nicht dazu: er wird aus dem Token des angemeldeten Nutzers übernommen.
+ * Ob `type` eine bekannte Kategorie ist, prüft anschließend `resolveResourceTaxonomy` (`helpers/taxonomy.js`).
+ */
+export const resourceSchema = {
+    title:       { type: 'string', required: true, minLength: 1, maxLength: 200 },
+    type:        { type: 'string', required: true, minLength: 1, maxLength: 60 },
+    description: { type: 'string', maxLength: 5000 },
+    tags:        { type: 'array', maxItems: 20, items: { type: 'string', minLength: 1, maxLength: 40 } }
+};
+
+/** @constant {Object} categorySchema - Felder einer Kategorie (kontrolliertes Vokabular für `Resource.type`). */
+export const categorySchema = {
+    name:        { type: 'string', required: true, minLength: 1, maxLength: 60 },
+    description: { type: 'string', maxLength: 500 },
+    aliases:     { type: 'array', maxItems: 20, items: { type: 'string', minLength: 1, maxLength: 60 } }
+};
+
+/** @constant {Object} ratingSchema - Felder einer Bewertung (`userId` stammt aus dem Token). */
+export const ratingSchema = {
+    ratingValue: { type: 'integer', required: true, min: 1, max: 5 }
+};
+
+/** @constant {Object} feedbackSchema - Felder eines Feedback-Eintrags (`userId` stammt aus dem Token). */
+export const feedbackSchema = {
+    feedbackText: { type: 'string', required: true, minLength: 1, maxLength: 2000 }
+};
+
+/** @constant {Object} feedbackFlagSchema - Meldung eines Feedback-Eintrags (Body optional). */
+export const feedbackFlagSchema = {
+    reason: { type: 'string', maxLength: 500 }
+};
+
+/** @constant {Object} moderationDecisionSchema - Freigabe oder Ablehnung durch die Moderation (Body optional). */
+export const moderationDecisionSchema = {
+    note: { type: 'string', maxLength: 1000 }
 };
 
 /**
- * Validierungs-Middleware für Bewertungs-Daten (ratingValue).
- * Stellt sicher, dass 'ratingValue' eine Zahl zwischen 1 und 5 ist.
- * @param {express.Request} req - Das Express-Request-Objekt.
- * @param {express.Response} res - Das Express-Response-Objekt.
- * @param {express.NextFunction} next - Die Next-Middleware-Funktion.
+ * @constant {Object} webhookSchema - Ein Webhook-Abonnement. `*` abonniert alle Ereignisse.
+ * Ohne `secret` erzeugt der Dienst eines (siehe `routes/webhooks.js`).
  */
-export const validateRating = (req, res, next) => {
-    const { ratingValue } = req.body;
-    // Prüfen, ob ratingValue eine Zahl ist und im gültigen Bereich liegt
-    if (typeof ratingValue !== 'number' || ratingValue < 1 || ratingValue > 5) {
-        return res.status(400).json({ error: 'Bewertungswert muss eine Zahl zwischen 1 und 5 sein.' });
-    }
-    next();
+export const webhookSchema = {
+    url:         { type: 'string', required: true, minLength: 1, maxLength: 2000 },
+    events:      { type: 'array', required: true, minItems: 1, maxItems: 20, items: { type: 'string', enum: [...WEBHOOK_EVENTS, '*'] } },
+    secret:      { type: 'string', minLength: 16, maxLength: 200 },
+    description: { type: 'string', maxLength: 500 },
+    active:      { type: 'boolean' }
 };
 
+/** @constant {Object} revertSchema - Die Version, auf die eine Ressource zurückgesetzt wird. */
+export const revertSchema = {
+    version: { type: 'integer', required: true, min: 0 }
+};
+
+/**
+ * Prüft einen einzelnen Wert gegen die Regeln eines Feldes.
+ * @param {*} value - Der zu prüfende Wert.
+ * @param {Object} rules - Die Regeln des Feldes aus dem Schema.
+ * @returns {string|null} Die Fehlermeldung oder `null`, wenn der Wert gültig ist.
+ */
+function checkField(value, rules) {
+    switch (rules.type) {
+        case 'string': {
+            if (typeof value !== 'string') return 'muss ein String sein.';
+            const length = value.trim().length;
+            if (rules.minLength !== undefined && length < rules.minLength) {
+                return rules.minLength === 1 ? 'darf nicht leer sein.' : `muss mindestens ${rules.minLength} Zeichen lang sein.`;
+            }
+            if (rules.maxLength !== undefined && length > rules.maxLength) {
+                return `darf höchstens ${rules.maxLength} Zeichen lang sein.`;
+            }
+            break;
+        }
+        case 'number':
+        case 'integer': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'muss eine Zahl sein.';
+            if (rules.type === 'integer' && !Number.isInteger(value)) return 'muss eine Ganzzahl sein.';
+            if (rules.min !== undefined && value < rules.min) return `muss mindestens ${rules.min} sein.`;
+            if (rules.max !== undefined && value > rules.max) return `darf höchstens ${rules.max} sein.`;
+            break;
+        }
+        case 'boolean': {
+            if (typeof value !== 'boolean') return 'muss true oder false sein.';
+            break;
+        }
+        case 'array': {
+            if (!Array.isArray(value)) return 'muss ein Array sein.';
+            if (rules.minItems !== undefined && value.length < rules.minItems) {
+                return `muss mindestens ${rules.minItems} Einträge haben.`;
+            }
+            if (rules.maxItems !== undefined && value.length > rules.maxItems) {
+                return `darf höchstens ${rules.maxItems} Einträge haben.`;
+            }
+            for (const [index, item] of value.entries()) {
+                const message = checkField(item, rules.items);
+                if (message) return `Eintrag ${index + 1} ${message}`;
+            }
+            break;
+        }
+    }
+    if (rules.enum && !rules.enum.includes(value)) {
+        return `muss einer der folgenden Werte sein: ${rules.enum.join(', ')}.`;
+    }
+    return null;
+}
+
 /**
- * Validierungs-Middleware für Feedback-Daten (feedbackText).
- * Stellt sicher, dass 'feedbackText' vorhanden und nicht leer ist.
- * @param {express.Request} req - Das Express-Request-Objekt.
- * @param {express.Response} res - Das Express-Response-Objekt.
- * @param {express.NextFunction} next - Die Next-Middleware-Funktion.
+ * Trimmt Strings, auch als Einträge eines Arrays.
+ * @param {*} value
+ * @returns {*}
  */
-export const validateFeedback = (req, res, next) => {
-    const { feedbackText } = req.body;
-    if (!feedbackText || feedbackText.trim() === '') {
-        return res.status(400).json({ error: 'Feedback-Text ist erforderlich.' });
+function trimValue(value) {
+    if (typeof value === 'string') return value.trim();
+    if (Array.isArray(value)) return value.map(trimValue);
+    return value;
+}
+
+/**
+ * Validiert ein Objekt gegen ein Schema.
+ * @param {Object} schema - Das Schema (Feldname → Regeln).
+ * @param {*} body - Das zu prüfende Objekt (i. d. R. `req.body`).
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Teil-Update: Pflichtfelder dürfen fehlen, aber mindestens ein Feld muss gesetzt sein.
+ * @param {boolean} [options.nullable=false] - `null` entfernt ein optionales Feld (JSON Merge Patch, RFC 7396).
+ *        Der Wert bleibt als `null` im Ergebnis erhalten; für Pflichtfelder ist `null` ein Fehler.
+ * @returns {{ errors: Array<{ field: string, message: string }>, value: Object }}
+ *          Alle gefundenen Fehler und die bereinigten Werte (Strings getrimmt).
+ */
+export function validate(schema, body, { partial = false, nullable = false } = {}) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        return { errors: [{ field: '(body)', message: 'Request-Body muss ein JSON-Objekt sein.' }], value: {} };
+    }
+
+    const errors = [];
+    const value = {};
+
+    for (const field of Object.keys(body)) {
+        if (!Object.hasOwn(schema, field)) {
+            errors.push({ field, message: 'ist kein erlaubtes Feld.' });
+        }
+    }
+
+    for (const [field, rules] of Object.entries(schema)) {
+        const fieldValue = body[field];
+        if (fieldValue === undefined) {
+            if (rules.required && !partial) errors.push({ field, message: 'ist erforderlich.' });
+            continue;
+        }
+        if (fieldValue === null && nullable) {
+            if (rules.required) errors.push({ field, message: 'ist erforderlich und kann nicht entfernt werden.' });
+            else value[field] = null;
+            continue;
+        }
+        const message = checkField(fieldValue, rules);
+        if (message) {
+            errors.push({ field, message });
+            continue;
+        }
+        value[field] = trimValue(fieldValue);
     }
+
+    if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+        errors.push({ field: '(body)', message: 'Keine Daten zum Aktualisieren vorhanden.' });
+    }
+
+    return { errors, value };
+}
+
+/**
+ * Erzeugt eine Validierungs-Middleware für ein Schema.
+ * Bei Erfolg wird `req.body` durch die bereinigten Werte ersetzt, sodass Handler nur noch
+ * erlaubte Felder sehen.
+ * @param {Object} schema - Das Schema (Feldname → Regeln).
+ * @param {Object} [options] - Wird an {@link validate} weitergereicht.
+ * @param {boolean} [options.optional=false] - Ein fehlender Body gilt als leeres Objekt.
+ * @returns {Function} Express-Middleware `(req, res, next)`.
+ *
+ * Bei Fehlern wird ein `ValidationError` an die `errorHandler`-Middleware weitergereicht.
+ *
+ * @example
+ * // Response (400, application/problem+json):
+ * // {
+ * //   "title": "Bad Request",
+ * //   "status": 400,
+ * //   "detail": "Ungültige Anfragedaten.",
+ * //   "code": "VALIDATION_FAILED",
+ * //   "errors": [
+ * //     { "field": "type", "message": "muss einer der folgenden Werte sein: Course, …" },
+ * //     { "field": "_id", "message": "ist kein erlaubtes Feld." }
+ * //   ]
+ * // }
+ */
+export const validateBody = (schema, options) => (req, res, next) => {
+    const body = req.body === undefined && options?.optional ? {} : req.body;
+    const { errors, value } = validate(schema, body, options);
+    if (errors.length > 0) {
+        return next(new ValidationError('Ungültige Anfragedaten.', { errors }));
+    }
+    req.body = value;
     next();
 };
 
+/**
+ * Validierungs-Middleware für das Anlegen (POST) und vollständige Ersetzen (PUT) einer Ressource.
+ * `title` und `type` sind Pflichtfelder; `tags` ist ein optionales Array von Strings.
+ */
+export const validateResource = validateBody(resourceSchema);
+
+/**
+ * Validierungs-Middleware für Teil-Updates einer Ressource (PATCH, JSON Merge Patch).
+ * Alle Felder sind optional, es muss aber mindestens eines gesetzt sein; `null` entfernt ein optionales Feld.
+ */
+export const validateResourcePatch = validateBody(resourceSchema, { partial: true, nullable: true });
+
+/**
+ * Validierungs-Middleware für Bewertungs-Daten.
+ * `ratingValue` muss eine Ganzzahl zwischen 1 und 5 sein.
+ */
+export const validateRating = validateBody(ratingSchema);
+
+/**
+ * Validierungs-Middleware für Feedback-Daten.
+ * `feedbackText` ist Pflicht und darf nicht leer sein.
+ */
+export const validateFeedback = validateBody(feedbackSchema);
+
+/**
+ * Validierungs-Middleware für Meldungen von Feedback (`reason` optional).
+ */
+export const validateFeedbackFlag = validateBody(feedbackFlagSchema, { optional: true });
+
+/**
+ * Validierungs-Middleware für Moderationsentscheidungen (`note` optional).
+ */
+export const validateModerationDecision = validateBody(moderationDecisionSchema, { optional: true });
+
+/**
+ * Validierungs-Middleware für das Anlegen (POST) und vollständige Ersetzen (PUT) einer Kategorie.
+ */
+export const validateCategory = validateBody(categorySchema);
+
+/**
+ * Validierungs-Middleware für das Zurücksetzen einer Ressource auf eine frühere Version.
+ */
+export const validateRevert = validateBody(revertSchema);
+
+/**
+ * Validierungs-Middleware für das Anlegen (POST) und vollständige Ersetzen (PUT) eines Webhooks.
+ */
+export const validateWebhook = validateBody(webhookSchema);
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+const { Schema, Types } = mongoose;
+
+// Eine geänderte Eigenschaft; `null` steht für „nicht gesetzt“.
+const ChangeSchema = new Schema(
+    {
+        field: { type: String, required: true },
+        from: Schema.Types.Mixed,
+        to: Schema.Types.Mixed
+    },
+    { _id: false }
+);
+
+// Änderungshistorie (siehe helpers/audit.js). Einträge werden nur angelegt, nie geändert oder gelöscht.
+const AuditEntrySchema = new Schema(
+    {
+        entity: { type: String, enum: ["resource", "rating", "feedback"], required: true },
+        entityId: { type: Types.ObjectId, required: true },
+        // Die Ressource, zu der der Eintrag gehört (bei Ressourcen gleich entityId).
+        resourceId: { type: Types.ObjectId, ref: "Resource", required: true },
+        operation: { type: String, enum: ["create", "update", "delete", "restore", "revert"], required: true },
+        actorId: { type: String, default: null },
+        requestId: String,
+        timestamp: { type: Date, default: Date.now },
+        // Nur bei Ressourcen: `version` nach der Änderung.
+        version: Number,
+        // Nur bei `revert`: die wiederhergestellte Version.
+        revertedTo: Number,
+        changes: { type: [ChangeSchema], default: [] }
+    },
+    { versionKey: false }
+);
+
+AuditEntrySchema.index({ resourceId: 1, timestamp: -1, _id: -1 });
+AuditEntrySchema.index({ entityId: 1, version: 1 });
+
+export default mongoose.model("AuditEntry", AuditEntrySchema, "audit_log");
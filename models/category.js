@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// Verwaltete Kategorien: kontrolliertes Vokabular für Resource.type (siehe helpers/taxonomy.js).
+const CategorySchema = new mongoose.Schema(
+    {
+        name: { type: String, required: true },
+        // Eindeutiger Schlüssel für die Auflösung von Eingaben wie "course" oder "Video-Series".
+        slug: { type: String, required: true, unique: true },
+        description: String,
+        // Weitere Slugs, die auf diese Kategorie verweisen (z. B. Übersetzungen, Tippfehler, frühere Namen).
+        aliases: { type: [String], index: true, default: [] },
+        createdAt: { type: Date, default: Date.now },
+        updatedAt: Date
+    },
+    { versionKey: false }
+);
+
+export default mongoose.model("Category", CategorySchema, "categories");
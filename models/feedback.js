@@ -7,9 +7,25 @@ const FeedbackSchema = new Schema(
         resourceId: { type: Types.ObjectId, ref: "Resource", index: true, required: true },
         feedbackText: { type: String, required: true },
         userId: String,
-        timestamp: { type: Date, default: Date.now }
+        timestamp: { type: Date, default: Date.now },
+        // Moderation (siehe helpers/feedback_moderation.js). Öffentlich sichtbar ist nur "approved";
+        // Einträge aus der Zeit vor der Moderation haben kein Feld und gelten ebenfalls als freigegeben.
+        status: { type: String, enum: ["pending", "approved", "rejected", "flagged"], default: "approved" },
+        moderationReasons: { type: [{ rule: String, message: String, _id: false }], default: undefined },
+        flags: { type: [{ userId: String, reason: String, timestamp: Date, _id: false }], default: undefined },
+        reviewedBy: String,
+        reviewedAt: Date,
+        moderationNote: String,
+        // Ursprüngliche ID aus data/feedback.json (siehe helpers/legacy_ids.js).
+        legacyId: { type: String, index: { unique: true, sparse: true } }
     },
     { versionKey: false }
 );
 
-export default mongoose.model("Feedback", FeedbackSchema, "feedback");
\ No newline at end of file
+// Textindex für die Suche in Feedback-Texten (GET /resources/search?includeFeedback=true).
+FeedbackSchema.index({ feedbackText: "text" }, { name: "feedback_text" });
+
+// Moderationswarteschlange: älteste offene Einträge zuerst (GET /resources/moderation/feedback).
+FeedbackSchema.index({ status: 1, timestamp: 1 });
+
+export default mongoose.model("Feedback", FeedbackSchema, "feedback");
@@ -8,10 +8,17 @@ const RatingSchema = new Schema(
         resourceId: { type: Types.ObjectId, ref: "Resource",index: true, required: true },
         ratingValue: { type: Number, min:1, max: 5, required: true},
         userId: String,
-        timestamp: { type: Date, default: Date.now }
-
-
+        timestamp: { type: Date, default: Date.now },
+        // Ursprüngliche ID aus data/ratings.json (siehe helpers/legacy_ids.js).
+        legacyId: { type: String, index: { unique: true, sparse: true } }
     },
     { versionKey: false }
 );
+
+// Eine Bewertung pro Nutzer und Ressource. Anonyme Bewertungen (ohne userId) sind davon ausgenommen,
+// siehe ALLOW_ANONYMOUS_RATINGS in helpers/ratings.js.
+RatingSchema.index(
+    { resourceId: 1, userId: 1 },
+    { unique: true, partialFilterExpression: { userId: { $type: "string" } } }
+);
 export default mongoose.model("Rating", RatingSchema, "ratings");
\ No newline at end of file
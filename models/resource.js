@@ -3,13 +3,50 @@ import mongoose from "mongoose";
 const ResourceSchema = new mongoose.Schema(
     {
         title:String,
+        // Kanonischer Name einer Kategorie (siehe models/category.js und helpers/taxonomy.js).
         type:String,
         description:String,
+        // Freie Schlagwörter, klein geschrieben und ohne Duplikate.
+        tags:{ type: [String], default: undefined },
         authorId:String,
         createdAt:Date,
-        updatedAt:Date
+        updatedAt:Date,
+        // Wird bei jedem Update um 1 erhöht und als ETag ausgeliefert (siehe helpers/concurrency.js).
+        version:{ type: Number, default: 0 },
+        // Zusammenfassung der Bewertungen; wird bei jeder Bewertungsänderung mitgeführt (siehe helpers/rating_stats.js).
+        ratingSummary:{
+            count:{ type: Number, default: 0 },
+            sum:{ type: Number, default: 0 },
+            // Anzahl je Sternewert "1" … "5".
+            histogram:{ type: mongoose.Schema.Types.Mixed, default: () => ({ 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }) }
+        },
+        // sum / count, auf zwei Nachkommastellen gerundet; 0 ohne Bewertungen.
+        averageRating:{ type: Number, default: 0 },
+        // Zeitpunkt der letzten Bewertungsänderung (auch Löschung); fließt in Last-Modified ein (siehe middleware/http-cache.js).
+        ratedAt:Date,
+        // Papierkorb: gesetzt, solange die Ressource gelöscht ist (siehe helpers/trash.js).
+        deletedAt:Date,
+        deletedBy:String,
+        // Ursprüngliche ID aus data/resources.json (siehe helpers/legacy_ids.js).
+        legacyId:{ type: String, index: { unique: true, sparse: true } }
     },
     { versionKey: false }
 );
 
+// Textindex für GET /resources/search; Treffer im Titel zählen stärker als in der Beschreibung.
+ResourceSchema.index(
+    { title: "text", description: "text" },
+    { weights: { title: 3, description: 1 }, name: "resource_text" }
+);
+
+// Für die Filter nach Kategorie und Tags sowie GET /resources/facets.
+ResourceSchema.index({ type: 1 });
+ResourceSchema.index({ tags: 1 });
+
+// Für minRating und die Sortierung nach averageRating.
+ResourceSchema.index({ averageRating: 1 });
+
+// Für Papierkorb-Liste und Purge.
+ResourceSchema.index({ deletedAt: 1 }, { sparse: true });
+
 export default mongoose.model("Resource", ResourceSchema, "resources");
\ No newline at end of file
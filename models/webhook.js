@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+// Webhook-Abonnements (siehe helpers/webhooks.js). `secret` signiert die Zustellungen und wird nie ausgeliefert.
+const WebhookSchema = new mongoose.Schema(
+    {
+        url: { type: String, required: true },
+        // Abonnierte Ereignisse, z. B. "resource.created"; "*" steht für alle.
+        events: { type: [String], required: true, index: true },
+        secret: { type: String, required: true },
+        description: String,
+        active: { type: Boolean, default: true },
+        createdBy: String,
+        createdAt: { type: Date, default: Date.now },
+        updatedAt: Date
+    },
+    { versionKey: false }
+);
+
+export default mongoose.model("Webhook", WebhookSchema, "webhooks");
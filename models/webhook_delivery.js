@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+const { Schema, Types } = mongoose;
+
+// Ein Zustellversuch: Zeitpunkt, HTTP-Status der Antwort bzw. Fehlermeldung und Dauer.
+const AttemptSchema = new Schema(
+    {
+        at: { type: Date, required: true },
+        responseStatus: Number,
+        error: String,
+        durationMs: Number
+    },
+    { _id: false }
+);
+
+// Zustellprotokoll: ein Dokument je Ereignis und Webhook, mit allen Versuchen.
+const WebhookDeliverySchema = new Schema(
+    {
+        webhookId: { type: Types.ObjectId, ref: "Webhook", required: true },
+        eventId: { type: String, required: true },
+        event: { type: String, required: true },
+        // Der gesendete JSON-Body; bei jedem Versuch identisch.
+        payload: { type: Schema.Types.Mixed, required: true },
+        status: { type: String, enum: ["pending", "succeeded", "failed"], default: "pending" },
+        attempts: { type: [AttemptSchema], default: [] },
+        nextAttemptAt: Date,
+        createdAt: { type: Date, default: Date.now },
+        completedAt: Date
+    },
+    { versionKey: false }
+);
+
+WebhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+// Offene Zustellungen werden beim Start wieder aufgenommen.
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+export default mongoose.model("WebhookDelivery", WebhookDeliverySchema, "webhook_deliveries");
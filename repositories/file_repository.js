@@ -0,0 +1,620 @@
+/**
+ * @file Repository-Implementierung auf Basis von JSON-Dateien.
+ * @description
+ * Speichert Ressourcen, Bewertungen, Feedback, Kategorien, die Änderungshistorie und Webhooks in `resources.json`,
+ * `ratings.json`, `feedback.json`, `categories.json`, `audit_log.json`, `webhooks.json` und `webhook_deliveries.json` (Verzeichnis `FILE_STORE_DIR`, Standard `data/`). Gelesen und geschrieben wird über `helpers/data_manager.js`:
+ * Schreibvorgänge sind atomar (temporäre Datei + `rename`) und laufen je Datei unter einer prozessinternen Sperre.
+ *
+ * IDs sind Strings im Format der Fixtures (`res-…`, `rate-…`, `feed-…`, `cat-…`, `audit-…`, `hook-…`, `dlv-…`), sodass `data/` direkt genutzt werden kann.
+ * Die Volltextsuche ist eine Annäherung an den MongoDB-Textindex: Suchbegriffe zählen als Wortanfang,
+ * Treffer im Titel dreifach, in der Beschreibung einfach.
+ *
+ * Gedacht für lokale Entwicklung und Tests ohne Datenbank – nicht für mehrere Instanzen auf denselben Dateien.
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { readData, updateData, DATA_DIR } from '../helpers/data_manager.js';
+import { withRatingStats, emptyRatingSummary, summarizeRatings, applyRatingChange, averageOf } from '../helpers/rating_stats.js';
+import { matchesIfMatch } from '../helpers/concurrency.js';
+import { tokenize, countMatches, FEEDBACK_WEIGHT } from '../helpers/search.js';
+import { feedbackStatusOf, PUBLIC_FEEDBACK_STATUS } from '../helpers/feedback_moderation.js';
+import { DEFAULT_CATEGORIES } from '../helpers/taxonomy.js';
+
+const RESOURCES_FILE = 'resources.json';
+const RATINGS_FILE   = 'ratings.json';
+const FEEDBACK_FILE  = 'feedback.json';
+const CATEGORIES_FILE = 'categories.json';
+const AUDIT_FILE      = 'audit_log.json';
+const WEBHOOKS_FILE   = 'webhooks.json';
+const DELIVERIES_FILE = 'webhook_deliveries.json';
+
+/** @constant {Object} TEXT_WEIGHTS - Gewichtung der Felder bei der Suche (wie im Textindex von `Resource`). */
+const TEXT_WEIGHTS = { title: 3, description: 1 };
+
+/**
+ * Vergleicht zwei Werte für eine Sortierung; `undefined`/`null` kommen zuerst (wie in MongoDB).
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Wandelt einen Zeitstempel (Date oder ISO-String) in Millisekunden um.
+ * @param {Date|string|undefined} value
+ * @returns {number|undefined}
+ */
+function toTime(value) {
+  return value === undefined || value === null ? undefined : new Date(value).getTime();
+}
+
+/**
+ * Prüft, ob eine Ressource die exakten Filter der Ressourcenliste erfüllt (ohne `minRating`).
+ * @param {Object} resource
+ * @param {import('../helpers/resource_query.js').ResourceListQuery['filter']} filter
+ * @returns {boolean}
+ */
+function matchesFilter(resource, filter) {
+  const from = toTime(filter.createdFrom);
+  const to = toTime(filter.createdTo);
+  return !resource.deletedAt
+    && (!filter.type || resource.type === filter.type)
+    && (!filter.types || filter.types.includes(resource.type))
+    && (!filter.tags || filter.tags.every((tag) => resource.tags?.includes(tag)))
+    && (!filter.authorId || resource.authorId === filter.authorId)
+    && (from === undefined || toTime(resource.createdAt) >= from)
+    && (to === undefined || toTime(resource.createdAt) <= to);
+}
+
+/**
+ * Zählt Ressourcen nach den Werten eines Feldes (häufigste zuerst, bei Gleichstand alphabetisch).
+ * @param {Object[]} resources
+ * @param {string} field - `type`, `tags` oder `authorId`.
+ * @param {number} limit - Höchstzahl der Werte.
+ * @returns {Array<{ value: string, count: number }>}
+ */
+function countValues(resources, field, limit) {
+  const counts = new Map();
+  for (const resource of resources) {
+    for (const value of [resource[field]].flat()) {
+      if (value === undefined || value === null || value === '') continue;
+      counts.set(value, (counts.get(value) ?? 0) + 1);
+    }
+  }
+  return [...counts]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || compareValues(a.value, b.value))
+    .slice(0, limit);
+}
+
+/**
+ * Erzeugt das Datei-Repository.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Verzeichnis der JSON-Dateien (Standard `FILE_STORE_DIR` bzw. `data/`).
+ * @returns {import('./index.js').Repository}
+ */
+export function createFileRepository({ dir = process.env.FILE_STORE_DIR || DATA_DIR } = {}) {
+  const read = (fileName) => readData(fileName, dir);
+  const update = (fileName, mutator) => updateData(fileName, mutator, dir);
+
+  /**
+   * Ändert die Bewertungen und führt die Bewertungsstatistik der Ressource im selben kritischen Abschnitt nach.
+   * Beide Dateien bleiben gesperrt, bis beide geschrieben sind (immer erst `resources.json`, dann `ratings.json`,
+   * damit sich gleichzeitige Aufrufe nicht gegenseitig blockieren). Die Bewertungen werden zuerst geschrieben;
+   * scheitert das, bleibt auch die Statistik unverändert.
+   * @template T
+   * @param {string} resourceId
+   * @param {(ratings: Array<Object>) => { result: T, change?: { from?: number|null, to?: number|null } }} mutator
+   *        Ändert die Bewertungen direkt und liefert das Ergebnis samt der Änderung für die Statistik.
+   * @returns {Promise<T>}
+   */
+  function updateRatings(resourceId, mutator) {
+    return update(RESOURCES_FILE, async (resources) => {
+      const { result, change } = await update(RATINGS_FILE, mutator);
+      const resource = resources.find((r) => r.id === resourceId);
+      if (resource && change && (change.from ?? null) !== (change.to ?? null)) {
+        resource.ratingSummary = applyRatingChange(resource.ratingSummary, change);
+        resource.averageRating = averageOf(resource.ratingSummary);
+        resource.ratedAt = new Date();
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Sucht eine aktive oder gelöschte Ressource.
+   * @param {string} id
+   * @param {boolean} deleted - `true` für den Papierkorb.
+   * @returns {Promise<Object|null>}
+   */
+  async function findResource(id, deleted) {
+    const resource = (await read(RESOURCES_FILE)).find((r) => r.id === id);
+    return resource && Boolean(resource.deletedAt) === deleted ? withRatingStats(resource) : null;
+  }
+
+  /**
+   * Ändert einen Eintrag einer Datei, der zu `match` passt.
+   * @param {string} fileName
+   * @param {(doc: Object) => boolean} match
+   * @param {(doc: Object) => void} apply - Ändert den Eintrag direkt.
+   * @returns {Promise<Object|null>} Der geänderte Eintrag oder `null`.
+   */
+  function updateOne(fileName, match, apply) {
+    return update(fileName, (docs) => {
+      const doc = docs.find(match);
+      if (!doc) return null;
+      apply(doc);
+      return { ...doc };
+    });
+  }
+
+  /**
+   * Entfernt einen Eintrag einer Datei, der zu `match` passt.
+   * @param {string} fileName
+   * @param {(doc: Object) => boolean} match
+   * @returns {Promise<boolean>} `true`, wenn ein Eintrag entfernt wurde.
+   */
+  function deleteOne(fileName, match) {
+    return update(fileName, (docs) => {
+      const index = docs.findIndex(match);
+      if (index === -1) return false;
+      docs.splice(index, 1);
+      return true;
+    });
+  }
+
+  return {
+    backend: 'file',
+
+    async connect() {
+      await fsp.mkdir(dir, { recursive: true });
+      for (const fileName of [RESOURCES_FILE, RATINGS_FILE, FEEDBACK_FILE, AUDIT_FILE, WEBHOOKS_FILE, DELIVERIES_FILE]) {
+        if (!fs.existsSync(path.join(dir, fileName))) await update(fileName, () => {});
+      }
+      await update(CATEGORIES_FILE, (categories) => {
+        if (categories.length > 0) return;
+        const createdAt = new Date();
+        categories.push(...DEFAULT_CATEGORIES.map((category) => ({ id: `cat-${uuidv4()}`, ...category, createdAt })));
+      });
+    },
+
+    async close() {},
+
+    async health() {
+      try {
+        await fsp.access(dir, fs.constants.R_OK | fs.constants.W_OK);
+        return { ready: true, details: { dir } };
+      } catch (error) {
+        return { ready: false, details: { dir, error: error.message } };
+      }
+    },
+
+    // Die IDs der Fixtures werden unverändert übernommen; es gibt nichts umzuschreiben.
+    async resolveLegacyId() {
+      return null;
+    },
+
+    resources: {
+      async list({ filter, minRating, sort, page, limit }) {
+        let resources = (await read(RESOURCES_FILE)).filter((r) => matchesFilter(r, filter)).map(withRatingStats);
+        if (minRating !== null) resources = resources.filter((r) => r.averageRating >= minRating);
+
+        const sortValue = {
+          title: (r) => r.title,
+          createdAt: (r) => toTime(r.createdAt),
+          averageRating: (r) => r.averageRating,
+          ratingScore: (r) => r.ratingStats.score
+        }[sort.field];
+        const direction = sort.descending ? -1 : 1;
+        resources.sort((a, b) => direction * compareValues(sortValue(a), sortValue(b)) || compareValues(a.id, b.id));
+
+        return { data: resources.slice((page - 1) * limit, page * limit), total: resources.length };
+      },
+
+      async search(q, { includeFeedback = false, limit = 20 } = {}) {
+        const terms = tokenize(q);
+        const hits = new Map();
+
+        const resources = (await read(RESOURCES_FILE)).filter((r) => !r.deletedAt);
+        for (const resource of resources) {
+          const score = Object.entries(TEXT_WEIGHTS)
+            .reduce((total, [field, weight]) => total + weight * countMatches(resource[field], terms), 0);
+          hits.set(resource.id, { resource: withRatingStats(resource), score, feedback: [] });
+        }
+
+        if (includeFeedback) {
+          for (const fb of await read(FEEDBACK_FILE)) {
+            const hit = hits.get(fb.resourceId);
+            const score = countMatches(fb.feedbackText, terms);
+            if (!hit || score === 0) continue; // Kein Treffer oder Ressource gelöscht
+            if (feedbackStatusOf(fb) !== PUBLIC_FEEDBACK_STATUS) continue;
+            hit.score += score * FEEDBACK_WEIGHT;
+            hit.feedback.push(fb);
+          }
+        }
+
+        return [...hits.values()]
+          .filter((hit) => hit.score > 0)
+          .sort((a, b) => b.score - a.score)
+          .slice(0, limit);
+      },
+
+      async facets({ filter, minRating }, { limit }) {
+        let resources = (await read(RESOURCES_FILE)).filter((r) => matchesFilter(r, filter));
+        if (minRating !== null) resources = resources.filter((r) => (r.averageRating ?? 0) >= minRating);
+
+        return {
+          total: resources.length,
+          type: countValues(resources, 'type', limit),
+          tags: countValues(resources, 'tags', limit),
+          authorId: countValues(resources, 'authorId', limit)
+        };
+      },
+
+      findActive(id) {
+        return findResource(id, false);
+      },
+
+      findDeleted(id) {
+        return findResource(id, true);
+      },
+
+      async ratingStats(id) {
+        const resource = (await read(RESOURCES_FILE)).find((r) => r.id === id);
+        if (!resource) return null;
+        const { averageRating, ratingStats } = withRatingStats(resource);
+        return { averageRating, ratingStats };
+      },
+
+      async repairRatingStats({ dryRun = false } = {}) {
+        const valuesByResource = new Map();
+        for (const rating of await read(RATINGS_FILE)) {
+          if (!valuesByResource.has(rating.resourceId)) valuesByResource.set(rating.resourceId, []);
+          valuesByResource.get(rating.resourceId).push(rating.ratingValue);
+        }
+
+        const repair = (resources) => {
+          const drifted = [];
+          for (const resource of resources) {
+            const summary = summarizeRatings(valuesByResource.get(resource.id) ?? []);
+            const averageRating = averageOf(summary);
+            if (JSON.stringify(resource.ratingSummary) === JSON.stringify(summary) && resource.averageRating === averageRating) continue;
+
+            drifted.push({ id: resource.id, stored: resource.ratingSummary ?? null, actual: summary });
+            if (!dryRun) Object.assign(resource, { ratingSummary: summary, averageRating });
+          }
+          return { checked: resources.length, drifted };
+        };
+
+        return dryRun ? repair(await read(RESOURCES_FILE)) : update(RESOURCES_FILE, repair);
+      },
+
+      async create(data) {
+        const resource = { id: `res-${uuidv4()}`, ...data, version: 0, ratingSummary: emptyRatingSummary(), averageRating: 0 };
+        await update(RESOURCES_FILE, (resources) => { resources.push(resource); });
+        return withRatingStats(resource);
+      },
+
+      async createMany(docs) {
+        const created = docs.map((data) => ({
+          id: `res-${uuidv4()}`, ...data, version: 0, ratingSummary: emptyRatingSummary(), averageRating: 0
+        }));
+        await update(RESOURCES_FILE, (resources) => { resources.push(...created); });
+        return created.map(withRatingStats);
+      },
+
+      updateIfMatch(id, precondition, { set = {}, unset = [] }) {
+        return update(RESOURCES_FILE, (resources) => {
+          const resource = resources.find((r) => r.id === id && !r.deletedAt);
+          if (!resource) return { status: 'not_found' };
+          if (!matchesIfMatch(precondition, resource.version)) {
+            return { status: 'precondition_failed', resource: withRatingStats({ ...resource }) };
+          }
+
+          Object.assign(resource, set);
+          for (const field of unset) delete resource[field];
+          resource.version = (resource.version ?? 0) + 1;
+          return { status: 'ok', resource: withRatingStats({ ...resource }) };
+        });
+      },
+
+      async countByType(type) {
+        return (await read(RESOURCES_FILE)).filter((r) => r.type === type).length;
+      },
+
+      renameType(from, to) {
+        return update(RESOURCES_FILE, (resources) => {
+          const updatedAt = new Date();
+          return resources.filter((r) => r.type === from).map((resource) => {
+            const before = withRatingStats({ ...resource });
+            Object.assign(resource, { type: to, updatedAt, version: (resource.version ?? 0) + 1 });
+            return { before, after: withRatingStats({ ...resource }) };
+          });
+        });
+      },
+
+      async softDelete(id, userId) {
+        return withRatingStats(await updateOne(RESOURCES_FILE, (r) => r.id === id && !r.deletedAt, (resource) => {
+          resource.deletedAt = new Date();
+          resource.deletedBy = userId;
+          resource.version = (resource.version ?? 0) + 1;
+        }));
+      },
+
+      async restore(id) {
+        return withRatingStats(await updateOne(RESOURCES_FILE, (r) => r.id === id && r.deletedAt, (resource) => {
+          delete resource.deletedAt;
+          delete resource.deletedBy;
+          resource.version = (resource.version ?? 0) + 1;
+        }));
+      },
+
+      async listTrash({ authorId, page, limit }) {
+        const trashed = (await read(RESOURCES_FILE))
+          .filter((r) => r.deletedAt && (!authorId || r.authorId === authorId))
+          .sort((a, b) => compareValues(toTime(b.deletedAt), toTime(a.deletedAt)) || compareValues(a.id, b.id));
+        return { data: trashed.slice((page - 1) * limit, page * limit).map(withRatingStats), total: trashed.length };
+      },
+
+      async purgeDeleted(cutoff) {
+        const purgedIds = await update(RESOURCES_FILE, (resources) => {
+          const expired = resources.filter((r) => r.deletedAt && toTime(r.deletedAt) <= cutoff.getTime());
+          const ids = new Set(expired.map((r) => r.id));
+          resources.splice(0, resources.length, ...resources.filter((r) => !ids.has(r.id)));
+          return ids;
+        });
+
+        const removeFrom = (fileName) => update(fileName, (docs) => {
+          const kept = docs.filter((doc) => !purgedIds.has(doc.resourceId));
+          const removed = docs.length - kept.length;
+          docs.splice(0, docs.length, ...kept);
+          return removed;
+        });
+
+        return {
+          resources: purgedIds.size,
+          ratings: await removeFrom(RATINGS_FILE),
+          feedback: await removeFrom(FEEDBACK_FILE)
+        };
+      }
+    },
+
+    ratings: {
+      async upsert({ resourceId, userId, ratingValue }) {
+        return updateRatings(resourceId, (ratings) => {
+          const timestamp = new Date();
+          const existing = userId && ratings.find((r) => r.resourceId === resourceId && r.userId === userId);
+          if (existing) {
+            const previous = { ...existing };
+            Object.assign(existing, { ratingValue, timestamp });
+            return { result: { rating: { ...existing }, created: false, previous }, change: { from: previous.ratingValue, to: ratingValue } };
+          }
+
+          const rating = { id: `rate-${uuidv4()}`, resourceId, ratingValue, ...(userId && { userId }), timestamp };
+          ratings.push(rating);
+          return { result: { rating: { ...rating }, created: true, previous: null }, change: { to: ratingValue } };
+        });
+      },
+
+      async list(resourceId) {
+        return (await read(RATINGS_FILE))
+          .filter((r) => r.resourceId === resourceId)
+          .sort((a, b) => compareValues(toTime(a.timestamp), toTime(b.timestamp)) || compareValues(a.id, b.id));
+      },
+
+      async findById(resourceId, ratingId) {
+        return (await read(RATINGS_FILE)).find((r) => r.id === ratingId && r.resourceId === resourceId) ?? null;
+      },
+
+      async update(resourceId, ratingId, { ratingValue }) {
+        return updateRatings(resourceId, (ratings) => {
+          const rating = ratings.find((r) => r.id === ratingId && r.resourceId === resourceId);
+          if (!rating) return { result: null };
+          const from = rating.ratingValue;
+          Object.assign(rating, { ratingValue, timestamp: new Date() });
+          return { result: { ...rating }, change: { from, to: ratingValue } };
+        });
+      },
+
+      async delete(resourceId, ratingId) {
+        return updateRatings(resourceId, (ratings) => {
+          const index = ratings.findIndex((r) => r.id === ratingId && r.resourceId === resourceId);
+          if (index === -1) return { result: false };
+          const [deleted] = ratings.splice(index, 1);
+          return { result: true, change: { from: deleted.ratingValue } };
+        });
+      }
+    },
+
+    feedback: {
+      async create({ resourceId, feedbackText, userId, status, moderationReasons }) {
+        const feedback = {
+          id: `feed-${uuidv4()}`,
+          resourceId,
+          feedbackText,
+          ...(userId && { userId }),
+          timestamp: new Date(),
+          status,
+          ...(moderationReasons.length > 0 && { moderationReasons })
+        };
+        await update(FEEDBACK_FILE, (entries) => { entries.push(feedback); });
+        return feedback;
+      },
+
+      async list(resourceId, { descending = true, skip = 0, limit, statuses } = {}) {
+        const direction = descending ? -1 : 1;
+        const entries = (await read(FEEDBACK_FILE))
+          .filter((fb) => fb.resourceId === resourceId && (!statuses || statuses.includes(feedbackStatusOf(fb))))
+          .sort((a, b) => direction * (compareValues(toTime(a.timestamp), toTime(b.timestamp)) || compareValues(a.id, b.id)));
+        const end = limit === undefined ? undefined : skip + limit;
+        return { data: entries.slice(skip, end), total: entries.length };
+      },
+
+      async findById(resourceId, feedbackId) {
+        return (await read(FEEDBACK_FILE)).find((fb) => fb.id === feedbackId && fb.resourceId === resourceId) ?? null;
+      },
+
+      update(resourceId, feedbackId, { feedbackText, status, moderationReasons }) {
+        return updateOne(FEEDBACK_FILE, (fb) => fb.id === feedbackId && fb.resourceId === resourceId, (feedback) => {
+          Object.assign(feedback, { feedbackText, status, timestamp: new Date() });
+          if (moderationReasons.length > 0) feedback.moderationReasons = moderationReasons;
+          else delete feedback.moderationReasons;
+        });
+      },
+
+      delete(resourceId, feedbackId) {
+        return deleteOne(FEEDBACK_FILE, (fb) => fb.id === feedbackId && fb.resourceId === resourceId);
+      },
+
+      flag(resourceId, feedbackId, { userId, reason, threshold }) {
+        return update(FEEDBACK_FILE, (entries) => {
+          const feedback = entries.find((fb) => fb.id === feedbackId && fb.resourceId === resourceId);
+          if (!feedback) return null;
+
+          feedback.flags ??= [];
+          if (feedback.flags.some((flag) => flag.userId === userId)) return { feedback: { ...feedback }, added: false };
+
+          feedback.flags.push({ userId, ...(reason && { reason }), timestamp: new Date() });
+          if (feedback.flags.length >= threshold && feedbackStatusOf(feedback) === PUBLIC_FEEDBACK_STATUS) {
+            feedback.status = 'flagged';
+          }
+          return { feedback: { ...feedback }, added: true };
+        });
+      },
+
+      review(resourceId, feedbackId, { status, reviewedBy, note }) {
+        return updateOne(FEEDBACK_FILE, (fb) => fb.id === feedbackId && fb.resourceId === resourceId, (feedback) => {
+          Object.assign(feedback, { status, reviewedBy, reviewedAt: new Date() });
+          if (note) feedback.moderationNote = note;
+          else delete feedback.moderationNote;
+          if (status === PUBLIC_FEEDBACK_STATUS) delete feedback.flags;
+        });
+      },
+
+      async listQueue({ statuses, page, limit }) {
+        const queued = (await read(FEEDBACK_FILE))
+          .filter((fb) => statuses.includes(feedbackStatusOf(fb)))
+          .sort((a, b) => compareValues(toTime(a.timestamp), toTime(b.timestamp)) || compareValues(a.id, b.id));
+        return { data: queued.slice((page - 1) * limit, page * limit), total: queued.length };
+      }
+    },
+
+    categories: {
+      async list() {
+        return (await read(CATEGORIES_FILE)).sort((a, b) => compareValues(a.name, b.name) || compareValues(a.id, b.id));
+      },
+
+      async findById(id) {
+        return (await read(CATEGORIES_FILE)).find((c) => c.id === id) ?? null;
+      },
+
+      async findBySlug(slug) {
+        return (await read(CATEGORIES_FILE)).find((c) => c.slug === slug || c.aliases?.includes(slug)) ?? null;
+      },
+
+      async create(data) {
+        const category = { id: `cat-${uuidv4()}`, ...data, createdAt: new Date() };
+        await update(CATEGORIES_FILE, (categories) => { categories.push(category); });
+        return category;
+      },
+
+      update(id, { name, slug, description, aliases }) {
+        return updateOne(CATEGORIES_FILE, (c) => c.id === id, (category) => {
+          Object.assign(category, { name, slug, aliases, updatedAt: new Date() });
+          if (description !== undefined) category.description = description;
+          else delete category.description;
+        });
+      },
+
+      delete(id) {
+        return deleteOne(CATEGORIES_FILE, (c) => c.id === id);
+      }
+    },
+
+    audit: {
+      async append(entries) {
+        await update(AUDIT_FILE, (log) => {
+          log.push(...entries.map((entry) => ({ id: `audit-${uuidv4()}`, ...entry })));
+        });
+      },
+
+      // Die Datei wird nur angehängt; die umgekehrte Reihenfolge ist „neueste zuerst“.
+      async list(resourceId, { entity, page, limit }) {
+        const entries = (await read(AUDIT_FILE))
+          .filter((entry) => entry.resourceId === resourceId && (!entity || entry.entity === entity))
+          .reverse();
+        return { data: entries.slice((page - 1) * limit, page * limit), total: entries.length };
+      },
+
+      async resourceVersions(resourceId, afterVersion) {
+        return (await read(AUDIT_FILE))
+          .filter((entry) => entry.entity === 'resource' && entry.entityId === resourceId && entry.version > afterVersion)
+          .sort((a, b) => a.version - b.version);
+      }
+    },
+
+    webhooks: {
+      async list() {
+        return (await read(WEBHOOKS_FILE)).sort((a, b) => compareValues(toTime(a.createdAt), toTime(b.createdAt)) || compareValues(a.id, b.id));
+      },
+
+      async findById(id) {
+        return (await read(WEBHOOKS_FILE)).find((w) => w.id === id) ?? null;
+      },
+
+      async listForEvent(event) {
+        return (await read(WEBHOOKS_FILE)).filter((w) => w.active !== false && (w.events.includes(event) || w.events.includes('*')));
+      },
+
+      async create(data) {
+        const webhook = { id: `hook-${uuidv4()}`, ...data, createdAt: new Date() };
+        await update(WEBHOOKS_FILE, (webhooks) => { webhooks.push(webhook); });
+        return webhook;
+      },
+
+      update(id, { url, events, secret, description, active }) {
+        return updateOne(WEBHOOKS_FILE, (w) => w.id === id, (webhook) => {
+          Object.assign(webhook, { url, events, secret, active, updatedAt: new Date() });
+          if (description !== undefined) webhook.description = description;
+          else delete webhook.description;
+        });
+      },
+
+      delete(id) {
+        return deleteOne(WEBHOOKS_FILE, (w) => w.id === id);
+      }
+    },
+
+    webhookDeliveries: {
+      async create(data) {
+        const delivery = { id: `dlv-${uuidv4()}`, ...data };
+        await update(DELIVERIES_FILE, (deliveries) => { deliveries.push(delivery); });
+        return { ...delivery };
+      },
+
+      update(id, changes) {
+        return updateOne(DELIVERIES_FILE, (d) => d.id === id, (delivery) => { Object.assign(delivery, changes); });
+      },
+
+      // Die Datei wird nur angehängt; die umgekehrte Reihenfolge ist „neueste zuerst“.
+      async list(webhookId, { page, limit }) {
+        const deliveries = (await read(DELIVERIES_FILE)).filter((d) => d.webhookId === webhookId).reverse();
+        return { data: deliveries.slice((page - 1) * limit, page * limit), total: deliveries.length };
+      },
+
+      async listPending() {
+        return (await read(DELIVERIES_FILE))
+          .filter((d) => d.status === 'pending')
+          .sort((a, b) => compareValues(toTime(a.nextAttemptAt), toTime(b.nextAttemptAt)) || compareValues(a.id, b.id));
+      }
+    }
+  };
+}
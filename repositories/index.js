@@ -0,0 +1,158 @@
+/**
+ * @file Auswahl und Registrierung des Speicher-Backends.
+ * @description
+ * Router und Helfer greifen nicht direkt auf MongoDB oder Dateien zu, sondern über ein Repository
+ * mit den Bereichen `resources`, `ratings`, `feedback`, `categories`, `audit`, `webhooks` und `webhookDeliveries`. Es gibt zwei Implementierungen:
+ *
+ * - `mongo` (Standard): Mongoose-Modelle in `models/`, siehe `mongo_repository.js`
+ * - `file`            : JSON-Dateien über `helpers/data_manager.js`, siehe `file_repository.js`
+ *
+ * Das Backend wird über `STORAGE_BACKEND` gewählt. Der Dateispeicher braucht keine Datenbank und eignet sich
+ * für lokale Entwicklung und Tests.
+ *
+ * Alle Methoden nehmen IDs als Strings entgegen und liefern Objekte im Client-Format (`id` statt `_id`).
+ * Ressourcen tragen dabei `averageRating` und `ratingStats` aus der gespeicherten Bewertungsstatistik
+ * (siehe `helpers/rating_stats.js`); die Methoden von `ratings` führen diese bei jeder Änderung nach.
+ * Ungültige IDs führen je nach Backend zu einem `ValidationError` (`INVALID_ID`) oder zu „nicht gefunden“.
+ */
+
+/**
+ * @typedef {Object} Repository
+ * @property {'mongo'|'file'} backend - Name des Backends.
+ * @property {() => Promise<void>} connect - Stellt die Verbindung her bzw. legt fehlende Dateien an;
+ *           ohne Kategorien werden die Standardkategorien angelegt.
+ * @property {() => Promise<void>} close - Beendet die Verbindung.
+ * @property {() => Promise<{ ready: boolean, details: Object }>} health
+ *           Prüft, ob das Backend Anfragen bedienen kann (MongoDB: Verbindungsstatus und `ping`; Dateien: Zugriffsrechte).
+ * @property {(kind: 'resource'|'rating'|'feedback', value: string) => Promise<string|null>} resolveLegacyId
+ *           Liefert die aktuelle ID zu einer Legacy-ID aus den JSON-Fixtures oder `null`.
+ * @property {Object} resources
+ * @property {(query: import('../helpers/resource_query.js').ResourceListQuery) => Promise<{ data: Object[], total: number }>} resources.list
+ *           Seite der nicht gelöschten Ressourcen mit `averageRating` und `ratingStats`.
+ * @property {(q: string, options: { includeFeedback: boolean, limit: number }) => Promise<Array<{ resource: Object, score: number, feedback: Object[] }>>} resources.search
+ *           Treffer der Volltextsuche, absteigend nach `score`.
+ * @property {(query: import('../helpers/resource_query.js').ResourceListQuery, options: { limit: number }) => Promise<{ total: number, type: Object[], tags: Object[], authorId: Object[] }>} resources.facets
+ *           Anzahl passender Ressourcen je `type`, Tag und `authorId` als `{ value, count }`, häufigste zuerst.
+ * @property {(id: string) => Promise<Object|null>} resources.findActive - Ressource außerhalb des Papierkorbs.
+ * @property {(id: string) => Promise<Object|null>} resources.findDeleted - Ressource im Papierkorb.
+ * @property {(id: string) => Promise<{ averageRating: number, ratingStats: Object }|null>} resources.ratingStats
+ *           Die gespeicherte Bewertungsstatistik einer Ressource (auch im Papierkorb).
+ * @property {(options?: { dryRun?: boolean }) => Promise<{ checked: number, drifted: Array<{ id: string, stored: Object|null, actual: Object }> }>} resources.repairRatingStats
+ *           Berechnet die Statistik aller Ressourcen aus den Bewertungen neu und korrigiert Abweichungen
+ *           (mit `dryRun` nur melden).
+ * @property {(data: Object) => Promise<Object>} resources.create - Legt eine Ressource mit `version: 0` an.
+ * @property {(docs: Object[]) => Promise<Object[]>} resources.createMany - Legt mehrere Ressourcen in einem Schritt an.
+ * @property {(id: string, precondition: null|'*'|number[], update: { set?: Object, unset?: string[] }) => Promise<{ status: 'ok'|'not_found'|'precondition_failed', resource?: Object }>} resources.updateIfMatch
+ *           Bedingtes Update einer aktiven Ressource; erhöht `version`.
+ * @property {(type: string) => Promise<number>} resources.countByType - Ressourcen mit diesem `type`, auch im Papierkorb.
+ * @property {(from: string, to: string) => Promise<Array<{ before: Object, after: Object }>>} resources.renameType
+ *           Setzt `type` aller Ressourcen (auch im Papierkorb) von `from` auf `to`; erhöht `version`.
+ *           Liefert je geänderter Ressource den Stand davor und danach.
+ * @property {(id: string, userId: string) => Promise<Object|null>} resources.softDelete
+ * @property {(id: string) => Promise<Object|null>} resources.restore
+ * @property {(options: { authorId?: string, page: number, limit: number }) => Promise<{ data: Object[], total: number }>} resources.listTrash
+ * @property {(cutoff: Date) => Promise<{ resources: number, ratings: number, feedback: number }>} resources.purgeDeleted
+ * @property {Object} ratings
+ * @property {(params: { resourceId: string, userId?: string, ratingValue: number }) => Promise<{ rating: Object, created: boolean, previous: Object|null }>} ratings.upsert
+ *           Legt die Bewertung des Nutzers an oder überschreibt sie; `previous` ist der Stand davor.
+ * @property {(resourceId: string) => Promise<Object[]>} ratings.list - Alle Bewertungen einer Ressource, älteste zuerst.
+ * @property {(resourceId: string, ratingId: string) => Promise<Object|null>} ratings.findById
+ * @property {(resourceId: string, ratingId: string, changes: { ratingValue: number }) => Promise<Object|null>} ratings.update
+ * @property {(resourceId: string, ratingId: string) => Promise<boolean>} ratings.delete
+ * @property {Object} feedback
+ * @property {(data: { resourceId: string, feedbackText: string, userId?: string, status: string, moderationReasons: Object[] }) => Promise<Object>} feedback.create
+ * @property {(resourceId: string, options: { descending?: boolean, skip?: number, limit?: number, statuses?: string[] }) => Promise<{ data: Object[], total: number }>} feedback.list
+ *           Feedback einer Ressource nach `timestamp`; ohne `limit` alle Einträge, ohne `statuses` jeder Status
+ *           (Einträge ohne `status` zählen als `approved`).
+ * @property {(resourceId: string, feedbackId: string) => Promise<Object|null>} feedback.findById
+ * @property {(resourceId: string, feedbackId: string, changes: { feedbackText: string, status: string, moderationReasons: Object[] }) => Promise<Object|null>} feedback.update
+ * @property {(resourceId: string, feedbackId: string) => Promise<boolean>} feedback.delete
+ * @property {(resourceId: string, feedbackId: string, flag: { userId: string, reason?: string, threshold: number }) => Promise<{ feedback: Object, added: boolean }|null>} feedback.flag
+ *           Meldet einen Eintrag (einmal pro Nutzer); ab `threshold` Meldungen wird ein freigegebener Eintrag `flagged`.
+ * @property {(resourceId: string, feedbackId: string, review: { status: 'approved'|'rejected', reviewedBy: string, note?: string }) => Promise<Object|null>} feedback.review
+ *           Moderationsentscheidung; eine Freigabe verwirft die bisherigen Meldungen.
+ * @property {(options: { statuses: string[], page: number, limit: number }) => Promise<{ data: Object[], total: number }>} feedback.listQueue
+ *           Feedback aller Ressourcen mit einem der `statuses`, älteste zuerst.
+ * @property {Object} categories
+ * @property {() => Promise<Object[]>} categories.list - Alle Kategorien, nach Namen sortiert.
+ * @property {(id: string) => Promise<Object|null>} categories.findById
+ * @property {(slug: string) => Promise<Object|null>} categories.findBySlug - Kategorie mit diesem Slug oder Alias.
+ * @property {(data: { name: string, slug: string, description?: string, aliases: string[] }) => Promise<Object>} categories.create
+ * @property {(id: string, data: { name: string, slug: string, description?: string, aliases: string[] }) => Promise<Object|null>} categories.update
+ *           Ersetzt die Kategorie vollständig; ein fehlendes `description` wird entfernt.
+ * @property {(id: string) => Promise<boolean>} categories.delete
+ * @property {Object} audit - Änderungshistorie (siehe `helpers/audit.js`); Einträge werden nur angehängt.
+ * @property {(entries: Object[]) => Promise<void>} audit.append
+ * @property {(resourceId: string, options: { entity?: string, page: number, limit: number }) => Promise<{ data: Object[], total: number }>} audit.list
+ *           Einträge einer Ressource samt ihrer Bewertungen und ihres Feedbacks, neueste zuerst.
+ * @property {(resourceId: string, afterVersion: number) => Promise<Object[]>} audit.resourceVersions
+ *           Einträge der Ressource selbst mit `version` größer als `afterVersion`, aufsteigend.
+ * @property {Object} webhooks - Webhook-Abonnements (siehe `helpers/webhooks.js`).
+ * @property {() => Promise<Object[]>} webhooks.list - Alle Webhooks, älteste zuerst.
+ * @property {(id: string) => Promise<Object|null>} webhooks.findById
+ * @property {(event: string) => Promise<Object[]>} webhooks.listForEvent - Aktive Webhooks, die `event` oder `*` abonniert haben.
+ * @property {(data: { url: string, events: string[], secret: string, description?: string, active: boolean, createdBy: string }) => Promise<Object>} webhooks.create
+ * @property {(id: string, data: { url: string, events: string[], secret: string, description?: string, active: boolean }) => Promise<Object|null>} webhooks.update
+ *           Ersetzt den Webhook vollständig; ein fehlendes `description` wird entfernt.
+ * @property {(id: string) => Promise<boolean>} webhooks.delete - Das Zustellprotokoll bleibt erhalten.
+ * @property {Object} webhookDeliveries - Zustellprotokoll der Webhooks.
+ * @property {(data: Object) => Promise<Object>} webhookDeliveries.create
+ * @property {(id: string, changes: Object) => Promise<Object|null>} webhookDeliveries.update - Setzt die angegebenen Felder.
+ * @property {(webhookId: string, options: { page: number, limit: number }) => Promise<{ data: Object[], total: number }>} webhookDeliveries.list
+ *           Zustellungen eines Webhooks, neueste zuerst.
+ * @property {() => Promise<Object[]>} webhookDeliveries.listPending - Offene Zustellungen, fällige zuerst.
+ */
+
+/** @constant {string[]} STORAGE_BACKENDS - Unterstützte Werte für `STORAGE_BACKEND`. */
+export const STORAGE_BACKENDS = ['mongo', 'file'];
+
+/**
+ * Gibt das konfigurierte Backend zurück (`STORAGE_BACKEND`, Standard `mongo`).
+ * @returns {string}
+ * @throws {Error} Bei einem unbekannten Wert.
+ */
+export function getStorageBackend() {
+  const backend = process.env.STORAGE_BACKEND || 'mongo';
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unbekanntes STORAGE_BACKEND "${backend}". Erlaubt sind: ${STORAGE_BACKENDS.join(', ')}.`);
+  }
+  return backend;
+}
+
+/**
+ * Erzeugt ein Repository für das angegebene Backend.
+ * Die Implementierungen werden erst hier geladen, damit der Dateispeicher ohne MongoDB-Verbindung auskommt.
+ * @param {string} [backend=getStorageBackend()]
+ * @param {Object} [options] - Backend-spezifische Optionen (z. B. `dir` für den Dateispeicher).
+ * @returns {Promise<Repository>}
+ */
+export async function createRepository(backend = getStorageBackend(), options = {}) {
+  if (backend === 'file') {
+    const { createFileRepository } = await import('./file_repository.js');
+    return createFileRepository(options);
+  }
+  const { createMongoRepository } = await import('./mongo_repository.js');
+  return createMongoRepository(options);
+}
+
+let repository = null;
+
+/**
+ * Setzt das Repository, das Router und Helfer verwenden.
+ * @param {Repository} instance
+ */
+export function setRepository(instance) {
+  repository = instance;
+}
+
+/**
+ * Gibt das aktuelle Repository zurück.
+ * @returns {Repository}
+ * @throws {Error} Wenn noch keines gesetzt wurde.
+ */
+export function getRepository() {
+  if (!repository) {
+    throw new Error('Kein Repository gesetzt. setRepository() muss vor dem ersten Zugriff aufgerufen werden.');
+  }
+  return repository;
+}
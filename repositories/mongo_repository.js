@@ -0,0 +1,851 @@
+/**
+ * @file Repository-Implementierung für MongoDB (Mongoose).
+ * @description
+ * Bündelt alle Datenbankzugriffe, die vorher direkt in Router und Helfern standen.
+ * Die Bewertungsstatistik steht zusammengefasst in jeder Ressource (`ratingSummary`, `averageRating`) und wird
+ * nach jeder Bewertungsänderung mit einem einzelnen Update der Ressource nachgeführt (siehe `helpers/rating_stats.js`),
+ * auf einem Replica Set in derselben Transaktion wie die Bewertung (siehe {@link inRatingTransaction}).
+ * Die Volltextsuche nutzt die Textindizes von `Resource` und `Feedback`.
+ */
+
+import mongoose from 'mongoose';
+import { connectDB } from '../db/connect.js';
+import Resource from '../models/resource.js';
+import Rating from '../models/rating.js';
+import Feedback from '../models/feedback.js';
+import Category from '../models/category.js';
+import AuditEntry from '../models/audit_entry.js';
+import Webhook from '../models/webhook.js';
+import WebhookDelivery from '../models/webhook_delivery.js';
+import { toObjectId, toClient } from '../utils/mongo.js';
+import { ratingStatsStages, ratingSummaryUpdate, summarizeRatings, averageOf, withRatingStats } from '../helpers/rating_stats.js';
+import { versionFilter } from '../helpers/concurrency.js';
+import { FEEDBACK_WEIGHT } from '../helpers/search.js';
+import { PUBLIC_FEEDBACK_STATUS } from '../helpers/feedback_moderation.js';
+import { DEFAULT_CATEGORIES } from '../helpers/taxonomy.js';
+import { log } from '../utils/log.js';
+
+/** @constant {Object} NOT_DELETED - Filter für Ressourcen außerhalb des Papierkorbs (trifft auch Dokumente ohne `deletedAt`). */
+const NOT_DELETED = { deletedAt: null };
+
+/** @constant {Object} DELETED - Filter für Ressourcen im Papierkorb. */
+const DELETED = { deletedAt: { $ne: null } };
+
+/** @constant {Object} SORT_PATHS - Abbildung von Sortierfeldern auf Dokumentpfade, wo sie abweichen. */
+const SORT_PATHS = { ratingScore: 'ratingStats.score' };
+
+/** @constant {string[]} CONNECTION_STATES - Namen der Werte von `mongoose.connection.readyState`. */
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/** @constant {number} REPAIR_BATCH_SIZE - Korrekturen je `bulkWrite` bei der Reparatur der Bewertungsstatistik. */
+const REPAIR_BATCH_SIZE = 500;
+
+/** @constant {RegExp} OBJECT_ID_PATTERN - Eine ObjectId in ihrer üblichen Hex-Darstellung. */
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+/**
+ * Baut die Stages, die Ressourcen außerhalb des Papierkorbs nach den Filtern der Ressourcenliste auswählen.
+ * @param {import('../helpers/resource_query.js').ResourceListQuery} query
+ * @returns {Array<Object>} Die Stages für `Resource.aggregate`, inklusive `ratingStats`.
+ */
+function buildFilterStages({ filter, minRating }) {
+  const match = { ...NOT_DELETED };
+  if (filter.type)     match.type = filter.type;
+  if (filter.types)    match.type = filter.type ? { $eq: filter.type, $in: filter.types } : { $in: filter.types };
+  if (filter.tags?.length > 0) match.tags = { $all: filter.tags };
+  if (filter.authorId) match.authorId = filter.authorId;
+  if (filter.createdFrom || filter.createdTo) {
+    match.createdAt = {};
+    if (filter.createdFrom) match.createdAt.$gte = filter.createdFrom;
+    if (filter.createdTo)   match.createdAt.$lte = filter.createdTo;
+  }
+
+  if (minRating !== null) match.averageRating = { $gte: minRating };
+
+  return [{ $match: match }, ...ratingStatsStages()];
+}
+
+/**
+ * Baut die Aggregation-Pipeline für eine Seite der Ressourcenliste.
+ * Das Ergebnis ist ein einzelnes Dokument `{ data: [...], total: [{ count }] }`.
+ * @param {import('../helpers/resource_query.js').ResourceListQuery} query
+ * @returns {Array<Object>} Die Pipeline für `Resource.aggregate`.
+ */
+function buildListPipeline(query) {
+  const { sort, page, limit } = query;
+  const pipeline = buildFilterStages(query);
+
+  pipeline.push(
+    // `_id` als zweites Sortierkriterium sorgt für eine stabile Reihenfolge über Seitengrenzen hinweg.
+    { $sort: { [SORT_PATHS[sort.field] ?? sort.field]: sort.descending ? -1 : 1, _id: 1 } },
+    {
+      $facet: {
+        data: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  );
+
+  return pipeline;
+}
+
+/**
+ * Baut die Stages, die Ressourcen nach einem Feld zählen (häufigste zuerst).
+ * @param {string} field - `type`, `tags` oder `authorId`.
+ * @param {number} limit - Höchstzahl der Werte.
+ * @returns {Array<Object>}
+ */
+function facetStages(field, limit) {
+  return [
+    ...(field === 'tags' ? [{ $unwind: '$tags' }] : [{ $match: { [field]: { $nin: [null, ''] } } }]),
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+  ];
+}
+
+/**
+ * Wandelt ein Ressourcendokument in das Client-Format mit `averageRating` und `ratingStats` um.
+ * @param {Object|null} doc
+ * @returns {Object|null}
+ */
+function toResource(doc) {
+  return withRatingStats(toClient(doc));
+}
+
+/**
+ * Wendet eine Bewertungsänderung auf die gespeicherte Statistik einer Ressource an.
+ * @param {import('mongoose').Types.ObjectId} resourceId
+ * @param {{ from?: number|null, to?: number|null }} change
+ * @param {import('mongoose').ClientSession} [session] - Die Transaktion, in der auch die Bewertung geschrieben wird.
+ * @returns {Promise<void>}
+ */
+async function applyRatingChange(resourceId, change, session) {
+  if ((change.from ?? null) === (change.to ?? null)) return;
+  await Resource.updateOne({ _id: resourceId }, ratingSummaryUpdate(change), { session });
+}
+
+/** @type {WeakMap<Object, Promise<boolean>>} Ob die Verbindung Transaktionen unterstützt, je Client. */
+const transactionSupport = new WeakMap();
+
+/**
+ * Prüft einmal je Verbindung, ob der Server Transaktionen unterstützt (Replica Set oder `mongos`).
+ * @returns {Promise<boolean>}
+ */
+function supportsTransactions() {
+  const client = mongoose.connection.getClient();
+  if (!transactionSupport.has(client)) {
+    transactionSupport.set(client, mongoose.connection.db.admin().command({ hello: 1 }).then((hello) => {
+      const supported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+      if (!supported) {
+        log.warn('mongodb transactions unavailable; rating statistics are updated without a transaction');
+      }
+      return supported;
+    }));
+  }
+  return transactionSupport.get(client);
+}
+
+/**
+ * Führt eine Bewertungsänderung samt Nachführen der Statistik als eine Transaktion aus.
+ * Ein einzelner `mongod` ohne Replica Set kennt keine Transaktionen; dort laufen beide Schreibzugriffe
+ * nacheinander ohne Session. Bricht der Prozess zwischen ihnen ab, weicht die Statistik von den Bewertungen ab,
+ * bis `npm run repair-ratings` sie korrigiert. Für den Betrieb ist deshalb ein Replica Set vorgesehen
+ * (ein einzelner Knoten mit `--replSet` genügt).
+ * @template T
+ * @param {(session: import('mongoose').ClientSession|undefined) => Promise<T>} work - Kann bei vorübergehenden
+ *        Transaktionsfehlern mehrfach aufgerufen werden.
+ * @returns {Promise<T>}
+ */
+async function inRatingTransaction(work) {
+  if (!(await supportsTransactions())) return work(undefined);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Baut den Filter für eine Liste von Feedback-Status.
+ * Einträge ohne `status` stammen aus der Zeit vor der Moderation und gelten als freigegeben.
+ * @param {string[]} [statuses] - Ohne Angabe jeder Status.
+ * @returns {Object}
+ */
+function feedbackStatusFilter(statuses) {
+  if (!statuses) return {};
+  return { status: { $in: statuses.includes(PUBLIC_FEEDBACK_STATUS) ? [...statuses, null] : statuses } };
+}
+
+/**
+ * Übersetzt ein neutrales Update (`set`/`unset`) in ein MongoDB-Update und erhöht die Version.
+ * @param {{ set?: Object, unset?: string[] }} update
+ * @returns {Object}
+ */
+function toMongoUpdate({ set = {}, unset = [] }) {
+  const update = { $inc: { version: 1 } };
+  if (Object.keys(set).length > 0) update.$set = set;
+  if (unset.length > 0) update.$unset = Object.fromEntries(unset.map((field) => [field, '']));
+  return update;
+}
+
+/**
+ * Wandelt ein Bewertungsdokument in das Client-Format um; `resourceId` wird wie im Dateispeicher ein String.
+ * @param {Object|null} doc
+ * @returns {Object|null}
+ */
+function toRating(doc) {
+  return doc && { ...toClient(doc), resourceId: String(doc.resourceId) };
+}
+
+/** @constant {Object} TEXT_SCORE - Relevanz eines Treffers der `$text`-Suche, für Projektion und Sortierung. */
+const TEXT_SCORE = { $meta: 'textScore' };
+
+/**
+ * Sucht Ressourcen außerhalb des Papierkorbs, absteigend nach `textScore` (Feld `score`).
+ * @param {string} q
+ * @param {{ limit?: number, ids?: Array<import('mongoose').Types.ObjectId> }} options - `ids` beschränkt auf diese Ressourcen.
+ * @returns {Promise<Object[]>}
+ */
+function findResourceHits(q, { limit, ids }) {
+  const query = Resource.find(
+    { $text: { $search: q }, ...NOT_DELETED, ...(ids && { _id: { $in: ids } }) },
+    { score: TEXT_SCORE }
+  ).sort({ score: TEXT_SCORE });
+  return (limit ? query.limit(limit) : query).lean();
+}
+
+/**
+ * Summiert die `textScore`s des freigegebenen Feedbacks je Ressource, absteigend.
+ * @param {string} q
+ * @param {{ limit?: number, resourceIds?: Array<import('mongoose').Types.ObjectId> }} options
+ *        `resourceIds` beschränkt auf das Feedback dieser Ressourcen.
+ * @returns {Promise<Array<{ _id: import('mongoose').Types.ObjectId, score: number }>>} `_id` ist die `resourceId`.
+ */
+function sumFeedbackScores(q, { limit, resourceIds }) {
+  return Feedback.aggregate([
+    {
+      $match: {
+        $text: { $search: q },
+        ...feedbackStatusFilter([PUBLIC_FEEDBACK_STATUS]),
+        ...(resourceIds && { resourceId: { $in: resourceIds } })
+      }
+    },
+    { $addFields: { score: TEXT_SCORE } },
+    { $group: { _id: '$resourceId', score: { $sum: '$score' } } },
+    { $sort: { score: -1, _id: 1 } },
+    ...(limit ? [{ $limit: limit }] : [])
+  ]);
+}
+
+/**
+ * Ermittelt die besten `limit` Ressourcen nach `textScore` plus gewichtetem Feedback-Score, ohne alle Treffer zu laden.
+ * Beide Ranglisten werden in der Datenbank sortiert und nur bis zur Tiefe `depth` gelesen; für diese Kandidaten
+ * wird der fehlende Anteil gezielt nachgeladen. Eine nicht gelesene Ressource kann höchstens die Summe der
+ * jeweils letzten gelesenen Scores erreichen; liegt der `limit`-te Kandidat darunter, wird tiefer gelesen.
+ * @param {string} q
+ * @param {number} limit
+ * @returns {Promise<Array<{ resource: Object, score: number }>>} Absteigend nach `score`.
+ */
+async function rankWithFeedback(q, limit) {
+  for (let depth = limit; ; depth *= 4) {
+    const [resourceHits, feedbackHits] = await Promise.all([
+      findResourceHits(q, { limit: depth }),
+      sumFeedbackScores(q, { limit: depth })
+    ]);
+
+    const feedbackScores = new Map(feedbackHits.map(({ _id, score }) => [String(_id), score]));
+    const candidates = new Map(resourceHits.map((doc) => [
+      String(doc._id), { resource: doc, textScore: doc.score, feedbackScore: feedbackScores.get(String(doc._id)) ?? null }
+    ]));
+
+    // Ressourcen, die nur über ihr Feedback in die Auswahl kamen: eigener Score (falls sie selbst passen) und Dokument.
+    const feedbackOnly = feedbackHits.map(({ _id }) => _id).filter((id) => !candidates.has(String(id)));
+    if (feedbackOnly.length > 0) {
+      const scored = await findResourceHits(q, { ids: feedbackOnly });
+      const scoredIds = new Set(scored.map((doc) => String(doc._id)));
+      const unscored = feedbackOnly.filter((id) => !scoredIds.has(String(id)));
+      const rest = unscored.length ? await Resource.find({ _id: { $in: unscored }, ...NOT_DELETED }).lean() : [];
+      for (const doc of [...scored, ...rest]) {
+        candidates.set(String(doc._id), { resource: doc, textScore: doc.score ?? 0, feedbackScore: feedbackScores.get(String(doc._id)) });
+      }
+    }
+
+    const resourcesExhausted = resourceHits.length < depth;
+    const feedbackExhausted = feedbackHits.length < depth;
+
+    // Ressourcen, deren Feedback-Summe außerhalb der gelesenen Tiefe liegt (ist die Liste vollständig, gibt es keine).
+    const unsummed = feedbackExhausted
+      ? []
+      : [...candidates.values()].filter((c) => c.feedbackScore === null).map((c) => c.resource._id);
+    const sums = unsummed.length ? await sumFeedbackScores(q, { resourceIds: unsummed }) : [];
+    const sumById = new Map(sums.map(({ _id, score }) => [String(_id), score]));
+
+    const ranked = [...candidates.entries()]
+      .map(([id, { resource, textScore, feedbackScore }]) => ({
+        resource,
+        score: textScore + (feedbackScore ?? sumById.get(id) ?? 0) * FEEDBACK_WEIGHT
+      }))
+      .sort((a, b) => b.score - a.score || String(a.resource._id).localeCompare(String(b.resource._id)));
+
+    const bound = (resourcesExhausted ? 0 : resourceHits.at(-1).score)
+      + (feedbackExhausted ? 0 : feedbackHits.at(-1).score * FEEDBACK_WEIGHT);
+    if ((resourcesExhausted && feedbackExhausted) || (ranked.length >= limit && ranked[limit - 1].score >= bound)) {
+      return ranked.slice(0, limit);
+    }
+  }
+}
+
+/**
+ * Erzeugt das MongoDB-Repository.
+ * @param {Object} [options]
+ * @param {string} [options.uri=process.env.MONGO_URI] - Connection String.
+ * @param {string} [options.dbName] - Datenbankname (Standard `MONGO_DB` bzw. `resource_catalog`).
+ * @returns {import('./index.js').Repository}
+ */
+export function createMongoRepository({ uri = process.env.MONGO_URI, dbName = process.env.MONGO_DB || 'resource_catalog' } = {}) {
+  const legacyModels = { resource: Resource, rating: Rating, feedback: Feedback };
+
+  return {
+    backend: 'mongo',
+
+    async connect() {
+      if (!uri) throw new Error('MONGO_URI ist nicht gesetzt.');
+      await connectDB(uri, { dbName });
+
+      if (await Category.estimatedDocumentCount() === 0) {
+        try {
+          await Category.insertMany(DEFAULT_CATEGORIES, { ordered: false });
+        } catch (error) {
+          // Eine andere Instanz hat die Standardkategorien gleichzeitig angelegt.
+          if (error.code !== 11000) throw error;
+        }
+      }
+    },
+
+    async close() {
+      await mongoose.disconnect();
+    },
+
+    async health() {
+      const state = CONNECTION_STATES[mongoose.connection.readyState] ?? 'unknown';
+      if (state !== 'connected') return { ready: false, details: { state } };
+
+      const start = Date.now();
+      try {
+        await mongoose.connection.db.admin().ping();
+        return { ready: true, details: { state, pingMs: Date.now() - start } };
+      } catch (error) {
+        return { ready: false, details: { state, error: error.message } };
+      }
+    },
+
+    async resolveLegacyId(kind, value) {
+      if (OBJECT_ID_PATTERN.test(value)) return null;
+      const doc = await legacyModels[kind].findOne({ legacyId: value }, { _id: 1 }).lean();
+      return doc ? String(doc._id) : null;
+    },
+
+    resources: {
+      async list(query) {
+        const [result] = await Resource.aggregate(buildListPipeline(query));
+        return {
+          data: (result?.data ?? []).map(toClient),
+          total: result?.total[0]?.count ?? 0
+        };
+      },
+
+      /**
+       * Der Score einer Ressource ist ihr `textScore` plus die mit `FEEDBACK_WEIGHT` gewichtete
+       * Summe der Scores ihrer passenden Feedback-Einträge. Sortiert und begrenzt wird in der Datenbank
+       * (siehe {@link rankWithFeedback}); passendes Feedback wird nur für die zurückgegebenen Ressourcen geladen.
+       */
+      async search(q, { includeFeedback = false, limit = 20 } = {}) {
+        const ranked = includeFeedback
+          ? await rankWithFeedback(q, limit)
+          : (await findResourceHits(q, { limit })).map((resource) => ({ resource, score: resource.score }));
+
+        const feedbackByResource = new Map();
+        if (includeFeedback && ranked.length > 0) {
+          const feedback = await Feedback.find(
+            {
+              $text: { $search: q },
+              ...feedbackStatusFilter([PUBLIC_FEEDBACK_STATUS]),
+              resourceId: { $in: ranked.map(({ resource }) => resource._id) }
+            },
+            { score: TEXT_SCORE }
+          ).sort({ score: TEXT_SCORE }).lean();
+          for (const { score: _fbScore, ...fb } of feedback) {
+            const id = String(fb.resourceId);
+            if (!feedbackByResource.has(id)) feedbackByResource.set(id, []);
+            feedbackByResource.get(id).push(toClient(fb));
+          }
+        }
+
+        return ranked.map(({ resource: { score: _textScore, ...resource }, score }) => ({
+          resource: toResource(resource),
+          score,
+          feedback: feedbackByResource.get(String(resource._id)) ?? []
+        }));
+      },
+
+      async facets(query, { limit }) {
+        const [result] = await Resource.aggregate([
+          ...buildFilterStages(query),
+          {
+            $facet: {
+              total: [{ $count: 'count' }],
+              type: facetStages('type', limit),
+              tags: facetStages('tags', limit),
+              authorId: facetStages('authorId', limit)
+            }
+          }
+        ]);
+        return {
+          total: result?.total[0]?.count ?? 0,
+          type: result?.type ?? [],
+          tags: result?.tags ?? [],
+          authorId: result?.authorId ?? []
+        };
+      },
+
+      async findActive(id) {
+        return toResource(await Resource.findOne({ _id: toObjectId(id), ...NOT_DELETED }).lean());
+      },
+
+      async findDeleted(id) {
+        return toResource(await Resource.findOne({ _id: toObjectId(id), ...DELETED }).lean());
+      },
+
+      async ratingStats(id) {
+        const doc = await Resource.findById(toObjectId(id), { ratingSummary: 1, averageRating: 1 }).lean();
+        if (!doc) return null;
+        const { averageRating, ratingStats } = withRatingStats(doc);
+        return { averageRating, ratingStats };
+      },
+
+      async repairRatingStats({ dryRun = false } = {}) {
+        const actual = new Map();
+        const grouped = Rating.aggregate([
+          { $group: { _id: '$resourceId', values: { $push: '$ratingValue' } } }
+        ]).cursor();
+        for await (const { _id, values } of grouped) actual.set(String(_id), summarizeRatings(values));
+
+        let checked = 0;
+        const drifted = [];
+        let batch = [];
+        const flush = async () => {
+          if (!dryRun && batch.length > 0) await Resource.bulkWrite(batch, { ordered: false });
+          batch = [];
+        };
+
+        const resources = Resource.find({}, { ratingSummary: 1, averageRating: 1 }).lean().cursor();
+        for await (const doc of resources) {
+          checked++;
+          const id = String(doc._id);
+          const summary = actual.get(id) ?? summarizeRatings([]);
+          const averageRating = averageOf(summary);
+          if (JSON.stringify(doc.ratingSummary) === JSON.stringify(summary) && doc.averageRating === averageRating) continue;
+
+          drifted.push({ id, stored: doc.ratingSummary ?? null, actual: summary });
+          batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { ratingSummary: summary, averageRating } } } });
+          if (batch.length >= REPAIR_BATCH_SIZE) await flush();
+        }
+        await flush();
+
+        return { checked, drifted };
+      },
+
+      async create(data) {
+        const created = await Resource.create(data);
+        return toResource(created.toObject());
+      },
+
+      async createMany(docs) {
+        // `ordered: true` bricht beim ersten Fehler ab; die Daten sind zu diesem Zeitpunkt bereits validiert.
+        const created = await Resource.insertMany(docs, { ordered: true });
+        return created.map((doc) => toResource(doc.toObject()));
+      },
+
+      async updateIfMatch(id, precondition, update) {
+        const _id = toObjectId(id);
+        const updated = await Resource.findOneAndUpdate(
+          { _id, ...NOT_DELETED, ...versionFilter(precondition) },
+          toMongoUpdate(update),
+          { new: true, lean: true }
+        );
+        if (updated) return { status: 'ok', resource: toResource(updated) };
+
+        const current = await Resource.findOne({ _id, ...NOT_DELETED }).lean();
+        if (!current) return { status: 'not_found' };
+        return { status: 'precondition_failed', resource: toResource(current) };
+      },
+
+      async countByType(type) {
+        return Resource.countDocuments({ type });
+      },
+
+      async renameType(from, to) {
+        const updatedAt = new Date();
+        const renamed = [];
+        // Einzeln statt mit `updateMany`, damit jede Ressource ihren Stand vor der Änderung für die Historie liefert.
+        for (const { _id } of await Resource.find({ type: from }, { _id: 1 }).lean()) {
+          const before = await Resource.findOneAndUpdate(
+            { _id, type: from },
+            { $set: { type: to, updatedAt }, $inc: { version: 1 } },
+            { new: false, lean: true }
+          );
+          if (!before) continue;
+          const previous = toResource(before);
+          renamed.push({ before: previous, after: { ...previous, type: to, updatedAt, version: (before.version ?? 0) + 1 } });
+        }
+        return renamed;
+      },
+
+      async softDelete(id, userId) {
+        return toResource(await Resource.findOneAndUpdate(
+          { _id: toObjectId(id), ...NOT_DELETED },
+          { $set: { deletedAt: new Date(), deletedBy: userId }, $inc: { version: 1 } },
+          { new: true, lean: true }
+        ));
+      },
+
+      async restore(id) {
+        return toResource(await Resource.findOneAndUpdate(
+          { _id: toObjectId(id), ...DELETED },
+          { $unset: { deletedAt: '', deletedBy: '' }, $inc: { version: 1 } },
+          { new: true, lean: true }
+        ));
+      },
+
+      async listTrash({ authorId, page, limit }) {
+        const filter = { ...DELETED };
+        if (authorId) filter.authorId = authorId;
+
+        const [resources, total] = await Promise.all([
+          Resource.find(filter).sort({ deletedAt: -1, _id: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+          Resource.countDocuments(filter)
+        ]);
+        return { data: resources.map(toResource), total };
+      },
+
+      async purgeDeleted(cutoff) {
+        const filter = { deletedAt: { $ne: null, $lte: cutoff } };
+        const ids = await Resource.distinct('_id', filter);
+        if (ids.length === 0) return { resources: 0, ratings: 0, feedback: 0 };
+
+        const resources = await Resource.deleteMany({ _id: { $in: ids }, ...filter });
+
+        // Zwischenzeitlich wiederhergestellte Ressourcen behalten ihre Bewertungen und ihr Feedback.
+        const restored = new Set((await Resource.distinct('_id', { _id: { $in: ids } })).map(String));
+        const purgedIds = ids.filter((id) => !restored.has(String(id)));
+
+        const [ratings, feedback] = await Promise.all([
+          Rating.deleteMany({ resourceId: { $in: purgedIds } }),
+          Feedback.deleteMany({ resourceId: { $in: purgedIds } })
+        ]);
+
+        return {
+          resources: resources.deletedCount,
+          ratings: ratings.deletedCount,
+          feedback: feedback.deletedCount
+        };
+      }
+    },
+
+    ratings: {
+      async upsert({ resourceId, userId, ratingValue }) {
+        const _id = toObjectId(resourceId);
+        const timestamp = new Date();
+
+        if (!userId) {
+          return inRatingTransaction(async (session) => {
+            const [rating] = await Rating.create([{ resourceId: _id, ratingValue, timestamp }], { session });
+            await applyRatingChange(_id, { to: ratingValue }, session);
+            return { rating: toRating(rating.toObject()), created: true, previous: null };
+          });
+        }
+
+        // Liefert den Stand vor dem Update, damit die Änderung in der Historie nachvollziehbar ist.
+        const upsert = () => inRatingTransaction(async (session) => {
+          const result = await Rating.findOneAndUpdate(
+            { resourceId: _id, userId },
+            { $set: { ratingValue, timestamp } },
+            { new: false, upsert: true, lean: true, includeResultMetadata: true, session }
+          );
+
+          const previous = toRating(result.value);
+          await applyRatingChange(_id, { from: previous?.ratingValue, to: ratingValue }, session);
+          const rating = previous
+            ? { ...previous, ratingValue, timestamp }
+            : { id: String(result.lastErrorObject.upserted), resourceId, userId, ratingValue, timestamp };
+          return { rating, created: !previous, previous };
+        });
+
+        try {
+          return await upsert();
+        } catch (error) {
+          // Zwei gleichzeitige Upserts können beide einfügen wollen; der zweite scheitert am eindeutigen
+          // Index und findet beim erneuten Versuch das inzwischen angelegte Dokument.
+          if (error.code !== 11000) throw error;
+          return upsert();
+        }
+      },
+
+      async list(resourceId) {
+        const ratings = await Rating.find({ resourceId: toObjectId(resourceId) }).sort({ timestamp: 1, _id: 1 }).lean();
+        return ratings.map(toRating);
+      },
+
+      async findById(resourceId, ratingId) {
+        return toRating(await Rating.findOne({ _id: toObjectId(ratingId), resourceId: toObjectId(resourceId) }).lean());
+      },
+
+      async update(resourceId, ratingId, { ratingValue }) {
+        const timestamp = new Date();
+        return inRatingTransaction(async (session) => {
+          // Der alte Wert wird für die Statistik gebraucht, daher `new: false`.
+          const previous = await Rating.findOneAndUpdate(
+            { _id: toObjectId(ratingId), resourceId: toObjectId(resourceId) },
+            { ratingValue, timestamp },
+            { new: false, lean: true, session }
+          );
+          if (!previous) return null;
+
+          await applyRatingChange(previous.resourceId, { from: previous.ratingValue, to: ratingValue }, session);
+          return toRating({ ...previous, ratingValue, timestamp });
+        });
+      },
+
+      async delete(resourceId, ratingId) {
+        return inRatingTransaction(async (session) => {
+          const deleted = await Rating.findOneAndDelete(
+            { _id: toObjectId(ratingId), resourceId: toObjectId(resourceId) },
+            { session }
+          ).lean();
+          if (!deleted) return false;
+
+          await applyRatingChange(deleted.resourceId, { from: deleted.ratingValue }, session);
+          return true;
+        });
+      }
+    },
+
+    feedback: {
+      async create({ resourceId, feedbackText, userId, status, moderationReasons }) {
+        const created = await Feedback.create({
+          resourceId: toObjectId(resourceId),
+          feedbackText,
+          userId,
+          timestamp: new Date(),
+          status,
+          moderationReasons: moderationReasons.length > 0 ? moderationReasons : undefined
+        });
+        return toClient(created.toObject());
+      },
+
+      async list(resourceId, { descending = true, skip = 0, limit, statuses } = {}) {
+        const filter = { resourceId: toObjectId(resourceId), ...feedbackStatusFilter(statuses) };
+        const direction = descending ? -1 : 1;
+
+        const query = Feedback.find(filter).sort({ timestamp: direction, _id: direction }).skip(skip).lean();
+        if (limit !== undefined) query.limit(limit);
+
+        const [feedback, total] = await Promise.all([
+          // limit(0) bedeutet in MongoDB „unbegrenzt“, daher wird `limit: 0` gesondert behandelt.
+          limit === 0 ? [] : query,
+          Feedback.countDocuments(filter)
+        ]);
+        return { data: feedback.map(toClient), total };
+      },
+
+      async findById(resourceId, feedbackId) {
+        return toClient(await Feedback.findOne({ _id: toObjectId(feedbackId), resourceId: toObjectId(resourceId) }).lean());
+      },
+
+      async update(resourceId, feedbackId, { feedbackText, status, moderationReasons }) {
+        const update = moderationReasons.length > 0
+          ? { $set: { feedbackText, status, moderationReasons, timestamp: new Date() } }
+          : { $set: { feedbackText, status, timestamp: new Date() }, $unset: { moderationReasons: '' } };
+        return toClient(await Feedback.findOneAndUpdate(
+          { _id: toObjectId(feedbackId), resourceId: toObjectId(resourceId) },
+          update,
+          { new: true, lean: true }
+        ));
+      },
+
+      async delete(resourceId, feedbackId) {
+        const { deletedCount } = await Feedback.deleteOne({ _id: toObjectId(feedbackId), resourceId: toObjectId(resourceId) });
+        return deletedCount > 0;
+      },
+
+      async flag(resourceId, feedbackId, { userId, reason, threshold }) {
+        const filter = { _id: toObjectId(feedbackId), resourceId: toObjectId(resourceId) };
+
+        // Die Bedingung auf `flags.userId` verhindert doppelte Meldungen desselben Nutzers auch bei parallelen Anfragen.
+        const added = await Feedback.updateOne(
+          { ...filter, 'flags.userId': { $ne: userId } },
+          { $push: { flags: { userId, reason, timestamp: new Date() } } }
+        );
+        if (added.modifiedCount > 0) {
+          await Feedback.updateOne(
+            { ...filter, ...feedbackStatusFilter([PUBLIC_FEEDBACK_STATUS]), [`flags.${threshold - 1}`]: { $exists: true } },
+            { $set: { status: 'flagged' } }
+          );
+        }
+
+        const feedback = toClient(await Feedback.findOne(filter).lean());
+        return feedback ? { feedback, added: added.modifiedCount > 0 } : null;
+      },
+
+      async review(resourceId, feedbackId, { status, reviewedBy, note }) {
+        const set = { status, reviewedBy, reviewedAt: new Date() };
+        const unset = {};
+        if (note) set.moderationNote = note;
+        else unset.moderationNote = '';
+        if (status === PUBLIC_FEEDBACK_STATUS) unset.flags = '';
+        const update = Object.keys(unset).length > 0 ? { $set: set, $unset: unset } : { $set: set };
+
+        return toClient(await Feedback.findOneAndUpdate(
+          { _id: toObjectId(feedbackId), resourceId: toObjectId(resourceId) },
+          update,
+          { new: true, lean: true }
+        ));
+      },
+
+      async listQueue({ statuses, page, limit }) {
+        const filter = feedbackStatusFilter(statuses);
+        const [feedback, total] = await Promise.all([
+          Feedback.find(filter).sort({ timestamp: 1, _id: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+          Feedback.countDocuments(filter)
+        ]);
+        return { data: feedback.map(toClient), total };
+      }
+    },
+
+    categories: {
+      async list() {
+        const categories = await Category.find().sort({ name: 1, _id: 1 }).lean();
+        return categories.map(toClient);
+      },
+
+      async findById(id) {
+        return toClient(await Category.findById(toObjectId(id)).lean());
+      },
+
+      async findBySlug(slug) {
+        return toClient(await Category.findOne({ $or: [{ slug }, { aliases: slug }] }).lean());
+      },
+
+      async create(data) {
+        const created = await Category.create({ ...data, createdAt: new Date() });
+        return toClient(created.toObject());
+      },
+
+      async update(id, { name, slug, description, aliases }) {
+        const update = { $set: { name, slug, aliases, updatedAt: new Date() } };
+        if (description !== undefined) update.$set.description = description;
+        else update.$unset = { description: '' };
+        return toClient(await Category.findByIdAndUpdate(toObjectId(id), update, { new: true, lean: true }));
+      },
+
+      async delete(id) {
+        const { deletedCount } = await Category.deleteOne({ _id: toObjectId(id) });
+        return deletedCount > 0;
+      }
+    },
+
+    audit: {
+      async append(entries) {
+        await AuditEntry.insertMany(entries.map((entry) => ({
+          ...entry,
+          entityId: toObjectId(entry.entityId),
+          resourceId: toObjectId(entry.resourceId)
+        })));
+      },
+
+      async list(resourceId, { entity, page, limit }) {
+        const filter = { resourceId: toObjectId(resourceId) };
+        if (entity) filter.entity = entity;
+
+        const [entries, total] = await Promise.all([
+          AuditEntry.find(filter).sort({ timestamp: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+          AuditEntry.countDocuments(filter)
+        ]);
+        return { data: entries.map(toClient), total };
+      },
+
+      async resourceVersions(resourceId, afterVersion) {
+        const entries = await AuditEntry.find({ entity: 'resource', entityId: toObjectId(resourceId), version: { $gt: afterVersion } })
+          .sort({ version: 1, _id: 1 })
+          .lean();
+        return entries.map(toClient);
+      }
+    },
+
+    webhooks: {
+      async list() {
+        const webhooks = await Webhook.find().sort({ createdAt: 1, _id: 1 }).lean();
+        return webhooks.map(toClient);
+      },
+
+      async findById(id) {
+        return toClient(await Webhook.findById(toObjectId(id)).lean());
+      },
+
+      async listForEvent(event) {
+        const webhooks = await Webhook.find({ active: { $ne: false }, events: { $in: [event, '*'] } }).lean();
+        return webhooks.map(toClient);
+      },
+
+      async create(data) {
+        const created = await Webhook.create({ ...data, createdAt: new Date() });
+        return toClient(created.toObject());
+      },
+
+      async update(id, { url, events, secret, description, active }) {
+        const update = { $set: { url, events, secret, active, updatedAt: new Date() } };
+        if (description !== undefined) update.$set.description = description;
+        else update.$unset = { description: '' };
+        return toClient(await Webhook.findByIdAndUpdate(toObjectId(id), update, { new: true, lean: true }));
+      },
+
+      async delete(id) {
+        const { deletedCount } = await Webhook.deleteOne({ _id: toObjectId(id) });
+        return deletedCount > 0;
+      }
+    },
+
+    webhookDeliveries: {
+      async create(data) {
+        const created = await WebhookDelivery.create({ ...data, webhookId: toObjectId(data.webhookId) });
+        return toClient(created.toObject());
+      },
+
+      async update(id, changes) {
+        return toClient(await WebhookDelivery.findByIdAndUpdate(toObjectId(id), { $set: changes }, { new: true, lean: true }));
+      },
+
+      async list(webhookId, { page, limit }) {
+        const filter = { webhookId: toObjectId(webhookId) };
+        const [deliveries, total] = await Promise.all([
+          WebhookDelivery.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+          WebhookDelivery.countDocuments(filter)
+        ]);
+        return { data: deliveries.map(toClient), total };
+      },
+
+      async listPending() {
+        const deliveries = await WebhookDelivery.find({ status: 'pending' }).sort({ nextAttemptAt: 1, _id: 1 }).lean();
+        return deliveries.map(toClient);
+      }
+    }
+  };
+}
@@ -0,0 +1,29 @@
+/**
+ * @file Die fachlichen Router einer API-Version.
+ * @description
+ * `app.js` bindet diesen Router unter `/api/v1` ein und zusätzlich – als veraltete Aliase – am Wurzelpfad
+ * (siehe `middleware/api-version.js`). Eine künftige Version mit anderen Routen bekommt einen eigenen Router.
+ */
+
+import express from 'express';
+import resourcesRouter from './resources.js'; // Ressourcen, Bewertungen und Feedback
+import categoriesRouter from './categories.js'; // Verwaltete Kategorien für Resource.type
+import webhooksRouter from './webhooks.js'; // Webhook-Abonnements und Zustellprotokoll
+
+/**
+ * @constant {Array<{ path: string, router: express.Router }>} API_MOUNTS - Mount-Pfade relativ zum Versionspräfix.
+ * Auch die Aliase und `test/openapi.test.js` lesen sie von hier.
+ */
+export const API_MOUNTS = [
+  { path: '/resources', router: resourcesRouter },
+  { path: '/categories', router: categoriesRouter },
+  { path: '/webhooks', router: webhooksRouter }
+];
+
+const router = express.Router();
+
+for (const { path, router: mounted } of API_MOUNTS) {
+  router.use(path, mounted);
+}
+
+export default router;
@@ -0,0 +1,288 @@
+/**
+ * @file Router für die verwalteten Kategorien – das kontrollierte Vokabular für `Resource.type`.
+ * @description
+ * - GET /        → alle Kategorien, nach Namen sortiert
+ * - GET /:id     → eine Kategorie
+ * - POST /       → legt eine Kategorie an (Admin)
+ * - PUT /:id     → ersetzt eine Kategorie (Admin); eine Umbenennung ändert `type` aller betroffenen Ressourcen
+ * - DELETE /:id  → löscht eine unbenutzte Kategorie oder führt sie mit `mergeInto` in eine andere über (Admin)
+ *
+ * Name, Slug und Aliase einer Kategorie sind über alle Kategorien eindeutig (siehe `helpers/taxonomy.js`).
+ * Tippfehler-Varianten im Bestand lassen sich bereinigen, indem man die Variante als Kategorie anlegt
+ * und sie anschließend mit `DELETE /:id?mergeInto=<Zielkategorie>` zusammenführt.
+ */
+
+import express from 'express';
+import { validateCategory } from '../middleware/validation.js';
+import { authenticate, requireAuth, isAdmin } from '../middleware/auth.js';
+import { captureRouteBase } from '../middleware/metrics.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { invalidateOnWrite } from '../middleware/http-cache.js';
+import { getRepository } from '../repositories/index.js';
+import { recordAudit } from '../helpers/audit.js';
+import { emitEvent } from '../helpers/webhooks.js';
+import { slugify, normalizeAliases, resolveCategory } from '../helpers/taxonomy.js';
+import { log } from '../utils/log.js';
+import { ValidationError, ForbiddenError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+const router = express.Router();
+
+router.use(captureRouteBase);
+router.use(authenticate);
+router.use(rateLimit);
+// Umbenennungen und Zusammenführungen ändern Ressourcen; Aliase ändern, was ein Kategorie-Filter findet.
+router.use(invalidateOnWrite);
+
+/**
+ * Schreib-Endpunkte sind Administratoren vorbehalten.
+ * @param {express.Request} req - Das Express-Request-Objekt.
+ * @param {express.Response} res - Das Express-Response-Objekt.
+ * @param {express.NextFunction} next - Die Next-Middleware-Funktion.
+ */
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    return next(new ForbiddenError('Nur Administratoren dürfen Kategorien verwalten.'));
+  }
+  next();
+}
+
+/**
+ * Bildet die gespeicherten Felder einer Kategorie aus dem validierten Request-Body.
+ * @param {{ name: string, description?: string, aliases?: string[] }} body
+ * @param {string[]} [extraAliases=[]] - Zusätzliche Aliase, z. B. der alte Slug bei einer Umbenennung.
+ * @returns {{ name: string, slug: string, description?: string, aliases: string[] }}
+ */
+function categoryFields({ name, description, aliases = [] }, extraAliases = []) {
+  const slug = slugify(name);
+  return { name, slug, description, aliases: normalizeAliases([...aliases, ...extraAliases], slug) };
+}
+
+/**
+ * Sucht eine andere Kategorie, die den Slug oder einen der Aliase bereits verwendet.
+ * @param {{ slug: string, aliases: string[] }} fields
+ * @param {string} [ownId] - Die Kategorie selbst (bei `PUT`) zählt nicht als Konflikt.
+ * @returns {Promise<ConflictError|null>}
+ */
+async function findConflict({ slug, aliases }, ownId) {
+  for (const value of [slug, ...aliases]) {
+    const existing = await getRepository().categories.findBySlug(value);
+    if (existing && existing.id !== ownId) {
+      return new ConflictError(`„${value}“ wird bereits von der Kategorie ${existing.name} verwendet.`, { code: 'CATEGORY_EXISTS' });
+    }
+  }
+  return null;
+}
+
+/**
+ * Lädt die Kategorie aus `req.params.id` oder meldet `404`.
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+async function loadCategory(id) {
+  const category = await getRepository().categories.findById(id);
+  if (!category) throw new NotFoundError('Kategorie nicht gefunden.', { code: 'CATEGORY_NOT_FOUND' });
+  return category;
+}
+
+/**
+ * @route GET /
+ * @summary Listet alle Kategorien, nach Namen sortiert.
+ * @access Public
+ * @returns {Object} 200 - `{ data: Category[] }`
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    res.status(200).json({ data: await getRepository().categories.list() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /:id
+ * @summary Ruft eine Kategorie ab.
+ * @access Public
+ * @param {string} req.params.id - Die ID der Kategorie.
+ * @returns {Object} 200 - Die Kategorie.
+ * @returns {Object} 404 - Kategorie nicht gefunden.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    res.status(200).json(await loadCategory(req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /
+ * @summary Legt eine Kategorie an.
+ * @description
+ * Der Slug wird aus dem Namen gebildet; Aliase werden ebenfalls als Slugs gespeichert.
+ * Ressourcen können die Kategorie über Name, Slug oder Alias als `type` angeben.
+ *
+ * @access Admin
+ * @param {Object} req.body - `{ name, description?, aliases? }`
+ * @returns {Object} 201 - Die angelegte Kategorie.
+ * @returns {Object} 400 - Ungültige Daten.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Kein Administrator.
+ * @returns {Object} 409 - Name oder Alias wird bereits von einer anderen Kategorie verwendet.
+ * @returns {Object} 500 - Interner Serverfehler.
+ *
+ * @example
+ * // Request: POST /categories
+ * // Body: { "name": "Podcast", "aliases": ["Podcasts"] }
+ * // Response (201): { "id": "…", "name": "Podcast", "slug": "podcast", "aliases": ["podcasts"], "createdAt": "…" }
+ */
+router.post('/', requireAuth, requireAdmin, validateCategory, async (req, res, next) => {
+  try {
+    const fields = categoryFields(req.body);
+    if (!fields.slug) {
+      return next(new ValidationError('Ungültige Anfragedaten.', {
+        errors: [{ field: 'name', message: 'muss mindestens einen Buchstaben oder eine Ziffer enthalten.' }]
+      }));
+    }
+
+    const conflict = await findConflict(fields);
+    if (conflict) return next(conflict);
+
+    const created = await getRepository().categories.create(fields);
+    log.info('category created', { categoryId: created.id, slug: created.slug });
+    res.status(201).json(created);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Ordnet alle Ressourcen einer Kategorie einer anderen zu. Jede geänderte Ressource erhält wie bei `PUT /resources/:id`
+ * einen Eintrag in der Historie und ein `resource.updated`-Ereignis, damit ihre Versionen lückenlos bleiben.
+ * @param {express.Request} req - Die auslösende Anfrage.
+ * @param {string} from - Bisheriger Kategoriename.
+ * @param {string} to - Neuer Kategoriename.
+ * @returns {Promise<number>} Anzahl der geänderten Ressourcen.
+ */
+async function retypeResources(req, from, to) {
+  const renamed = await getRepository().resources.renameType(from, to);
+  await recordAudit(req, ...renamed.map(({ before, after }) => ({ entity: 'resource', operation: 'update', resourceId: after.id, before, after })));
+  emitEvent(req, 'resource.updated', ...renamed.map(({ after }) => after));
+  return renamed.length;
+}
+
+/**
+ * @route PUT /:id
+ * @summary Ersetzt eine Kategorie.
+ * @description
+ * Bei einer Umbenennung erhalten alle Ressourcen dieser Kategorie (auch im Papierkorb) den neuen Namen als `type`
+ * (mit Eintrag in ihrer Historie, siehe {@link retypeResources}), und der alte Slug bleibt als Alias erhalten, damit bestehende Clients weiter funktionieren.
+ *
+ * @access Admin
+ * @param {string} req.params.id - Die ID der Kategorie.
+ * @param {Object} req.body - `{ name, description?, aliases? }`
+ * @returns {Object} 200 - `{ category, renamedResources }`
+ * @returns {Object} 400 - Ungültige Daten.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Kein Administrator.
+ * @returns {Object} 404 - Kategorie nicht gefunden.
+ * @returns {Object} 409 - Name oder Alias wird bereits von einer anderen Kategorie verwendet.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.put('/:id', requireAuth, requireAdmin, validateCategory, async (req, res, next) => {
+  try {
+    const repository = getRepository();
+    const current = await loadCategory(req.params.id);
+    const renamed = current.name !== req.body.name;
+
+    const fields = categoryFields(req.body, renamed ? [current.slug] : []);
+    if (!fields.slug) {
+      return next(new ValidationError('Ungültige Anfragedaten.', {
+        errors: [{ field: 'name', message: 'muss mindestens einen Buchstaben oder eine Ziffer enthalten.' }]
+      }));
+    }
+
+    const conflict = await findConflict(fields, current.id);
+    if (conflict) return next(conflict);
+
+    const category = await repository.categories.update(current.id, fields);
+    const renamedResources = renamed ? await retypeResources(req, current.name, category.name) : 0;
+    if (renamed) {
+      log.info('category renamed', { categoryId: category.id, from: current.name, to: category.name, resources: renamedResources });
+    }
+
+    res.status(200).json({ category, renamedResources });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /:id
+ * @summary Löscht eine Kategorie oder führt sie in eine andere über.
+ * @description
+ * Ohne `mergeInto` wird nur gelöscht, wenn keine Ressource (auch im Papierkorb) die Kategorie verwendet.
+ * Mit `mergeInto` erhalten alle Ressourcen die Zielkategorie als `type`; Slug und Aliase der gelöschten
+ * Kategorie werden Aliase der Zielkategorie.
+ *
+ * @access Admin
+ * @param {string} req.params.id - Die ID der Kategorie.
+ * @param {string} [req.query.mergeInto] - Name, Slug oder Alias der Zielkategorie.
+ * @returns {Object} 200 - Zusammengeführt: `{ mergedInto: Category, movedResources }`.
+ * @returns {Object} 204 - Gelöscht.
+ * @returns {Object} 400 - Unbekannte Zielkategorie oder Ziel gleich Quelle.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Kein Administrator.
+ * @returns {Object} 404 - Kategorie nicht gefunden.
+ * @returns {Object} 409 - Die Kategorie wird noch verwendet (`resources` nennt die Anzahl).
+ * @returns {Object} 500 - Interner Serverfehler.
+ *
+ * @example
+ * // Request: DELETE /categories/<id von „Tutoral“>?mergeInto=tutorial
+ * // Response (200): { "mergedInto": { "name": "Tutorial", "aliases": ["tutoral"], … }, "movedResources": 3 }
+ */
+router.delete('/:id', requireAuth, requireAdmin, async (req, res, next) => {
+  try {
+    const repository = getRepository();
+    const current = await loadCategory(req.params.id);
+
+    if (req.query.mergeInto === undefined) {
+      const inUse = await repository.resources.countByType(current.name);
+      if (inUse > 0) {
+        return next(new ConflictError(
+          `Die Kategorie wird noch von ${inUse} Ressourcen verwendet; mit mergeInto lassen sie sich einer anderen Kategorie zuordnen.`,
+          { code: 'CATEGORY_IN_USE', extensions: { resources: inUse } }
+        ));
+      }
+      await repository.categories.delete(current.id);
+      log.info('category deleted', { categoryId: current.id, slug: current.slug });
+      return res.status(204).send();
+    }
+
+    const target = typeof req.query.mergeInto === 'string' ? await resolveCategory(req.query.mergeInto) : null;
+    if (!target) {
+      return next(new ValidationError(`Unbekannte Kategorie: ${req.query.mergeInto}.`, { code: 'INVALID_QUERY' }));
+    }
+    if (target.id === current.id) {
+      return next(new ValidationError('mergeInto muss eine andere Kategorie sein.', { code: 'INVALID_QUERY' }));
+    }
+
+    // Erst die Ressourcen umhängen, dann die Quelle löschen: bricht der Vorgang ab, bleibt kein `type` ohne Kategorie zurück.
+    const movedResources = await retypeResources(req, current.name, target.name);
+    await repository.categories.delete(current.id);
+    const mergedInto = await repository.categories.update(target.id, {
+      name: target.name,
+      slug: target.slug,
+      description: target.description,
+      aliases: normalizeAliases([...target.aliases, current.slug, ...current.aliases], target.slug)
+    });
+    log.info('category merged', { categoryId: current.id, into: target.id, resources: movedResources });
+
+    res.status(200).json({ mergedInto, movedResources });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,61 @@
+/**
+ * @file API-Dokumentation.
+ * @description
+ * - `GET /openapi.json` – die OpenAPI-Spezifikation (siehe `helpers/openapi.js`)
+ * - `GET /docs`         – Swagger UI für diese Spezifikation
+ * - `GET /docs/assets/…` – Skript und Stylesheet von Swagger UI aus dem Paket `swagger-ui-dist`; die Seite lädt
+ *   nichts von fremden Servern und funktioniert auch ohne Internetzugang
+ */
+
+import express from 'express';
+import getAbsoluteFSPath from 'swagger-ui-dist/absolute-path.js';
+import { buildOpenApiSpec } from '../helpers/openapi.js';
+
+const router = express.Router();
+
+/** @constant {string} SWAGGER_UI_URL - Pfad der Swagger-UI-Dateien, relativ zur Seite `/docs`. */
+const SWAGGER_UI_URL = 'docs/assets';
+
+/** @constant {string} DOCS_PAGE - Die HTML-Seite von `GET /docs`; sie lädt die Spezifikation relativ zu ihrer eigenen URL. */
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="de">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Resource Catalog Service – API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>
+`;
+
+/**
+ * @route GET /openapi.json
+ * @summary Die OpenAPI-3.1-Spezifikation der API.
+ * @access Public
+ * @returns {Object} 200 - Das OpenAPI-Dokument.
+ */
+router.get('/openapi.json', (req, res) => {
+  res.status(200).json(buildOpenApiSpec());
+});
+
+// Statische Dateien, keine API-Operationen; deshalb nicht in der Spezifikation. Die Version legt `package.json` fest.
+router.use('/docs/assets', express.static(getAbsoluteFSPath(), { index: false, maxAge: '1d' }));
+
+/**
+ * @route GET /docs
+ * @summary Interaktive API-Dokumentation (Swagger UI).
+ * @access Public
+ * @returns {string} 200 - HTML-Seite.
+ */
+router.get('/docs', (req, res) => {
+  res.status(200).type('html').send(DOCS_PAGE);
+});
+
+export default router;
@@ -0,0 +1,83 @@
+/**
+ * @file Betriebsendpunkte für Orchestrierung und Monitoring.
+ * @description
+ * - `GET /healthz` – Liveness: Der Prozess läuft und beantwortet Anfragen. Prüft bewusst keine Abhängigkeiten,
+ *   damit ein kurzer Datenbankausfall nicht zum Neustart des Containers führt.
+ * - `GET /readyz`  – Readiness: Das Speicher-Backend ist erreichbar (MongoDB: Verbindungsstatus und `ping`).
+ *   Während des Verbindungsaufbaus beim Start und bei Verbindungsabbrüchen `503`.
+ * - `GET /metrics` – Metriken im Prometheus-Textformat (siehe `utils/metrics.js`).
+ */
+
+import express from 'express';
+import { getRepository } from '../repositories/index.js';
+import { renderMetrics, METRICS_CONTENT_TYPE } from '../utils/metrics.js';
+
+const router = express.Router();
+
+/** @constant {number} READINESS_TIMEOUT_MS - Höchstdauer der Backend-Prüfung, bevor `/readyz` mit `503` antwortet. */
+const READINESS_TIMEOUT_MS = 2000;
+
+/**
+ * Führt die Backend-Prüfung mit Zeitlimit aus.
+ * @returns {Promise<{ ready: boolean, details: Object }>}
+ */
+async function checkStorage() {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve({ ready: false, details: { error: `Keine Antwort nach ${READINESS_TIMEOUT_MS} ms.` } }), READINESS_TIMEOUT_MS);
+  });
+  try {
+    return await Promise.race([getRepository().health(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * @route GET /healthz
+ * @summary Liveness-Probe.
+ * @access Public
+ * @returns {Object} 200 - `{ status: 'ok', uptime }` (Laufzeit des Prozesses in Sekunden).
+ */
+router.get('/healthz', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+/**
+ * @route GET /readyz
+ * @summary Readiness-Probe: Ist das Speicher-Backend erreichbar?
+ * @access Public
+ * @returns {Object} 200 - `{ status: 'ready', backend, checks: { storage: { ready: true, … } } }`
+ * @returns {Object} 503 - `{ status: 'not_ready', backend, checks: { storage: { ready: false, state | error } } }`
+ *
+ * @example
+ * // Response (503) während des Verbindungsaufbaus:
+ * // { "status": "not_ready", "backend": "mongo", "checks": { "storage": { "ready": false, "state": "connecting" } } }
+ */
+router.get('/readyz', async (req, res, next) => {
+  try {
+    const { ready, details } = await checkStorage();
+    res.set('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      backend: getRepository().backend,
+      checks: { storage: { ready, ...details } }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /metrics
+ * @summary Metriken im Prometheus-Textformat.
+ * @access Public
+ * @returns {string} 200 - `text/plain; version=0.0.4`
+ */
+router.get('/metrics', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.type(METRICS_CONTENT_TYPE).send(renderMetrics());
+});
+
+export default router;
@@ -5,118 +5,541 @@
  * - Bietet CRUD-Operationen auf Ressourcen (Anlegen, Lesen, Aktualisieren, Löschen).
  * - Verwaltet Bewertungen (Ratings) und textbasiertes Feedback zu Ressourcen.
  * - Die Endpunkte liefern je nach Route:
- *   - GET /           → Ressourcen mit `averageRating` (ohne `feedback`)
- *   - GET /:id        → Ressource mit `averageRating` **und** vollständigem `feedback`
+ *   - GET /           → Seite der Ressourcenliste mit `averageRating` (ohne `feedback`), filter- und sortierbar
+ *   - GET /facets     → Anzahl Ressourcen je Kategorie, Tag und Autor für dieselben Filter wie GET /
+ *   - GET /search     → Volltextsuche mit Relevanz-Score und hervorgehobenen Snippets
+ *   - GET /:id        → Ressource mit `averageRating` **und** `feedback` (optional auf die neuesten N begrenzt)
+ *   - GET / und GET /:id unterstützen bedingte Anfragen (`ETag`/`Last-Modified` → `304`) und den optionalen
+ *     Antwort-Cache aus `middleware/http-cache.js`; jeder erfolgreiche Schreibzugriff leert ihn
+ *   - PUT/PATCH /:id  → vollständiges Ersetzen bzw. JSON Merge Patch, abgesichert über `ETag`/`If-Match`
+ *   - /:resourceId/ratings → eine Bewertung pro Nutzer (Upsert), einzeln abruf-, änder- und löschbar
+ *   - DELETE /:id     → verschiebt in den Papierkorb; `/trash` listet bzw. leert ihn, `POST /:id/restore` holt zurück
+ *   - GET /:id/history → Änderungshistorie der Ressource, ihrer Bewertungen und ihres Feedbacks; `POST /:id/revert` stellt eine frühere Version her
+ *   - /:resourceId/feedback → seitenweise Feedback-Liste (neueste zuerst), Einträge einzeln abruf-, änder- und löschbar
+ *   - /moderation/feedback  → Moderationswarteschlange; Feedback wird gemeldet, freigegeben oder abgelehnt
  *   - POST/PUT/DELETE → wie dokumentiert unten; Schreib-Endpoints geben angereicherte Ressourcen zurück, wo sinnvoll.
  *
  * Datenspeicher:
- * - `resources.json`: Liste der Ressourcenobjekte.
- * - `ratings.json`  : Liste der Bewertungen (resourceId, ratingValue, userId, timestamp).
- * - `feedback.json` : Liste der Feedback-Einträge (resourceId, feedbackText, userId, timestamp).
+ * - Alle Zugriffe laufen über das Repository aus `repositories/` (MongoDB oder JSON-Dateien, siehe `STORAGE_BACKEND`).
+ * - Schreibzugriffe werden mit `recordAudit` in der Änderungshistorie protokolliert (siehe `helpers/audit.js`)
+ *   und mit `emitEvent` an abonnierte Webhooks gemeldet (siehe `helpers/webhooks.js`).
+ * - Ressourcen und Bewertungen gehen mit `present(req, 'resource' | 'rating', …)` in der Form der API-Version der Anfrage hinaus
+ *   (siehe `middleware/api-version.js`).
  */
 
 import express from 'express';
-import { v4 as uuidv4 } from 'uuid';
-import { validateResource, validateRating, validateFeedback } from '../middleware/validation.js';
-import { readData, writeData } from '../helpers/data_manager.js';
+import {
+  validateResource, validateResourcePatch, validateRating, validateFeedback, validateFeedbackFlag,
+  validateModerationDecision, validateRevert, resourceSchema
+} from '../middleware/validation.js';
+import { authenticate, requireAuth, canModify, isAdmin, isModerator } from '../middleware/auth.js';
+import { captureRouteBase } from '../middleware/metrics.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { conditionalGet, invalidateOnWrite, latestOf } from '../middleware/http-cache.js';
+import { present } from '../middleware/api-version.js';
+import { getRepository } from '../repositories/index.js';
 import { buildEnrichedResource } from '../helpers/enrich_resource.js';
-import Resource from '../models/resource.js';
-import Rating from '../models/rating.js';
-import Feedback from '../models/feedback.js';
-import { toObjectId, toClient } from '../utils/mongo.js';
+import { parseResourceQuery } from '../helpers/resource_query.js';
+import { resolveResourceTaxonomy, resolveCategoryFilter, resolveCategory, normalizeResourceFields } from '../helpers/taxonomy.js';
+import { searchResources } from '../helpers/search.js';
+import { parsePagination, paginationInfo, parseIntParam, MAX_LIMIT } from '../helpers/pagination.js';
+import { formatETag, parseIfMatch, isIfMatchRequired } from '../helpers/concurrency.js';
+import { areAnonymousRatingsAllowed } from '../helpers/ratings.js';
+import { purgeDate, retentionCutoff, getTrashRetentionDays } from '../helpers/trash.js';
+import { resolveLegacyParam } from '../helpers/legacy_ids.js';
+import {
+  TRANSFER_FORMATS, MAX_IMPORT_ROWS, getImportBodyLimit, importFormatOf, parseImportRows, validateImportRow,
+  parseExportIncludes, exportResources, writeExport
+} from '../helpers/catalog_transfer.js';
+import { resourcesCreated, ratingsCreated, feedbackCreated } from '../utils/metrics.js';
+import { log } from '../utils/log.js';
+import { registerFeedbackSubmission } from '../helpers/feedback_duplicates.js';
+import { AUDIT_ENTITIES, recordAudit, reconstructRevision } from '../helpers/audit.js';
+import { emitEvent } from '../helpers/webhooks.js';
+import {
+  FEEDBACK_STATUSES, PUBLIC_FEEDBACK_STATUS, MODERATION_QUEUE_STATUSES, moderateFeedbackText, feedbackStatusOf,
+  isFeedbackVisible, presentFeedback, getFlagThreshold
+} from '../helpers/feedback_moderation.js';
+import {
+  HttpError, ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, PreconditionFailedError
+} from '../utils/errors.js';
 
 const router = express.Router();
 
-const RESOURCES_FILE = 'resources.json';
-const RATINGS_FILE   = 'ratings.json';
-const FEEDBACK_FILE  = 'feedback.json';
+// Ein mitgeschicktes Bearer-Token wird für alle Routen ausgewertet (`req.user`);
+// Schreib-Endpunkte verlangen zusätzlich `requireAuth` und prüfen die Eigentümerschaft mit `canModify`.
+router.use(captureRouteBase);
+router.use(authenticate);
+router.use(rateLimit);
+router.use(invalidateOnWrite);
+
+// Legacy-IDs aus den JSON-Fixtures (`res-…`, `rate-…`, `feed-…`) werden auf die importierten ObjectIds abgebildet.
+router.param('id', resolveLegacyParam('resource'));
+router.param('resourceId', resolveLegacyParam('resource'));
+router.param('ratingId', resolveLegacyParam('rating'));
+router.param('feedbackId', resolveLegacyParam('feedback'));
 
 // --- RESOURCE ENDPOINTS ---
 
 /**
  * @route GET /
- * @summary Ruft alle Ressourcen ab (optional gefiltert), **mit durchschnittlicher Bewertung, ohne Feedback**.
+ * @summary Ruft Ressourcen gefiltert, sortiert und seitenweise ab, **mit durchschnittlicher Bewertung, ohne Feedback**.
  * @description
- * **Ruft eine umfassende Liste aller Ressourcen ab.**
+ * **Ruft eine Seite der Ressourcenliste ab.**
  *
  * Jede Ressource im Response enthält:
  * - Basisdaten (z. B. `id`, `title`, `type`, `authorId`, …)
  * - `averageRating`: den Durchschnitt aller abgegebenen Bewertungen (0, wenn keine vorliegen)
+ * - `ratingStats`: `count`, `mean`, `histogram` (1–5 Sterne) und Bayes'schen `score` (siehe `helpers/rating_stats.js`)
+ *
+ * Beide Werte sind an der Ressource gespeichert und werden bei jeder Bewertungsänderung nachgeführt;
+ * die Liste muss dafür nicht über die Bewertungen aggregieren.
  *
  * **Hinweis:** Diese Route liefert absichtlich **kein** `feedback`-Array, um die Antwort klein zu halten.
  * Für eine vollständige Detailansicht inkl. Feedback nutze **GET /:id**.
  *
- * Optional kann nach Ressourcentyp (`type`) oder Autor (`authorId`) gefiltert werden.
+ * Die Query-Parameter werden von `parseResourceQuery` ausgewertet; ungültige Werte führen zu `400`.
  *
  * @access Public
- * @param {string} [req.query.type] - Optional: Filtert die Ergebnisse nach Ressourcentyp.
+ * @param {string} [req.query.type] - Optional: Filtert die Ergebnisse nach Ressourcentyp (exakter Name).
+ * @param {string} [req.query.category] - Optional: Kommagetrennte Kategorien (Name, Slug oder Alias); eine davon muss passen.
+ * @param {string} [req.query.tags] - Optional: Kommagetrennte Tags; alle müssen vorhanden sein.
  * @param {string} [req.query.authorId] - Optional: Filtert die Ergebnisse nach Autor-ID.
- * @returns {Array<Object>} 200 - Liste aller Ressourcen (angereichert um `averageRating`, ohne `feedback`).
+ * @param {string} [req.query.createdFrom] - Optional: Nur Ressourcen, die ab diesem Zeitpunkt erstellt wurden (ISO-8601).
+ * @param {string} [req.query.createdTo] - Optional: Nur Ressourcen, die bis zu diesem Zeitpunkt erstellt wurden (ISO-8601).
+ * @param {number} [req.query.minRating] - Optional: Mindestwert für `averageRating` (0–5).
+ * @param {string} [req.query.sort=-createdAt] - Optional: `title`, `createdAt`, `averageRating` oder `ratingScore`; `-` Präfix sortiert absteigend.
+ * @param {number} [req.query.page=1] - Optional: Seitennummer, beginnend bei 1.
+ * @param {number} [req.query.limit=20] - Optional: Einträge pro Seite (max. 100).
+ * @returns {Object} 200 - `{ data, pagination }` mit den Ressourcen der Seite und den Gesamtzahlen.
+ * @returns {Object} 304 - Unverändert seit `If-None-Match` bzw. `If-Modified-Since`.
+ * @returns {Object} 400 - Ungültige Query-Parameter oder unbekannte Kategorie.
+ * @returns {Object} 500 - Interner Serverfehler.
+ *
+ * @example
+ * // Request: GET /resources?type=frontend&sort=-averageRating&page=1&limit=10
+ * // Response (200):
+ * // {
+ * //   "data": [
+ * //     {
+ * //       "id": "123",
+ * //       "title": "React Basics",
+ * //       "type": "frontend",
+ * //       "authorId": "dev42",
+ * //       "averageRating": 4.5
+ * //     }
+ * //   ],
+ * //   "pagination": { "page": 1, "limit": 10, "total": 1, "totalPages": 1 }
+ * // }
+ */
+router.get('/', conditionalGet, async (req, res, next) => {
+  try {
+    const { error: queryError, value: listQuery } = parseResourceQuery(req.query);
+
+    const error = queryError ?? await resolveCategoryFilter(listQuery.filter);
+    if (error) {
+      return next(new ValidationError(error, { code: 'INVALID_QUERY' }));
+    }
+
+    const { data, total } = await getRepository().resources.list(listQuery);
+    const { page, limit } = listQuery;
+
+    res.locals.lastModified = latestOf(...data.flatMap((resource) => [resource.updatedAt ?? resource.createdAt, resource.ratedAt]));
+    res.status(200).json({
+      data: present(req, 'resource', data),
+      pagination: paginationInfo(page, limit, total)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /facets
+ * @summary Zählt die Ressourcen je Kategorie (`type`), Tag und Autor – etwa für Filterleisten im Frontend.
+ * @description
+ * Es gelten dieselben Filter wie bei **GET /** (`type`, `category`, `tags`, `authorId`, `createdFrom`,
+ * `createdTo`, `minRating`); gezählt werden Ressourcen außerhalb des Papierkorbs.
+ * Jede Facette ist absteigend nach Anzahl sortiert und auf `facetLimit` Werte begrenzt.
+ *
+ * **Hinweis:** Muss vor `GET /:id` registriert sein, da `facets` sonst als ID interpretiert wird.
+ *
+ * @access Public
+ * @param {number} [req.query.facetLimit=20] - Optional: Höchstzahl Werte je Facette (1–100).
+ * @returns {Object} 200 - `{ total, facets: { type, tags, authorId } }`, jede Facette als `[{ value, count }]`.
+ * @returns {Object} 400 - Ungültige Query-Parameter oder unbekannte Kategorie.
  * @returns {Object} 500 - Interner Serverfehler.
  *
  * @example
- * // Request: GET /resources?type=frontend
+ * // Request: GET /resources/facets?tags=react
  * // Response (200):
- * // [
- * //   {
- * //     "id": "123",
- * //     "title": "React Basics",
- * //     "type": "frontend",
- * //     "authorId": "dev42",
- * //     "averageRating": 4.5
+ * // {
+ * //   "total": 4,
+ * //   "facets": {
+ * //     "type": [{ "value": "Course", "count": 3 }, { "value": "Video", "count": 1 }],
+ * //     "tags": [{ "value": "react", "count": 4 }, { "value": "hooks", "count": 2 }],
+ * //     "authorId": [{ "value": "dev42", "count": 4 }]
  * //   }
- * // ]
+ * // }
+ */
+router.get('/facets', async (req, res, next) => {
+  try {
+    const { facetLimit: rawFacetLimit, ...query } = req.query;
+    const facetLimit = parseIntParam(rawFacetLimit, 20, 1);
+    if (facetLimit === null || facetLimit > MAX_LIMIT) {
+      return next(new ValidationError(`facetLimit muss eine Ganzzahl zwischen 1 und ${MAX_LIMIT} sein.`, { code: 'INVALID_QUERY' }));
+    }
+
+    const { error: queryError, value: listQuery } = parseResourceQuery({ ...query, page: undefined, limit: undefined });
+    const error = queryError ?? await resolveCategoryFilter(listQuery.filter);
+    if (error) {
+      return next(new ValidationError(error, { code: 'INVALID_QUERY' }));
+    }
+
+    const { total, ...facets } = await getRepository().resources.facets(listQuery, { limit: facetLimit });
+    res.status(200).json({ total, facets });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /search
+ * @summary Volltextsuche über Ressourcen, optional inklusive Feedback, **nach Relevanz sortiert**.
+ * @description
+ * Durchsucht `title` und `description` aller Ressourcen (bei MongoDB über den Textindex des `Resource`-Modells).
+ * Mit `includeFeedback=true` werden zusätzlich die Feedback-Texte durchsucht; passende Einträge
+ * erhöhen den Score der zugehörigen Ressource (siehe `searchResources`).
+ *
+ * Jede Ressource im Response enthält:
+ * - Basisdaten der Ressource
+ * - `score`: die Relevanz des Treffers
+ * - `highlights`: Snippets mit `<mark>`-markierten Suchbegriffen für `title`, `description` und ggf. `feedback`
+ *
+ * **Hinweis:** Muss vor `GET /:id` registriert sein, da `search` sonst als ID interpretiert wird.
+ *
+ * @access Public
+ * @param {string} req.query.q - Der Suchstring.
+ * @param {string} [req.query.includeFeedback=false] - Optional: `true`, um Feedback-Texte einzubeziehen.
+ * @param {number} [req.query.limit=20] - Optional: Maximale Anzahl Treffer (1–50).
+ * @returns {Object} 200 - `{ query, data }` mit den Treffern, absteigend nach `score`.
+ * @returns {Object} 400 - Fehlender Suchstring oder ungültiges Limit.
+ * @returns {Object} 500 - Interner Serverfehler.
+ *
+ * @example
+ * // Request: GET /resources/search?q=react%20hooks&includeFeedback=true
+ * // Response (200):
+ * // {
+ * //   "query": "react hooks",
+ * //   "data": [
+ * //     {
+ * //       "id": "123",
+ * //       "title": "Mastering React Hooks",
+ * //       "score": 4.25,
+ * //       "highlights": {
+ * //         "title": "Mastering <mark>React</mark> <mark>Hooks</mark>",
+ * //         "description": "…",
+ * //         "feedback": [{ "id": "f1", "snippet": "Best <mark>hooks</mark> tutorial!" }]
+ * //       }
+ * //     }
+ * //   ]
+ * // }
+ */
+router.get('/search', async (req, res, next) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const includeFeedback = req.query.includeFeedback === 'true';
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+    if (!q) {
+      return next(new ValidationError('Suchbegriff (q) ist erforderlich.', { code: 'INVALID_QUERY' }));
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return next(new ValidationError('limit muss eine Ganzzahl zwischen 1 und 50 sein.', { code: 'INVALID_QUERY' }));
+    }
+
+    const results = await searchResources(q, { includeFeedback, limit });
+    res.status(200).json({ query: q, data: present(req, 'resource', results) });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- IMPORT & EXPORT ---
+// Muss vor `/:id` registriert werden, da `import`/`export` sonst als ID interpretiert würden.
+
+/**
+ * @route POST /import
+ * @summary Legt viele Ressourcen auf einmal an (JSON-Array, NDJSON oder CSV) und liefert einen Bericht pro Zeile.
+ * @description
+ * Das Format ergibt sich aus dem Content-Type (`application/json`, `application/x-ndjson`, `text/csv`)
+ * oder aus `?format=`. CSV braucht eine Kopfzeile mit den Feldnamen; Komma und Semikolon werden erkannt.
+ * Jede Zeile wird wie bei `POST /resources` validiert und `type` zur Kategorie aufgelöst, `authorId` ist der angemeldete Nutzer.
+ * In CSV werden `tags` komma- oder semikolongetrennt in einer Zelle angegeben.
+ *
+ * - Standard: gültige Zeilen werden angelegt, ungültige im Bericht als `failed` gemeldet.
+ * - `atomic=true`: Alles oder nichts – enthält eine Zeile Fehler, wird nichts angelegt (`400`, Bericht unter `results`).
+ *
+ * @access Authenticated
+ * @param {string} [req.query.format] - `json`, `ndjson` oder `csv`; überschreibt den Content-Type.
+ * @param {string} [req.query.atomic=false] - `true` für Alles-oder-nichts.
+ * @returns {Object} 201 - Alle Zeilen angelegt: `{ total, created, failed, results: [{ row, status, id }] }`.
+ * @returns {Object} 200 - Teilweise angelegt; fehlerhafte Zeilen mit `status: 'failed'` und `errors`.
+ * @returns {Object} 400 - Datei nicht lesbar, leer oder (mit `atomic=true`) mindestens eine ungültige Zeile.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 413 - Mehr als `MAX_IMPORT_ROWS` Zeilen.
+ * @returns {Object} 415 - Nicht unterstütztes Format.
+ * @returns {Object} 500 - Interner Serverfehler.
+ *
+ * @example
+ * // Request: POST /resources/import?atomic=true
+ * // Headers: Content-Type: text/csv
+ * // Body:
+ * // title,type,description
+ * // Intro to SQL,Course,Joins and indexes
+ * // Response (201): { "total": 1, "created": 1, "failed": 0, "results": [{ "row": 1, "line": 2, "status": "created", "id": "…" }] }
+ */
+router.post(
+  '/import',
+  requireAuth,
+  (req, res, next) => express.text({ type: [TRANSFER_FORMATS.ndjson, TRANSFER_FORMATS.csv, 'text/plain'], limit: getImportBodyLimit() })(req, res, next),
+  async (req, res, next) => {
+    try {
+      const format = importFormatOf(req);
+      if (!format) {
+        return next(new HttpError(415, undefined, `Import erwartet einen dieser Content-Types: ${Object.values(TRANSFER_FORMATS).join(', ')}.`));
+      }
+      const atomic = req.query.atomic === 'true';
+
+      const { error, rows } = parseImportRows(format, req.body);
+      if (error) {
+        return next(new ValidationError(error, { code: 'INVALID_IMPORT' }));
+      }
+      if (rows.length === 0) {
+        return next(new ValidationError('Die Importdatei enthält keine Datensätze.', { code: 'INVALID_IMPORT' }));
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return next(new HttpError(413, 'IMPORT_TOO_LARGE', `Höchstens ${MAX_IMPORT_ROWS} Datensätze pro Import (erhalten: ${rows.length}).`));
+      }
+
+      // Kategorien werden wie bei `POST /` aufgelöst; der Cache spart Abfragen bei vielen gleichen Typen.
+      const categoryCache = new Map();
+      const checked = [];
+      for (const row of rows) {
+        const validated = validateImportRow(row);
+        checked.push({ ...row, ...(validated.errors.length > 0 ? validated : await normalizeResourceFields(validated.value, categoryCache)) });
+      }
+      const failed = checked.filter((row) => row.errors.length > 0);
+      const failedResult = ({ row, line, errors }) => ({ row, line, status: 'failed', errors });
+
+      if (atomic && failed.length > 0) {
+        return next(new HttpError(400, 'IMPORT_REJECTED', `${failed.length} von ${rows.length} Datensätzen sind ungültig; es wurde nichts importiert.`, {
+          extensions: { total: rows.length, created: 0, failed: failed.length, results: failed.map(failedResult) }
+        }));
+      }
+
+      const valid = checked.filter((row) => row.errors.length === 0);
+      const createdAt = new Date();
+      const created = valid.length === 0 ? [] : await getRepository().resources.createMany(
+        valid.map(({ value }) => ({ ...value, authorId: req.user.id, createdAt }))
+      );
+      resourcesCreated.inc({ source: 'import' }, created.length);
+      await recordAudit(req, ...created.map((resource) => ({ entity: 'resource', operation: 'create', resourceId: resource.id, after: resource })));
+      emitEvent(req, 'resource.created', ...created);
+
+      const idByRow = new Map(valid.map(({ row }, index) => [row, created[index].id]));
+      const results = checked.map((row) => (row.errors.length > 0
+        ? failedResult(row)
+        : { row: row.row, line: row.line, status: 'created', id: idByRow.get(row.row) }));
+
+      res.status(failed.length === 0 ? 201 : 200).json({
+        total: rows.length,
+        created: created.length,
+        failed: failed.length,
+        results
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route GET /export
+ * @summary Exportiert den Katalog als JSON, NDJSON oder CSV (Download, gestreamt).
+ * @description
+ * Gedacht für Backups und zum Übertragen von Daten zwischen Umgebungen. Die Filter und die Sortierung von
+ * **GET /** (`type`, `category`, `tags`, `authorId`, `createdFrom`, `createdTo`, `minRating`, `sort`) gelten auch hier;
+ * `page`/`limit` gibt es nicht, exportiert werden alle passenden Ressourcen außerhalb des Papierkorbs.
+ * Mit `include=ratings,feedback` (nur JSON und NDJSON) werden Bewertungen und Feedback je Ressource eingebettet.
+ *
+ * @access Authenticated
+ * @param {string} [req.query.format=json] - `json`, `ndjson` oder `csv`.
+ * @param {string} [req.query.include] - Kommagetrennt: `ratings`, `feedback`.
+ * @returns {Object} 200 - Die Exportdatei (`Content-Disposition: attachment`).
+ * @returns {Object} 400 - Ungültige Query-Parameter.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 500 - Interner Serverfehler.
+ *
+ * @example
+ * // Request: GET /resources/export?format=ndjson&include=ratings,feedback
+ * // Response (200): eine Ressource pro Zeile, z. B.
+ * // {"id":"…","title":"Mastering React Hooks",…,"ratings":[…],"feedback":[…]}
  */
-router.get('/', async (req, res, next) => {
+router.get('/export', requireAuth, async (req, res, next) => {
   try {
-    // const resources = await readData(RESOURCES_FILE);
-    // const ratings   = await readData(RATINGS_FILE);
-
-    // const { type, authorId } = req.query;
-
-    // let filtered = resources;
-    // if (type)     filtered = filtered.filter(r => String(r.type) === String(type));
-    // if (authorId) filtered = filtered.filter(r => String(r.authorId) === String(authorId));
-
-    // // Anreichern NUR mit averageRating (KEIN feedback anhängen)
-    // const enriched = filtered.map(resource => {
-    //   const resourceId = String(resource.id);
-    //   const resourceRatings = ratings.filter(r => String(r.resourceId) === resourceId);
-    //   const avgRating = average(resourceRatings.map(r => r.ratingValue));
-
-    //   // explizit KEIN 'feedback' Feld zurückgeben
-    //   const { feedback, ...rest } = resource; // falls im Datensatz existiert, entfernen
-    //   return {
-    //     ...rest,
-    //     averageRating: avgRating
-    //   };
-    // });
-
-    // res.status(200).json(enriched);
-
-    const resources = await Resource.find().lean();
-
-    const ratingAgg = await Rating.aggregate([
-      { $group: { _id: "$resourceId", avg: { $avg: "$ratingValue" } } }
-    ]);
-
-    const avgMap = Object.fromEntries(
-      ratingAgg.map((res) => [String(res._id), Number(res.avg?.toFixed(2) ?? 0)])
-    );
-
-    const enriched = resources.map((resource_doc) => {
-      const id = String(resource_doc._id);
-      const resource_obj = toClient(resource_doc);
-      return {
-        ...resource_obj,
-        averageRating: avgMap[id] ?? 0
-      };
+    const format = req.query.format ?? 'json';
+    if (!Object.hasOwn(TRANSFER_FORMATS, format)) {
+      return next(new ValidationError(`format muss einer der Werte ${Object.keys(TRANSFER_FORMATS).join(', ')} sein.`, { code: 'INVALID_QUERY' }));
+    }
+
+    const includes = parseExportIncludes(req.query.include);
+    if (includes.error) {
+      return next(new ValidationError(includes.error, { code: 'INVALID_QUERY' }));
+    }
+    if (format === 'csv' && includes.value.size > 0) {
+      return next(new ValidationError('include wird nur für json und ndjson unterstützt.', { code: 'INVALID_QUERY' }));
+    }
+
+    const { error: queryError, value: listQuery } = parseResourceQuery({ ...req.query, page: undefined, limit: undefined });
+    const queryFilterError = queryError ?? await resolveCategoryFilter(listQuery.filter);
+    if (queryFilterError) {
+      return next(new ValidationError(queryFilterError, { code: 'INVALID_QUERY' }));
+    }
+
+    res.type(TRANSFER_FORMATS[format]);
+    res.attachment(`resources-${new Date().toISOString().slice(0, 10)}.${format}`);
+    await writeExport(res, format, exportResources(getRepository(), listQuery, includes.value));
+  } catch (error) {
+    // Nach Beginn des Downloads kann keine Fehlerantwort mehr gesendet werden; der Abbruch zeigt dem Client den Fehler.
+    if (res.headersSent) {
+      log.error('export aborted', { format: req.query.format, err: error });
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+// --- PAPIERKORB ---
+// Muss vor `/:id` registriert werden, da `trash` sonst als ID interpretiert würde.
+
+/**
+ * @route GET /trash
+ * @summary Listet gelöschte Ressourcen im Papierkorb, zuletzt gelöschte zuerst.
+ * @description
+ * Administratoren sehen alle gelöschten Ressourcen, alle anderen Nutzer nur ihre eigenen.
+ * Jeder Eintrag enthält `deletedAt`, `deletedBy` und `purgeAfter` (Zeitpunkt, ab dem **DELETE /trash** ihn entfernt).
+ *
+ * @access Authenticated
+ * @param {number} [req.query.page=1] - Seitennummer (ab 1).
+ * @param {number} [req.query.limit=20] - Seitengröße (1–100).
+ * @returns {Object} 200 - `{ data: Resource[], pagination: { page, limit, total, totalPages } }`
+ * @returns {Object} 400 - Ungültige Query-Parameter.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.get('/trash', requireAuth, async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return next(new ValidationError(pagination.error, { code: 'INVALID_QUERY' }));
+    }
+    const { page, limit } = pagination.value;
+
+    const { data, total } = await getRepository().resources.listTrash({
+      authorId: isAdmin(req.user) ? undefined : req.user.id,
+      page,
+      limit
     });
 
-    res.status(200).json(enriched);
-    
+    res.status(200).json({
+      data: present(req, 'resource', data.map((resource) => ({ ...resource, purgeAfter: purgeDate(new Date(resource.deletedAt)) }))),
+      pagination: paginationInfo(page, limit, total)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /trash
+ * @summary Entfernt Ressourcen endgültig, die länger als die Aufbewahrungsfrist im Papierkorb liegen.
+ * @description
+ * Löscht die Ressourcen samt ihren Bewertungen und ihrem Feedback. Die Frist ist `TRASH_RETENTION_DAYS`
+ * (Standard 30 Tage) und kann pro Aufruf mit `olderThanDays` überschrieben werden (`0` leert den Papierkorb).
+ *
+ * @access Admin
+ * @param {number} [req.query.olderThanDays] - Abweichende Frist in Tagen.
+ * @returns {Object} 200 - `{ purged: { resources, ratings, feedback } }` mit der Anzahl entfernter Dokumente.
+ * @returns {Object} 400 - Ungültiges `olderThanDays`.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Kein Administrator.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.delete('/trash', requireAuth, async (req, res, next) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return next(new ForbiddenError('Nur Administratoren dürfen den Papierkorb leeren.'));
+    }
+
+    const olderThanDays = parseIntParam(req.query.olderThanDays, getTrashRetentionDays(), 0);
+    if (olderThanDays === null) {
+      return next(new ValidationError('olderThanDays muss eine nicht-negative Ganzzahl sein.', { code: 'INVALID_QUERY' }));
+    }
+
+    const purged = await getRepository().resources.purgeDeleted(retentionCutoff(olderThanDays));
+    res.status(200).json({ purged });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /moderation/feedback
+ * @summary Moderationswarteschlange: Feedback aller Ressourcen, das auf Prüfung wartet, älteste zuerst.
+ * @description
+ * Standardmäßig `pending` (von einer Regel zurückgehalten) und `flagged` (von Nutzern gemeldet).
+ * Mit `status` lassen sich andere Status abfragen, z. B. `status=rejected`.
+ * Muss vor `/:resourceId/feedback` registriert werden, da `moderation` sonst als ID interpretiert würde.
+ *
+ * @access Moderator, Admin
+ * @param {string} [req.query.status=pending,flagged] - Kommagetrennte Status (`pending`, `approved`, `rejected`, `flagged`).
+ * @param {number} [req.query.page=1] - Seitennummer (ab 1).
+ * @param {number} [req.query.limit=20] - Seitengröße (1–100).
+ * @returns {Object} 200 - `{ data: Feedback[], pagination: { page, limit, total, totalPages } }`
+ * @returns {Object} 400 - Ungültige Query-Parameter.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Weder Moderator noch Administrator.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.get('/moderation/feedback', requireAuth, async (req, res, next) => {
+  try {
+    if (!isModerator(req.user)) {
+      return next(new ForbiddenError('Nur Moderatoren dürfen die Moderationswarteschlange sehen.'));
+    }
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return next(new ValidationError(pagination.error, { code: 'INVALID_QUERY' }));
+    }
+    const statuses = req.query.status === undefined
+      ? MODERATION_QUEUE_STATUSES
+      : String(req.query.status).split(',').map((status) => status.trim()).filter(Boolean);
+    if (statuses.length === 0 || statuses.some((status) => !FEEDBACK_STATUSES.includes(status))) {
+      return next(new ValidationError(`status muss aus den Werten ${FEEDBACK_STATUSES.join(', ')} bestehen.`, { code: 'INVALID_QUERY' }));
+    }
+    const { page, limit } = pagination.value;
+
+    const { data, total } = await getRepository().feedback.listQueue({ statuses, page, limit });
+
+    res.status(200).json({
+      data: data.map((feedback) => presentFeedback(feedback, req.user)),
+      pagination: paginationInfo(page, limit, total)
+    });
   } catch (error) {
-    console.error('Fehler beim Abrufen aller Ressourcen:', error);
     next(error);
   }
 });
@@ -128,13 +551,21 @@ router.get('/', async (req, res, next) => {
  * **Ruft eine Ressource by ID ab** und liefert:
  * - alle Basisinformationen der Ressource
  * - `averageRating`: den Durchschnitt aller Bewertungen
- * - `feedback`: alle zugehörigen Feedback-Einträge
+ * - `ratingStats`: Anzahl, Mittelwert, Sterne-Histogramm und Bayes'scher Score (wie in **GET /**)
+ * - `feedback`: alle zugehörigen Feedback-Einträge, neueste zuerst (mit `feedbackLimit` nur die N neuesten)
+ * - `feedbackCount`: die Gesamtzahl der Feedback-Einträge
+ *
+ * Für die vollständige, seitenweise Feedback-Liste gibt es **GET /:resourceId/feedback**.
  *
  * Falls keine Ressource mit der angegebenen ID existiert, wird `404 Not Found` zurückgegeben.
  *
  * @access Public
  * @param {string} req.params.id - Die ID der abzurufenden Ressource.
- * @returns {Object} 200 - Ressource mit `averageRating` und `feedback`.
+ * @param {number} [req.query.feedbackLimit] - Optional: Anzahl der einzubettenden neuesten Feedback-Einträge (0–100).
+ * @returns {Object} 200 - Ressource mit `averageRating` und `feedback`; der `ETag`-Header (`"<version>-<hash>"`)
+ *          taugt als `If-Match` für Updates.
+ * @returns {Object} 304 - Unverändert seit `If-None-Match` bzw. `If-Modified-Since`.
+ * @returns {Object} 400 - Ungültiges `feedbackLimit`.
  * @returns {Object} 404 - Ressource nicht gefunden.
  * @returns {Object} 500 - Interner Serverfehler.
  *
@@ -145,27 +576,32 @@ router.get('/', async (req, res, next) => {
  * //   "title": "React Basics",
  * //   "type": "frontend",
  * //   "averageRating": 4.2,
+ * //   "ratingStats": { "count": 5, "mean": 4.2, "histogram": { "1": 0, "2": 0, "3": 1, "4": 2, "5": 2 }, "score": 3.6 },
  * //   "feedback": [
  * //     { "id": "f1", "resourceId": "123", "feedbackText": "Tolle Einführung!", "userId": "tom", "timestamp": "2025-08-20T09:00:00Z" }
- * //   ]
+ * //   ],
+ * //   "feedbackCount": 1
  * // }
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', conditionalGet, async (req, res, next) => {
   try {
-    const _id = toObjectId(req.params.id);
+    const feedbackLimit = parseIntParam(req.query.feedbackLimit, undefined, 0);
+    if (feedbackLimit === null || feedbackLimit > MAX_LIMIT) {
+      return next(new ValidationError(`feedbackLimit muss eine Ganzzahl zwischen 0 und ${MAX_LIMIT} sein.`, { code: 'INVALID_QUERY' }));
+    }
 
-    const resource = await Resource.findById(_id).lean();
+    const resource = await getRepository().resources.findActive(req.params.id);
 
     if (!resource) {
-      res.status(404).json({ error: `Ressource mit ID ${req.params.id} nicht gefunden.` });
-      return;
+      return next(new NotFoundError(`Ressource mit ID ${req.params.id} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
     }
 
-    const enriched_resource = await buildEnrichedResource(resource);
-    res.status(200).json(enriched_resource);
+    const enriched_resource = await buildEnrichedResource(resource, { feedbackLimit });
+    res.locals.version = resource.version ?? 0;
+    res.locals.lastModified = latestOf(resource.updatedAt ?? resource.createdAt, resource.ratedAt, enriched_resource.feedback[0]?.timestamp);
+    res.status(200).json(present(req, 'resource', enriched_resource));
 
   } catch (error) {
-    console.error(`Fehler beim Abrufen der Ressource mit ID ${req.params.id}:`, error);
     next(error);
   }
 });
@@ -174,110 +610,407 @@ router.get('/:id', async (req, res, next) => {
  * @route POST /
  * @summary Erstellt eine neue Ressource.
  * @description
- * Nimmt Ressourcendaten im Request-Body entgegen, generiert eine UUID und speichert die Ressource.
+ * Nimmt Ressourcendaten im Request-Body entgegen und speichert die Ressource; die ID vergibt das Repository.
  * Die Antwort enthält die neu erstellte Ressource (ohne Ratings/Feedback, da noch nicht vorhanden).
  *
  * Validierung erfolgt über die `validateResource`-Middleware.
+ * `authorId` wird aus dem Token des angemeldeten Nutzers übernommen.
  *
- * @access Public
- * @param {Object} req.body - Die Daten der neuen Ressource (z. B. { title, type, authorId, ... }).
+ * @access Authenticated
+ * @param {Object} req.body - Die Daten der neuen Ressource (z. B. { title, type, description }).
  * @returns {Object} 201 - Das neu erstellte Ressourcenobjekt.
  * @returns {Object} 400 - Ungültige oder fehlende Ressourcendaten.
+ * @returns {Object} 401 - Nicht angemeldet.
  * @returns {Object} 500 - Interner Serverfehler.
  */
-router.post('/', validateResource, async (req, res, next) => {
+router.post('/', requireAuth, validateResource, resolveResourceTaxonomy, async (req, res, next) => {
   try {
     const newResource = {
       ...req.body,
+      authorId: req.user.id,
       createdAt: new Date()
     };
-    const created_resource = await Resource.create(newResource);
-    res.status(201).json(toClient(created_resource.toObject()));
+    const created_resource = await getRepository().resources.create(newResource);
+    resourcesCreated.inc({ source: 'api' });
+    await recordAudit(req, { entity: 'resource', operation: 'create', resourceId: created_resource.id, after: created_resource });
+    emitEvent(req, 'resource.created', created_resource);
+    res.set('ETag', formatETag(created_resource.version));
+    res.status(201).json(present(req, 'resource', created_resource));
   } catch (error) {
-    console.error('Fehler beim Erstellen einer Ressource:', error);
     next(error);
   }
 });
 
+/**
+ * Führt ein bedingtes Update (`If-Match`) einer Ressource aus und sendet die passende Antwort.
+ * Gemeinsame Logik von `PUT /:id` und `PATCH /:id`.
+ * @param {express.Request} req - Das Express-Request-Objekt.
+ * @param {express.Response} res - Das Express-Response-Objekt.
+ * @param {express.NextFunction} next - Erhält erwartbare Fehler (404, 403, 412, 428).
+ * @param {{ set?: Object, unset?: string[] }} update - Zu setzende und zu entfernende Felder.
+ * @param {{ operation?: 'update'|'revert', revertedTo?: number }} [audit] - Eintrag in der Änderungshistorie.
+ * @returns {Promise<void>}
+ */
+async function sendConditionalUpdate(req, res, next, update, { operation = 'update', revertedTo } = {}) {
+  const resourceId = req.params.id;
+  const precondition = parseIfMatch(req.get('If-Match'));
+
+  if (precondition === null && isIfMatchRequired()) {
+    return next(new HttpError(428, undefined, 'If-Match-Header ist erforderlich. Bitte zuerst die Ressource mit GET abrufen.'));
+  }
+
+  const current = await getRepository().resources.findActive(resourceId);
+
+  if (!current) {
+    return next(new NotFoundError(`Ressource mit ID ${resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
+  }
+
+  if (!canModify(req.user, current.authorId)) {
+    return next(new ForbiddenError('Nur der Autor oder ein Administrator darf diese Ressource ändern.'));
+  }
+
+  const { status, resource } = await getRepository().resources.updateIfMatch(resourceId, precondition, update);
+
+  if (status === 'not_found') {
+    return next(new NotFoundError(`Ressource mit ID ${resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
+  }
+
+  if (status === 'precondition_failed') {
+    return next(new PreconditionFailedError(
+      'Die Ressource wurde zwischenzeitlich geändert. Bitte neu laden und die Änderung erneut anwenden.',
+      { extensions: { currentVersion: resource.version ?? 0 }, headers: { ETag: formatETag(resource.version) } }
+    ));
+  }
+
+  await recordAudit(req, { entity: 'resource', operation, resourceId, before: current, after: resource, revertedTo });
+  emitEvent(req, 'resource.updated', resource);
+
+  const enriched_resource = await buildEnrichedResource(resource);
+  res.set('ETag', formatETag(resource.version));
+  res.status(200).json(present(req, 'resource', enriched_resource));
+}
+
 /**
  * @route PUT /:id
- * @summary Aktualisiert eine bestehende Ressource vollständig oder teilweise
- *          **und gibt die angereicherte Ressource zurück**.
+ * @summary Ersetzt eine bestehende Ressource vollständig **und gibt die angereicherte Ressource zurück**.
  * @description
- * Nimmt die Ressourcen-ID aus den Parametern und die zu aktualisierenden Daten im Body entgegen.
- * Antwortet mit der **aktualisierten Ressource**, angereichert um `averageRating` & `feedback`.
+ * Nimmt die Ressourcen-ID aus den Parametern und die vollständige neue Darstellung im Body entgegen.
+ * Die Daten werden über die `validateResource`-Middleware geprüft: `title` und `type` sind Pflicht,
+ * nur `title`, `type` und `description` sind erlaubt, `_id`, `createdAt` & Co. werden mit `400` abgelehnt.
+ * Optionale Felder, die im Body fehlen, werden entfernt. `createdAt` und `authorId` bleiben erhalten.
+ * Nur der Autor der Ressource oder ein Administrator darf sie ändern.
  *
- * @access Public
- * @param {string} req.params.id - Die ID der zu aktualisierenden Ressource.
- * @param {Object} req.body - Die neuen Daten für die Ressource.
+ * **Optimistische Nebenläufigkeit:** Mit `If-Match: "<version>"` (ETag aus `GET /:id`) wird nur geschrieben,
+ * wenn die Ressource seitdem nicht geändert wurde, sonst `412`. Ist `REQUIRE_IF_MATCH=true` gesetzt,
+ * werden Anfragen ohne `If-Match` mit `428` abgelehnt.
+ *
+ * Antwortet mit der **aktualisierten Ressource**, angereichert um `averageRating` & `feedback`, und dem neuen `ETag`.
+ *
+ * @access Owner, Admin
+ * @param {string} req.params.id - Die ID der zu ersetzenden Ressource.
+ * @param {Object} req.body - Die vollständigen neuen Daten der Ressource.
  * @returns {Object} 200 - Die aktualisierte, angereicherte Ressource.
- * @returns {Object} 400 - Keine Daten zum Aktualisieren vorhanden oder ungültige Daten.
+ * @returns {Object} 400 - Ungültige Daten (mit `details` je Feld).
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Weder Autor noch Administrator.
  * @returns {Object} 404 - Ressource nicht gefunden.
+ * @returns {Object} 412 - `If-Match` passt nicht zur aktuellen Version.
+ * @returns {Object} 428 - `If-Match` fehlt, ist aber erforderlich.
  * @returns {Object} 500 - Interner Serverfehler.
  */
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requireAuth, validateResource, resolveResourceTaxonomy, async (req, res, next) => {
   try {
-    const resourceId = req.params.id;
-    const _id = toObjectId(resourceId);
     const newData = req.body;
+    const removedFields = Object.keys(resourceSchema).filter((field) => !(field in newData));
 
-    if (!newData || Object.keys(newData).length === 0) {
-      res.status(400).json({ error: 'Keine Daten zum Aktualisieren vorhanden.' });
-      return;
-    }
+    await sendConditionalUpdate(req, res, next, {
+      set: { ...newData, updatedAt: new Date() },
+      unset: removedFields
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const updated_resource = await Resource.findByIdAndUpdate(
-      _id,
-      {...newData, updatedAt: new Date()},
-      { new: true, lean: true }
-    );
-    
-    if (!updated_resource) {
-      res.status(404).json({ error: `Ressource mit ID ${resourceId} nicht gefunden.` });
-      return;
+/**
+ * @route PATCH /:id
+ * @summary Aktualisiert eine bestehende Ressource teilweise (JSON Merge Patch, RFC 7396)
+ *          **und gibt die angereicherte Ressource zurück**.
+ * @description
+ * Akzeptiert `application/merge-patch+json` (oder `application/json`). Nur die im Body enthaltenen
+ * Felder werden geändert; ein Feld mit dem Wert `null` wird entfernt (nicht erlaubt für `title` und `type`).
+ * Validierung erfolgt über die `validateResourcePatch`-Middleware.
+ *
+ * `If-Match`/`ETag` und Berechtigungen verhalten sich wie bei **PUT /:id**.
+ *
+ * @access Owner, Admin
+ * @param {string} req.params.id - Die ID der zu aktualisierenden Ressource.
+ * @param {Object} req.body - Die zu ändernden Felder.
+ * @returns {Object} 200 - Die aktualisierte, angereicherte Ressource.
+ * @returns {Object} 400 - Keine Daten zum Aktualisieren vorhanden oder ungültige Daten (mit `details` je Feld).
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Weder Autor noch Administrator.
+ * @returns {Object} 404 - Ressource nicht gefunden.
+ * @returns {Object} 412 - `If-Match` passt nicht zur aktuellen Version.
+ * @returns {Object} 415 - Nicht unterstützter Content-Type.
+ * @returns {Object} 428 - `If-Match` fehlt, ist aber erforderlich.
+ * @returns {Object} 500 - Interner Serverfehler.
+ *
+ * @example
+ * // Request: PATCH /resources/123
+ * // Headers: Content-Type: application/merge-patch+json, If-Match: "2"
+ * // Body: { "title": "React Basics (2. Auflage)", "description": null }
+ * // Response (200, ETag: "3"): { id, title: "React Basics (2. Auflage)", version: 3, averageRating, feedback: [...] }
+ */
+router.patch('/:id', requireAuth, (req, res, next) => {
+  if (!req.is(['application/merge-patch+json', 'application/json'])) {
+    return next(new HttpError(415, undefined, 'PATCH erwartet Content-Type application/merge-patch+json.'));
+  }
+  next();
+}, validateResourcePatch, resolveResourceTaxonomy, async (req, res, next) => {
+  try {
+    const patch = req.body;
+    const set = { updatedAt: new Date() };
+    const unset = [];
+    for (const [field, value] of Object.entries(patch)) {
+      if (value === null) unset.push(field);
+      else set[field] = value;
     }
 
-    const enriched_resource = await buildEnrichedResource(updated_resource);
-    res.status(200).json(enriched_resource);
+    await sendConditionalUpdate(req, res, next, { set, unset });
 
   } catch (error) {
-    console.error(`Fehler beim Aktualisieren der Ressource mit ID ${req.params.id}:`, error);
     next(error);
   }
 });
 
 /**
  * @route DELETE /:id
- * @summary Löscht eine Ressource anhand ihrer ID.
+ * @summary Verschiebt eine Ressource in den Papierkorb.
  * @description
- * Entfernt eine Ressource permanent aus dem Katalog.
+ * Setzt `deletedAt`/`deletedBy`; die Ressource ist danach für alle Lese-Endpunkte unsichtbar.
+ * Bewertungen und Feedback bleiben erhalten, bis die Ressource über **POST /:id/restore** zurückgeholt
+ * oder über **DELETE /trash** endgültig entfernt wird.
+ * Nur der Autor der Ressource oder ein Administrator darf sie löschen.
  *
- * @access Public
+ * @access Owner, Admin
  * @param {string} req.params.id - Die ID der zu löschenden Ressource.
  * @returns {Object} 204 - Erfolgreich gelöscht (kein Inhalt).
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Weder Autor noch Administrator.
  * @returns {Object} 404 - Ressource nicht gefunden.
  * @returns {Object} 500 - Interner Serverfehler.
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requireAuth, async (req, res, next) => {
   try {
     const resourceId = req.params.id;
-    const _id = toObjectId(resourceId);
 
-    const deleted_resource = await Resource.findByIdAndDelete(_id);
+    const resource = await getRepository().resources.findActive(resourceId);
+
+    if (!resource) {
+      return next(new NotFoundError(`Ressource mit ID ${resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
+    }
+
+    if (!canModify(req.user, resource.authorId)) {
+      return next(new ForbiddenError('Nur der Autor oder ein Administrator darf diese Ressource löschen.'));
+    }
+
+    const deleted_resource = await getRepository().resources.softDelete(resourceId, req.user.id);
 
     if (!deleted_resource) {
-      res.status(404).json({ error: `Ressource mit ID ${resourceId} nicht gefunden.` });
-      return;
+      return next(new NotFoundError(`Ressource mit ID ${resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
     }
-    
-    await Promise.all([
-      Rating.deleteMany({ resourceId: _id }),
-      Feedback.deleteMany({ resourceId: _id })
-    ]);
+    await recordAudit(req, { entity: 'resource', operation: 'delete', resourceId, before: resource, after: deleted_resource });
+    emitEvent(req, 'resource.deleted', deleted_resource);
 
     res.status(204).end();
   } catch (error) {
-    console.error(`Fehler beim Löschen der Ressource mit ID ${req.params.id}:`, error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /:id/restore
+ * @summary Holt eine Ressource aus dem Papierkorb zurück.
+ * @description
+ * Entfernt `deletedAt`/`deletedBy` und erhöht die `version`. Bewertungen und Feedback sind sofort wieder sichtbar.
+ * Nur der Autor der Ressource oder ein Administrator darf sie wiederherstellen.
+ *
+ * @access Owner, Admin
+ * @param {string} req.params.id - Die ID der wiederherzustellenden Ressource.
+ * @returns {Object} 200 - Die wiederhergestellte, angereicherte Ressource; der `ETag`-Header enthält die neue `version`.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Weder Autor noch Administrator.
+ * @returns {Object} 404 - Keine Ressource mit dieser ID im Papierkorb.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.post('/:id/restore', requireAuth, async (req, res, next) => {
+  try {
+    const resourceId = req.params.id;
+
+    const trashed = await getRepository().resources.findDeleted(resourceId);
+
+    if (!trashed) {
+      return next(new NotFoundError(`Ressource mit ID ${resourceId} liegt nicht im Papierkorb.`, { code: 'RESOURCE_NOT_IN_TRASH' }));
+    }
+
+    if (!canModify(req.user, trashed.authorId)) {
+      return next(new ForbiddenError('Nur der Autor oder ein Administrator darf diese Ressource wiederherstellen.'));
+    }
+
+    const restored = await getRepository().resources.restore(resourceId);
+
+    if (!restored) {
+      return next(new NotFoundError(`Ressource mit ID ${resourceId} liegt nicht im Papierkorb.`, { code: 'RESOURCE_NOT_IN_TRASH' }));
+    }
+    await recordAudit(req, { entity: 'resource', operation: 'restore', resourceId, before: trashed, after: restored });
+    emitEvent(req, 'resource.restored', restored);
+
+    res.set('ETag', formatETag(restored.version));
+    res.status(200).json(present(req, 'resource', await buildEnrichedResource(restored)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- HISTORY ---
+
+/**
+ * Lädt eine Ressource (auch im Papierkorb) für die Historie und prüft, ob der Nutzer sie sehen darf.
+ * @param {express.Request} req - Das Express-Request-Objekt; `req.params.id` ist die Ressource.
+ * @returns {Promise<{ error?: HttpError, resource?: Object }>}
+ */
+async function loadHistoryResource(req) {
+  const resourceId = req.params.id;
+  const resource = await getRepository().resources.findActive(resourceId) ?? await getRepository().resources.findDeleted(resourceId);
+
+  if (!resource) {
+    return { error: new NotFoundError(`Ressource mit ID ${resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }) };
+  }
+  if (!canModify(req.user, resource.authorId) && !isModerator(req.user)) {
+    return { error: new ForbiddenError('Nur der Autor, Moderatoren oder Administratoren dürfen die Historie dieser Ressource sehen.') };
+  }
+  return { resource };
+}
+
+/**
+ * @route GET /:id/history
+ * @summary Änderungshistorie einer Ressource samt ihrer Bewertungen und ihres Feedbacks, neueste zuerst.
+ * @description
+ * Jeder Eintrag nennt `entity` (`resource`, `rating`, `feedback`), `entityId`, `operation`
+ * (`create`, `update`, `delete`, `restore`, `revert`), `actorId`, `timestamp`, `requestId` und die
+ * geänderten Felder unter `changes` (`[{ field, from, to }]`, `null` = nicht gesetzt). Einträge zur Ressource
+ * selbst tragen die `version` nach der Änderung, auf die sich **POST /:id/revert** bezieht.
+ * Auch Ressourcen im Papierkorb haben eine Historie.
+ *
+ * @access Owner, Moderator, Admin
+ * @param {string} req.params.id - Die ID der Ressource.
+ * @param {string} [req.query.entity] - Optional: Nur Einträge zu `resource`, `rating` oder `feedback`.
+ * @param {number} [req.query.page=1] - Seitennummer (ab 1).
+ * @param {number} [req.query.limit=20] - Seitengröße (1–100).
+ * @returns {Object} 200 - `{ data: AuditEntry[], pagination: { page, limit, total, totalPages } }`
+ * @returns {Object} 400 - Ungültige Query-Parameter.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Weder Autor noch Moderator oder Administrator.
+ * @returns {Object} 404 - Ressource nicht gefunden.
+ * @returns {Object} 500 - Interner Serverfehler.
+ *
+ * @example
+ * // Request: GET /resources/123/history?entity=resource
+ * // Response (200):
+ * // {
+ * //   "data": [{
+ * //     "entity": "resource", "entityId": "123", "operation": "update", "version": 2,
+ * //     "actorId": "dev42", "timestamp": "…", "changes": [{ "field": "title", "from": "React", "to": "React Basics" }]
+ * //   }],
+ * //   "pagination": { "page": 1, "limit": 20, "total": 3, "totalPages": 1 }
+ * // }
+ */
+router.get('/:id/history', requireAuth, async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return next(new ValidationError(pagination.error, { code: 'INVALID_QUERY' }));
+    }
+    const { entity } = req.query;
+    if (entity !== undefined && !AUDIT_ENTITIES.includes(entity)) {
+      return next(new ValidationError(`entity muss einer der Werte ${AUDIT_ENTITIES.join(', ')} sein.`, { code: 'INVALID_QUERY' }));
+    }
+    const { page, limit } = pagination.value;
+
+    const { error, resource } = await loadHistoryResource(req);
+    if (error) return next(error);
+
+    const { data, total } = await getRepository().audit.list(resource.id, { entity, page, limit });
+    res.status(200).json({ data, pagination: paginationInfo(page, limit, total) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /:id/revert
+ * @summary Setzt eine Ressource auf den Stand einer früheren Version zurück.
+ * @description
+ * Nimmt die in der Historie protokollierten Änderungen seit `version` rückwärts zurück und speichert das Ergebnis
+ * als **neue** Version (Eintrag `revert` mit `revertedTo`); die Historie selbst bleibt unverändert.
+ * Zurückgesetzt werden `title`, `type`, `description` und `tags`. Fehlt für eine der Versionen seit `version`
+ * ein Eintrag (z. B. nach dem Umbenennen einer Kategorie), wird mit `409` abgelehnt.
+ *
+ * `If-Match`/`ETag` und Berechtigungen verhalten sich wie bei **PUT /:id**.
+ *
+ * @access Owner, Admin
+ * @param {string} req.params.id - Die ID der Ressource.
+ * @param {Object} req.body - `{ version: number }`, die wiederherzustellende Version.
+ * @returns {Object} 200 - Die zurückgesetzte, angereicherte Ressource mit neuem `ETag`.
+ * @returns {Object} 400 - Ungültige oder nicht ältere Version.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Weder Autor noch Administrator.
+ * @returns {Object} 404 - Ressource nicht gefunden.
+ * @returns {Object} 409 - Die Historie seit dieser Version ist unvollständig (`HISTORY_INCOMPLETE`).
+ * @returns {Object} 412 - `If-Match` passt nicht zur aktuellen Version.
+ * @returns {Object} 428 - `If-Match` fehlt, ist aber erforderlich.
+ * @returns {Object} 500 - Interner Serverfehler.
+ *
+ * @example
+ * // Request: POST /resources/123/revert
+ * // Headers: If-Match: "3"
+ * // Body: { "version": 1 }
+ * // Response (200, ETag: "4"): { id, title: "…", version: 4, averageRating, feedback: [...] }
+ */
+router.post('/:id/revert', requireAuth, validateRevert, async (req, res, next) => {
+  try {
+    const resourceId = req.params.id;
+    const targetVersion = req.body.version;
+
+    const current = await getRepository().resources.findActive(resourceId);
+    if (!current) {
+      return next(new NotFoundError(`Ressource mit ID ${resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
+    }
+
+    const entries = await getRepository().audit.resourceVersions(resourceId, targetVersion);
+    const { error, code, value } = reconstructRevision(current, entries, targetVersion);
+    if (code === 'INVALID_REVISION') {
+      return next(new ValidationError('Ungültige Anfragedaten.', { errors: [{ field: 'version', message: error }] }));
+    }
+    if (error) {
+      return next(new ConflictError(error, { code }));
+    }
+    // Die Kategorie der alten Version kann inzwischen gelöscht worden sein.
+    if (value.type !== null && !(await resolveCategory(value.type))) {
+      return next(new ConflictError(`Die Kategorie ${value.type} der Version ${targetVersion} gibt es nicht mehr.`, { code: 'CATEGORY_NOT_FOUND' }));
+    }
+
+    const set = { updatedAt: new Date() };
+    const unset = [];
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (fieldValue === null) unset.push(field);
+      else set[field] = fieldValue;
+    }
+
+    await sendConditionalUpdate(req, res, next, { set, unset }, { operation: 'revert', revertedTo: targetVersion });
+  } catch (error) {
     next(error);
   }
 });
@@ -286,109 +1019,395 @@ router.delete('/:id', async (req, res, next) => {
 
 /**
  * @route POST /:resourceId/ratings
- * @summary Fügt einer Ressource eine neue Bewertung hinzu **und gibt die angereicherte Ressource zurück**.
+ * @summary Bewertet eine Ressource oder ändert die bestehende Bewertung desselben Nutzers
+ *          **und gibt die angereicherte Ressource zurück**.
  * @description
- * Nimmt Bewertungsdaten (`ratingValue`, `userId`) entgegen, generiert eine UUID und speichert die Bewertung.
- * **Antwort:** Die **aktualisierte Ressource** (mit `averageRating` und vollständigem `feedback`-Array).
+ * Nimmt den Bewertungswert (`ratingValue`) entgegen; `userId` ist der angemeldete Nutzer aus dem Token.
+ * Pro Nutzer und Ressource gibt es höchstens eine Bewertung: Hat der Nutzer die Ressource bereits bewertet,
+ * wird diese Bewertung überschrieben (`200`), sonst neu angelegt (`201`). Siehe `repository.ratings.upsert()`.
+ *
+ * Bewertungen ohne Anmeldung werden nur mit `ALLOW_ANONYMOUS_RATINGS=true` angenommen, sonst `401`.
+ *
+ * **Antwort:** Die **aktualisierte Ressource** (mit `averageRating` und vollständigem `feedback`-Array)
+ * sowie die gespeicherte Bewertung unter `rating`.
  *
  * Validierung erfolgt über die `validateRating`-Middleware.
  *
- * @access Public
+ * @access Authenticated (anonym nur mit `ALLOW_ANONYMOUS_RATINGS=true`)
  * @param {string} req.params.resourceId - Die ID der Ressource, die bewertet wird.
- * @param {Object} req.body - Die Bewertungsdaten ({ ratingValue: number, userId?: string }).
- * @returns {Object} 201 - Die aktualisierte, angereicherte Ressource.
+ * @param {Object} req.body - Die Bewertungsdaten ({ ratingValue: number }).
+ * @returns {Object} 201 - Neue Bewertung; die aktualisierte, angereicherte Ressource.
+ * @returns {Object} 200 - Bestehende Bewertung des Nutzers geändert; die aktualisierte, angereicherte Ressource.
  * @returns {Object} 400 - Ungültige oder fehlende Bewertungsdaten.
+ * @returns {Object} 401 - Nicht angemeldet und anonyme Bewertungen sind nicht erlaubt.
  * @returns {Object} 404 - Ressource nicht gefunden.
  * @returns {Object} 500 - Interner Serverfehler.
  *
  * @example
  * // Request: POST /resources/123/ratings
- * // Body: { "ratingValue": 5, "userId": "alice" }
- * // Response (201): { id, title, ..., averageRating: 4.7, feedback: [...] }
+ * // Headers: Authorization: Bearer <token von alice>
+ * // Body: { "ratingValue": 5 }
+ * // Response (201): { id, title, ..., averageRating: 4.7, feedback: [...], rating: { id: "r1", ratingValue: 5, userId: "alice", ... } }
  */
 router.post('/:resourceId/ratings', validateRating, async (req, res, next) => {
   try {
 
     const resourceId = req.params.resourceId;
-    const _id = toObjectId(resourceId);
 
-    const resource = await Resource.findById(_id).lean();
+    const resource = await getRepository().resources.findActive(resourceId);
 
     if (!resource) {
-      res.status(404).json({ error: `Ressource mit ID ${resourceId} nicht gefunden.` });
-      return;
+      return next(new NotFoundError(`Ressource mit ID ${resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
     }
 
-    const { ratingValue, userId } = req.body;
+    const { ratingValue } = req.body;
+    const userId = req.user?.id;
 
-    const newRating = {
-      resourceId: _id,
-      ratingValue: Number(ratingValue),
-      userId: userId ? String(userId) : 'anonymous',
-      timestamp: new Date()
-    };
+    if (!userId && !areAnonymousRatingsAllowed()) {
+      return next(new UnauthorizedError('Anonyme Bewertungen sind nicht erlaubt. Bitte anmelden.'));
+    }
 
-    await Rating.create(newRating);
+    const { rating, created, previous } = await getRepository().ratings.upsert({ resourceId, userId, ratingValue });
+    if (created) ratingsCreated.inc();
+    await recordAudit(req, {
+      entity: 'rating', operation: created ? 'create' : 'update', resourceId, entityId: rating.id, before: previous, after: rating
+    });
+    emitEvent(req, created ? 'rating.created' : 'rating.updated', rating);
 
     const enriched = await buildEnrichedResource(resource);
-    res.status(201).json(enriched);
+    res.status(created ? 201 : 200).json({ ...present(req, 'resource', enriched), rating: present(req, 'rating', rating) });
 
   } catch (error) {
-    console.error(`Fehler beim Hinzufügen einer Bewertung für Ressource ${req.params.resourceId}:`, error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /:resourceId/ratings/:ratingId
+ * @summary Ruft eine einzelne Bewertung einer Ressource ab.
+ *
+ * @access Public
+ * @param {string} req.params.resourceId - Die ID der Ressource, zu der die Bewertung gehört.
+ * @param {string} req.params.ratingId - Die ID der Bewertung.
+ * @returns {Object} 200 - Das Bewertungsobjekt.
+ * @returns {Object} 404 - Ressource (auch im Papierkorb) oder Bewertung nicht gefunden.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.get('/:resourceId/ratings/:ratingId', async (req, res, next) => {
+  try {
+    const { resourceId, ratingId } = req.params;
+
+    if (!(await getRepository().resources.findActive(resourceId))) {
+      return next(new NotFoundError(`Ressource mit ID ${req.params.resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
+    }
+
+    const rating = await getRepository().ratings.findById(resourceId, ratingId);
+
+    if (!rating) {
+      return next(new NotFoundError(`Bewertung mit ID ${req.params.ratingId} nicht gefunden.`, { code: 'RATING_NOT_FOUND' }));
+    }
+
+    res.status(200).json(present(req, 'rating', rating));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /:resourceId/ratings/:ratingId
+ * @summary Ändert den Wert einer bestehenden Bewertung.
+ * @description
+ * Aktualisiert `ratingValue` und setzt den `timestamp` neu. Die Zuordnung zum Nutzer kann nicht geändert werden.
+ * Validierung erfolgt über die `validateRating`-Middleware.
+ * Nur der Nutzer, der die Bewertung abgegeben hat, oder ein Administrator darf sie ändern.
+ *
+ * @access Owner, Admin
+ * @param {string} req.params.resourceId - Die ID der Ressource, zu der die Bewertung gehört.
+ * @param {string} req.params.ratingId - Die ID der zu ändernden Bewertung.
+ * @param {Object} req.body - Die neuen Bewertungsdaten ({ ratingValue: number }).
+ * @returns {Object} 200 - Die aktualisierte Bewertung.
+ * @returns {Object} 400 - Ungültige oder fehlende Bewertungsdaten.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Weder Eigentümer noch Administrator.
+ * @returns {Object} 404 - Ressource (auch im Papierkorb) oder Bewertung nicht gefunden.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.put('/:resourceId/ratings/:ratingId', requireAuth, validateRating, async (req, res, next) => {
+  try {
+    const { resourceId, ratingId } = req.params;
+
+    if (!(await getRepository().resources.findActive(resourceId))) {
+      return next(new NotFoundError(`Ressource mit ID ${req.params.resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
+    }
+    const { ratingValue } = req.body;
+
+    const rating = await getRepository().ratings.findById(resourceId, ratingId);
+
+    if (!rating) {
+      return next(new NotFoundError(`Bewertung mit ID ${req.params.ratingId} nicht gefunden.`, { code: 'RATING_NOT_FOUND' }));
+    }
+
+    if (!canModify(req.user, rating.userId)) {
+      return next(new ForbiddenError('Nur der Verfasser oder ein Administrator darf diese Bewertung ändern.'));
+    }
+
+    const updated_rating = await getRepository().ratings.update(resourceId, ratingId, { ratingValue });
+
+    if (!updated_rating) {
+      return next(new NotFoundError(`Bewertung mit ID ${req.params.ratingId} nicht gefunden.`, { code: 'RATING_NOT_FOUND' }));
+    }
+    await recordAudit(req, { entity: 'rating', operation: 'update', resourceId, entityId: ratingId, before: rating, after: updated_rating });
+    emitEvent(req, 'rating.updated', updated_rating);
+
+    res.status(200).json(present(req, 'rating', updated_rating));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /:resourceId/ratings/:ratingId
+ * @summary Zieht eine Bewertung zurück.
+ * @description
+ * Entfernt die Bewertung; sie fließt danach nicht mehr in `averageRating` ein.
+ * Nur der Nutzer, der die Bewertung abgegeben hat, oder ein Administrator darf sie löschen.
+ *
+ * @access Owner, Admin
+ * @param {string} req.params.resourceId - Die ID der Ressource, zu der die Bewertung gehört.
+ * @param {string} req.params.ratingId - Die ID der zu löschenden Bewertung.
+ * @returns {Object} 204 - Erfolgreich gelöscht (kein Inhalt).
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Weder Eigentümer noch Administrator.
+ * @returns {Object} 404 - Ressource (auch im Papierkorb) oder Bewertung nicht gefunden.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.delete('/:resourceId/ratings/:ratingId', requireAuth, async (req, res, next) => {
+  try {
+    const { resourceId, ratingId } = req.params;
+
+    if (!(await getRepository().resources.findActive(resourceId))) {
+      return next(new NotFoundError(`Ressource mit ID ${req.params.resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
+    }
+
+    const rating = await getRepository().ratings.findById(resourceId, ratingId);
+
+    if (!rating) {
+      return next(new NotFoundError(`Bewertung mit ID ${req.params.ratingId} nicht gefunden.`, { code: 'RATING_NOT_FOUND' }));
+    }
+
+    if (!canModify(req.user, rating.userId)) {
+      return next(new ForbiddenError('Nur der Verfasser oder ein Administrator darf diese Bewertung löschen.'));
+    }
+
+    const deleted = await getRepository().ratings.delete(resourceId, ratingId);
+
+    if (!deleted) {
+      return next(new NotFoundError(`Bewertung mit ID ${req.params.ratingId} nicht gefunden.`, { code: 'RATING_NOT_FOUND' }));
+    }
+    await recordAudit(req, { entity: 'rating', operation: 'delete', resourceId, entityId: ratingId, before: rating });
+    emitEvent(req, 'rating.deleted', rating);
+
+    res.status(204).end();
+  } catch (error) {
     next(error);
   }
 });
 
 // --- FEEDBACK ENDPOINTS ---
 
+/** @constant {Object} FEEDBACK_SORTS - Erlaubte Werte für `sort` bei der Feedback-Liste (`true` = absteigend). */
+const FEEDBACK_SORTS = {
+  'timestamp': false,
+  '-timestamp': true
+};
+
+/**
+ * @route GET /:resourceId/feedback
+ * @summary Liefert das freigegebene Feedback einer Ressource seitenweise.
+ * @description
+ * Zurückgehaltenes, gemeldetes oder abgelehntes Feedback erscheint nur in **GET /moderation/feedback**.
+ *
+ * Query-Parameter:
+ * - `page`, `limit`: Seitennummer (ab 1) und Seitengröße (1–100, Standard 20)
+ * - `sort`: `-timestamp` (Standard, neueste zuerst) oder `timestamp`
+ *
+ * @access Public
+ * @param {string} req.params.resourceId - Die ID der Ressource.
+ * @returns {Object} 200 - `{ data: Feedback[], pagination: { page, limit, total, totalPages } }`
+ * @returns {Object} 400 - Ungültige Query-Parameter.
+ * @returns {Object} 404 - Ressource nicht gefunden.
+ * @returns {Object} 500 - Interner Serverfehler.
+ *
+ * @example
+ * // Request: GET /resources/123/feedback?page=2&limit=10
+ */
+router.get('/:resourceId/feedback', async (req, res, next) => {
+  try {
+    const { resourceId } = req.params;
+
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return next(new ValidationError(pagination.error, { code: 'INVALID_QUERY' }));
+    }
+    const descending = FEEDBACK_SORTS[req.query.sort ?? '-timestamp'];
+    if (descending === undefined) {
+      return next(new ValidationError(`sort muss einer der Werte ${Object.keys(FEEDBACK_SORTS).join(', ')} sein.`, { code: 'INVALID_QUERY' }));
+    }
+    const { page, limit } = pagination.value;
+
+    if (!(await getRepository().resources.findActive(resourceId))) {
+      return next(new NotFoundError(`Ressource mit ID ${req.params.resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
+    }
+
+    const { data, total } = await getRepository().feedback.list(resourceId, {
+      descending,
+      skip: (page - 1) * limit,
+      limit,
+      statuses: [PUBLIC_FEEDBACK_STATUS]
+    });
+
+    res.status(200).json({
+      data: data.map((feedback) => presentFeedback(feedback, req.user)),
+      pagination: paginationInfo(page, limit, total)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /:resourceId/feedback/:feedbackId
+ * @summary Ruft einen einzelnen Feedback-Eintrag einer Ressource ab.
+ * @description
+ * Nicht freigegebenes Feedback sehen nur sein Verfasser und Moderatoren; für alle anderen gilt es als nicht vorhanden.
+ *
+ * @access Public
+ * @param {string} req.params.resourceId - Die ID der Ressource, zu der das Feedback gehört.
+ * @param {string} req.params.feedbackId - Die ID des Feedbacks.
+ * @returns {Object} 200 - Das Feedback-Objekt mit `status`.
+ * @returns {Object} 404 - Ressource (auch im Papierkorb) oder Feedback nicht gefunden.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.get('/:resourceId/feedback/:feedbackId', async (req, res, next) => {
+  try {
+    const { resourceId, feedbackId } = req.params;
+
+    if (!(await getRepository().resources.findActive(resourceId))) {
+      return next(new NotFoundError(`Ressource mit ID ${req.params.resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
+    }
+
+    const feedback = await getRepository().feedback.findById(resourceId, feedbackId);
+
+    if (!feedback || !isFeedbackVisible(feedback, req.user)) {
+      return next(new NotFoundError(`Feedback mit ID ${req.params.feedbackId} nicht gefunden.`, { code: 'FEEDBACK_NOT_FOUND' }));
+    }
+
+    res.status(200).json(presentFeedback(feedback, req.user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Meldet eine Feedback-Änderung an die Webhooks. Abonnenten erfahren nur von öffentlichem Feedback:
+ * Zurückgehaltenes Feedback löst kein Ereignis aus, seine Freigabe meldet `feedback.published`.
+ * Wird öffentliches Feedback ausgeblendet, meldet `feedback.hidden` nur ID und neuen Status, nicht den Text.
+ * @param {express.Request} req - Die auslösende Anfrage.
+ * @param {Object|null} before - Der Eintrag vor der Änderung; `null` beim Anlegen.
+ * @param {Object|null} after - Der Eintrag nach der Änderung; `null` beim Löschen.
+ */
+function emitFeedbackEvent(req, before, after) {
+  const wasPublic = before !== null && feedbackStatusOf(before) === PUBLIC_FEEDBACK_STATUS;
+  const isPublic = after !== null && feedbackStatusOf(after) === PUBLIC_FEEDBACK_STATUS;
+
+  if (isPublic) {
+    const type = before === null ? 'feedback.created' : wasPublic ? 'feedback.updated' : 'feedback.published';
+    emitEvent(req, type, presentFeedback(after));
+  } else if (wasPublic && after === null) {
+    emitEvent(req, 'feedback.deleted', presentFeedback(before));
+  } else if (wasPublic) {
+    emitEvent(req, 'feedback.hidden', { id: after.id, resourceId: after.resourceId, status: feedbackStatusOf(after) });
+  }
+}
+
 /**
  * @route POST /:resourceId/feedback
  * @summary Fügt einer Ressource ein neues Feedback hinzu **und gibt die angereicherte Ressource zurück**.
  * @description
- * Nimmt Feedback-Text und optional eine Benutzer-ID entgegen, generiert eine UUID und speichert das Feedback.
+ * Nimmt den Feedback-Text entgegen und speichert das Feedback. Die Benutzer-ID stammt aus dem Token;
+ * ohne Anmeldung wird das Feedback anonym (ohne `userId`) gespeichert und kann nur von Administratoren
+ * geändert oder gelöscht werden.
  * **Antwort:** Die **aktualisierte Ressource** (mit `averageRating` und vollständigem `feedback`-Array).
  *
+ * Schlägt eine Moderationsregel an (gesperrte Wörter, zu viele Links, Länge, Vorabprüfung), wird das Feedback
+ * mit `status: "pending"` gespeichert, ist bis zur Freigabe nicht öffentlich und die Antwort ist `202`
+ * mit dem Feedback-Eintrag samt `moderationReasons`.
+ *
  * Validierung erfolgt über die `validateFeedback`-Middleware.
  *
  * @access Public
  * @param {string} req.params.resourceId - Die ID der Ressource, für die Feedback gegeben wird.
- * @param {Object} req.body - Die Feedback-Daten ({ feedbackText: string, userId?: string }).
+ * @param {Object} req.body - Die Feedback-Daten ({ feedbackText: string }).
  * @returns {Object} 201 - Die aktualisierte, angereicherte Ressource.
+ * @returns {Object} 202 - Das zurückgehaltene Feedback (`status: "pending"`), wartet auf Moderation.
  * @returns {Object} 400 - Ungültige oder fehlende Feedback-Daten.
  * @returns {Object} 404 - Ressource nicht gefunden.
+ * @returns {Object} 409 - Derselbe Text wurde vom selben Absender gerade schon abgegeben (`DUPLICATE_FEEDBACK`).
  * @returns {Object} 500 - Interner Serverfehler.
  *
  * @example
  * // Request: POST /resources/123/feedback
- * // Body: { "feedbackText": "Super erklärt!", "userId": "bob" }
+ * // Headers: Authorization: Bearer <token von bob>
+ * // Body: { "feedbackText": "Super erklärt!" }
  * // Response (201): { id, title, ..., averageRating, feedback: [ ...neu hinzugefügter Eintrag..., ... ] }
  */
 router.post('/:resourceId/feedback', validateFeedback, async (req, res, next) => {
   try {
     const resourceId = req.params.resourceId;
-    const _id = toObjectId(resourceId);
-    const { feedbackText, userId } = req.body;
+    const { feedbackText } = req.body;
 
-    const resource = await Resource.findById(_id).lean();
+    const resource = await getRepository().resources.findActive(resourceId);
 
     if (!resource) {
-      res.status(404).json({ error: `Ressource mit ID ${resourceId} nicht gefunden.` });
-      return;
+      return next(new NotFoundError(`Ressource mit ID ${resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
     }
 
-    const newFeedback = {
-      resourceId: _id,
-      feedbackText: String(feedbackText).trim(),
-      userId: userId ? String(userId) : 'anonymous',
-      timestamp: new Date()
-    };
+    const submission = await registerFeedbackSubmission({
+      resourceId,
+      submitter: req.user ? `user:${req.user.id}` : `ip:${req.ip}`,
+      feedbackText
+    });
+    if (submission.duplicate) {
+      return next(new ConflictError('Dieses Feedback wurde gerade schon abgegeben.', { code: 'DUPLICATE_FEEDBACK' }));
+    }
+
+    const text = String(feedbackText).trim();
+    const { status, moderationReasons } = moderateFeedbackText(text);
 
-    await Feedback.create(newFeedback);
+    let created;
+    try {
+      created = await getRepository().feedback.create({
+        resourceId,
+        feedbackText: text,
+        userId: req.user?.id,
+        status,
+        moderationReasons
+      });
+    } catch (error) {
+      await submission.release();
+      throw error;
+    }
+    feedbackCreated.inc();
+    await recordAudit(req, { entity: 'feedback', operation: 'create', resourceId, entityId: created.id, after: created });
+    emitFeedbackEvent(req, null, created);
+
+    if (status !== PUBLIC_FEEDBACK_STATUS) {
+      return res.status(202).json(presentFeedback(created, req.user));
+    }
 
     const enriched = await buildEnrichedResource(resource);
-    res.status(201).json(enriched);
+    res.status(201).json(present(req, 'resource', enriched));
   } catch (error) {
-    console.error(`Fehler beim Hinzufügen von Feedback für Ressource ${req.params.resourceId}:`, error);
     next(error);
   }
 });
@@ -399,36 +1418,51 @@ router.post('/:resourceId/feedback', validateFeedback, async (req, res, next) =>
  * @description
  * Aktualisiert den `feedbackText` eines Feedback-Eintrags und setzt den `timestamp` neu.
  * **Hinweis:** Diese Route gibt den **aktualisierten Feedback-Eintrag** zurück (nicht die ganze Ressource).
+ * Nur der Verfasser des Feedbacks oder ein Administrator darf es ändern.
+ * Der neue Text durchläuft die Moderationsregeln erneut; abgelehntes oder gemeldetes Feedback geht nach
+ * einer Änderung zurück in die Prüfung (`pending`).
  *
- * @access Public
+ * @access Owner, Admin
  * @param {string} req.params.resourceId - Die ID der Ressource, zu der das Feedback gehört.
  * @param {string} req.params.feedbackId - Die ID des zu aktualisierenden Feedbacks.
  * @param {Object} req.body - Die aktualisierten Feedback-Daten ({ feedbackText: string }).
  * @returns {Object} 200 - Das aktualisierte Feedback-Objekt.
  * @returns {Object} 400 - Ungültige oder fehlende Feedback-Daten.
- * @returns {Object} 404 - Feedback nicht gefunden.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Weder Verfasser noch Administrator.
+ * @returns {Object} 404 - Ressource (auch im Papierkorb) oder Feedback nicht gefunden.
  * @returns {Object} 500 - Interner Serverfehler.
  */
-router.put('/:resourceId/feedback/:feedbackId', validateFeedback, async (req, res, next) => {
+router.put('/:resourceId/feedback/:feedbackId', requireAuth, validateFeedback, async (req, res, next) => {
   try {
-    const resourceId = toObjectId(req.params.resourceId);
-    const feedbackId = toObjectId(req.params.feedbackId);
+    const { resourceId, feedbackId } = req.params;
+
+    if (!(await getRepository().resources.findActive(resourceId))) {
+      return next(new NotFoundError(`Ressource mit ID ${req.params.resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
+    }
     const { feedbackText } = req.body;
 
-    const updated_feedback = await Feedback.findOneAndUpdate(
-      { _id: feedbackId, resourceId },
-      { feedbackText, timestamp: new Date() },
-      { new: true, lean: true }
-    );
+    const feedback = await getRepository().feedback.findById(resourceId, feedbackId);
+
+    if (!feedback) {
+      return next(new NotFoundError(`Feedback mit ID ${feedbackId} nicht gefunden.`, { code: 'FEEDBACK_NOT_FOUND' }));
+    }
+
+    if (!canModify(req.user, feedback.userId)) {
+      return next(new ForbiddenError('Nur der Verfasser oder ein Administrator darf dieses Feedback ändern.'));
+    }
+
+    const { status, moderationReasons } = moderateFeedbackText(feedbackText, feedbackStatusOf(feedback));
+    const updated_feedback = await getRepository().feedback.update(resourceId, feedbackId, { feedbackText, status, moderationReasons });
 
     if (!updated_feedback){
-      res.status(404).json({ error: `Feedback mit ID ${feedbackId} nicht gefunden.` });
-      return;
+      return next(new NotFoundError(`Feedback mit ID ${feedbackId} nicht gefunden.`, { code: 'FEEDBACK_NOT_FOUND' }));
     }
+    await recordAudit(req, { entity: 'feedback', operation: 'update', resourceId, entityId: feedbackId, before: feedback, after: updated_feedback });
+    emitFeedbackEvent(req, feedback, updated_feedback);
 
-    res.status(200).json(updated_feedback);
+    res.status(200).json(presentFeedback(updated_feedback, req.user));
   } catch (error) {
-    console.error(`Fehler beim Aktualisieren von Feedback ${req.params.feedbackId} für Ressource ${req.params.resourceId}:`, error);
     next(error);
   }
 });
@@ -438,33 +1472,172 @@ router.put('/:resourceId/feedback/:feedbackId', validateFeedback, async (req, re
  * @summary Löscht ein Feedback für eine bestimmte Ressource.
  * @description
  * Entfernt einen Feedback-Eintrag anhand seiner ID und der zugehörigen Ressourcen-ID.
+ * Nur der Verfasser des Feedbacks oder ein Administrator darf es löschen.
  *
- * @access Public
+ * @access Owner, Admin
  * @param {string} req.params.resourceId - Die ID der Ressource, zu der das Feedback gehört.
  * @param {string} req.params.feedbackId - Die ID des zu löschenden Feedbacks.
  * @returns {Object} 204 - Erfolgreich gelöscht (kein Inhalt).
- * @returns {Object} 404 - Feedback nicht gefunden.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Weder Verfasser noch Administrator.
+ * @returns {Object} 404 - Ressource (auch im Papierkorb) oder Feedback nicht gefunden.
  * @returns {Object} 500 - Interner Serverfehler.
  */
-router.delete('/:resourceId/feedback/:feedbackId', async (req, res, next) => {
+router.delete('/:resourceId/feedback/:feedbackId', requireAuth, async (req, res, next) => {
   try {
-    const resourceId = toObjectId(req.params.resourceId);
-    const feedbackId = toObjectId(req.params.feedbackId);
+    const { resourceId, feedbackId } = req.params;
 
-    const deleted_feedback = await Feedback.deleteOne(
-      { _id: feedbackId, resourceId }
-    );
+    if (!(await getRepository().resources.findActive(resourceId))) {
+      return next(new NotFoundError(`Ressource mit ID ${req.params.resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
+    }
+
+    const feedback = await getRepository().feedback.findById(resourceId, feedbackId);
+
+    if (!feedback) {
+      return next(new NotFoundError(`Feedback mit ID ${feedbackId} nicht gefunden.`, { code: 'FEEDBACK_NOT_FOUND' }));
+    }
 
-    if (!deleted_feedback){
-      res.status(404).json({ error: `Feedback mit ID ${feedbackId} nicht gefunden.` });
-      return;
+    if (!canModify(req.user, feedback.userId)) {
+      return next(new ForbiddenError('Nur der Verfasser oder ein Administrator darf dieses Feedback löschen.'));
+    }
+
+    if (await getRepository().feedback.delete(resourceId, feedbackId)) {
+      await recordAudit(req, { entity: 'feedback', operation: 'delete', resourceId, entityId: feedbackId, before: feedback });
+      emitFeedbackEvent(req, feedback, null);
     }
 
     res.status(204).end();
   } catch (error) {
-    console.error(`Fehler beim Löschen von Feedback ${req.params.feedbackId} für Ressource ${req.params.resourceId}:`, error);
     next(error);
   }
 });
 
+/**
+ * @route POST /:resourceId/feedback/:feedbackId/flag
+ * @summary Meldet ein Feedback als unangemessen.
+ * @description
+ * Jeder Nutzer kann einen Eintrag einmal melden; weitere Meldungen desselben Nutzers ändern nichts (`200`).
+ * Ab `FEEDBACK_FLAG_THRESHOLD` Meldungen (Standard 3) wird freigegebenes Feedback als `flagged` ausgeblendet,
+ * bis die Moderation es wieder freigibt oder ablehnt.
+ *
+ * @access Authenticated
+ * @param {string} req.params.resourceId - Die ID der Ressource, zu der das Feedback gehört.
+ * @param {string} req.params.feedbackId - Die ID des Feedbacks.
+ * @param {Object} [req.body] - Optional `{ reason: string }` (höchstens 500 Zeichen).
+ * @returns {Object} 201 - Meldung gespeichert; das Feedback-Objekt.
+ * @returns {Object} 200 - Bereits von diesem Nutzer gemeldet; das Feedback-Objekt.
+ * @returns {Object} 400 - Ungültiger Body.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 404 - Ressource (auch im Papierkorb) oder Feedback nicht gefunden.
+ * @returns {Object} 500 - Interner Serverfehler.
+ *
+ * @example
+ * // Request: POST /resources/123/feedback/f1/flag
+ * // Body: { "reason": "Werbung" }
+ */
+router.post('/:resourceId/feedback/:feedbackId/flag', requireAuth, validateFeedbackFlag, async (req, res, next) => {
+  try {
+    const { resourceId, feedbackId } = req.params;
+
+    if (!(await getRepository().resources.findActive(resourceId))) {
+      return next(new NotFoundError(`Ressource mit ID ${req.params.resourceId} nicht gefunden.`, { code: 'RESOURCE_NOT_FOUND' }));
+    }
+
+    const feedback = await getRepository().feedback.findById(resourceId, feedbackId);
+
+    if (!feedback || !isFeedbackVisible(feedback, req.user)) {
+      return next(new NotFoundError(`Feedback mit ID ${feedbackId} nicht gefunden.`, { code: 'FEEDBACK_NOT_FOUND' }));
+    }
+
+    const result = await getRepository().feedback.flag(resourceId, feedbackId, {
+      userId: req.user.id,
+      reason: req.body.reason,
+      threshold: getFlagThreshold()
+    });
+
+    if (!result) {
+      return next(new NotFoundError(`Feedback mit ID ${feedbackId} nicht gefunden.`, { code: 'FEEDBACK_NOT_FOUND' }));
+    }
+    // Protokolliert wird nur, wenn die Meldung den Status ändert (Schwelle erreicht).
+    await recordAudit(req, { entity: 'feedback', operation: 'update', resourceId, entityId: feedbackId, before: feedback, after: result.feedback });
+    if (feedbackStatusOf(result.feedback) !== feedbackStatusOf(feedback)) {
+      emitFeedbackEvent(req, feedback, result.feedback);
+    }
+
+    res.status(result.added ? 201 : 200).json(presentFeedback(result.feedback, req.user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Erzeugt den Handler für eine Moderationsentscheidung (Freigabe oder Ablehnung).
+ * @param {'approved'|'rejected'} status - Der neue Status.
+ * @returns {Function} Express-Handler `(req, res, next)`.
+ */
+function reviewFeedback(status) {
+  return async (req, res, next) => {
+    try {
+      const { resourceId, feedbackId } = req.params;
+
+      if (!isModerator(req.user)) {
+        return next(new ForbiddenError('Nur Moderatoren dürfen Feedback freigeben oder ablehnen.'));
+      }
+
+      const feedback = await getRepository().feedback.findById(resourceId, feedbackId);
+      const reviewed = feedback && await getRepository().feedback.review(resourceId, feedbackId, {
+        status,
+        reviewedBy: req.user.id,
+        note: req.body.note
+      });
+
+      if (!reviewed) {
+        return next(new NotFoundError(`Feedback mit ID ${feedbackId} nicht gefunden.`, { code: 'FEEDBACK_NOT_FOUND' }));
+      }
+      await recordAudit(req, { entity: 'feedback', operation: 'update', resourceId, entityId: feedbackId, before: feedback, after: reviewed });
+      emitFeedbackEvent(req, feedback, reviewed);
+
+      res.status(200).json(presentFeedback(reviewed, req.user));
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * @route POST /:resourceId/feedback/:feedbackId/approve
+ * @summary Gibt ein Feedback frei; es wird öffentlich sichtbar und bisherige Meldungen werden verworfen.
+ * @description
+ * Funktioniert auch für Feedback zu Ressourcen im Papierkorb, damit die Warteschlange vollständig abgearbeitet werden kann.
+ *
+ * @access Moderator, Admin
+ * @param {string} req.params.resourceId - Die ID der Ressource, zu der das Feedback gehört.
+ * @param {string} req.params.feedbackId - Die ID des Feedbacks.
+ * @param {Object} [req.body] - Optional `{ note: string }` als Prüfvermerk.
+ * @returns {Object} 200 - Das Feedback-Objekt mit `status: "approved"`, `reviewedBy` und `reviewedAt`.
+ * @returns {Object} 400 - Ungültiger Body.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Weder Moderator noch Administrator.
+ * @returns {Object} 404 - Feedback nicht gefunden.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.post('/:resourceId/feedback/:feedbackId/approve', requireAuth, validateModerationDecision, reviewFeedback('approved'));
+
+/**
+ * @route POST /:resourceId/feedback/:feedbackId/reject
+ * @summary Lehnt ein Feedback ab; es bleibt gespeichert, ist aber nur noch für Verfasser und Moderatoren sichtbar.
+ *
+ * @access Moderator, Admin
+ * @param {string} req.params.resourceId - Die ID der Ressource, zu der das Feedback gehört.
+ * @param {string} req.params.feedbackId - Die ID des Feedbacks.
+ * @param {Object} [req.body] - Optional `{ note: string }`, z. B. der Ablehnungsgrund.
+ * @returns {Object} 200 - Das Feedback-Objekt mit `status: "rejected"`, `reviewedBy` und `reviewedAt`.
+ * @returns {Object} 400 - Ungültiger Body.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Weder Moderator noch Administrator.
+ * @returns {Object} 404 - Feedback nicht gefunden.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.post('/:resourceId/feedback/:feedbackId/reject', requireAuth, validateModerationDecision, reviewFeedback('rejected'));
+
 export default router;
@@ -0,0 +1,265 @@
+/**
+ * @file Router für Webhook-Abonnements und ihr Zustellprotokoll.
+ * @description
+ * - GET /                   → alle Webhooks
+ * - GET /:id                → ein Webhook
+ * - POST /                  → Webhook anlegen; ohne `secret` wird eines erzeugt und **nur in dieser Antwort** geliefert
+ * - PUT /:id                → Webhook ersetzen; ohne `secret` bleibt das bisherige gültig
+ * - DELETE /:id             → Webhook löschen; offene Zustellungen werden nicht mehr wiederholt
+ * - GET /:id/deliveries     → Zustellprotokoll, neueste zuerst
+ * - POST /:id/ping          → Testereignis `ping` senden, z. B. an einen lokalen Empfänger
+ *
+ * Alle Endpunkte sind Administratoren vorbehalten. Das Secret wird nach dem Anlegen nie mehr ausgeliefert.
+ * Ereignisse, Header und Signatur sind in `helpers/webhooks.js` beschrieben.
+ */
+
+import express from 'express';
+import { validateWebhook } from '../middleware/validation.js';
+import { authenticate, requireAuth, isAdmin } from '../middleware/auth.js';
+import { captureRouteBase } from '../middleware/metrics.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { getRepository } from '../repositories/index.js';
+import { parsePagination, paginationInfo } from '../helpers/pagination.js';
+import { generateWebhookSecret, presentWebhook, sendPing } from '../helpers/webhooks.js';
+import { log } from '../utils/log.js';
+import { ValidationError, ForbiddenError, NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+router.use(captureRouteBase);
+router.use(authenticate);
+router.use(rateLimit);
+router.use(requireAuth, (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return next(new ForbiddenError('Nur Administratoren dürfen Webhooks verwalten.'));
+  }
+  next();
+});
+
+/**
+ * Prüft, ob `url` eine absolute http- oder https-URL ist.
+ * @param {string} url
+ * @returns {ValidationError|null}
+ */
+function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    parsed = null;
+  }
+  if (parsed?.protocol === 'http:' || parsed?.protocol === 'https:') return null;
+  return new ValidationError('Ungültige Anfragedaten.', { errors: [{ field: 'url', message: 'muss eine http- oder https-URL sein.' }] });
+}
+
+/**
+ * Lädt den Webhook aus `req.params.id` oder meldet `404`.
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+async function loadWebhook(id) {
+  const webhook = await getRepository().webhooks.findById(id);
+  if (!webhook) throw new NotFoundError('Webhook nicht gefunden.', { code: 'WEBHOOK_NOT_FOUND' });
+  return webhook;
+}
+
+/**
+ * @route GET /
+ * @summary Listet alle Webhooks, älteste zuerst (ohne Secret).
+ * @access Admin
+ * @returns {Object} 200 - `{ data: Webhook[] }`
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Kein Administrator.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const webhooks = await getRepository().webhooks.list();
+    res.status(200).json({ data: webhooks.map(presentWebhook) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /:id
+ * @summary Ruft einen Webhook ab (ohne Secret).
+ * @access Admin
+ * @param {string} req.params.id - Die ID des Webhooks.
+ * @returns {Object} 200 - Der Webhook.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Kein Administrator.
+ * @returns {Object} 404 - Webhook nicht gefunden.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    res.status(200).json(presentWebhook(await loadWebhook(req.params.id)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /
+ * @summary Legt einen Webhook an.
+ * @description
+ * `events` nennt die abonnierten Ereignisse (siehe `WEBHOOK_EVENTS`) oder `*` für alle.
+ * Ohne `secret` erzeugt der Dienst ein zufälliges Secret; es steht nur in dieser Antwort.
+ *
+ * @access Admin
+ * @param {Object} req.body - `{ url, events, secret?, description?, active? }`
+ * @returns {Object} 201 - Der angelegte Webhook, mit `secret`.
+ * @returns {Object} 400 - Ungültige Daten.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Kein Administrator.
+ * @returns {Object} 500 - Interner Serverfehler.
+ *
+ * @example
+ * // Request: POST /webhooks
+ * // Body: { "url": "http://localhost:4000/hooks", "events": ["resource.created", "feedback.created"] }
+ * // Response (201): { "id": "…", "url": "http://localhost:4000/hooks", "events": [...], "active": true, "secret": "9f2c…" }
+ */
+router.post('/', validateWebhook, async (req, res, next) => {
+  try {
+    const { url, events, secret, description, active = true } = req.body;
+    const urlError = checkWebhookUrl(url);
+    if (urlError) return next(urlError);
+
+    const created = await getRepository().webhooks.create({
+      url,
+      events: [...new Set(events)],
+      secret: secret ?? generateWebhookSecret(),
+      description,
+      active,
+      createdBy: req.user.id
+    });
+    log.info('webhook created', { webhookId: created.id, events: created.events });
+    res.status(201).json(created);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /:id
+ * @summary Ersetzt einen Webhook.
+ * @description
+ * Ohne `secret` bleibt das bisherige Secret gültig; fehlt `active`, ist der Webhook aktiv.
+ * Mit `active: false` werden keine neuen Ereignisse mehr zugestellt und offene Wiederholungen abgebrochen.
+ *
+ * @access Admin
+ * @param {string} req.params.id - Die ID des Webhooks.
+ * @param {Object} req.body - `{ url, events, secret?, description?, active? }`
+ * @returns {Object} 200 - Der geänderte Webhook (ohne Secret).
+ * @returns {Object} 400 - Ungültige Daten.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Kein Administrator.
+ * @returns {Object} 404 - Webhook nicht gefunden.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.put('/:id', validateWebhook, async (req, res, next) => {
+  try {
+    const current = await loadWebhook(req.params.id);
+    const { url, events, secret, description, active = true } = req.body;
+    const urlError = checkWebhookUrl(url);
+    if (urlError) return next(urlError);
+
+    const updated = await getRepository().webhooks.update(current.id, {
+      url,
+      events: [...new Set(events)],
+      secret: secret ?? current.secret,
+      description,
+      active
+    });
+    if (!updated) return next(new NotFoundError('Webhook nicht gefunden.', { code: 'WEBHOOK_NOT_FOUND' }));
+
+    res.status(200).json(presentWebhook(updated));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /:id
+ * @summary Löscht einen Webhook. Das Zustellprotokoll bleibt erhalten.
+ * @access Admin
+ * @param {string} req.params.id - Die ID des Webhooks.
+ * @returns {Object} 204 - Gelöscht.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Kein Administrator.
+ * @returns {Object} 404 - Webhook nicht gefunden.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    if (!(await getRepository().webhooks.delete(req.params.id))) {
+      return next(new NotFoundError('Webhook nicht gefunden.', { code: 'WEBHOOK_NOT_FOUND' }));
+    }
+    log.info('webhook deleted', { webhookId: req.params.id });
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /:id/deliveries
+ * @summary Zustellprotokoll eines Webhooks, neueste zuerst.
+ * @description
+ * Jede Zustellung enthält das Ereignis (`event`, `eventId`, `payload`), den `status` (`pending`, `succeeded`,
+ * `failed`), alle Versuche unter `attempts` (`at`, `responseStatus` oder `error`, `durationMs`) und bei offenen
+ * Zustellungen den Zeitpunkt des nächsten Versuchs (`nextAttemptAt`).
+ *
+ * @access Admin
+ * @param {string} req.params.id - Die ID des Webhooks.
+ * @param {number} [req.query.page=1] - Seitennummer (ab 1).
+ * @param {number} [req.query.limit=20] - Seitengröße (1–100).
+ * @returns {Object} 200 - `{ data: Delivery[], pagination: { page, limit, total, totalPages } }`
+ * @returns {Object} 400 - Ungültige Query-Parameter.
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Kein Administrator.
+ * @returns {Object} 404 - Webhook nicht gefunden.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.get('/:id/deliveries', async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) {
+      return next(new ValidationError(pagination.error, { code: 'INVALID_QUERY' }));
+    }
+    const { page, limit } = pagination.value;
+
+    const webhook = await loadWebhook(req.params.id);
+    const { data, total } = await getRepository().webhookDeliveries.list(webhook.id, { page, limit });
+    res.status(200).json({ data, pagination: paginationInfo(page, limit, total) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /:id/ping
+ * @summary Sendet das Testereignis `ping` an den Webhook, auch wenn er deaktiviert ist.
+ * @description
+ * Die Zustellung läuft wie jede andere im Hintergrund (mit Signatur und Wiederholungen);
+ * ihr Ergebnis steht anschließend in **GET /:id/deliveries**.
+ *
+ * @access Admin
+ * @param {string} req.params.id - Die ID des Webhooks.
+ * @returns {Object} 202 - Die angelegte Zustellung (Status `pending`).
+ * @returns {Object} 401 - Nicht angemeldet.
+ * @returns {Object} 403 - Kein Administrator.
+ * @returns {Object} 404 - Webhook nicht gefunden.
+ * @returns {Object} 500 - Interner Serverfehler.
+ */
+router.post('/:id/ping', async (req, res, next) => {
+  try {
+    const webhook = await loadWebhook(req.params.id);
+    res.status(202).json(await sendPing(req, webhook));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
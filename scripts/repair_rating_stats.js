@@ -0,0 +1,48 @@
+/**
+ * @file Berechnet die gespeicherte Bewertungsstatistik aller Ressourcen neu.
+ * @description
+ * Aufruf: `npm run repair-ratings [-- --dry-run]`
+ *
+ * `ratingSummary` und `averageRating` werden bei jeder Bewertungsänderung nachgeführt (siehe `helpers/rating_stats.js`).
+ * Abweichungen entstehen, wenn Bewertungen an der API vorbei geschrieben werden (z. B. `npm run seed`, Restore
+ * eines Backups) oder der Prozess zwischen dem Schreiben der Bewertung und dem der Ressource abbricht.
+ * Das Skript zählt alle Bewertungen neu und korrigiert die betroffenen Ressourcen. Es nutzt das Backend aus
+ * `STORAGE_BACKEND` und kann jederzeit erneut ausgeführt werden.
+ *
+ * Bewertungen, die während der Reparatur geändert werden, können erneut zu Abweichungen führen;
+ * am besten bei geringer Last ausführen oder anschließend mit `--dry-run` prüfen.
+ *
+ * Optionen:
+ * - `--dry-run` : meldet nur die Abweichungen, ohne zu schreiben
+ */
+
+import 'dotenv/config';
+import { createRepository } from '../repositories/index.js';
+
+const args = new Set(process.argv.slice(2));
+const unknown = [...args].filter((arg) => arg !== '--dry-run');
+
+if (unknown.length > 0) {
+  console.error(`[Repair] Unbekannte Option(en): ${unknown.join(', ')}. Erlaubt ist --dry-run.`);
+  process.exit(1);
+}
+
+const dryRun = args.has('--dry-run');
+const prefix = dryRun ? '[Repair] (dry-run)' : '[Repair]';
+const repository = await createRepository();
+
+try {
+  await repository.connect();
+  const { checked, drifted } = await repository.resources.repairRatingStats({ dryRun });
+
+  for (const { id, stored, actual } of drifted) {
+    console.log(`${prefix} ${id}: gespeichert ${stored ? `${stored.count} Bewertungen (Summe ${stored.sum})` : 'nichts'}, `
+      + `tatsächlich ${actual.count} Bewertungen (Summe ${actual.sum}).`);
+  }
+  console.log(`${prefix} ${checked} Ressourcen geprüft, ${drifted.length} ${dryRun ? 'weichen ab' : 'korrigiert'}.`);
+} catch (error) {
+  console.error('[Repair] Reparatur fehlgeschlagen:', error);
+  process.exitCode = 1;
+} finally {
+  await repository.close();
+}
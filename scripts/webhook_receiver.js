@@ -0,0 +1,82 @@
+/**
+ * @file Lokaler Empfänger zum Ausprobieren der Webhooks.
+ * @description
+ * Aufruf: `npm run webhook-receiver` (Standard-Port `4000`)
+ *
+ * Nimmt `POST`-Anfragen auf jedem Pfad an, prüft die Signatur und gibt Ereignis, Zustell-ID und Body aus.
+ * Den Webhook dafür z. B. mit `{ "url": "http://localhost:4000/hooks", "events": ["*"], "secret": "<WEBHOOK_SECRET>" }` anlegen.
+ *
+ * Umgebungsvariablen:
+ * - `WEBHOOK_RECEIVER_PORT`    : Port (Standard `4000`)
+ * - `WEBHOOK_SECRET`           : Secret des Webhooks; ohne Angabe wird die Signatur nicht geprüft
+ * - `WEBHOOK_FAIL_FIRST`       : beantwortet die ersten N Zustellungen mit `500`, um Wiederholungen zu testen
+ * - `WEBHOOK_MAX_SKEW_SECONDS` : maximal erlaubte Abweichung von `X-Webhook-Timestamp` (Standard `300`)
+ */
+
+import 'dotenv/config';
+import http from 'http';
+import crypto from 'crypto';
+import { signPayload } from '../helpers/webhooks.js';
+
+const port = Number(process.env.WEBHOOK_RECEIVER_PORT || 4000);
+const secret = process.env.WEBHOOK_SECRET;
+const maxSkewSeconds = Number(process.env.WEBHOOK_MAX_SKEW_SECONDS || 300);
+let failuresLeft = Number(process.env.WEBHOOK_FAIL_FIRST || 0);
+
+/**
+ * Prüft Signatur und Zeitstempel einer Zustellung.
+ * @param {http.IncomingMessage} req
+ * @param {string} body - Der unveränderte Body.
+ * @returns {string|null} Der Grund der Ablehnung oder `null`.
+ */
+function verifyDelivery(req, body) {
+  const timestamp = Number(req.headers['x-webhook-timestamp']);
+  if (!Number.isInteger(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > maxSkewSeconds) {
+    return 'Zeitstempel fehlt oder ist zu alt.';
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(req.headers['x-webhook-signature'] ?? ''));
+  // Vergleich in konstanter Zeit, damit die Signatur nicht zeichenweise erraten werden kann.
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return 'Signatur stimmt nicht.';
+  }
+  return null;
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf-8');
+    const event = req.headers['x-webhook-event'];
+    const delivery = req.headers['x-webhook-delivery'];
+
+    const rejection = secret ? verifyDelivery(req, body) : null;
+    if (rejection) {
+      console.warn(`[receiver] ${event} ${delivery}: abgelehnt – ${rejection}`);
+      res.writeHead(401).end();
+      return;
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`[receiver] ${event} ${delivery}: absichtlich 500 (noch ${failuresLeft} Fehlschläge)`);
+      res.writeHead(500).end();
+      return;
+    }
+
+    console.log(`[receiver] ${event} ${delivery} (request ${req.headers['x-request-id']})`);
+    console.log(body);
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`[receiver] Lausche auf http://localhost:${port}${secret ? '' : ' (ohne Signaturprüfung)'}`);
+});
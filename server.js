@@ -0,0 +1,65 @@
+/**
+ * @file Startpunkt des Resource Catalog Service (`npm start`).
+ * @description Wählt und verbindet das Speicher-Backend und startet die Anwendung aus `app.js` auf dem konfigurierten Port.
+ */
+
+import 'dotenv/config'; // Lädt die Umgebungsvariablen aus der .env-Datei, bevor das Backend gewählt wird.
+import app from './app.js';
+import { log } from './utils/log.js';
+import { getStorageBackend, createRepository, setRepository } from './repositories/index.js';
+import { resumeWebhookDeliveries } from './helpers/webhooks.js';
+import { loadJwtKey } from './middleware/auth.js';
+
+/**
+ * @constant {number} PORT - Der Port, auf dem der Server lauschen soll.
+ * Wird aus den Umgebungsvariablen (`process.env.PORT`) gelesen oder auf 5002 als Standardwert gesetzt.
+ */
+const PORT = process.env.PORT || 5002;
+
+/**
+ * @section Datenspeicher
+ * @description Wählt das Speicher-Backend (`STORAGE_BACKEND`: `mongo` oder `file`) und verbindet es.
+ */
+const storageBackend = getStorageBackend();
+// nutzt wert der variablen aus .env
+if (storageBackend === 'mongo' && !process.env.MONGO_URI) {// ohne Connection String keine Persistenz in MongoDB
+    log.error("MONGO_URI is not set; set it or use STORAGE_BACKEND=file", { backend: storageBackend });
+    process.exit(1);
+}
+
+// Eine unlesbare Schlüsseldatei soll beim Start auffallen, nicht erst bei der ersten Anfrage mit Token.
+// Ganz ohne Schlüssel bleiben Lesezugriffe möglich; Anfragen mit Token werden dann mit 500 beantwortet.
+try {
+    loadJwtKey();
+} catch (error) {
+    if (process.env.JWT_PUBLIC_KEY_FILE) {
+        log.error('jwt public key unreadable', { file: process.env.JWT_PUBLIC_KEY_FILE, err: error });
+        process.exit(1);
+    }
+    log.warn('jwt key not configured; set JWT_SECRET or JWT_PUBLIC_KEY_FILE to accept tokens');
+}
+
+const repository = await createRepository(storageBackend);
+setRepository(repository);
+log.info('storage backend selected', { backend: storageBackend });
+
+/**
+ * Startet den Express.js-Server auf dem konfigurierten Port.
+ * @listens PORT
+ */
+app.listen(PORT, () => {
+    log.info('server listening', { port: Number(PORT) });
+});
+
+// Die Verbindung wird erst nach dem Start aufgebaut, damit /healthz und /readyz schon währenddessen antworten.
+// Scheitern alle Versuche, beendet sich der Prozess und kann vom Orchestrator neu gestartet werden.
+// Anschließend werden Webhook-Zustellungen fortgesetzt, die vor einem Neustart noch offen waren.
+repository.connect().then(
+    () => resumeWebhookDeliveries().catch((error) => {
+        log.error('webhook resume failed', { err: error });
+    }),
+    (error) => {
+        log.error('storage connection failed', { backend: storageBackend, err: error });
+        process.exit(1);
+    }
+);
@@ -0,0 +1,62 @@
+/**
+ * @file Tests für die Versionierung der API (`middleware/api-version.js`).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { apiVersion, legacyAlias, present, CURRENT_API_VERSION } from '../middleware/api-version.js';
+
+/**
+ * Führt eine Middleware mit einer minimalen Anfrage aus.
+ * @param {express.RequestHandler} middleware
+ * @param {string} url - Der Pfad samt Query.
+ * @returns {{ req: Object, headers: Object }}
+ */
+function run(middleware, url) {
+  const req = { path: url.split('?')[0], originalUrl: url };
+  const headers = {};
+  const res = { set: (values) => Object.assign(headers, values) };
+  let called = false;
+  middleware(req, res, () => { called = true; });
+  assert.ok(called, 'next() wurde nicht aufgerufen');
+  return { req, headers };
+}
+
+test('apiVersion setzt req.apiVersion und lehnt unbekannte Versionen ab', () => {
+  assert.equal(run(apiVersion('v1'), '/resources').req.apiVersion, 'v1');
+  assert.throws(() => apiVersion('v0'));
+});
+
+test('legacyAlias kennzeichnet Pfade ohne Versionspräfix als veraltet', () => {
+  const { req, headers } = run(legacyAlias(['/resources', '/categories']), '/resources/abc?feedbackLimit=2');
+
+  assert.equal(req.apiVersion, CURRENT_API_VERSION);
+  assert.match(headers.Deprecation, /^@\d+$/);
+  assert.ok(!Number.isNaN(Date.parse(headers.Sunset)));
+  assert.equal(headers.Link, `</api/${CURRENT_API_VERSION}/resources/abc?feedbackLimit=2>; rel="successor-version"`);
+});
+
+test('legacyAlias lässt andere Pfade unverändert', () => {
+  for (const url of ['/healthz', '/resourcesx', '/']) {
+    const { req, headers } = run(legacyAlias(['/resources']), url);
+    assert.equal(req.apiVersion, undefined, url);
+    assert.deepEqual(headers, {}, url);
+  }
+});
+
+test('legacyAlias übernimmt LEGACY_API_SUNSET und fällt bei ungültigen Werten auf den Standard zurück', (t) => {
+  t.after(() => { delete process.env.LEGACY_API_SUNSET; });
+
+  process.env.LEGACY_API_SUNSET = '2030-01-01T00:00:00Z';
+  assert.equal(run(legacyAlias(['/resources']), '/resources').headers.Sunset, 'Tue, 01 Jan 2030 00:00:00 GMT');
+
+  process.env.LEGACY_API_SUNSET = 'bald';
+  assert.ok(!Number.isNaN(Date.parse(run(legacyAlias(['/resources']), '/resources').headers.Sunset)));
+});
+
+test('present wendet die Darstellung der Version auf einzelne Datensätze und Listen an', () => {
+  const resource = { id: '1', title: 'A' };
+  assert.deepEqual(present({ apiVersion: 'v1' }, 'resource', resource), resource);
+  assert.deepEqual(present({}, 'resource', [resource]), [resource]);
+  assert.throws(() => present({ apiVersion: 'v1' }, 'unbekannt', resource));
+});
@@ -0,0 +1,15 @@
+/**
+ * @file Tests für den CSV-Formatierer und -Parser (`helpers/csv.js`).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatCsvRow, parseCsv } from '../helpers/csv.js';
+
+test('entschärft Formeln im Export und stellt sie beim Import wieder her', () => {
+  const values = ['=HYPERLINK("http://x")', '+1', '-Einführung', '@SUM(A1)', 'Titel', -3];
+  const row = formatCsvRow(values);
+
+  assert.equal(row, `"'=HYPERLINK(""http://x"")",'+1,'-Einführung,'@SUM(A1),Titel,-3\r\n`);
+  assert.deepEqual(parseCsv(row).records[0].values, values.map(String));
+});
@@ -0,0 +1,43 @@
+/**
+ * @file Tests für das Lesen und Schreiben der JSON-Dateien (`helpers/data_manager.js`).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { updateData } from '../helpers/data_manager.js';
+
+/**
+ * Legt ein leeres temporäres Verzeichnis an.
+ * @returns {string}
+ */
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'data-manager-test-'));
+}
+
+test('updateData legt eine fehlende Datei an', async () => {
+  const dir = tempDir();
+  try {
+    await updateData('items.json', (items) => { items.push({ id: 1 }); }, dir);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'items.json'), 'utf-8')), [{ id: 1 }]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('updateData überschreibt eine beschädigte Datei nicht', async () => {
+  const dir = tempDir();
+  const filePath = path.join(dir, 'items.json');
+  const corrupted = '[{"id": 1}, {"id": 2';
+  fs.writeFileSync(filePath, corrupted);
+  try {
+    let called = false;
+    await assert.rejects(updateData('items.json', () => { called = true; }, dir), /kein gültiges JSON/);
+    assert.equal(called, false);
+    assert.equal(fs.readFileSync(filePath, 'utf-8'), corrupted);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,40 @@
+/**
+ * @file Tests für die Problem-Details-Antworten (`middleware/error-handler.js`).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { errorHandler } from '../middleware/error-handler.js';
+import { ConflictError } from '../utils/errors.js';
+
+/**
+ * Ruft den Error-Handler mit einem minimalen Request/Response-Paar auf.
+ * @param {Error} error
+ * @returns {{ status: number, body: Object }}
+ */
+function render(error) {
+  const sent = {};
+  const res = {
+    headersSent: false,
+    set() { return res; },
+    status(status) { sent.status = status; return res; },
+    type() { return res; },
+    json(body) { sent.body = body; return res; }
+  };
+  errorHandler(error, { id: 'req-1', method: 'GET', originalUrl: '/resources/1' }, res, () => {});
+  return sent;
+}
+
+test('übernimmt Erweiterungen, lässt aber die Standardfelder nicht überschreiben', () => {
+  const { status, body } = render(new ConflictError('Schon vorhanden.', {
+    code: 'CATEGORY_EXISTS',
+    extensions: { resources: 3, status: 200, detail: 'überschrieben', code: 'OK', requestId: 'fremd' }
+  }));
+
+  assert.equal(status, 409);
+  assert.equal(body.resources, 3);
+  assert.equal(body.status, 409);
+  assert.equal(body.detail, 'Schon vorhanden.');
+  assert.equal(body.code, 'CATEGORY_EXISTS');
+  assert.equal(body.requestId, 'req-1');
+});
@@ -0,0 +1,100 @@
+/**
+ * @file Prüft, dass die OpenAPI-Spezifikation (`helpers/openapi.js`) genau die Routen der Router beschreibt.
+ * @description
+ * Welche Router unter welchem Pfad hängen, wird aus `app.js` gelesen (`app.use('/pfad', …, xRouter)`), die Router
+ * einer API-Version aus deren `API_MOUNTS` (siehe `routes/api.js`); ein neuer Router fällt dadurch ohne Änderung an
+ * diesem Test auf. Die veralteten Aliase ohne Versionspräfix beschreibt die Spezifikation nicht.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { buildOpenApiSpec, toOpenApiPath } from '../helpers/openapi.js';
+
+/** @constant {string[]} HTTP_METHODS - Methoden, die in `paths` als Operation stehen können. */
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Liest aus `app.js`, welche Router-Datei unter welchem Pfad eingebunden ist.
+ * @returns {Array<{ file: string, prefix: string }>}
+ */
+function mountedRouters() {
+  const source = fs.readFileSync(new URL('../app.js', import.meta.url), 'utf-8');
+  const files = new Map(
+    [...source.matchAll(/^import (\w+)(?:, \{[^}]*\})? from '\.\/routes\/([\w-]+\.js)'/gm)].map(([, name, file]) => [name, file])
+  );
+  return [...source.matchAll(/^app\.use\((.*?)(\w+Router)\);$/gm)]
+    .filter(([, middleware]) => !middleware.startsWith('legacyAlias('))
+    .map(([, middleware, name]) => {
+      assert.ok(files.has(name), `${name} wird in app.js eingebunden, aber nicht aus routes/ importiert.`);
+      return { file: files.get(name), prefix: middleware.match(/^'([^']*)'/)?.[1] ?? '' };
+    });
+}
+
+/**
+ * Fügt die Routen eines Routers als `"GET /resources/{id}"` zu `operations` hinzu.
+ * @param {express.Router} router
+ * @param {string} prefix - Der Mount-Pfad.
+ * @param {Set<string>} operations
+ * @param {string} file - Für Fehlermeldungen.
+ */
+function collectOperations(router, prefix, operations, file) {
+  for (const layer of router.stack) {
+    if (!layer.route) continue;
+    assert.equal(typeof layer.route.path, 'string', `routes/${file}: nur String-Pfade lassen sich abgleichen.`);
+    for (const method of Object.keys(layer.route.methods)) {
+      if (method === '_all') continue;
+      operations.add(`${method.toUpperCase()} ${toOpenApiPath(prefix + layer.route.path).replace(/(.)\/$/, '$1')}`);
+    }
+  }
+}
+
+/**
+ * Sammelt alle Routen der eingebundenen Router als `"GET /resources/{id}"`.
+ * @returns {Promise<Set<string>>}
+ */
+async function registeredOperations() {
+  const operations = new Set();
+  for (const { file, prefix } of mountedRouters()) {
+    const module = await import(`../routes/${file}`);
+    for (const { path, router } of module.API_MOUNTS ?? [{ path: '', router: module.default }]) {
+      collectOperations(router, prefix + path, operations, file);
+    }
+  }
+  return operations;
+}
+
+/**
+ * Sammelt alle Operationen der Spezifikation als `"GET /resources/{id}"`.
+ * @param {Object} spec
+ * @returns {Set<string>}
+ */
+function documentedOperations(spec) {
+  return new Set(Object.entries(spec.paths).flatMap(([path, item]) =>
+    HTTP_METHODS.filter((method) => item[method]).map((method) => `${method.toUpperCase()} ${path}`)
+  ));
+}
+
+test('jede Route ist in der OpenAPI-Spezifikation beschrieben', async () => {
+  const documented = documentedOperations(buildOpenApiSpec());
+  const missing = [...await registeredOperations()].filter((operation) => !documented.has(operation));
+  assert.deepEqual(missing, [], `Fehlen in helpers/openapi.js: ${missing.join(', ')}`);
+});
+
+test('die Spezifikation beschreibt nur Routen, die es gibt', async () => {
+  const registered = await registeredOperations();
+  const stale = [...documentedOperations(buildOpenApiSpec())].filter((operation) => !registered.has(operation));
+  assert.deepEqual(stale, [], `Ohne Route: ${stale.join(', ')}`);
+});
+
+test('jede Operation beschreibt ihre Pfadparameter und mindestens eine Erfolgsantwort', () => {
+  for (const [path, item] of Object.entries(buildOpenApiSpec().paths)) {
+    const expected = [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => name).sort();
+    for (const method of HTTP_METHODS.filter((name) => item[name])) {
+      const operation = item[method];
+      const actual = (operation.parameters ?? []).filter((param) => param.in === 'path').map((param) => param.name).sort();
+      assert.deepEqual(actual, expected, `${method.toUpperCase()} ${path}: Pfadparameter`);
+      assert.ok(Object.keys(operation.responses).some((status) => status.startsWith('2')), `${method.toUpperCase()} ${path}: keine 2xx-Antwort`);
+    }
+  }
+});
@@ -0,0 +1,21 @@
+/**
+ * @file Tests für die gespeicherte Bewertungsstatistik (`helpers/rating_stats.js`).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { round2, averageOf, summarizeRatings } from '../helpers/rating_stats.js';
+
+test('round2 rundet Gleichstände wie $round zur geraden Ziffer', () => {
+  assert.equal(round2(2.125), 2.12);
+  assert.equal(round2(2.375), 2.38);
+  assert.equal(round2(4.7), 4.7);
+  assert.equal(round2(1 / 3), 0.33);
+  assert.equal(round2(2 / 3), 0.67);
+});
+
+test('averageOf rundet den Durchschnitt wie das MongoDB-Update', () => {
+  // 17 / 8 = 2,125: aufgerundet wäre es 2,13, `$round` liefert 2,12.
+  assert.equal(averageOf(summarizeRatings([5, 5, 1, 1, 1, 1, 1, 2])), 2.12);
+  assert.equal(averageOf(summarizeRatings([])), 0);
+});
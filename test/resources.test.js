@@ -0,0 +1,765 @@
+/**
+ * @file Integrationstests für `routes/resources.js`.
+ * @description
+ * Jede Route wird über HTTP gegen die laufende Anwendung geprüft (siehe `test/support/harness.js`), einschließlich
+ * der Fehlerpfade (400, 401, 403, 404, 409, 412, 415) und des endgültigen Löschens samt Bewertungen und Feedback.
+ * Die Tests teilen sich ein Repository; jeder Block legt seine eigenen Ressourcen an und filtert nach eigenen Autoren.
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './support/harness.js';
+
+/** @constant {string} BASE - Basispfad der Ressourcen-API. */
+const BASE = '/api/v1/resources';
+
+/** @constant {string} MISSING_ID - Eine gültige, aber nicht vergebene ObjectId. */
+const MISSING_ID = '0123456789abcdef01234567';
+
+const alice = { id: 'alice' };
+const bob = { id: 'bob' };
+const carol = { id: 'carol' };
+const dave = { id: 'dave' };
+const moderator = { id: 'mod', roles: ['moderator'] };
+const admin = { id: 'admin', roles: ['admin'] };
+
+/** @type {import('./support/harness.js').TestApp} */
+let app;
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(async () => {
+  await app?.close();
+});
+
+/**
+ * Legt eine Ressource an und prüft, dass das gelingt.
+ * @param {{ id: string }} user - Der Autor.
+ * @param {Object} [fields] - Abweichende Felder.
+ * @returns {Promise<Object>} Die angelegte Ressource.
+ */
+async function createResource(user, fields = {}) {
+  const { status, body } = await app.request('POST', BASE, {
+    user,
+    body: { title: 'Einführung in Node.js', type: 'Course', description: 'Grundlagen', tags: ['node'], ...fields }
+  });
+  assert.equal(status, 201, JSON.stringify(body));
+  return body;
+}
+
+/**
+ * Prüft Status und Fehlercode einer Problem-Details-Antwort.
+ * @param {import('./support/harness.js').TestResponse} response
+ * @param {number} status
+ * @param {string} [code]
+ */
+function assertProblem(response, status, code) {
+  assert.equal(response.status, status, JSON.stringify(response.body));
+  assert.match(response.headers['content-type'], /^application\/problem\+json/);
+  if (code) assert.equal(response.body.code, code);
+}
+
+describe('POST /', () => {
+  test('legt eine Ressource an, übernimmt authorId aus dem Token und löst den Typ auf', async () => {
+    const response = await app.request('POST', BASE, {
+      user: alice,
+      body: { title: 'SQL für Einsteiger', type: 'kurs', tags: ['SQL', ' Datenbanken '] }
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.headers.etag, '"0"');
+    assert.equal(response.body.authorId, 'alice');
+    assert.equal(response.body.type, 'Course');
+    assert.deepEqual(response.body.tags, ['sql', 'datenbanken']);
+    assert.equal(response.body.version, 0);
+    assert.ok(response.body.id);
+  });
+
+  test('verlangt eine Anmeldung', async () => {
+    assertProblem(await app.request('POST', BASE, { body: { title: 'x', type: 'Course' } }), 401);
+
+    const forged = await app.request('POST', BASE, {
+      body: { title: 'x', type: 'Course' }, headers: { Authorization: `Bearer ${app.tokenFor(alice)}x` }
+    });
+    assertProblem(forged, 401, 'INVALID_TOKEN');
+    assert.equal(forged.body.detail, 'Ungültiges Token.');
+  });
+
+  test('lehnt ungültige Daten und unbekannte Kategorien ab', async () => {
+    const missingTitle = await app.request('POST', BASE, { user: alice, body: { type: 'Course' } });
+    assertProblem(missingTitle, 400, 'VALIDATION_FAILED');
+    assert.ok(missingTitle.body.errors.some(({ field }) => field === 'title'));
+
+    assertProblem(await app.request('POST', BASE, { user: alice, body: { title: 'x', type: 'Podcast' } }), 400);
+    assertProblem(await app.request('POST', BASE, { user: alice, body: '{"title":', headers: { 'Content-Type': 'application/json' } }), 400, 'INVALID_JSON');
+  });
+});
+
+describe('GET /', () => {
+  before(async () => {
+    await createResource(bob, { title: 'Alpha', tags: ['list-test', 'a'] });
+    await createResource(bob, { title: 'Beta', type: 'Book', tags: ['list-test'] });
+    await createResource(bob, { title: 'Gamma', type: 'Video', tags: ['list-test'] });
+  });
+
+  test('filtert, sortiert und blättert', async () => {
+    const page1 = await app.request('GET', `${BASE}?authorId=bob&sort=title&limit=2`);
+    assert.equal(page1.status, 200);
+    assert.deepEqual(page1.body.data.map(({ title }) => title), ['Alpha', 'Beta']);
+    assert.deepEqual(page1.body.pagination, { page: 1, limit: 2, total: 3, totalPages: 2 });
+    assert.ok(page1.body.data.every((resource) => !('feedback' in resource)));
+
+    const page2 = await app.request('GET', `${BASE}?authorId=bob&sort=title&limit=2&page=2`);
+    assert.deepEqual(page2.body.data.map(({ title }) => title), ['Gamma']);
+
+    const books = await app.request('GET', `${BASE}?authorId=bob&category=buch`);
+    assert.deepEqual(books.body.data.map(({ title }) => title), ['Beta']);
+
+    const tagged = await app.request('GET', `${BASE}?tags=list-test,a`);
+    assert.deepEqual(tagged.body.data.map(({ title }) => title), ['Alpha']);
+  });
+
+  test('antwortet mit 304, solange sich die Liste nicht ändert', async () => {
+    const first = await app.request('GET', `${BASE}?authorId=bob`);
+    const etag = first.headers.etag;
+    assert.ok(etag);
+
+    const cached = await app.request('GET', `${BASE}?authorId=bob`, { headers: { 'If-None-Match': etag } });
+    assert.equal(cached.status, 304);
+  });
+
+  test('lehnt ungültige Query-Parameter ab', async () => {
+    assertProblem(await app.request('GET', `${BASE}?sort=popularity`), 400, 'INVALID_QUERY');
+    assertProblem(await app.request('GET', `${BASE}?limit=0`), 400, 'INVALID_QUERY');
+    assertProblem(await app.request('GET', `${BASE}?category=unbekannt`), 400, 'INVALID_QUERY');
+  });
+});
+
+describe('GET /facets', () => {
+  before(async () => {
+    await createResource(carol, { type: 'Article', tags: ['facet', 'css'] });
+    await createResource(carol, { type: 'Article', tags: ['facet'] });
+    await createResource(carol, { type: 'Tutorial', tags: ['facet'] });
+  });
+
+  test('zählt Ressourcen je Kategorie, Tag und Autor', async () => {
+    const { status, body } = await app.request('GET', `${BASE}/facets?authorId=carol`);
+
+    assert.equal(status, 200);
+    assert.equal(body.total, 3);
+    assert.deepEqual(body.facets.type, [{ value: 'Article', count: 2 }, { value: 'Tutorial', count: 1 }]);
+    assert.deepEqual(body.facets.tags, [{ value: 'facet', count: 3 }, { value: 'css', count: 1 }]);
+    assert.deepEqual(body.facets.authorId, [{ value: 'carol', count: 3 }]);
+  });
+
+  test('lehnt ein ungültiges facetLimit ab', async () => {
+    assertProblem(await app.request('GET', `${BASE}/facets?facetLimit=0`), 400, 'INVALID_QUERY');
+  });
+});
+
+describe('GET /search', () => {
+  let resource;
+
+  before(async () => {
+    resource = await createResource(alice, { title: 'Zyklotron verstehen', description: 'Teilchenbeschleuniger im Überblick' });
+    await app.request('POST', `${BASE}/${resource.id}/feedback`, { user: bob, body: { feedbackText: 'Endlich Quarkgluonplasma erklärt' } });
+  });
+
+  test('findet Ressourcen mit Score und Snippets', async () => {
+    const { status, body } = await app.request('GET', `${BASE}/search?q=zyklotron`);
+
+    assert.equal(status, 200);
+    assert.equal(body.query, 'zyklotron');
+    assert.deepEqual(body.data.map(({ id }) => id), [resource.id]);
+    assert.ok(body.data[0].score > 0);
+    assert.match(body.data[0].highlights.title, /<mark>Zyklotron<\/mark>/);
+  });
+
+  test('durchsucht Feedback nur mit includeFeedback=true', async () => {
+    const without = await app.request('GET', `${BASE}/search?q=quarkgluonplasma`);
+    assert.deepEqual(without.body.data, []);
+
+    const withFeedback = await app.request('GET', `${BASE}/search?q=quarkgluonplasma&includeFeedback=true`);
+    assert.deepEqual(withFeedback.body.data.map(({ id }) => id), [resource.id]);
+  });
+
+  test('verlangt einen Suchbegriff und ein gültiges Limit', async () => {
+    assertProblem(await app.request('GET', `${BASE}/search?q=%20`), 400, 'INVALID_QUERY');
+    assertProblem(await app.request('GET', `${BASE}/search?q=node&limit=51`), 400, 'INVALID_QUERY');
+  });
+});
+
+describe('POST /import', () => {
+  test('importiert CSV und meldet das Ergebnis je Zeile', async () => {
+    const csv = 'title,type,tags\nImport eins,Course,import;csv\nImport zwei,buch,import\n';
+    const { status, body } = await app.request('POST', `${BASE}/import`, {
+      user: dave, body: csv, headers: { 'Content-Type': 'text/csv' }
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.created, 2);
+    assert.deepEqual(body.results.map(({ status: rowStatus, line }) => [rowStatus, line]), [['created', 2], ['created', 3]]);
+
+    const imported = await app.request('GET', `${BASE}/${body.results[1].id}`);
+    assert.equal(imported.body.type, 'Book');
+    assert.equal(imported.body.authorId, 'dave');
+  });
+
+  test('legt ohne atomic nur gültige Zeilen an, mit atomic keine', async () => {
+    const rows = [{ title: 'Gültig', type: 'Video' }, { title: '', type: 'Video' }];
+
+    const partial = await app.request('POST', `${BASE}/import`, { user: dave, body: rows });
+    assert.equal(partial.status, 200);
+    assert.deepEqual([partial.body.created, partial.body.failed], [1, 1]);
+    assert.equal(partial.body.results[1].status, 'failed');
+
+    const atomic = await app.request('POST', `${BASE}/import?atomic=true`, { user: dave, body: rows });
+    assertProblem(atomic, 400, 'IMPORT_REJECTED');
+    assert.equal(atomic.body.created, 0);
+  });
+
+  test('lehnt leere Dateien, fremde Formate und anonyme Importe ab', async () => {
+    assertProblem(await app.request('POST', `${BASE}/import`, { user: dave, body: [] }), 400, 'INVALID_IMPORT');
+    assertProblem(await app.request('POST', `${BASE}/import`, { user: dave, body: '<x/>', headers: { 'Content-Type': 'application/xml' } }), 415);
+    assertProblem(await app.request('POST', `${BASE}/import`, { body: [{ title: 'x', type: 'Video' }] }), 401);
+  });
+});
+
+describe('GET /export', () => {
+  let resource;
+
+  before(async () => {
+    resource = await createResource({ id: 'exporter' }, { title: 'Export mich' });
+    await app.request('POST', `${BASE}/${resource.id}/ratings`, { user: bob, body: { ratingValue: 4 } });
+  });
+
+  test('exportiert NDJSON mit eingebetteten Bewertungen als Download', async () => {
+    const { status, headers, body } = await app.request('GET', `${BASE}/export?format=ndjson&include=ratings&authorId=exporter`, { user: alice });
+
+    assert.equal(status, 200);
+    assert.match(headers['content-disposition'], /^attachment; filename="resources-\d{4}-\d{2}-\d{2}\.ndjson"$/);
+    const records = body.trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(records.map(({ id }) => id), [resource.id]);
+    assert.deepEqual(records[0].ratings.map(({ ratingValue }) => ratingValue), [4]);
+  });
+
+  test('exportiert CSV mit Kopfzeile', async () => {
+    const { status, body } = await app.request('GET', `${BASE}/export?format=csv&authorId=exporter`, { user: alice });
+
+    assert.equal(status, 200);
+    const [header, row] = body.trim().split(/\r?\n/);
+    assert.match(header, /\btitle\b/);
+    assert.match(row, /Export mich/);
+  });
+
+  test('lehnt ungültige Parameter und anonyme Exporte ab', async () => {
+    assertProblem(await app.request('GET', `${BASE}/export?format=xml`, { user: alice }), 400, 'INVALID_QUERY');
+    assertProblem(await app.request('GET', `${BASE}/export?include=ratings&format=csv`, { user: alice }), 400, 'INVALID_QUERY');
+    assertProblem(await app.request('GET', `${BASE}/export?include=audit`, { user: alice }), 400, 'INVALID_QUERY');
+    assertProblem(await app.request('GET', `${BASE}/export`), 401);
+  });
+});
+
+describe('GET /:id', () => {
+  let resource;
+
+  before(async () => {
+    resource = await createResource(alice, { title: 'Detailansicht' });
+    for (const [user, feedbackText] of [[bob, 'Erstes Feedback'], [carol, 'Zweites Feedback']]) {
+      await app.request('POST', `${BASE}/${resource.id}/feedback`, { user, body: { feedbackText } });
+    }
+  });
+
+  test('liefert die Ressource mit Bewertung und Feedback, neuestes zuerst', async () => {
+    const { status, headers, body } = await app.request('GET', `${BASE}/${resource.id}`);
+
+    assert.equal(status, 200);
+    assert.match(headers.etag, /^"0-[\w-]+"$/);
+    assert.equal(body.averageRating, 0);
+    assert.equal(body.feedbackCount, 2);
+    assert.deepEqual(body.feedback.map(({ feedbackText }) => feedbackText), ['Zweites Feedback', 'Erstes Feedback']);
+  });
+
+  test('begrenzt das eingebettete Feedback mit feedbackLimit', async () => {
+    const { body } = await app.request('GET', `${BASE}/${resource.id}?feedbackLimit=1`);
+    assert.equal(body.feedback.length, 1);
+    assert.equal(body.feedbackCount, 2);
+
+    assertProblem(await app.request('GET', `${BASE}/${resource.id}?feedbackLimit=-1`), 400, 'INVALID_QUERY');
+  });
+
+  test('antwortet mit 304 auf einen passenden If-None-Match', async () => {
+    const { headers } = await app.request('GET', `${BASE}/${resource.id}`);
+    const cached = await app.request('GET', `${BASE}/${resource.id}`, { headers: { 'If-None-Match': headers.etag } });
+    assert.equal(cached.status, 304);
+  });
+
+  test('meldet unbekannte Ressourcen mit 404', async () => {
+    assertProblem(await app.request('GET', `${BASE}/${MISSING_ID}`), 404, 'RESOURCE_NOT_FOUND');
+  });
+});
+
+describe('PUT /:id und PATCH /:id', () => {
+  test('ersetzt eine Ressource vollständig und entfernt fehlende Felder', async () => {
+    const resource = await createResource(alice);
+
+    const { status, headers, body } = await app.request('PUT', `${BASE}/${resource.id}`, {
+      user: alice, body: { title: 'Neuer Titel', type: 'Video' }, headers: { 'If-Match': '"0"' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(headers.etag, '"1"');
+    assert.equal(body.title, 'Neuer Titel');
+    assert.equal(body.version, 1);
+    assert.equal(body.description, undefined);
+    assert.equal(body.authorId, 'alice');
+    assert.ok(Array.isArray(body.feedback));
+  });
+
+  test('ändert mit JSON Merge Patch nur die übergebenen Felder', async () => {
+    const resource = await createResource(alice);
+
+    const { status, body } = await app.request('PATCH', `${BASE}/${resource.id}`, {
+      user: alice,
+      body: JSON.stringify({ title: 'Gepatcht', description: null }),
+      headers: { 'Content-Type': 'application/merge-patch+json' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.title, 'Gepatcht');
+    assert.equal(body.type, 'Course');
+    assert.equal(body.description, undefined);
+  });
+
+  test('lehnt veraltete If-Match-Versionen mit 412 und dem aktuellen ETag ab', async () => {
+    const resource = await createResource(alice);
+    await app.request('PATCH', `${BASE}/${resource.id}`, { user: alice, body: { title: 'Version 1' } });
+
+    const stale = await app.request('PUT', `${BASE}/${resource.id}`, {
+      user: alice, body: { title: 'Verloren', type: 'Course' }, headers: { 'If-Match': '"0"' }
+    });
+
+    assertProblem(stale, 412, 'PRECONDITION_FAILED');
+    assert.equal(stale.headers.etag, '"1"');
+    assert.equal(stale.body.currentVersion, 1);
+  });
+
+  test('vergleicht If-Match stark: ein schwacher ETag passt nie', async () => {
+    const resource = await createResource(alice);
+
+    const weak = await app.request('PATCH', `${BASE}/${resource.id}`, {
+      user: alice, body: { title: 'Schwach' }, headers: { 'If-Match': 'W/"0"' }
+    });
+
+    assertProblem(weak, 412, 'PRECONDITION_FAILED');
+    assert.equal(weak.headers.etag, '"0"');
+  });
+
+  test('erlaubt Änderungen nur Autor und Administratoren', async () => {
+    const resource = await createResource(alice);
+
+    assertProblem(await app.request('PATCH', `${BASE}/${resource.id}`, { body: { title: 'x' } }), 401);
+    assertProblem(await app.request('PATCH', `${BASE}/${resource.id}`, { user: bob, body: { title: 'x' } }), 403);
+    assert.equal((await app.request('PATCH', `${BASE}/${resource.id}`, { user: admin, body: { title: 'Vom Admin' } })).status, 200);
+  });
+
+  test('meldet ungültige Daten, falsche Content-Types und unbekannte Ressourcen', async () => {
+    const resource = await createResource(alice);
+
+    assertProblem(await app.request('PUT', `${BASE}/${resource.id}`, { user: alice, body: { title: 'Ohne Typ' } }), 400, 'VALIDATION_FAILED');
+    assertProblem(await app.request('PATCH', `${BASE}/${resource.id}`, { user: alice, body: { title: null } }), 400, 'VALIDATION_FAILED');
+    assertProblem(await app.request('PATCH', `${BASE}/${resource.id}`, { user: alice, body: 'title=x', headers: { 'Content-Type': 'text/plain' } }), 415);
+    assertProblem(await app.request('PUT', `${BASE}/${MISSING_ID}`, { user: alice, body: { title: 'x', type: 'Course' } }), 404, 'RESOURCE_NOT_FOUND');
+  });
+});
+
+describe('GET /:id/history und POST /:id/revert', () => {
+  let resource;
+
+  before(async () => {
+    resource = await createResource(alice, { title: 'Original', description: 'Erste Fassung' });
+    await app.request('PATCH', `${BASE}/${resource.id}`, { user: alice, body: { title: 'Überarbeitet', description: null } });
+    await app.request('POST', `${BASE}/${resource.id}/ratings`, { user: bob, body: { ratingValue: 5 } });
+  });
+
+  test('listet die Änderungen an Ressource und Bewertungen, neueste zuerst', async () => {
+    const { status, body } = await app.request('GET', `${BASE}/${resource.id}/history`, { user: alice });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(({ entity, operation }) => `${entity}:${operation}`), ['rating:create', 'resource:update', 'resource:create']);
+    assert.deepEqual(
+      body.data[1].changes.find(({ field }) => field === 'title'),
+      { field: 'title', from: 'Original', to: 'Überarbeitet' }
+    );
+
+    const filtered = await app.request('GET', `${BASE}/${resource.id}/history?entity=rating`, { user: moderator });
+    assert.deepEqual(filtered.body.data.map(({ entity }) => entity), ['rating']);
+  });
+
+  test('zeigt die Historie nur Autor, Moderatoren und Administratoren', async () => {
+    assertProblem(await app.request('GET', `${BASE}/${resource.id}/history`, { user: bob }), 403);
+    assertProblem(await app.request('GET', `${BASE}/${resource.id}/history`), 401);
+    assertProblem(await app.request('GET', `${BASE}/${resource.id}/history?entity=user`, { user: alice }), 400, 'INVALID_QUERY');
+    assertProblem(await app.request('GET', `${BASE}/${MISSING_ID}/history`, { user: admin }), 404, 'RESOURCE_NOT_FOUND');
+  });
+
+  test('stellt eine frühere Version als neue Version wieder her', async () => {
+    const { status, headers, body } = await app.request('POST', `${BASE}/${resource.id}/revert`, {
+      user: alice, body: { version: 0 }, headers: { 'If-Match': '"1"' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(headers.etag, '"2"');
+    assert.equal(body.title, 'Original');
+    assert.equal(body.description, 'Erste Fassung');
+
+    const history = await app.request('GET', `${BASE}/${resource.id}/history?entity=resource`, { user: alice });
+    assert.equal(history.body.data[0].operation, 'revert');
+    assert.equal(history.body.data[0].revertedTo, 0);
+  });
+
+  test('protokolliert das Umbenennen einer Kategorie, sodass sich die Ressource weiter zurücksetzen lässt', async () => {
+    const category = await app.request('POST', '/api/v1/categories', { user: admin, body: { name: 'Workshop' } });
+    assert.equal(category.status, 201);
+    const workshop = await createResource(alice, { type: 'Workshop' });
+
+    const renamed = await app.request('PUT', `/api/v1/categories/${category.body.id}`, { user: admin, body: { name: 'Seminar' } });
+    assert.equal(renamed.body.renamedResources, 1);
+
+    const history = await app.request('GET', `${BASE}/${workshop.id}/history?entity=resource`, { user: alice });
+    assert.equal(history.body.data[0].actorId, 'admin');
+    assert.equal(history.body.data[0].version, 1);
+    assert.deepEqual(history.body.data[0].changes, [{ field: 'type', from: 'Workshop', to: 'Seminar' }]);
+
+    const reverted = await app.request('POST', `${BASE}/${workshop.id}/revert`, { user: alice, body: { version: 0 } });
+    assert.equal(reverted.status, 200, JSON.stringify(reverted.body));
+    assert.equal(reverted.body.version, 2);
+  });
+
+  test('meldet einen fehlgeschlagenen Historieneintrag als Serverfehler', async (t) => {
+    const target = await createResource(alice);
+    t.mock.method(app.repository.audit, 'append', async () => { throw new Error('Datenträger voll'); });
+
+    assertProblem(await app.request('PATCH', `${BASE}/${target.id}`, { user: alice, body: { title: 'Ohne Historie' } }), 500);
+  });
+
+  test('lehnt ungültige Versionen und fremde Nutzer ab', async () => {
+    assertProblem(await app.request('POST', `${BASE}/${resource.id}/revert`, { user: alice, body: { version: 99 } }), 400, 'VALIDATION_FAILED');
+    assertProblem(await app.request('POST', `${BASE}/${resource.id}/revert`, { user: alice, body: { version: 'eins' } }), 400, 'VALIDATION_FAILED');
+    assertProblem(await app.request('POST', `${BASE}/${resource.id}/revert`, { user: bob, body: { version: 0 } }), 403);
+    assertProblem(await app.request('POST', `${BASE}/${MISSING_ID}/revert`, { user: alice, body: { version: 0 } }), 404, 'RESOURCE_NOT_FOUND');
+  });
+});
+
+describe('Bewertungen', () => {
+  let resource;
+  let bobsRating;
+
+  before(async () => {
+    resource = await createResource(alice, { title: 'Bewertet' });
+  });
+
+  test('legt Bewertungen an, überschreibt die eigene und berechnet den Durchschnitt', async () => {
+    const first = await app.request('POST', `${BASE}/${resource.id}/ratings`, { user: bob, body: { ratingValue: 5 } });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.rating.userId, 'bob');
+    bobsRating = first.body.rating;
+
+    const replaced = await app.request('POST', `${BASE}/${resource.id}/ratings`, { user: bob, body: { ratingValue: 4 } });
+    assert.equal(replaced.status, 200);
+    assert.equal(replaced.body.rating.id, bobsRating.id);
+
+    const second = await app.request('POST', `${BASE}/${resource.id}/ratings`, { user: carol, body: { ratingValue: 1 } });
+    assert.equal(second.status, 201);
+    assert.equal(second.body.averageRating, 2.5);
+    assert.equal(second.body.ratingStats.count, 2);
+    assert.deepEqual(second.body.ratingStats.histogram, { '1': 1, '2': 0, '3': 0, '4': 1, '5': 0 });
+
+    const listed = await app.request('GET', `${BASE}?authorId=alice&minRating=2.5`);
+    assert.ok(listed.body.data.some(({ id, averageRating }) => id === resource.id && averageRating === 2.5));
+  });
+
+  test('lehnt anonyme, ungültige und verwaiste Bewertungen ab', async () => {
+    assertProblem(await app.request('POST', `${BASE}/${resource.id}/ratings`, { body: { ratingValue: 3 } }), 401);
+    assertProblem(await app.request('POST', `${BASE}/${resource.id}/ratings`, { user: bob, body: { ratingValue: 6 } }), 400, 'VALIDATION_FAILED');
+    assertProblem(await app.request('POST', `${BASE}/${MISSING_ID}/ratings`, { user: bob, body: { ratingValue: 3 } }), 404, 'RESOURCE_NOT_FOUND');
+  });
+
+  test('GET /:resourceId/ratings/:ratingId liefert eine einzelne Bewertung', async () => {
+    const { status, body } = await app.request('GET', `${BASE}/${resource.id}/ratings/${bobsRating.id}`);
+    assert.equal(status, 200);
+    assert.equal(body.ratingValue, 4);
+    assert.equal(body.id, bobsRating.id);
+    assert.equal(body.resourceId, resource.id);
+    assert.ok(!('_id' in body));
+    assert.equal(bobsRating.resourceId, resource.id);
+
+    assertProblem(await app.request('GET', `${BASE}/${resource.id}/ratings/${MISSING_ID}`), 404, 'RATING_NOT_FOUND');
+    assertProblem(await app.request('GET', `${BASE}/${MISSING_ID}/ratings/${bobsRating.id}`), 404, 'RESOURCE_NOT_FOUND');
+  });
+
+  test('PUT /:resourceId/ratings/:ratingId erlaubt Änderungen nur dem Verfasser', async () => {
+    const url = `${BASE}/${resource.id}/ratings/${bobsRating.id}`;
+
+    assertProblem(await app.request('PUT', url, { user: carol, body: { ratingValue: 1 } }), 403);
+    assertProblem(await app.request('PUT', url, { user: bob, body: { ratingValue: 0 } }), 400, 'VALIDATION_FAILED');
+    assertProblem(await app.request('PUT', `${BASE}/${resource.id}/ratings/${MISSING_ID}`, { user: bob, body: { ratingValue: 2 } }), 404, 'RATING_NOT_FOUND');
+
+    const { status, body } = await app.request('PUT', url, { user: bob, body: { ratingValue: 3 } });
+    assert.equal(status, 200);
+    assert.equal(body.ratingValue, 3);
+    assert.equal((await app.request('GET', `${BASE}/${resource.id}`)).body.averageRating, 2);
+  });
+
+  test('DELETE /:resourceId/ratings/:ratingId zieht die Bewertung zurück', async () => {
+    const url = `${BASE}/${resource.id}/ratings/${bobsRating.id}`;
+
+    assertProblem(await app.request('DELETE', url, { user: carol }), 403);
+    assert.equal((await app.request('DELETE', url, { user: bob })).status, 204);
+    assertProblem(await app.request('DELETE', url, { user: bob }), 404, 'RATING_NOT_FOUND');
+
+    const { body } = await app.request('GET', `${BASE}/${resource.id}`);
+    assert.equal(body.averageRating, 1);
+    assert.equal(body.ratingStats.count, 1);
+  });
+});
+
+describe('Feedback', () => {
+  let resource;
+  let feedback;
+
+  before(async () => {
+    resource = await createResource(alice, { title: 'Mit Feedback' });
+  });
+
+  test('POST /:resourceId/feedback speichert Feedback und liefert die angereicherte Ressource', async () => {
+    const { status, body } = await app.request('POST', `${BASE}/${resource.id}/feedback`, {
+      user: bob, body: { feedbackText: '  Sehr hilfreich!  ' }
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.id, resource.id);
+    assert.equal(body.feedbackCount, 1);
+    feedback = body.feedback[0];
+    assert.equal(feedback.feedbackText, 'Sehr hilfreich!');
+    assert.equal(feedback.userId, 'bob');
+  });
+
+  test('lehnt doppelte, leere und verwaiste Einreichungen ab', async () => {
+    assertProblem(await app.request('POST', `${BASE}/${resource.id}/feedback`, { user: bob, body: { feedbackText: 'Sehr hilfreich!' } }), 409, 'DUPLICATE_FEEDBACK');
+    assertProblem(await app.request('POST', `${BASE}/${resource.id}/feedback`, { user: bob, body: { feedbackText: ' ' } }), 400, 'VALIDATION_FAILED');
+    assertProblem(await app.request('POST', `${BASE}/${MISSING_ID}/feedback`, { user: bob, body: { feedbackText: 'Hallo' } }), 404, 'RESOURCE_NOT_FOUND');
+  });
+
+  test('GET /:resourceId/feedback blättert durch das freigegebene Feedback', async () => {
+    await app.request('POST', `${BASE}/${resource.id}/feedback`, { user: carol, body: { feedbackText: 'Zweiter Eintrag' } });
+
+    const newest = await app.request('GET', `${BASE}/${resource.id}/feedback?limit=1`);
+    assert.equal(newest.status, 200);
+    assert.deepEqual(newest.body.data.map(({ feedbackText }) => feedbackText), ['Zweiter Eintrag']);
+    assert.deepEqual(newest.body.pagination, { page: 1, limit: 1, total: 2, totalPages: 2 });
+
+    const oldest = await app.request('GET', `${BASE}/${resource.id}/feedback?sort=timestamp&limit=1`);
+    assert.deepEqual(oldest.body.data.map(({ id }) => id), [feedback.id]);
+
+    assertProblem(await app.request('GET', `${BASE}/${resource.id}/feedback?sort=rating`), 400, 'INVALID_QUERY');
+    assertProblem(await app.request('GET', `${BASE}/${MISSING_ID}/feedback`), 404, 'RESOURCE_NOT_FOUND');
+  });
+
+  test('GET /:resourceId/feedback/:feedbackId liefert einen einzelnen Eintrag', async () => {
+    const { status, body } = await app.request('GET', `${BASE}/${resource.id}/feedback/${feedback.id}`);
+    assert.equal(status, 200);
+    assert.equal(body.feedbackText, 'Sehr hilfreich!');
+
+    assertProblem(await app.request('GET', `${BASE}/${resource.id}/feedback/${MISSING_ID}`), 404, 'FEEDBACK_NOT_FOUND');
+  });
+
+  test('PUT /:resourceId/feedback/:feedbackId erlaubt Änderungen nur dem Verfasser', async () => {
+    const url = `${BASE}/${resource.id}/feedback/${feedback.id}`;
+
+    assertProblem(await app.request('PUT', url, { body: { feedbackText: 'Anonym' } }), 401);
+    assertProblem(await app.request('PUT', url, { user: carol, body: { feedbackText: 'Fremd' } }), 403);
+    assertProblem(await app.request('PUT', url, { user: bob, body: {} }), 400, 'VALIDATION_FAILED');
+
+    const { status, body } = await app.request('PUT', url, { user: bob, body: { feedbackText: 'Sehr hilfreich, danke!' } });
+    assert.equal(status, 200);
+    assert.equal(body.feedbackText, 'Sehr hilfreich, danke!');
+  });
+
+  test('DELETE /:resourceId/feedback/:feedbackId entfernt den Eintrag genau einmal', async () => {
+    const url = `${BASE}/${resource.id}/feedback/${feedback.id}`;
+
+    assertProblem(await app.request('DELETE', url, { user: carol }), 403);
+    assert.equal((await app.request('DELETE', url, { user: bob })).status, 204);
+    assertProblem(await app.request('DELETE', url, { user: bob }), 404, 'FEEDBACK_NOT_FOUND');
+    assertProblem(await app.request('GET', url), 404, 'FEEDBACK_NOT_FOUND');
+
+    const history = await app.request('GET', `${BASE}/${resource.id}/history?entity=feedback`, { user: alice });
+    assert.equal(history.body.data.filter(({ operation }) => operation === 'delete').length, 1);
+  });
+});
+
+describe('Moderation', () => {
+  let resource;
+  let pending;
+  let approved;
+
+  before(async () => {
+    resource = await createResource(alice, { title: 'Moderiert' });
+
+    const held = await app.request('POST', `${BASE}/${resource.id}/feedback`, {
+      user: bob, body: { feedbackText: 'Siehe https://example.com und https://example.org' }
+    });
+    assert.equal(held.status, 202);
+    assert.equal(held.body.status, 'pending');
+    pending = held.body;
+
+    const created = await app.request('POST', `${BASE}/${resource.id}/feedback`, { user: carol, body: { feedbackText: 'Unauffällig' } });
+    approved = created.body.feedback[0];
+  });
+
+  test('zurückgehaltenes Feedback sehen nur Verfasser und Moderatoren', async () => {
+    const url = `${BASE}/${resource.id}/feedback/${pending.id}`;
+
+    assertProblem(await app.request('GET', url), 404, 'FEEDBACK_NOT_FOUND');
+    assert.equal((await app.request('GET', url, { user: bob })).status, 200);
+    assert.equal((await app.request('GET', url, { user: moderator })).body.status, 'pending');
+
+    const publicList = await app.request('GET', `${BASE}/${resource.id}/feedback`);
+    assert.deepEqual(publicList.body.data.map(({ id }) => id), [approved.id]);
+  });
+
+  test('GET /moderation/feedback zeigt die Warteschlange nur Moderatoren', async () => {
+    const { status, body } = await app.request('GET', `${BASE}/moderation/feedback`, { user: moderator });
+    assert.equal(status, 200);
+    assert.ok(body.data.some(({ id }) => id === pending.id));
+    assert.ok(body.data.every(({ status: feedbackStatus }) => ['pending', 'flagged'].includes(feedbackStatus)));
+
+    assertProblem(await app.request('GET', `${BASE}/moderation/feedback`, { user: bob }), 403);
+    assertProblem(await app.request('GET', `${BASE}/moderation/feedback?status=spam`, { user: moderator }), 400, 'INVALID_QUERY');
+  });
+
+  test('POST …/approve und …/reject entscheiden über zurückgehaltenes Feedback', async () => {
+    const base = `${BASE}/${resource.id}/feedback/${pending.id}`;
+
+    assertProblem(await app.request('POST', `${base}/approve`, { user: bob }), 403);
+    assertProblem(await app.request('POST', `${BASE}/${resource.id}/feedback/${MISSING_ID}/approve`, { user: moderator }), 404, 'FEEDBACK_NOT_FOUND');
+
+    const rejected = await app.request('POST', `${base}/reject`, { user: moderator, body: { note: 'Zu viele Links' } });
+    assert.equal(rejected.status, 200);
+    assert.equal(rejected.body.status, 'rejected');
+    assert.equal(rejected.body.reviewedBy, 'mod');
+
+    const released = await app.request('POST', `${base}/approve`, { user: admin });
+    assert.equal(released.status, 200);
+    assert.equal(released.body.status, 'approved');
+    assert.equal((await app.request('GET', `${BASE}/${resource.id}`)).body.feedbackCount, 2);
+  });
+
+  test('Webhooks erfahren nur von öffentlichem Feedback', async (t) => {
+    const events = [];
+    t.mock.method(app.repository.webhooks, 'listForEvent', async (type) => { events.push(type); return []; });
+
+    const held = await app.request('POST', `${BASE}/${resource.id}/feedback`, {
+      user: dave, body: { feedbackText: 'Mehr unter https://example.com und https://example.org' }
+    });
+    assert.equal(held.status, 202);
+    const base = `${BASE}/${resource.id}/feedback/${held.body.id}`;
+    await app.request('POST', `${base}/approve`, { user: moderator });
+    await app.request('POST', `${base}/reject`, { user: moderator });
+
+    assert.deepEqual(events, ['feedback.published', 'feedback.hidden']);
+  });
+
+  test('POST …/flag blendet Feedback ab der Schwelle aus', async () => {
+    const url = `${BASE}/${resource.id}/feedback/${approved.id}/flag`;
+
+    assertProblem(await app.request('POST', url), 401);
+    assertProblem(await app.request('POST', url, { user: bob, body: { reason: 'x'.repeat(501) } }), 400, 'VALIDATION_FAILED');
+    assertProblem(await app.request('POST', `${BASE}/${resource.id}/feedback/${MISSING_ID}/flag`, { user: bob }), 404, 'FEEDBACK_NOT_FOUND');
+
+    assert.equal((await app.request('POST', url, { user: bob, body: { reason: 'Werbung' } })).status, 201);
+    assert.equal((await app.request('POST', url, { user: bob })).status, 200);
+    assert.equal((await app.request('POST', url, { user: dave })).status, 201);
+    const third = await app.request('POST', url, { user: alice });
+    assert.equal(third.status, 201);
+    assert.equal(third.body.status, 'flagged');
+
+    assertProblem(await app.request('GET', `${BASE}/${resource.id}/feedback/${approved.id}`), 404, 'FEEDBACK_NOT_FOUND');
+  });
+});
+
+describe('Papierkorb', () => {
+  let resource;
+  let rating;
+  let feedback;
+
+  before(async () => {
+    resource = await createResource(alice, { title: 'Wird gelöscht' });
+    rating = (await app.request('POST', `${BASE}/${resource.id}/ratings`, { user: bob, body: { ratingValue: 2 } })).body.rating;
+    feedback = (await app.request('POST', `${BASE}/${resource.id}/feedback`, { user: bob, body: { feedbackText: 'Weg damit' } })).body.feedback[0];
+  });
+
+  test('DELETE /:id verschiebt in den Papierkorb und blendet Unterressourcen aus', async () => {
+    assertProblem(await app.request('DELETE', `${BASE}/${resource.id}`), 401);
+    assertProblem(await app.request('DELETE', `${BASE}/${resource.id}`, { user: bob }), 403);
+    assert.equal((await app.request('DELETE', `${BASE}/${resource.id}`, { user: alice })).status, 204);
+
+    assertProblem(await app.request('DELETE', `${BASE}/${resource.id}`, { user: alice }), 404, 'RESOURCE_NOT_FOUND');
+    assertProblem(await app.request('GET', `${BASE}/${resource.id}`), 404, 'RESOURCE_NOT_FOUND');
+    assertProblem(await app.request('GET', `${BASE}/${resource.id}/ratings/${rating.id}`), 404, 'RESOURCE_NOT_FOUND');
+    assertProblem(await app.request('GET', `${BASE}/${resource.id}/feedback/${feedback.id}`), 404, 'RESOURCE_NOT_FOUND');
+    assertProblem(await app.request('POST', `${BASE}/${resource.id}/ratings`, { user: carol, body: { ratingValue: 5 } }), 404, 'RESOURCE_NOT_FOUND');
+  });
+
+  test('GET /trash zeigt Nutzern ihre eigenen gelöschten Ressourcen, Administratoren alle', async () => {
+    const own = await app.request('GET', `${BASE}/trash`, { user: alice });
+    assert.equal(own.status, 200);
+    const entry = own.body.data.find(({ id }) => id === resource.id);
+    assert.equal(entry.deletedBy, 'alice');
+    assert.ok(Date.parse(entry.purgeAfter) > Date.parse(entry.deletedAt));
+
+    assert.deepEqual((await app.request('GET', `${BASE}/trash`, { user: bob })).body.data, []);
+    assert.ok((await app.request('GET', `${BASE}/trash`, { user: admin })).body.data.some(({ id }) => id === resource.id));
+    assertProblem(await app.request('GET', `${BASE}/trash?page=0`, { user: alice }), 400, 'INVALID_QUERY');
+    assertProblem(await app.request('GET', `${BASE}/trash`), 401);
+  });
+
+  test('POST /:id/restore holt die Ressource samt Bewertungen und Feedback zurück', async () => {
+    assertProblem(await app.request('POST', `${BASE}/${resource.id}/restore`, { user: bob }), 403);
+
+    const { status, headers, body } = await app.request('POST', `${BASE}/${resource.id}/restore`, { user: alice });
+    assert.equal(status, 200);
+    assert.equal(headers.etag, `"${body.version}"`);
+    assert.equal(body.averageRating, 2);
+    assert.deepEqual(body.feedback.map(({ id }) => id), [feedback.id]);
+
+    assertProblem(await app.request('POST', `${BASE}/${resource.id}/restore`, { user: alice }), 404, 'RESOURCE_NOT_IN_TRASH');
+  });
+
+  test('DELETE /trash löscht endgültig, einschließlich Bewertungen und Feedback', async () => {
+    assertProblem(await app.request('DELETE', `${BASE}/trash?olderThanDays=0`, { user: alice }), 403);
+    assertProblem(await app.request('DELETE', `${BASE}/trash?olderThanDays=-1`, { user: admin }), 400, 'INVALID_QUERY');
+
+    assert.equal((await app.request('DELETE', `${BASE}/${resource.id}`, { user: alice })).status, 204);
+
+    // Innerhalb der Aufbewahrungsfrist bleibt die Ressource im Papierkorb.
+    const kept = await app.request('DELETE', `${BASE}/trash`, { user: admin });
+    assert.equal(kept.status, 200);
+    assert.equal(kept.body.purged.resources, 0);
+    assert.ok(await app.repository.resources.findDeleted(resource.id));
+
+    const { status, body } = await app.request('DELETE', `${BASE}/trash?olderThanDays=0`, { user: admin });
+    assert.equal(status, 200);
+    assert.ok(body.purged.resources >= 1);
+    assert.ok(body.purged.ratings >= 1);
+    assert.ok(body.purged.feedback >= 1);
+
+    assert.equal(await app.repository.resources.findDeleted(resource.id), null);
+    assert.deepEqual(await app.repository.ratings.list(resource.id), []);
+    assert.equal((await app.repository.feedback.list(resource.id, {})).total, 0);
+    assertProblem(await app.request('POST', `${BASE}/${resource.id}/restore`, { user: alice }), 404, 'RESOURCE_NOT_IN_TRASH');
+  });
+});
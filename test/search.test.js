@@ -0,0 +1,20 @@
+/**
+ * @file Tests für Suchbegriffe und Snippets (`helpers/search.js`).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countMatches, highlight } from '../helpers/search.js';
+
+test('findet Suchbegriffe mit Umlaut am Wortanfang', () => {
+  assert.equal(countMatches('Eine Übung zu Ökonomie', ['übung']), 1);
+  assert.equal(countMatches('Eine Vorübung', ['übung']), 0);
+  assert.equal(highlight('Eine Übung zu Ökonomie', ['übung', 'ökonomie']), 'Eine <mark>Übung</mark> zu <mark>Ökonomie</mark>');
+});
+
+test('escaped den Text des Snippets als HTML', () => {
+  assert.equal(
+    highlight('<img src=x onerror=alert(1)> hooks & "mehr"', ['hooks']),
+    '&lt;img src=x onerror=alert(1)&gt; <mark>hooks</mark> &amp; &quot;mehr&quot;'
+  );
+});
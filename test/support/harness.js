@@ -0,0 +1,148 @@
+/**
+ * @file Startet die Anwendung für Integrationstests.
+ * @description
+ * {@link startTestApp} bindet `app.js` auf einem freien Port ein, mit einem eigenen Repository:
+ * - `mongo` (Standard): eine MongoDB im Arbeitsspeicher über `mongodb-memory-server`. Beim ersten Lauf wird das
+ *   `mongod`-Binary heruntergeladen; mit `MONGOMS_SYSTEM_BINARY` lässt sich stattdessen ein lokal installiertes nutzen.
+ *   Lässt sich kein `mongod` starten (etwa ohne Netzzugang), schlagen die Tests fehl; das Datei-Backend ersetzt
+ *   MongoDB nur, wenn es ausdrücklich gewählt ist.
+ * - `file`: JSON-Dateien in einem temporären Verzeichnis (`TEST_STORAGE_BACKEND=file`), etwa um zu prüfen,
+ *   dass sich beide Backends gleich verhalten.
+ *
+ * Tokens signiert der Harness selbst ({@link TestApp.tokenFor}); Rate Limiting, Antwort-Cache und Logausgabe sind aus.
+ * Die Testdateien laufen in eigenen Prozessen, daher teilen sie sich weder Repository noch Zustand im Speicher.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { createRepository, setRepository } from '../../repositories/index.js';
+
+/** @constant {string} TEST_JWT_SECRET - Schlüssel, mit dem der Harness Tokens signiert. */
+const TEST_JWT_SECRET = 'integration-test-secret';
+
+/**
+ * @constant {Object<string, string>} TEST_ENV - Konfiguration während der Tests. Sie wird erst nach dem Import
+ * von `app.js` gesetzt und überschreibt damit auch Werte aus einer lokalen `.env`.
+ */
+const TEST_ENV = {
+  JWT_SECRET: TEST_JWT_SECRET,
+  LOG_LEVEL: 'silent',
+  RATE_LIMIT_ENABLED: 'false',
+  RESPONSE_CACHE_TTL_SECONDS: '0',
+  REQUIRE_IF_MATCH: 'false',
+  ALLOW_ANONYMOUS_RATINGS: 'false',
+  FEEDBACK_PREMODERATION: 'false'
+};
+
+/** @constant {string[]} CLEARED_ENV - Variablen aus einer lokalen `.env`, die das erwartete Verhalten ändern würden. */
+const CLEARED_ENV = [
+  'JWT_PUBLIC_KEY_FILE', 'JWT_ISSUER', 'JWT_AUDIENCE', 'ADMIN_ROLE', 'MODERATOR_ROLE', 'TRASH_RETENTION_DAYS',
+  'FEEDBACK_BANNED_WORDS', 'FEEDBACK_MAX_LINKS', 'FEEDBACK_MIN_LENGTH', 'FEEDBACK_MAX_LENGTH', 'FEEDBACK_FLAG_THRESHOLD',
+  'DUPLICATE_FEEDBACK_WINDOW_SECONDS', 'IMPORT_BODY_LIMIT'
+];
+
+/**
+ * Erzeugt das Repository des gewählten Backends samt Aufräumfunktion.
+ * @param {string} backend - `mongo` oder `file`.
+ * @returns {Promise<{ repository: import('../../repositories/index.js').Repository, dispose: () => Promise<void> }>}
+ */
+async function createTestRepository(backend) {
+  if (backend === 'file') {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'resource-catalog-test-'));
+    const repository = await createRepository('file', { dir });
+    await repository.connect();
+    return { repository, dispose: () => fs.promises.rm(dir, { recursive: true, force: true }) };
+  }
+
+  // Nur für dieses Backend geladen, damit `TEST_STORAGE_BACKEND=file` ohne mongod-Binary auskommt.
+  const { MongoMemoryServer } = await import('mongodb-memory-server');
+  let server;
+  try {
+    server = await MongoMemoryServer.create();
+  } catch (cause) {
+    throw new Error(
+      'mongod konnte nicht gestartet werden. MONGOMS_SYSTEM_BINARY auf ein installiertes mongod setzen '
+      + 'oder die Tests mit TEST_STORAGE_BACKEND=file gegen das Datei-Backend ausführen.',
+      { cause }
+    );
+  }
+  const repository = await createRepository('mongo', { uri: server.getUri(), dbName: 'resource_catalog_test' });
+  await repository.connect();
+  // Die Volltextsuche braucht den Textindex; Mongoose legt Indizes sonst nur im Hintergrund an.
+  await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+  return { repository, dispose: () => server.stop() };
+}
+
+/**
+ * @typedef {Object} TestResponse
+ * @property {number} status
+ * @property {Object<string, string>} headers - Header mit kleingeschriebenen Namen.
+ * @property {*} body - Geparstes JSON bei JSON-Antworten (auch `application/problem+json`), sonst der Text.
+ */
+
+/**
+ * @typedef {Object} TestApp
+ * @property {import('../../repositories/index.js').Repository} repository - Das Repository der laufenden Anwendung.
+ * @property {(user: { id: string, roles?: string[] }) => string} tokenFor - Signiert ein Token für diesen Nutzer.
+ * @property {(method: string, url: string, options?: { user?: { id: string, roles?: string[] }, body?: *, headers?: Object }) => Promise<TestResponse>} request
+ *           Sendet eine Anfrage an die Anwendung; `body` wird als JSON gesendet, außer er ist bereits ein String.
+ * @property {() => Promise<void>} close - Beendet Server und Repository.
+ */
+
+/**
+ * Startet die Anwendung mit einem frischen Repository (`TEST_STORAGE_BACKEND`, Standard `mongo`).
+ * @returns {Promise<TestApp>}
+ */
+export async function startTestApp() {
+  const { default: app } = await import('../../app.js');
+  Object.assign(process.env, TEST_ENV);
+  for (const name of CLEARED_ENV) delete process.env[name];
+
+  const { repository, dispose } = await createTestRepository(process.env.TEST_STORAGE_BACKEND || 'mongo');
+  setRepository(repository);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const tokenFor = ({ id, roles = [] }) => jwt.sign({ sub: id, roles }, TEST_JWT_SECRET);
+
+  // `node:http` statt `fetch`: `fetch` schickt bei `If-None-Match` selbst `Cache-Control: no-cache` mit und verhindert so `304`.
+  function request(method, url, { user, body, headers = {} } = {}) {
+    const payload = body === undefined || typeof body === 'string' ? body : JSON.stringify(body);
+    return new Promise((resolve, reject) => {
+      const outgoing = http.request(baseUrl + url, {
+        method,
+        headers: {
+          ...(payload !== body && { 'Content-Type': 'application/json' }),
+          ...(user && { Authorization: `Bearer ${tokenFor(user)}` }),
+          ...headers
+        }
+      }, (response) => {
+        const chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('error', reject);
+        response.on('end', () => {
+          const text = Buffer.concat(chunks).toString('utf-8');
+          const isJson = /[/+]json\b/.test(response.headers['content-type'] ?? '');
+          resolve({ status: response.statusCode, headers: response.headers, body: isJson && text ? JSON.parse(text) : text });
+        });
+      });
+      outgoing.on('error', reject);
+      outgoing.end(payload);
+    });
+  }
+
+  async function close() {
+    await new Promise((resolve) => server.close(resolve));
+    await repository.close();
+    await dispose();
+  }
+
+  return { repository, tokenFor, request, close };
+}
@@ -0,0 +1,99 @@
+/**
+ * @file Fehlerklassen für HTTP-Fehler.
+ * @description
+ * Route-Handler und Middleware reichen erwartbare Fehler (nicht gefunden, ungültig, keine Berechtigung …)
+ * als Instanz einer dieser Klassen an `next()` weiter. Die globale `errorHandler`-Middleware
+ * übersetzt sie in eine einheitliche `application/problem+json`-Antwort (RFC 7807).
+ */
+
+import http from 'http';
+
+/**
+ * Basisklasse aller HTTP-Fehler.
+ * @property {number} status - Der HTTP-Statuscode.
+ * @property {string} code - Maschinenlesbarer Fehlercode, z. B. `RESOURCE_NOT_FOUND`.
+ * @property {Array<{ field: string, message: string }>} [errors] - Feldbezogene Fehler (bei Validierung).
+ * @property {Object} [extensions] - Zusätzliche Felder für den Problem-Body.
+ * @property {Object} [headers] - Zusätzliche Response-Header.
+ */
+export class HttpError extends Error {
+    /**
+     * @param {number} status - Der HTTP-Statuscode.
+     * @param {string} [code] - Fehlercode; Standard ist der Statustext in Großbuchstaben (z. B. `BAD_REQUEST`).
+     * @param {string} [message] - Für Clients verständliche Beschreibung (`detail`).
+     * @param {Object} [options]
+     * @param {Array<{ field: string, message: string }>} [options.errors]
+     * @param {Object} [options.extensions]
+     * @param {Object} [options.headers]
+     */
+    constructor(status, code, message, { errors, extensions, headers } = {}) {
+        super(message ?? http.STATUS_CODES[status]);
+        this.name = new.target.name;
+        this.status = status;
+        this.code = code ?? defaultCode(status);
+        this.errors = errors;
+        this.extensions = extensions;
+        this.headers = headers;
+    }
+}
+
+/** 400 – Ungültige Eingabedaten, optional mit feldbezogenen Fehlern. */
+export class ValidationError extends HttpError {
+    constructor(message = 'Ungültige Anfragedaten.', { code = 'VALIDATION_FAILED', errors } = {}) {
+        super(400, code, message, { errors });
+    }
+}
+
+/** 401 – Nicht oder ungültig angemeldet. */
+export class UnauthorizedError extends HttpError {
+    constructor(message = 'Anmeldung erforderlich.', { code = 'UNAUTHORIZED' } = {}) {
+        super(401, code, message, { headers: { 'WWW-Authenticate': 'Bearer' } });
+    }
+}
+
+/** 403 – Angemeldet, aber ohne Berechtigung. */
+export class ForbiddenError extends HttpError {
+    constructor(message = 'Keine Berechtigung.', { code = 'FORBIDDEN' } = {}) {
+        super(403, code, message);
+    }
+}
+
+/** 404 – Das angefragte Objekt existiert nicht. */
+export class NotFoundError extends HttpError {
+    constructor(message = 'Nicht gefunden.', { code = 'NOT_FOUND' } = {}) {
+        super(404, code, message);
+    }
+}
+
+/** 409 – Konflikt mit dem aktuellen Zustand, z. B. eine Verletzung eines eindeutigen Index. */
+export class ConflictError extends HttpError {
+    constructor(message = 'Konflikt mit dem aktuellen Zustand.', { code = 'CONFLICT', extensions } = {}) {
+        super(409, code, message, { extensions });
+    }
+}
+
+/** 412 – Eine Vorbedingung (`If-Match`) ist nicht erfüllt. */
+export class PreconditionFailedError extends HttpError {
+    constructor(message = 'Vorbedingung nicht erfüllt.', { code = 'PRECONDITION_FAILED', extensions, headers } = {}) {
+        super(412, code, message, { extensions, headers });
+    }
+}
+
+/** 429 – Zu viele Anfragen; `Retry-After` nennt die Wartezeit in Sekunden. */
+export class TooManyRequestsError extends HttpError {
+    constructor(message = 'Zu viele Anfragen.', { code = 'RATE_LIMITED', retryAfter, headers } = {}) {
+        super(429, code, message, {
+            extensions: retryAfter !== undefined ? { retryAfter } : undefined,
+            headers: { ...headers, ...(retryAfter !== undefined && { 'Retry-After': String(retryAfter) }) }
+        });
+    }
+}
+
+/**
+ * Leitet den Standard-Fehlercode aus dem Statuscode ab, z. B. 404 → `NOT_FOUND`.
+ * @param {number} status
+ * @returns {string}
+ */
+function defaultCode(status) {
+    return (http.STATUS_CODES[status] ?? 'Error').toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
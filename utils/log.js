@@ -0,0 +1,128 @@
+/**
+ * @file Strukturiertes Logging als JSON-Zeilen.
+ * @description
+ * Jede Logzeile ist ein JSON-Objekt mit `time`, `level`, `msg` und weiteren Feldern, z. B.:
+ *
+ * ```json
+ * {"time":"2025-01-01T12:00:00.000Z","level":"info","msg":"request completed","requestId":"…","method":"GET","status":200}
+ * ```
+ *
+ * - Level: `debug`, `info`, `warn`, `error`; die Mindeststufe kommt aus `LOG_LEVEL` (Standard `info`, `silent` schaltet ab).
+ * - Korrelation: Innerhalb einer Anfrage (siehe `middleware/request-id.js`) trägt jede Zeile automatisch die `requestId`,
+ *   auch aus Helfern und Repositories, die `req` nicht kennen.
+ * - Redaction: Werte sensibler Felder (`authorization`, `password`, `token` …) werden durch `[REDACTED]` ersetzt,
+ *   egal wie tief sie verschachtelt sind. Weitere Feldnamen lassen sich über `LOG_REDACT` (kommagetrennt) ergänzen.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+/** @constant {Object} LEVELS - Log-Level und ihre Rangfolge. */
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50, silent: Infinity };
+
+/** @constant {string[]} DEFAULT_REDACT - Feldnamen (klein geschrieben), deren Werte nie geloggt werden. */
+const DEFAULT_REDACT = [
+    'authorization', 'cookie', 'set-cookie', 'password', 'token', 'accesstoken', 'refreshtoken',
+    'secret', 'jwt', 'apikey', 'x-api-key'
+];
+
+/** @constant {string} REDACTED - Platzhalter für entfernte Werte. */
+const REDACTED = '[REDACTED]';
+
+/** Kontext der laufenden Anfrage (z. B. `{ requestId }`), siehe {@link runWithLogContext}. */
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Gibt die konfigurierte Mindeststufe zurück (`LOG_LEVEL`, Standard `info`).
+ * @returns {string}
+ */
+export function getLogLevel() {
+    const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+    return Object.hasOwn(LEVELS, level) ? level : 'info';
+}
+
+/**
+ * Gibt die Feldnamen zurück, deren Werte entfernt werden (Standardliste plus `LOG_REDACT`).
+ * @returns {Set<string>}
+ */
+function redactedKeys() {
+    const extra = (process.env.LOG_REDACT || '').split(',').map((key) => key.trim().toLowerCase()).filter(Boolean);
+    return new Set([...DEFAULT_REDACT, ...extra]);
+}
+
+/**
+ * Wandelt einen Fehler in ein loggbares Objekt um (`Error` hat keine aufzählbaren Eigenschaften).
+ * @param {Error} error
+ * @returns {Object}
+ */
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined && { code: error.code }),
+        ...(error.status !== undefined && { status: error.status }),
+        stack: error.stack
+    };
+}
+
+/**
+ * Kopiert einen Wert und ersetzt dabei die Werte sensibler Felder.
+ * @param {*} value
+ * @param {Set<string>} keys - Klein geschriebene Feldnamen.
+ * @param {WeakSet<Object>} [seen] - Schutz vor zyklischen Referenzen.
+ * @returns {*}
+ */
+export function redact(value, keys = redactedKeys(), seen = new WeakSet()) {
+    if (value instanceof Error) return redact(serializeError(value), keys, seen);
+    if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    if (Array.isArray(value)) return value.map((item) => redact(item, keys, seen));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        keys.has(key.toLowerCase()) ? REDACTED : redact(item, keys, seen)
+    ]));
+}
+
+/**
+ * Führt `fn` mit einem Log-Kontext aus; alle Logzeilen innerhalb (auch asynchron) enthalten dessen Felder.
+ * @param {Object} bindings - z. B. `{ requestId }`.
+ * @param {Function} fn
+ * @returns {*} Das Ergebnis von `fn`.
+ */
+export function runWithLogContext(bindings, fn) {
+    return logContext.run(bindings, fn);
+}
+
+/**
+ * Erzeugt einen Logger mit festen Feldern.
+ * @param {Object} [bindings={}] - Felder, die jede Zeile dieses Loggers enthält (z. B. `{ component: 'seed' }`).
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function, child: Function }}
+ *          Jede Level-Methode hat die Signatur `(msg: string, fields?: Object)`; ein Fehler gehört in `fields.err`.
+ */
+export function createLogger(bindings = {}) {
+    const write = (level, msg, fields = {}) => {
+        if (LEVELS[level] < LEVELS[getLogLevel()]) return;
+
+        const entry = redact({
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...logContext.getStore(),
+            ...bindings,
+            ...fields
+        });
+        process.stdout.write(JSON.stringify(entry) + '\n');
+    };
+
+    return {
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        child: (extra) => createLogger({ ...bindings, ...extra })
+    };
+}
+
+/** Der Logger des Dienstes. */
+export const log = createLogger();
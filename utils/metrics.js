@@ -0,0 +1,173 @@
+/**
+ * @file Metriken im Prometheus-Textformat (Version 0.0.4).
+ * @description
+ * Zähler und Histogramme mit Labels, die `GET /metrics` ausliefert. Alle Metriken des Dienstes werden
+ * hier definiert, damit Namen und Labels an einer Stelle stehen:
+ *
+ * - `http_requests_total{method,route,status}`          – beantwortete Anfragen (siehe `middleware/metrics.js`)
+ * - `http_request_duration_seconds{method,route,status}` – Bearbeitungsdauer als Histogramm
+ * - `catalog_resources_created_total{source}`          – angelegte Ressourcen (`api` oder `import`)
+ * - `catalog_ratings_created_total`                    – neue Bewertungen (überschriebene zählen nicht)
+ * - `catalog_feedback_created_total`                   – neue Feedback-Einträge
+ * - `catalog_webhook_delivery_attempts_total{event,outcome}` – Zustellversuche (`success`, `retry` oder `failed`)
+ * - `catalog_response_cache_lookups_total{result}`     – Zugriffe auf den Antwort-Cache (`hit` oder `miss`)
+ */
+
+/** @constant {string} METRICS_CONTENT_TYPE - Content-Type des Prometheus-Textformats. */
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** @constant {number[]} DEFAULT_BUCKETS - Obergrenzen der Histogramm-Buckets in Sekunden. */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/** @type {Array<Counter|Histogram>} Alle registrierten Metriken in Ausgabereihenfolge. */
+const registry = [];
+
+/**
+ * Maskiert einen Label-Wert für das Textformat.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+    return String(value).replaceAll('\\', '\\\\').replaceAll('"', '\\"').replaceAll('\n', '\\n');
+}
+
+/**
+ * Formatiert Labels als `{name="value",…}`; ohne Labels ein leerer String.
+ * @param {Object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Gemeinsame Basis: Name, Beschreibung, Labelnamen und eine Serie pro Labelkombination.
+ */
+class Metric {
+    /**
+     * @param {string} name - Metrikname, z. B. `http_requests_total`.
+     * @param {string} help - Beschreibung für die `# HELP`-Zeile.
+     * @param {string[]} [labelNames] - Erlaubte Labels in fester Reihenfolge.
+     */
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+        registry.push(this);
+    }
+
+    /**
+     * Gibt die Serie zu den Labels zurück und legt sie bei Bedarf an.
+     * @param {Object} labels
+     * @param {() => Object} create - Erzeugt den Anfangszustand einer neuen Serie.
+     * @returns {Object}
+     */
+    seriesFor(labels, create) {
+        const ordered = Object.fromEntries(this.labelNames.map((name) => [name, labels[name] ?? '']));
+        const key = JSON.stringify(ordered);
+        if (!this.series.has(key)) this.series.set(key, { labels: ordered, ...create() });
+        return this.series.get(key);
+    }
+}
+
+/** Monoton steigender Zähler. */
+export class Counter extends Metric {
+    /**
+     * Erhöht den Zähler.
+     * @param {Object} [labels={}]
+     * @param {number} [value=1] - Muss positiv sein.
+     */
+    inc(labels = {}, value = 1) {
+        if (value <= 0) return;
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    /** @returns {string[]} Die Zeilen im Textformat. */
+    render() {
+        // Ein Zähler ohne Labels wird auch vor dem ersten `inc()` als 0 ausgegeben.
+        if (this.series.size === 0 && this.labelNames.length === 0) return [`${this.name} 0`];
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+
+    get type() {
+        return 'counter';
+    }
+}
+
+/** Histogramm mit festen Buckets (kumulativ wie von Prometheus erwartet). */
+export class Histogram extends Metric {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {number[]} [buckets=DEFAULT_BUCKETS] - Aufsteigende Obergrenzen.
+     */
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        super(name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    /**
+     * Erfasst einen Messwert.
+     * @param {Object} labels
+     * @param {number} value - z. B. eine Dauer in Sekunden.
+     */
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /** @returns {string[]} Die Zeilen im Textformat. */
+    render() {
+        return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...this.buckets.map((bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${this.name}_sum${formatLabels(labels)} ${sum}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`
+        ]);
+    }
+
+    get type() {
+        return 'histogram';
+    }
+}
+
+export const httpRequestsTotal = new Counter(
+    'http_requests_total', 'Anzahl beantworteter HTTP-Anfragen.', ['method', 'route', 'status']
+);
+
+export const httpRequestDuration = new Histogram(
+    'http_request_duration_seconds', 'Bearbeitungsdauer von HTTP-Anfragen in Sekunden.', ['method', 'route', 'status']
+);
+
+export const resourcesCreated = new Counter(
+    'catalog_resources_created_total', 'Angelegte Ressourcen.', ['source']
+);
+
+export const ratingsCreated = new Counter('catalog_ratings_created_total', 'Neu abgegebene Bewertungen.');
+
+export const feedbackCreated = new Counter('catalog_feedback_created_total', 'Neu angelegte Feedback-Einträge.');
+
+export const webhookDeliveryAttempts = new Counter(
+    'catalog_webhook_delivery_attempts_total', 'Zustellversuche von Webhooks.', ['event', 'outcome']
+);
+
+export const responseCacheLookups = new Counter(
+    'catalog_response_cache_lookups_total', 'Zugriffe auf den Antwort-Cache (nur bei RESPONSE_CACHE_TTL_SECONDS > 0).', ['result']
+);
+
+/**
+ * Gibt alle Metriken im Prometheus-Textformat aus.
+ * @returns {string}
+ */
+export function renderMetrics() {
+    return registry
+        .flatMap((metric) => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render()])
+        .join('\n') + '\n';
+}
@@ -1,17 +1,14 @@
 import mongoose from "mongoose";
+import { ValidationError } from "./errors.js";
 
 const { Types } = mongoose;
 
 export function toObjectId(id) {
     if (!Types.ObjectId.isValid(id)) {
-        const err = new Error("Ungueltige ObjectId");
-        err.status = 400;
-        throw err;
+        throw new ValidationError(`Ungültige ObjectId: ${id}`, { code: "INVALID_ID" });
     }
     if (typeof id !== "string") {
-        const err = new Error("ObjectId muss ein String sein");
-        err.status = 400;
-        throw err;
+        throw new ValidationError("ObjectId muss ein String sein", { code: "INVALID_ID" });
     }
     return new Types.ObjectId(id);
 }
@@ -0,0 +1,73 @@
+/**
+ * @file Zählerspeicher für Rate Limiting und Duplikaterkennung.
+ * @description
+ * Ein Store zählt Ereignisse je Schlüssel in einem festen Zeitfenster. Standard ist {@link MemoryRateLimitStore},
+ * der nur innerhalb eines Prozesses gilt. Laufen mehrere Instanzen hinter einem Load Balancer, lässt sich über
+ * {@link setRateLimitStore} ein gemeinsamer Store einsetzen (z. B. auf Basis von Redis `INCR` + `PEXPIRE`),
+ * der dieselbe Schnittstelle erfüllt.
+ */
+
+/**
+ * @typedef {Object} RateLimitStore
+ * @property {(key: string, windowMs: number) => Promise<{ count: number, resetAt: number }>} increment
+ *           Erhöht den Zähler des Schlüssels und liefert den neuen Stand sowie das Fensterende (Epoch-ms).
+ *           Ist das Fenster abgelaufen oder der Schlüssel unbekannt, beginnt ein neues Fenster mit `count: 1`.
+ * @property {(key: string) => Promise<void>} reset - Entfernt den Zähler des Schlüssels.
+ */
+
+/** @constant {number} SWEEP_INTERVAL_MS - Abstand, in dem abgelaufene Zähler aus dem Speicher entfernt werden. */
+const SWEEP_INTERVAL_MS = 60_000;
+
+/**
+ * Store im Arbeitsspeicher (Fixed Window). Abgelaufene Einträge werden regelmäßig entfernt.
+ * @implements {RateLimitStore}
+ */
+export class MemoryRateLimitStore {
+    constructor() {
+        this.counters = new Map();
+        this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        // Der Timer soll das Beenden des Prozesses nicht verhindern.
+        this.sweeper.unref();
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let counter = this.counters.get(key);
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            this.counters.set(key, counter);
+        }
+        counter.count++;
+        return { count: counter.count, resetAt: counter.resetAt };
+    }
+
+    async reset(key) {
+        this.counters.delete(key);
+    }
+
+    /** Entfernt abgelaufene Zähler. */
+    sweep() {
+        const now = Date.now();
+        for (const [key, counter] of this.counters) {
+            if (counter.resetAt <= now) this.counters.delete(key);
+        }
+    }
+}
+
+let store = new MemoryRateLimitStore();
+
+/**
+ * Ersetzt den Store, z. B. durch einen gemeinsamen Store für mehrere Instanzen.
+ * @param {RateLimitStore} instance
+ */
+export function setRateLimitStore(instance) {
+    store = instance;
+}
+
+/**
+ * Gibt den aktuellen Store zurück.
+ * @returns {RateLimitStore}
+ */
+export function getRateLimitStore() {
+    return store;
+}